@@ -0,0 +1,236 @@
+// analyticsClient.js - Shared HTTP client for the analytics API (hysing)
+//
+// Every call to the analytics system goes through analyticsRequest, which adds the API
+// key, applies the endpoint's timeout (ANALYTICS_TIMEOUTS overrides the defaults below)
+// and records latency and errors per endpoint.
+//
+// A circuit breaker covers all endpoints: after ANALYTICS_BREAKER_THRESHOLD failures in a
+// row (network errors, timeouts, 5xx) calls fail immediately for
+// ANALYTICS_BREAKER_RESET_SECONDS, then a single trial call decides whether the circuit
+// closes again. A slow or down analytics system therefore costs chat nothing - the outbox
+// (analyticsOutbox.js) waits for the circuit instead of burning attempts.
+// getAnalyticsHealth() is reported on the / health route.
+
+import { getConfig } from './config.js';
+import { httpError } from './utils/httpError.js';
+
+// Endpoint name -> path and default timeout (ms)
+export const ANALYTICS_ENDPOINTS = {
+  conversations: { path: '/api/conversations', timeoutMs: 10000 },
+  feedbackLookup: { path: '/api/feedback/message', timeoutMs: 3000 },
+  feedback: { path: '/api/public-feedback', timeoutMs: 5000 },
+  widgetEvents: { path: '/api/widget-events', timeoutMs: 5000 }
+};
+
+// Latencies kept per endpoint for the averages
+const LATENCY_SAMPLES = 100;
+
+// Circuit and metrics (per instance)
+if (!global.analyticsClientState) {
+  global.analyticsClientState = createState();
+}
+
+function createState() {
+  return {
+    circuit: { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false },
+    endpoints: new Map() // endpoint -> metrics
+  };
+}
+
+function metricsFor(endpoint) {
+  const { endpoints } = global.analyticsClientState;
+  if (!endpoints.has(endpoint)) {
+    endpoints.set(endpoint, {
+      requests: 0, failures: 0, timeouts: 0, rejected: 0,
+      latencies: [], lastError: null, lastFailureAt: null, lastSuccessAt: null
+    });
+  }
+  return endpoints.get(endpoint);
+}
+
+/**
+ * Timeout of an endpoint (ANALYTICS_TIMEOUTS, then the default)
+ * @param {string} endpoint - Endpoint name
+ * @returns {number} Milliseconds
+ */
+export function getEndpointTimeout(endpoint) {
+  return getConfig().analytics.timeouts[endpoint] || ANALYTICS_ENDPOINTS[endpoint].timeoutMs;
+}
+
+/**
+ * Whether a call may go out now - false while the circuit is open (or a trial call of a
+ * half-open circuit is running)
+ * @returns {boolean} Available
+ */
+export function isAnalyticsAvailable() {
+  const { circuit } = global.analyticsClientState;
+  if (circuit.state === 'closed') return true;
+  if (circuit.trialInFlight) return false;
+  return Date.now() - circuit.openedAt >= getConfig().analytics.breakerResetSeconds * 1000;
+}
+
+// Let a call through, or throw when the circuit is open
+function admitCall(endpoint) {
+  const { circuit } = global.analyticsClientState;
+  if (circuit.state === 'closed') return;
+
+  if (!isAnalyticsAvailable()) {
+    metricsFor(endpoint).rejected++;
+    const error = httpError('Analytics API unavailable (circuit open)', 503);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  // Half-open: this call decides
+  circuit.state = 'half-open';
+  circuit.trialInFlight = true;
+}
+
+function recordSuccess(endpoint, latencyMs) {
+  const { circuit } = global.analyticsClientState;
+  const metrics = metricsFor(endpoint);
+  pushLatency(metrics, latencyMs);
+  metrics.lastSuccessAt = new Date();
+
+  if (circuit.state !== 'closed') console.log('✅ Analytics API reachable again - circuit closed');
+  Object.assign(circuit, { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false });
+}
+
+function recordFailure(endpoint, latencyMs, message, { timedOut = false } = {}) {
+  const { circuit } = global.analyticsClientState;
+  const metrics = metricsFor(endpoint);
+  pushLatency(metrics, latencyMs);
+  metrics.failures++;
+  if (timedOut) metrics.timeouts++;
+  metrics.lastError = message;
+  metrics.lastFailureAt = new Date();
+
+  circuit.consecutiveFailures++;
+  circuit.trialInFlight = false;
+  const threshold = getConfig().analytics.breakerThreshold;
+  if (circuit.state === 'half-open' || circuit.consecutiveFailures >= threshold) {
+    if (circuit.state !== 'open') {
+      console.warn(`⚠️ Analytics API failing (${message}) - circuit open for ${getConfig().analytics.breakerResetSeconds}s`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+function pushLatency(metrics, latencyMs) {
+  metrics.latencies.push(latencyMs);
+  if (metrics.latencies.length > LATENCY_SAMPLES) metrics.latencies.shift();
+}
+
+/**
+ * Call an analytics endpoint
+ * Network errors, timeouts and an open circuit throw (status 503/504); HTTP error
+ * responses are returned like fetch does, 5xx counting as failures of the circuit.
+ *
+ * @param {string} endpoint - Name from ANALYTICS_ENDPOINTS
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (default GET, POST with a body)
+ * @param {*} [options.body] - JSON body
+ * @param {Object} [options.query] - Query parameters
+ * @returns {Promise<Response>} fetch response
+ */
+export async function analyticsRequest(endpoint, { method, body, query } = {}) {
+  if (!ANALYTICS_ENDPOINTS[endpoint]) throw new Error(`Unknown analytics endpoint: ${endpoint}`);
+
+  const { baseUrl, apiKey } = getConfig().analytics;
+  const url = new URL(`${baseUrl}${ANALYTICS_ENDPOINTS[endpoint].path}`);
+  for (const [key, value] of Object.entries(query || {})) url.searchParams.set(key, value);
+  const timeoutMs = getEndpointTimeout(endpoint);
+
+  admitCall(endpoint);
+  metricsFor(endpoint).requests++;
+  const startedAt = Date.now();
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: method || (body !== undefined ? 'POST' : 'GET'),
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(apiKey ? { 'x-api-key': apiKey } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    const message = timedOut ? `timed out after ${timeoutMs}ms` : error.message;
+    recordFailure(endpoint, Date.now() - startedAt, message, { timedOut });
+    throw httpError(`Analytics ${endpoint} request failed: ${message}`, timedOut ? 504 : 503);
+  }
+
+  if (response.status >= 500) {
+    recordFailure(endpoint, Date.now() - startedAt, `HTTP ${response.status}`);
+  } else {
+    recordSuccess(endpoint, Date.now() - startedAt);
+  }
+  return response;
+}
+
+/**
+ * Circuit state and per-endpoint metrics (for the health route)
+ * @returns {Object} { status: 'healthy'|'degraded'|'unavailable', circuit, endpoints }
+ */
+export function getAnalyticsHealth() {
+  const { circuit, endpoints } = global.analyticsClientState;
+  const { breakerResetSeconds } = getConfig().analytics;
+
+  const endpointMetrics = {};
+  let recentFailures = false;
+  for (const [endpoint, metrics] of endpoints) {
+    const sorted = [...metrics.latencies].sort((a, b) => a - b);
+    const average = sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null;
+    endpointMetrics[endpoint] = {
+      requests: metrics.requests,
+      failures: metrics.failures,
+      timeouts: metrics.timeouts,
+      rejected: metrics.rejected,
+      averageLatencyMs: average,
+      p95LatencyMs: sorted.length ? sorted[Math.ceil(sorted.length * 0.95) - 1] : null,
+      lastError: metrics.lastError,
+      lastFailureAt: metrics.lastFailureAt,
+      lastSuccessAt: metrics.lastSuccessAt
+    };
+    if (metrics.lastFailureAt && (!metrics.lastSuccessAt || metrics.lastFailureAt > metrics.lastSuccessAt)) {
+      recentFailures = true;
+    }
+  }
+
+  let status = 'healthy';
+  if (circuit.state === 'open') status = 'unavailable';
+  else if (circuit.state === 'half-open' || recentFailures) status = 'degraded';
+
+  return {
+    status,
+    circuit: {
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      retryAt: circuit.state === 'open'
+        ? new Date(circuit.openedAt + breakerResetSeconds * 1000).toISOString()
+        : null
+    },
+    endpoints: endpointMetrics
+  };
+}
+
+/**
+ * Close the circuit and drop the metrics (tests)
+ */
+export function resetAnalyticsClient() {
+  global.analyticsClientState = createState();
+}
+
+export default {
+  ANALYTICS_ENDPOINTS,
+  getEndpointTimeout,
+  isAnalyticsAvailable,
+  analyticsRequest,
+  getAnalyticsHealth,
+  resetAnalyticsClient
+};
@@ -0,0 +1,222 @@
+// analyticsOutbox.js - Delivery of stored chat turns to the analytics system (hysing)
+//
+// messageProcessor.js stores every turn together with an outbox event
+// (repositories/analyticsOutboxRepository.js), so a turn that was answered is never lost
+// when the instance is frozen after the response or hysing is down. Events are delivered:
+//   - right after the response (deliverConversation, from the conversation engine)
+//   - by the worker every ANALYTICS_OUTBOX_INTERVAL_SECONDS (long-running servers)
+//   - by GET /cron/analytics-outbox (Vercel Cron, where no timer survives a request)
+// A failed delivery is retried after ANALYTICS_OUTBOX_RETRY_BASE_SECONDS, doubling each
+// time up to an hour; after ANALYTICS_OUTBOX_MAX_ATTEMPTS the event is dead until an
+// admin retries it (/admin/outbox). While the analytics circuit is open (analyticsClient.js)
+// events are left waiting and no attempts are used up.
+
+import { getConfig } from './config.js';
+import { getRepositories } from './repositories/repositoryRegistry.js';
+import { OUTBOX_STATUSES } from './repositories/analyticsOutboxRepository.js';
+import { sendConversationToAnalytics } from './messageProcessor.js';
+import { isAnalyticsAvailable } from './analyticsClient.js';
+import { httpError } from './utils/httpError.js';
+
+// How long a claimed event is left to one delivery before another instance may take it
+const DELIVERY_LOCK_MS = 2 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Worker timer and whether a batch is running (per instance)
+if (!global.analyticsOutboxWorker) {
+  global.analyticsOutboxWorker = { timer: null, running: false };
+}
+
+/**
+ * Wait before the next attempt: base, 2x base, 4x base ... capped at an hour
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts) {
+  const baseMs = getConfig().analyticsOutbox.retryBaseSeconds * 1000;
+  return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Send one claimed event and record the outcome
+ * @param {Object} event - Event returned by claim/claimNext
+ * @returns {Promise<Object>} { success, postgresqlId, status, error }
+ */
+async function attemptDelivery(event) {
+  const { analyticsOutbox } = getRepositories();
+  // The outbox retries on its own schedule - one request per attempt
+  const result = await sendConversationToAnalytics(event.payload, { maxAttempts: 1 });
+
+  if (result.success) {
+    const postgresqlId = result.postgresqlId || null;
+    await analyticsOutbox.markDelivered(event.eventId, { postgresqlId });
+    return { success: true, postgresqlId, status: 'delivered', error: null };
+  }
+
+  const error = result.error || 'delivery_failed';
+  const { maxAttempts } = getConfig().analyticsOutbox;
+  const nextAttemptAt = event.attempts >= maxAttempts ? null : new Date(Date.now() + getRetryDelay(event.attempts));
+  await analyticsOutbox.markFailed(event.eventId, { error, nextAttemptAt });
+
+  if (nextAttemptAt) {
+    console.warn(`⚠️ Analytics event ${event.eventId} failed (attempt ${event.attempts}/${maxAttempts}), retrying at ${nextAttemptAt.toISOString()}: ${error}`);
+    return { success: false, postgresqlId: null, status: 'pending', error };
+  }
+
+  console.error(`💀 Analytics event ${event.eventId} dead after ${event.attempts} attempts: ${error}`);
+  return { success: false, postgresqlId: null, status: 'dead', error };
+}
+
+/**
+ * Deliver one pending event now
+ * @param {string} eventId - Outbox event ID
+ * @returns {Promise<Object>} { success, postgresqlId, status, error } - skipped when the
+ *   analytics circuit is open, another delivery holds the event or it isn't pending
+ */
+export async function deliverOutboxEvent(eventId) {
+  if (!isAnalyticsAvailable()) {
+    return { success: false, postgresqlId: null, skipped: true, error: 'circuit_open' };
+  }
+
+  const event = await getRepositories().analyticsOutbox.claim(eventId, DELIVERY_LOCK_MS);
+  if (!event) return { success: false, postgresqlId: null, skipped: true };
+  return attemptDelivery(event);
+}
+
+/**
+ * Deliver a just-stored turn (messageProcessor.processMessagePair result)
+ * A turn whose storage failed has no event - it is sent directly, as before the outbox.
+ *
+ * @param {Object} stored - { eventId, conversation }
+ * @returns {Promise<Object>} { success, postgresqlId }
+ */
+export async function deliverConversation({ eventId, conversation }) {
+  try {
+    if (!eventId) return await sendConversationToAnalytics(conversation);
+    return await deliverOutboxEvent(eventId);
+  } catch (error) {
+    // The event stays claimed and is picked up again when its lock runs out
+    console.error('❌ Error delivering analytics event:', error.message);
+    return { success: false, postgresqlId: null, error: error.message };
+  }
+}
+
+/**
+ * Deliver the events that are due (pending, or abandoned by a delivery that didn't finish)
+ * Stops early when the analytics circuit opens.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most events to deliver (default ANALYTICS_OUTBOX_BATCH_SIZE)
+ * @returns {Promise<Object>} { attempted, delivered, retrying, dead }
+ */
+export async function deliverDueEvents({ limit = getConfig().analyticsOutbox.batchSize } = {}) {
+  const { analyticsOutbox } = getRepositories();
+  const summary = { attempted: 0, delivered: 0, retrying: 0, dead: 0 };
+
+  while (summary.attempted < limit) {
+    if (!isAnalyticsAvailable()) {
+      console.log('⏸️ Analytics circuit open - outbox delivery paused');
+      break;
+    }
+
+    const event = await analyticsOutbox.claimNext(DELIVERY_LOCK_MS);
+    if (!event) break;
+
+    summary.attempted++;
+    const result = await attemptDelivery(event);
+    if (result.success) summary.delivered++;
+    else if (result.status === 'dead') summary.dead++;
+    else summary.retrying++;
+  }
+
+  if (summary.attempted > 0) console.log('📤 Analytics outbox run:', summary);
+  return summary;
+}
+
+/**
+ * Events for the admin view - by default the stuck ones: dead, or pending/delivering
+ * after at least one failed attempt
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only events with this status
+ * @param {number} [options.limit] - Most events returned (newest first)
+ * @returns {Promise<Array<Object>>} Events without their payload
+ */
+export async function listOutboxEvents({ status = null, limit = 50 } = {}) {
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    throw httpError(`status must be one of: ${OUTBOX_STATUSES.join(', ')}`, 400);
+  }
+
+  const events = await getRepositories().analyticsOutbox.list({
+    statuses: status ? [status] : ['pending', 'delivering', 'dead'],
+    limit: status ? limit : Math.max(limit * 4, 200)
+  });
+
+  return events
+    .filter(event => status || event.status === 'dead' || event.attempts > 0)
+    .slice(0, limit)
+    .map(({ payload, ...event }) => ({ ...event, messageCount: payload?.messages?.length || 0 }));
+}
+
+/**
+ * Event counts per status
+ * @returns {Promise<Object>} { pending, delivering, delivered, dead }
+ */
+export async function getOutboxStats() {
+  return getRepositories().analyticsOutbox.countByStatus();
+}
+
+/**
+ * Deliver a dead or pending event again now, with a fresh set of attempts
+ * @param {string} eventId - Outbox event ID
+ * @returns {Promise<Object>} Delivery result ({ success, postgresqlId, status, error })
+ */
+export async function retryOutboxEvent(eventId) {
+  const event = await getRepositories().analyticsOutbox.requeue(eventId);
+  if (!event) throw httpError('Event not found or not retryable (delivered or being delivered)', 404);
+
+  console.log(`🔁 Retrying analytics event ${eventId}`);
+  return deliverOutboxEvent(eventId);
+}
+
+/**
+ * Start delivering due events in the background (no-op when the interval is 0 or it runs)
+ * The timer is unref'd - the server keeps the process alive, not the worker.
+ */
+export function startOutboxWorker() {
+  const worker = global.analyticsOutboxWorker;
+  const intervalSeconds = getConfig().analyticsOutbox.workerIntervalSeconds;
+  if (worker.timer || intervalSeconds <= 0) return;
+
+  worker.timer = setInterval(async () => {
+    if (worker.running) return;
+    worker.running = true;
+    try {
+      await deliverDueEvents();
+    } catch (error) {
+      console.error('❌ Analytics outbox worker error:', error.message);
+    } finally {
+      worker.running = false;
+    }
+  }, intervalSeconds * 1000).unref();
+
+  console.log(`📤 Analytics outbox worker running every ${intervalSeconds}s`);
+}
+
+/**
+ * Stop the background worker
+ */
+export function stopOutboxWorker() {
+  clearInterval(global.analyticsOutboxWorker.timer);
+  global.analyticsOutboxWorker.timer = null;
+}
+
+export default {
+  getRetryDelay,
+  deliverOutboxEvent,
+  deliverConversation,
+  deliverDueEvents,
+  listOutboxEvents,
+  getOutboxStats,
+  retryOutboxEvent,
+  startOutboxWorker,
+  stopOutboxWorker
+};
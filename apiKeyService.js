@@ -0,0 +1,387 @@
+// apiKeyService.js - Hashed, scoped API keys per tenant
+//
+// Keys are stored in `api_keys` as SHA-256 hashes - the plaintext is only returned
+// when a key is created or rotated. Each key belongs to a tenant and carries:
+//   scopes         - what it unlocks (see API_KEY_SCOPES)
+//   allowedOrigins - browser origins it may be used from (empty = any)
+//   expiresAt      - optional expiry; rotation sets it on the old key for the overlap
+//   revokedAt      - set when revoked, the key stops working immediately on this instance
+//   lastUsedAt     - updated at most once a minute per key
+//
+// API_KEY from the configuration is imported once as a key of the default tenant
+// (chat, voice, feedback), so existing widgets keep working until it is rotated.
+
+import crypto from 'crypto';
+import { connectToDatabase } from './database.js';
+import { getConfig } from './config.js';
+import { getTenant, getDefaultTenant, getDefaultTenantId, isOriginAllowedForTenant } from './tenantService.js';
+import { httpError } from './utils/httpError.js';
+
+const API_KEYS_COLLECTION = 'api_keys';
+const TENANTS_COLLECTION = 'tenants';
+
+// chat = /chat, /chat-stream, WebSocket, handoff and quotes; voice = transcription and
+// text-to-speech; feedback = feedback and widget events; admin = the /admin API;
+// operator = the /operator console for the tenant's own handoffs
+export const API_KEY_SCOPES = ['chat', 'voice', 'feedback', 'admin', 'operator'];
+const DEFAULT_SCOPES = ['chat'];
+const IMPORTED_KEY_SCOPES = ['chat', 'voice', 'feedback'];
+
+// Old key keeps working this long after a rotation unless told otherwise
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+
+// Keys looked up by hash are reused this long (revocations on other instances apply after it)
+const API_KEY_CACHE_TTL = 30 * 1000;
+// Most keys cached per instance - unknown keys are never cached
+const API_KEY_CACHE_SIZE = 1000;
+const LAST_USED_INTERVAL = 60 * 1000;
+
+if (!global.apiKeyState) {
+  global.apiKeyState = {
+    cache: new Map(), // hash -> { record, loadedAt }
+    bootstrap: null
+  };
+}
+
+/**
+ * Hash a plaintext key for storage and lookup
+ * @param {string} key - Plaintext key
+ * @returns {string} Hex SHA-256
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Key record fields safe to return to admins (no hash)
+ * @param {Object} record - Stored key
+ * @returns {Object} Public key
+ */
+export function toPublicApiKey(record) {
+  const { _id, hash, ...fields } = record;
+  return fields;
+}
+
+/**
+ * Validate key settings
+ * @param {Object} input - { label, scopes, allowedOrigins, expiresAt }
+ * @returns {Object} Normalized settings
+ */
+function normalizeKeySettings({ label = null, scopes = DEFAULT_SCOPES, allowedOrigins = [], expiresAt = null } = {}) {
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    throw httpError(`scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`, 400);
+  }
+  if (!Array.isArray(allowedOrigins) || allowedOrigins.some(origin => !/^https?:\/\/[^/]+$/.test(origin))) {
+    throw httpError('allowedOrigins must be a list of origins like https://example.is', 400);
+  }
+
+  let expires = null;
+  if (expiresAt) {
+    expires = new Date(expiresAt);
+    if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+      throw httpError('expiresAt must be a future date', 400);
+    }
+  }
+
+  return { label, scopes: [...new Set(scopes)], allowedOrigins, expiresAt: expires };
+}
+
+/**
+ * Store a new key
+ * @param {Object} db - MongoDB database
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} settings - Normalized settings
+ * @param {Object} [extra] - Additional fields (rotatedFrom, createdBy, ...)
+ * @param {string} [plaintext] - Existing key to store (imports), generated otherwise
+ * @returns {Promise<Object>} { record, apiKey }
+ */
+async function insertKey(db, tenantId, settings, extra = {}, plaintext = null) {
+  const apiKey = plaintext || `sk_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    keyId: `key_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`,
+    tenantId,
+    prefix: plaintext ? null : apiKey.slice(0, 7), // imported keys may be short - show none of them
+    hash: hashApiKey(apiKey),
+    ...settings,
+    revokedAt: null,
+    lastUsedAt: null,
+    createdAt: new Date(),
+    ...extra
+  };
+
+  await db.collection(API_KEYS_COLLECTION).insertOne(record);
+  return { record, apiKey };
+}
+
+/**
+ * One-time setup per instance: import API_KEY and keys stored in plaintext on tenants
+ * Imports are matched by hash, so a revoked API_KEY is never imported again.
+ *
+ * @param {Object} db - MongoDB database
+ */
+async function bootstrapKeys(db) {
+  const keys = db.collection(API_KEYS_COLLECTION);
+  const configKey = getConfig().auth.apiKey;
+
+  if (configKey && !await keys.findOne({ hash: hashApiKey(configKey) })) {
+    await insertKey(db, getDefaultTenantId(), normalizeKeySettings({
+      label: 'API_KEY (imported)',
+      scopes: IMPORTED_KEY_SCOPES
+    }), { createdBy: 'config' }, configKey);
+    console.log('🔑 Imported API_KEY as a hashed key of the default tenant');
+  }
+
+  const tenants = await db.collection(TENANTS_COLLECTION).find({ 'apiKeys.0': { $exists: true } }).toArray();
+  for (const tenant of tenants) {
+    for (const entry of tenant.apiKeys) {
+      if (!await keys.findOne({ hash: hashApiKey(entry.key) })) {
+        await insertKey(db, tenant.tenantId, normalizeKeySettings({ label: entry.label || null, scopes: IMPORTED_KEY_SCOPES }), {
+          keyId: entry.keyId,
+          createdAt: entry.createdAt || new Date(),
+          createdBy: 'migration'
+        }, entry.key);
+      }
+    }
+    await db.collection(TENANTS_COLLECTION).updateOne({ tenantId: tenant.tenantId }, { $unset: { apiKeys: '' } });
+    console.log(`🔑 Migrated ${tenant.apiKeys.length} plaintext API keys of tenant ${tenant.tenantId}`);
+  }
+}
+
+async function ensureBootstrapped(db) {
+  const state = global.apiKeyState;
+  if (!state.bootstrap) {
+    state.bootstrap = bootstrapKeys(db).catch((error) => {
+      state.bootstrap = null;
+      throw error;
+    });
+  }
+  await state.bootstrap;
+}
+
+/**
+ * Cache a key record, dropping expired entries and the oldest when full
+ * Entries are re-inserted on load, so Map order is load order.
+ * @param {string} hash - Key hash
+ * @param {Object} record - Stored key
+ */
+function cacheKey(hash, record) {
+  const { cache } = global.apiKeyState;
+  const now = Date.now();
+
+  cache.delete(hash);
+  for (const [cachedHash, cached] of cache) {
+    if (now - cached.loadedAt < API_KEY_CACHE_TTL && cache.size < API_KEY_CACHE_SIZE) break;
+    cache.delete(cachedHash);
+  }
+  cache.set(hash, { record, loadedAt: now });
+}
+
+/**
+ * Find a key record by plaintext key (cached)
+ * @param {string} apiKey - Plaintext key
+ * @returns {Promise<Object|null>} Stored key
+ */
+async function findKey(apiKey) {
+  const hash = hashApiKey(apiKey);
+  const cached = global.apiKeyState.cache.get(hash);
+  if (cached && Date.now() - cached.loadedAt < API_KEY_CACHE_TTL) {
+    return cached.record;
+  }
+
+  const { db } = await connectToDatabase();
+  await ensureBootstrapped(db);
+
+  const record = await db.collection(API_KEYS_COLLECTION).findOne({ hash });
+  // Misses aren't cached - anyone can send any number of made-up keys
+  if (record) cacheKey(hash, record);
+  return record;
+}
+
+/**
+ * Record use of a key (throttled, fire-and-forget)
+ * @param {Object} record - Stored key (mutated)
+ */
+function touchKey(record) {
+  const now = new Date();
+  if (record.lastUsedAt && now - new Date(record.lastUsedAt) < LAST_USED_INTERVAL) return;
+
+  record.lastUsedAt = now;
+  connectToDatabase()
+    .then(({ db }) => db.collection(API_KEYS_COLLECTION).updateOne({ keyId: record.keyId }, { $set: { lastUsedAt: now } }))
+    .catch(error => console.error('❌ Error recording API key use:', error.message));
+}
+
+/**
+ * Authenticate a request's API key
+ * If MongoDB is unavailable, API_KEY still works for the default tenant.
+ *
+ * @param {string} apiKey - x-api-key value
+ * @param {Object} options
+ * @param {string} options.scope - Scope the route requires
+ * @param {string} [options.origin] - Origin header
+ * @returns {Promise<Object>} { tenant, key } - key without its hash
+ * @throws {Error} 401 for unknown, revoked or expired keys, 403 for a missing scope or disallowed origin
+ */
+export async function authenticateApiKey(apiKey, { scope, origin = null }) {
+  if (!apiKey) {
+    throw httpError('API key required', 401);
+  }
+
+  let record;
+  try {
+    record = await findKey(apiKey);
+  } catch (error) {
+    const configKey = getConfig().auth.apiKey;
+    if (configKey && hashApiKey(apiKey) === hashApiKey(configKey) && IMPORTED_KEY_SCOPES.includes(scope)) {
+      console.error('❌ Error loading API keys, accepting API_KEY for the default tenant:', error.message);
+      return { tenant: await getDefaultTenant(), key: { keyId: 'config', scopes: IMPORTED_KEY_SCOPES } };
+    }
+    throw error;
+  }
+
+  if (!record || record.revokedAt) {
+    throw httpError('Invalid API key', 401);
+  }
+  if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+    throw httpError('API key expired', 401);
+  }
+  if (!record.scopes.includes(scope)) {
+    throw httpError(`API key lacks the ${scope} scope`, 403);
+  }
+  if (origin && record.allowedOrigins.length > 0 && !record.allowedOrigins.includes(origin)) {
+    throw httpError('Origin not allowed for this API key', 403);
+  }
+
+  const tenant = await getTenant(record.tenantId);
+  if (!tenant || tenant.status !== 'active') {
+    throw httpError('Invalid API key', 401);
+  }
+  if (!isOriginAllowedForTenant(tenant, origin)) {
+    throw httpError('Origin not allowed', 403);
+  }
+
+  touchKey(record);
+  return { tenant, key: toPublicApiKey(record) };
+}
+
+// ---------------------------------------------------------
+// Admin
+// ---------------------------------------------------------
+
+/**
+ * List a tenant's keys (newest first, revoked included)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Array>} Public keys
+ */
+export async function listApiKeys(tenantId) {
+  const { db } = await connectToDatabase();
+  await ensureBootstrapped(db);
+  const keys = await db.collection(API_KEYS_COLLECTION)
+    .find({ tenantId })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return keys.map(toPublicApiKey);
+}
+
+/**
+ * Create a key for a tenant - the plaintext key is only returned here
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} [settings] - { label, scopes, allowedOrigins, expiresAt }
+ * @param {Object} [options] - { editor }
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+export async function createApiKey(tenantId, settings = {}, { editor = null } = {}) {
+  if (!await getTenant(tenantId)) {
+    throw httpError(`Tenant ${tenantId} not found`, 404);
+  }
+
+  const normalized = normalizeKeySettings(settings);
+  const { db } = await connectToDatabase();
+  const { record, apiKey } = await insertKey(db, tenantId, normalized, { createdBy: editor });
+
+  console.log(`🔑 API key ${record.keyId} (${record.scopes.join(', ')}) created for tenant ${tenantId}`);
+  return { apiKey, key: toPublicApiKey(record) };
+}
+
+/**
+ * Get a tenant's key or fail with 404
+ */
+async function getTenantKey(db, tenantId, keyId) {
+  const record = await db.collection(API_KEYS_COLLECTION).findOne({ tenantId, keyId });
+  if (!record) {
+    throw httpError(`API key ${keyId} not found`, 404);
+  }
+  return record;
+}
+
+/**
+ * Replace a key with a new one carrying the same settings
+ * The old key keeps working for the overlap so deployed widgets can be updated.
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {string} keyId - Key to rotate
+ * @param {Object} [options]
+ * @param {number} [options.overlapHours=24] - How long the old key stays valid (0 = revoke now)
+ * @param {string} [options.editor] - Admin rotating the key
+ * @returns {Promise<Object>} { apiKey, key, previous }
+ */
+export async function rotateApiKey(tenantId, keyId, { overlapHours = DEFAULT_ROTATION_OVERLAP_HOURS, editor = null } = {}) {
+  if (typeof overlapHours !== 'number' || overlapHours < 0 || overlapHours > 24 * 30) {
+    throw httpError('overlapHours must be between 0 and 720', 400);
+  }
+
+  const { db } = await connectToDatabase();
+  const previous = await getTenantKey(db, tenantId, keyId);
+  if (previous.revokedAt) {
+    throw httpError(`API key ${keyId} is revoked`, 409);
+  }
+
+  const { label, scopes, allowedOrigins } = previous;
+  const { record, apiKey } = await insertKey(db, tenantId, { label, scopes, allowedOrigins, expiresAt: null }, {
+    rotatedFrom: keyId,
+    createdBy: editor
+  });
+
+  const now = new Date();
+  const overlapEnd = new Date(now.getTime() + overlapHours * 60 * 60 * 1000);
+  const update = overlapHours === 0
+    ? { revokedAt: now, replacedBy: record.keyId }
+    : { expiresAt: previous.expiresAt && new Date(previous.expiresAt) < overlapEnd ? previous.expiresAt : overlapEnd, replacedBy: record.keyId };
+  await db.collection(API_KEYS_COLLECTION).updateOne({ keyId }, { $set: update });
+  global.apiKeyState.cache.delete(previous.hash);
+
+  console.log(`🔄 API key ${keyId} of tenant ${tenantId} rotated to ${record.keyId} (${overlapHours}h overlap)`);
+  return { apiKey, key: toPublicApiKey(record), previous: toPublicApiKey({ ...previous, ...update }) };
+}
+
+/**
+ * Revoke a key immediately
+ * @param {string} tenantId - Tenant ID
+ * @param {string} keyId - Key ID
+ * @param {Object} [options] - { editor }
+ * @returns {Promise<Object>} Public key
+ */
+export async function revokeApiKey(tenantId, keyId, { editor = null } = {}) {
+  const { db } = await connectToDatabase();
+  const record = await getTenantKey(db, tenantId, keyId);
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date();
+    record.revokedBy = editor;
+    await db.collection(API_KEYS_COLLECTION).updateOne({ keyId }, { $set: { revokedAt: record.revokedAt, revokedBy: editor } });
+    global.apiKeyState.cache.delete(record.hash);
+    console.log(`🔑 API key ${keyId} of tenant ${tenantId} revoked`);
+  }
+
+  return toPublicApiKey(record);
+}
+
+export default {
+  API_KEY_SCOPES,
+  hashApiKey,
+  toPublicApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,597 @@
+// bookingService.js - Free consultation booking
+//
+// Staff availability (weekly opening hours per person) lives in MongoDB
+// (`booking_staff`) and bookings in `bookings`. Free slots are generated from the
+// weekly hours minus confirmed bookings, and a partial unique index on
+// { staffId, start } guards against two customers grabbing the same slot at once.
+// Every booking gets an iCalendar invite served from /bookings/:bookingId/invite.ics.
+// No external calendar is involved, so the whole flow runs against any MongoDB.
+
+import crypto from 'crypto';
+import { connectToDatabase } from './database.js';
+import { createIcsEvent } from './utils/icsGenerator.js';
+import { getConfig } from './config.js';
+import { httpError } from './utils/httpError.js';
+
+const STAFF_COLLECTION = 'booking_staff';
+const BOOKINGS_COLLECTION = 'bookings';
+
+// Booking rules (minimum notice and horizon come from config.booking)
+const MAX_SLOTS_RETURNED = 8;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Default availability, seeded when the staff collection is empty
+const DEFAULT_STAFF = [
+  {
+    staffId: 'daniel-thorstensen',
+    name: 'Daníel Thorstensen',
+    title: 'Sölustjóri (Sales Manager)',
+    role: 'sales',
+    email: 'daniel.t@svorumstrax.is',
+    timeZone: 'Atlantic/Reykjavik',
+    slotMinutes: 30,
+    weeklyHours: {
+      mon: [['09:00', '12:00'], ['13:00', '16:00']],
+      tue: [['09:00', '12:00'], ['13:00', '16:00']],
+      wed: [['09:00', '12:00'], ['13:00', '16:00']],
+      thu: [['09:00', '12:00'], ['13:00', '16:00']],
+      fri: [['09:00', '12:00']]
+    },
+    active: true
+  },
+  {
+    staffId: 'sveinn-rafnsson',
+    name: 'Sveinn Sigurður Rafnsson',
+    title: 'Rekstrarstjóri (COO)',
+    role: 'operations',
+    email: 'sveinn@svorumstrax.is',
+    timeZone: 'Atlantic/Reykjavik',
+    slotMinutes: 30,
+    weeklyHours: {
+      tue: [['10:00', '12:00']],
+      thu: [['13:00', '15:00']]
+    },
+    active: true
+  }
+];
+
+// ---------------------------------------------------------
+// Time zone helpers
+// ---------------------------------------------------------
+
+/**
+ * Wall-clock date, time and weekday of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 'mon' }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase()
+  };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {string} timeString - 'HH:MM'
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(dateString, timeString, timeZone) {
+  const wallClock = new Date(`${dateString}T${timeString}:00Z`).getTime();
+  const offsetAt = (instant) => {
+    const local = getZonedParts(new Date(instant), timeZone);
+    return new Date(`${local.date}T${local.time}:00Z`).getTime() - instant;
+  };
+
+  // Take the offset again at the first answer - near a DST change it differs from the guess's
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+}
+
+/**
+ * Add days to a 'YYYY-MM-DD' date string
+ * @param {string} dateString - Date
+ * @param {number} days - Days to add
+ * @returns {string} Date string
+ */
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// ---------------------------------------------------------
+// Staff availability
+// ---------------------------------------------------------
+
+/**
+ * Validate and normalize a staff availability document
+ * @param {Object} staff - Staff input
+ * @returns {Object} Normalized staff document
+ */
+function normalizeStaff(staff) {
+  if (!staff?.staffId || !staff.name || !staff.email) {
+    throw httpError('Staff require staffId, name and email', 400);
+  }
+
+  const timeZone = staff.timeZone || 'Atlantic/Reykjavik';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw httpError(`Unknown time zone: ${timeZone}`, 400);
+  }
+
+  const slotMinutes = parseInt(staff.slotMinutes, 10) || 30;
+  if (slotMinutes < 10 || slotMinutes > 240) {
+    throw httpError('slotMinutes must be between 10 and 240', 400);
+  }
+
+  const weeklyHours = {};
+  for (const [day, ranges] of Object.entries(staff.weeklyHours || {})) {
+    if (!WEEKDAYS.includes(day)) {
+      throw httpError(`Unknown weekday in weeklyHours: ${day}`, 400);
+    }
+    if (!Array.isArray(ranges) || ranges.some(range =>
+      !Array.isArray(range) || !/^\d{2}:\d{2}$/.test(range[0]) || !/^\d{2}:\d{2}$/.test(range[1]) || range[0] >= range[1]
+    )) {
+      throw httpError(`weeklyHours.${day} must be a list of ["HH:MM", "HH:MM"] ranges`, 400);
+    }
+    weeklyHours[day] = ranges;
+  }
+
+  return {
+    staffId: staff.staffId,
+    name: staff.name,
+    title: staff.title || '',
+    role: staff.role || 'sales',
+    email: staff.email,
+    timeZone,
+    slotMinutes,
+    weeklyHours,
+    // Specific dates off (holidays, vacation) - 'YYYY-MM-DD'
+    blockedDates: Array.isArray(staff.blockedDates) ? staff.blockedDates : [],
+    active: staff.active !== false
+  };
+}
+
+/**
+ * Seed default staff availability if the collection is empty
+ * @returns {Promise<number>} Number of staff seeded
+ */
+export async function seedBookingStaff() {
+  const { db } = await connectToDatabase();
+  const existing = await db.collection(STAFF_COLLECTION).countDocuments();
+
+  if (existing > 0) return 0;
+
+  console.log(`🌱 Seeding booking availability for ${DEFAULT_STAFF.length} staff members`);
+  const now = new Date();
+  await db.collection(STAFF_COLLECTION).insertMany(
+    DEFAULT_STAFF.map(staff => ({ ...normalizeStaff(staff), createdAt: now, updatedAt: now }))
+  );
+
+  return DEFAULT_STAFF.length;
+}
+
+/**
+ * Make sure indexes exist and the staff collection is seeded (once per instance)
+ * @returns {Promise<Object>} Database handle
+ */
+async function getBookingDb() {
+  const { db } = await connectToDatabase();
+
+  if (!global.bookingSetupDone) {
+    await db.collection(BOOKINGS_COLLECTION).createIndex(
+      { staffId: 1, start: 1 },
+      { unique: true, partialFilterExpression: { status: 'confirmed' } }
+    );
+    await db.collection(BOOKINGS_COLLECTION).createIndex({ bookingId: 1 }, { unique: true });
+    await db.collection(STAFF_COLLECTION).createIndex({ staffId: 1 }, { unique: true });
+    await seedBookingStaff();
+    global.bookingSetupDone = true;
+  }
+
+  return db;
+}
+
+/**
+ * List staff who take bookings
+ * @param {Object} [filter]
+ * @param {string} [filter.role] - 'sales' or 'operations'
+ * @param {boolean} [filter.includeInactive] - Include staff not taking bookings
+ * @returns {Promise<Array>} Staff documents
+ */
+export async function listBookingStaff({ role, includeInactive = false } = {}) {
+  const db = await getBookingDb();
+
+  const query = {};
+  if (role) query.role = role;
+  if (!includeInactive) query.active = true;
+
+  return db.collection(STAFF_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ name: 1 })
+    .toArray();
+}
+
+/**
+ * Get one staff member
+ * @param {string} staffId - Staff ID
+ * @returns {Promise<Object|null>} Staff document
+ */
+export async function getBookingStaff(staffId) {
+  const db = await getBookingDb();
+  return db.collection(STAFF_COLLECTION).findOne({ staffId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Create or replace a staff member's availability
+ * @param {Object} staff - Staff document
+ * @returns {Promise<Object>} Stored staff document
+ */
+export async function saveBookingStaff(staff) {
+  const normalized = normalizeStaff(staff);
+  const db = await getBookingDb();
+  const now = new Date();
+
+  await db.collection(STAFF_COLLECTION).updateOne(
+    { staffId: normalized.staffId },
+    { $set: { ...normalized, updatedAt: now }, $setOnInsert: { createdAt: now } },
+    { upsert: true }
+  );
+
+  console.log(`📅 Availability saved for ${normalized.name}`);
+  return getBookingStaff(normalized.staffId);
+}
+
+// ---------------------------------------------------------
+// Slots
+// ---------------------------------------------------------
+
+/**
+ * Generate candidate slots from a staff member's weekly hours
+ * Ignores existing bookings - see listAvailableSlots
+ *
+ * @param {Object} staff - Staff document
+ * @param {string} fromDate - First local date 'YYYY-MM-DD'
+ * @param {number} days - Number of days
+ * @param {Date} [now] - Current time (minimum notice is counted from here)
+ * @returns {Array<Object>} [{ staffId, start: Date, end: Date }]
+ */
+export function generateSlots(staff, fromDate, days, now = new Date()) {
+  const slots = [];
+  const earliestStart = now.getTime() + getConfig().booking.minNoticeHours * 3600000;
+  const slotMs = staff.slotMinutes * 60000;
+
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDays(fromDate, offset);
+    if (staff.blockedDates?.includes(date)) continue;
+
+    const weekday = WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+    for (const [open, close] of staff.weeklyHours?.[weekday] || []) {
+      const rangeEnd = zonedTimeToUtc(date, close, staff.timeZone).getTime();
+      let start = zonedTimeToUtc(date, open, staff.timeZone).getTime();
+
+      for (; start + slotMs <= rangeEnd; start += slotMs) {
+        if (start < earliestStart) continue;
+        slots.push({ staffId: staff.staffId, start: new Date(start), end: new Date(start + slotMs) });
+      }
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Describe a slot for the model and the widget
+ * @param {Object} slot - { start, end }
+ * @param {Object} staff - Staff document
+ * @returns {Object} Slot with ISO times and a local label
+ */
+function formatSlot(slot, staff) {
+  const local = getZonedParts(slot.start, staff.timeZone);
+  return {
+    staffId: staff.staffId,
+    staffName: staff.name,
+    staffTitle: staff.title,
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    localTime: `${local.weekday} ${local.date} ${local.time}`,
+    timeZone: staff.timeZone
+  };
+}
+
+/**
+ * Confirmed bookings overlapping a time range
+ * @param {Object} db - Database handle
+ * @param {Array<string>} staffIds - Staff IDs
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Bookings
+ */
+function findOverlappingBookings(db, staffIds, from, to) {
+  return db.collection(BOOKINGS_COLLECTION).find({
+    staffId: { $in: staffIds },
+    status: 'confirmed',
+    start: { $lt: to },
+    end: { $gt: from }
+  }).toArray();
+}
+
+/**
+ * List free consultation slots
+ *
+ * @param {Object} [options]
+ * @param {string} [options.role] - 'sales' or 'operations'
+ * @param {string} [options.staffId] - Only this staff member
+ * @param {string} [options.fromDate] - First date 'YYYY-MM-DD' (defaults to today)
+ * @param {number} [options.days] - Days to search (default 7)
+ * @param {number} [options.limit] - Maximum slots returned
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Array>} Free slots sorted by start time
+ */
+export async function listAvailableSlots({ role, staffId, fromDate, days = 7, limit = MAX_SLOTS_RETURNED, now = new Date() } = {}) {
+  const db = await getBookingDb();
+
+  let staffList = await listBookingStaff({ role });
+  if (staffId) staffList = staffList.filter(staff => staff.staffId === staffId);
+  if (staffList.length === 0) return [];
+
+  const today = now.toISOString().slice(0, 10);
+  const startDate = fromDate && fromDate > today ? fromDate : today;
+  const horizonEnd = addDays(today, getConfig().booking.horizonDays);
+  const searchDays = Math.max(0, Math.min(days, Math.round((new Date(horizonEnd) - new Date(startDate)) / 86400000)));
+
+  const candidates = staffList.flatMap(staff =>
+    generateSlots(staff, startDate, searchDays, now).map(slot => ({ slot, staff }))
+  );
+  if (candidates.length === 0) return [];
+
+  const rangeStart = candidates.reduce((min, { slot }) => (slot.start < min ? slot.start : min), candidates[0].slot.start);
+  const rangeEnd = candidates.reduce((max, { slot }) => (slot.end > max ? slot.end : max), candidates[0].slot.end);
+  const booked = await findOverlappingBookings(db, staffList.map(staff => staff.staffId), rangeStart, rangeEnd);
+
+  return candidates
+    .filter(({ slot }) => !booked.some(booking =>
+      booking.staffId === slot.staffId && booking.start < slot.end && booking.end > slot.start
+    ))
+    .sort((a, b) => a.slot.start - b.slot.start)
+    .slice(0, limit)
+    .map(({ slot, staff }) => formatSlot(slot, staff));
+}
+
+// ---------------------------------------------------------
+// Bookings
+// ---------------------------------------------------------
+
+/**
+ * Public download URL of a booking's invite
+ * @param {Object} booking - Booking document
+ * @returns {string} URL (relative unless PUBLIC_BASE_URL is set)
+ */
+export function getBookingInviteUrl(booking) {
+  // Absolute when server.publicBaseUrl is set, otherwise relative to the API
+  return `${getConfig().server.publicBaseUrl}/bookings/${booking.bookingId}/invite.ics?token=${booking.inviteToken}`;
+}
+
+/**
+ * Booking fields safe to return to the widget and the model
+ * @param {Object} booking - Booking document
+ * @param {Object} staff - Staff document
+ * @returns {Object} Public booking summary
+ */
+function toPublicBooking(booking, staff) {
+  return {
+    bookingId: booking.bookingId,
+    status: booking.status,
+    ...formatSlot(booking, staff),
+    inviteUrl: getBookingInviteUrl(booking),
+    inviteFilename: `svorum-strax-${booking.bookingId}.ics`
+  };
+}
+
+/**
+ * Reserve a consultation slot
+ * The slot must match the staff member's weekly hours and be free; concurrent
+ * attempts for the same slot are rejected by the unique index.
+ *
+ * @param {Object} request
+ * @param {string} request.staffId - Staff ID
+ * @param {string} request.start - Slot start (ISO, as returned by listAvailableSlots)
+ * @param {Object} request.customer - { name, email, phone, company }
+ * @param {string} [request.topic] - What the customer wants to discuss
+ * @param {string} [request.sessionId] - Chat session
+ * @param {string} [request.conversationId] - Chat conversation
+ * @param {string} [request.language] - Conversation language
+ * @param {Date} [request.now] - Current time
+ * @returns {Promise<Object>} Public booking summary
+ */
+export async function createBooking({ staffId, start, customer, topic = '', sessionId = null, conversationId = null, language = 'is', now = new Date() }) {
+  if (!customer?.name || !customer?.email) {
+    throw httpError('Customer name and email are required', 400);
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customer.email)) {
+    throw httpError(`Invalid email address: ${customer.email}`, 400);
+  }
+
+  const startDate = new Date(start);
+  if (Number.isNaN(startDate.getTime())) {
+    throw httpError(`Invalid start time: ${start}`, 400);
+  }
+
+  const db = await getBookingDb();
+  const staff = await db.collection(STAFF_COLLECTION).findOne({ staffId, active: true });
+  if (!staff) {
+    throw httpError(`Unknown staff member: ${staffId}`, 404);
+  }
+
+  // The requested start must be one of the generated slots (right hours, notice, alignment)
+  const localDate = getZonedParts(startDate, staff.timeZone).date;
+  const slot = generateSlots(staff, localDate, 1, now)
+    .find(candidate => candidate.start.getTime() === startDate.getTime());
+  if (!slot) {
+    throw httpError(`${staff.name} is not available at ${startDate.toISOString()}`, 409);
+  }
+
+  const overlapping = await findOverlappingBookings(db, [staffId], slot.start, slot.end);
+  if (overlapping.length > 0) {
+    throw httpError('This time slot has just been booked - please choose another one', 409);
+  }
+
+  const booking = {
+    bookingId: `bk_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`,
+    inviteToken: crypto.randomBytes(16).toString('hex'),
+    staffId,
+    start: slot.start,
+    end: slot.end,
+    status: 'confirmed',
+    customer: {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone || null,
+      company: customer.company || null
+    },
+    topic,
+    language,
+    sessionId,
+    conversationId,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  try {
+    await db.collection(BOOKINGS_COLLECTION).insertOne(booking);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError('This time slot has just been booked - please choose another one', 409);
+    }
+    throw error;
+  }
+
+  console.log(`📅 Booking ${booking.bookingId}: ${customer.name} with ${staff.name} at ${slot.start.toISOString()}`);
+  return toPublicBooking(booking, staff);
+}
+
+/**
+ * Get a booking
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object|null>} Booking document
+ */
+export async function getBooking(bookingId) {
+  const db = await getBookingDb();
+  return db.collection(BOOKINGS_COLLECTION).findOne({ bookingId }, { projection: { _id: 0 } });
+}
+
+/**
+ * List bookings
+ * @param {Object} [filter]
+ * @param {string} [filter.staffId] - Staff ID
+ * @param {string} [filter.status] - confirmed or cancelled
+ * @param {string} [filter.from] - Earliest start (ISO)
+ * @param {string} [filter.to] - Latest start (ISO)
+ * @returns {Promise<Array>} Bookings sorted by start time
+ */
+export async function listBookings({ staffId, status, from, to } = {}) {
+  const db = await getBookingDb();
+
+  const query = {};
+  if (staffId) query.staffId = staffId;
+  if (status) query.status = status;
+  if (from || to) {
+    query.start = {};
+    if (from) query.start.$gte = new Date(from);
+    if (to) query.start.$lte = new Date(to);
+  }
+
+  return db.collection(BOOKINGS_COLLECTION)
+    .find(query, { projection: { _id: 0, inviteToken: 0 } })
+    .sort({ start: 1 })
+    .toArray();
+}
+
+/**
+ * Cancel a booking - the slot becomes free again
+ * @param {string} bookingId - Booking ID
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Cancellation reason
+ * @returns {Promise<Object>} Updated booking
+ */
+export async function cancelBooking(bookingId, { reason = null } = {}) {
+  const db = await getBookingDb();
+
+  const booking = await db.collection(BOOKINGS_COLLECTION).findOne({ bookingId });
+  if (!booking) {
+    throw httpError(`Booking ${bookingId} not found`, 404);
+  }
+  if (booking.status === 'cancelled') {
+    return booking;
+  }
+
+  await db.collection(BOOKINGS_COLLECTION).updateOne(
+    { bookingId },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason, updatedAt: new Date() } }
+  );
+
+  console.log(`🗑️ Booking ${bookingId} cancelled`);
+  return getBooking(bookingId);
+}
+
+/**
+ * Build the iCalendar invite for a booking
+ * @param {Object} booking - Booking document
+ * @returns {Promise<string>} ICS content
+ */
+export async function getBookingInvite(booking) {
+  const staff = await getBookingStaff(booking.staffId);
+  const isIcelandic = booking.language !== 'en';
+
+  return createIcsEvent({
+    uid: `${booking.bookingId}@svorumstrax.is`,
+    start: booking.start,
+    end: booking.end,
+    summary: isIcelandic
+      ? `Ráðgjafarfundur með ${staff?.name || 'Svörum strax'}`
+      : `Consultation with ${staff?.name || 'Svörum strax'}`,
+    description: [
+      isIcelandic ? 'Frí ráðgjöf hjá Svörum strax.' : 'Free consultation with Svörum strax.',
+      booking.topic ? `${isIcelandic ? 'Efni' : 'Topic'}: ${booking.topic}` : null,
+      isIcelandic ? 'Spurningar: svorumstrax@svorumstrax.is / 537-0800' : 'Questions: svorumstrax@svorumstrax.is / 537-0800'
+    ].filter(Boolean).join('\n'),
+    organizer: staff ? { name: staff.name, email: staff.email } : null,
+    attendee: booking.customer,
+    status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+  });
+}
+
+export default {
+  seedBookingStaff,
+  listBookingStaff,
+  getBookingStaff,
+  saveBookingStaff,
+  generateSlots,
+  listAvailableSlots,
+  getBookingInviteUrl,
+  createBooking,
+  getBooking,
+  listBookings,
+  cancelBooking,
+  getBookingInvite
+};
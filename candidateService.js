@@ -0,0 +1,321 @@
+// candidateService.js - Job applications from CVs uploaded in chat
+//
+// The CV text (extracted by utils/fileProcessor.js) is turned into a structured
+// candidate profile by the model, normalized against fixed vocabularies and stored
+// in `candidates`. The original file is kept in `candidate_files` so recruiters can
+// open it from the admin API without bloating the candidate documents.
+// Applicants are matched by email, so a second CV updates the existing candidate.
+
+import crypto from 'crypto';
+import { connectToDatabase } from './database.js';
+import { extractTextFromFile } from './utils/fileProcessor.js';
+import { truncateToTokens } from './contextBuilder.js';
+import { getConfig } from './config.js';
+import { httpError } from './utils/httpError.js';
+
+const CANDIDATES_COLLECTION = 'candidates';
+const FILES_COLLECTION = 'candidate_files';
+
+const MAX_CV_BYTES = 8 * 1024 * 1024;
+const CV_TEXT_TOKEN_BUDGET = 4000;
+
+// CVs we accept (PDF and Word)
+const CV_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+export const PROFICIENCY_LEVELS = ['native', 'fluent', 'good', 'basic', 'none', 'unknown'];
+export const NIE_STATUSES = ['has_nie', 'applied', 'none', 'unknown'];
+export const CANDIDATE_STATUSES = ['new', 'reviewing', 'interview', 'hired', 'rejected'];
+
+/**
+ * Pick the CV from the files attached to a chat message
+ * @param {Array} files - Uploaded files { filename, mimeType, data, size }
+ * @returns {Object|null} The first PDF or Word file
+ */
+export function findCvFile(files = []) {
+  return files.find(file => CV_MIME_TYPES.includes(file.mimeType)) || null;
+}
+
+/**
+ * Normalize the profile returned by the model
+ * Unknown values fall back to 'unknown' instead of trusting free text.
+ *
+ * @param {Object} raw - Parsed JSON from the model
+ * @returns {Object} Candidate profile
+ */
+export function normalizeCandidateProfile(raw = {}) {
+  const text = (value, max = 200) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+  const oneOf = (value, allowed) => (allowed.includes(value) ? value : 'unknown');
+
+  const languages = (Array.isArray(raw.languages) ? raw.languages : [])
+    .filter(entry => text(entry?.language))
+    .map(entry => ({ language: text(entry.language, 50), level: oneOf(entry.level, PROFICIENCY_LEVELS) }));
+
+  const experience = (Array.isArray(raw.experience) ? raw.experience : [])
+    .filter(entry => text(entry?.role) || text(entry?.company))
+    .slice(0, 15)
+    .map(entry => ({
+      role: text(entry.role),
+      company: text(entry.company),
+      from: text(entry.from, 20),
+      to: text(entry.to, 20),
+      customerFacing: entry.customerFacing === true
+    }));
+
+  const email = text(raw.email)?.toLowerCase() || null;
+
+  return {
+    name: text(raw.name),
+    email: email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null,
+    phone: text(raw.phone, 40),
+    location: text(raw.location),
+    languages,
+    icelandicProficiency: oneOf(raw.icelandicProficiency, PROFICIENCY_LEVELS),
+    experience,
+    yearsOfExperience: Number.isFinite(raw.yearsOfExperience) ? Math.max(0, raw.yearsOfExperience) : null,
+    customerServiceExperience: raw.customerServiceExperience === true,
+    salesExperience: raw.salesExperience === true,
+    nieStatus: oneOf(raw.nieStatus, NIE_STATUSES),
+    availability: text(raw.availability),
+    summary: text(raw.summary, 1000)
+  };
+}
+
+/**
+ * Extract a structured candidate profile from CV text
+ *
+ * @param {Object} params
+ * @param {Object} params.llm - Language model provider (llmProvider.js)
+ * @param {string} params.cvText - Text extracted from the CV
+ * @param {string} [params.applicantMessage] - What the applicant wrote in chat (may mention NIE, availability)
+ * @returns {Promise<Object>} Candidate profile
+ */
+export async function parseCandidateProfile({ llm, cvText, applicantMessage = '' }) {
+  const completion = await llm.chat({
+    model: getConfig().candidates.parserModel,
+    temperature: 0,
+    responseFormat: { type: 'json_object' },
+    messages: [
+      {
+        role: 'system',
+        content: `You extract job applicant profiles for Svörum strax, an Icelandic call center in Barcelona.
+Return a JSON object with exactly these fields (use null or "unknown" when the CV does not say):
+{
+  "name": string, "email": string, "phone": string, "location": string,
+  "languages": [{ "language": string (English name), "level": ${PROFICIENCY_LEVELS.map(l => `"${l}"`).join('|')} }],
+  "icelandicProficiency": ${PROFICIENCY_LEVELS.map(l => `"${l}"`).join('|')},
+  "experience": [{ "role": string, "company": string, "from": string, "to": string, "customerFacing": boolean }],
+  "yearsOfExperience": number,
+  "customerServiceExperience": boolean, "salesExperience": boolean,
+  "nieStatus": ${NIE_STATUSES.map(s => `"${s}"`).join('|')} (Spanish NIE identity number),
+  "availability": string (when they can start / shifts they can work),
+  "summary": string (2-3 sentences in English)
+}
+Only use information stated in the CV or the applicant's message. Never guess.`
+      },
+      {
+        role: 'user',
+        content: `APPLICANT MESSAGE:\n${applicantMessage || '(none)'}\n\nCV:\n${truncateToTokens(cvText, CV_TEXT_TOKEN_BUDGET)}`
+      }
+    ]
+  });
+
+  const content = completion.message?.content || '{}';
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    throw httpError('Could not read the CV profile', 502);
+  }
+
+  return normalizeCandidateProfile(parsed);
+}
+
+/**
+ * Store an application: candidate profile plus the original CV file
+ *
+ * @param {Object} application
+ * @param {Object} application.profile - Normalized profile
+ * @param {Object} application.file - Original upload { filename, mimeType, data (base64), size }
+ * @param {string} [application.desiredPosition] - Position the applicant asked about
+ * @param {string} [application.conversationId] - Chat conversation
+ * @param {string} [application.sessionId] - Chat session
+ * @param {string} [application.language] - Conversation language
+ * @returns {Promise<Object>} Stored candidate (without file data)
+ */
+export async function saveCandidate({ profile, file, desiredPosition = null, conversationId = null, sessionId = null, language = null }) {
+  const { db } = await connectToDatabase();
+  const candidates = db.collection(CANDIDATES_COLLECTION);
+  const now = new Date();
+
+  const fileId = `cvf_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+  const buffer = Buffer.from(file.data, 'base64');
+  const fileInfo = { fileId, filename: file.filename, mimeType: file.mimeType, size: buffer.length, uploadedAt: now };
+
+  // Returning applicants are matched by email
+  const existing = profile.email ? await candidates.findOne({ email: profile.email }) : null;
+  const candidateId = existing?.candidateId || `cand_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+
+  await db.collection(FILES_COLLECTION).insertOne({ ...fileInfo, candidateId, data: buffer });
+
+  if (existing) {
+    await candidates.updateOne(
+      { candidateId },
+      {
+        $set: { ...profile, updatedAt: now, ...(desiredPosition ? { desiredPosition } : {}) },
+        $push: { files: fileInfo, conversationIds: conversationId },
+        $inc: { applicationCount: 1 }
+      }
+    );
+    console.log(`👤 Candidate ${candidateId} updated with a new CV (${file.filename})`);
+  } else {
+    await candidates.insertOne({
+      candidateId,
+      ...profile,
+      desiredPosition,
+      status: 'new',
+      files: [fileInfo],
+      conversationIds: [conversationId],
+      sessionId,
+      language,
+      applicationCount: 1,
+      createdAt: now,
+      updatedAt: now
+    });
+    console.log(`👤 Candidate ${candidateId} created from ${file.filename}`);
+  }
+
+  return getCandidate(candidateId);
+}
+
+/**
+ * Full intake: validate the upload, extract text, parse the profile and store it
+ *
+ * @param {Object} params
+ * @param {Object} params.llm - Language model provider (llmProvider.js)
+ * @param {Object} params.file - Uploaded CV
+ * @param {string} [params.applicantMessage] - Applicant's chat message
+ * @param {string} [params.desiredPosition] - Position of interest
+ * @param {Object} [params.context] - { conversationId, sessionId, language }
+ * @returns {Promise<Object>} Stored candidate
+ */
+export async function submitApplication({ llm, file, applicantMessage = '', desiredPosition = null, context = {} }) {
+  if (!file) {
+    throw httpError('No CV attached - ask the applicant to upload their CV as PDF or Word', 400);
+  }
+  if (!CV_MIME_TYPES.includes(file.mimeType)) {
+    throw httpError(`CVs must be PDF or Word files, got ${file.mimeType}`, 400);
+  }
+  if (Buffer.byteLength(file.data || '', 'base64') > MAX_CV_BYTES) {
+    throw httpError('CV file is too large (max 8MB)', 413);
+  }
+
+  const cvText = await extractTextFromFile(file);
+  if (!cvText || cvText.startsWith('[Could not extract text')) {
+    throw httpError(`Could not read ${file.filename} - ask the applicant for another copy`, 422);
+  }
+
+  const profile = await parseCandidateProfile({ llm, cvText, applicantMessage });
+
+  return saveCandidate({
+    profile,
+    file,
+    desiredPosition,
+    conversationId: context.conversationId,
+    sessionId: context.sessionId,
+    language: context.language
+  });
+}
+
+/**
+ * List candidates
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - Candidate status
+ * @param {string} [filter.icelandicProficiency] - Proficiency level
+ * @param {string} [filter.nieStatus] - NIE status
+ * @returns {Promise<Array>} Candidates, newest first
+ */
+export async function listCandidates({ status, icelandicProficiency, nieStatus } = {}) {
+  const { db } = await connectToDatabase();
+
+  const query = {};
+  if (status) query.status = status;
+  if (icelandicProficiency) query.icelandicProficiency = icelandicProficiency;
+  if (nieStatus) query.nieStatus = nieStatus;
+
+  return db.collection(CANDIDATES_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .toArray();
+}
+
+/**
+ * Get one candidate
+ * @param {string} candidateId - Candidate ID
+ * @returns {Promise<Object|null>} Candidate
+ */
+export async function getCandidate(candidateId) {
+  const { db } = await connectToDatabase();
+  return db.collection(CANDIDATES_COLLECTION).findOne({ candidateId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Get an original CV file
+ * @param {string} candidateId - Candidate ID
+ * @param {string} fileId - File ID
+ * @returns {Promise<Object|null>} { filename, mimeType, size, data (Buffer) }
+ */
+export async function getCandidateFile(candidateId, fileId) {
+  const { db } = await connectToDatabase();
+  const file = await db.collection(FILES_COLLECTION).findOne({ candidateId, fileId });
+  if (!file) return null;
+
+  // The driver returns BSON Binary for stored buffers
+  const data = Buffer.isBuffer(file.data)
+    ? file.data
+    : Buffer.from(file.data._bsontype === 'Binary' ? file.data.buffer : file.data);
+  return { filename: file.filename, mimeType: file.mimeType, size: file.size, data };
+}
+
+/**
+ * Update a candidate from the recruiting team (status, notes)
+ * @param {string} candidateId - Candidate ID
+ * @param {Object} changes - { status, recruiterNotes }
+ * @returns {Promise<Object>} Updated candidate
+ */
+export async function updateCandidate(candidateId, { status, recruiterNotes } = {}) {
+  if (status && !CANDIDATE_STATUSES.includes(status)) {
+    throw httpError(`status must be one of: ${CANDIDATE_STATUSES.join(', ')}`, 400);
+  }
+
+  const set = { updatedAt: new Date() };
+  if (status) set.status = status;
+  if (recruiterNotes !== undefined) set.recruiterNotes = recruiterNotes;
+
+  const { db } = await connectToDatabase();
+  const result = await db.collection(CANDIDATES_COLLECTION).updateOne({ candidateId }, { $set: set });
+  if (result.matchedCount === 0) {
+    throw httpError(`Candidate ${candidateId} not found`, 404);
+  }
+
+  return getCandidate(candidateId);
+}
+
+export default {
+  PROFICIENCY_LEVELS,
+  NIE_STATUSES,
+  CANDIDATE_STATUSES,
+  findCvFile,
+  normalizeCandidateProfile,
+  parseCandidateProfile,
+  saveCandidate,
+  submitApplication,
+  listCandidates,
+  getCandidate,
+  getCandidateFile,
+  updateCandidate
+};
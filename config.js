@@ -0,0 +1,353 @@
+// config.js - Central configuration
+//
+// The only place environment variables are read. Values are resolved in order:
+//   1. defaults below
+//   2. JSON file (CONFIG_FILE) - top-level keys, then environments[NODE_ENV]
+//   3. environment variables (.env is loaded here)
+// and validated once; every problem is reported together at startup. Without NODE_ENV
+// the environment is production - development has to be asked for.
+//
+// Example config file:
+//   {
+//     "server": { "corsOrigins": ["https://svorumstrax.is"] },
+//     "environments": {
+//       "development": { "server": { "corsOrigins": ["http://localhost:3000"] } }
+//     }
+//   }
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+
+dotenv.config();
+
+const DEFAULT_CORS_ORIGINS = [
+  'http://localhost:3000',
+  'http://localhost:8080',
+  'https://svorumstrax-website.vercel.app',
+  'https://svorumstrax.is',
+  'https://www.svorumstrax.is',
+  'https://hysing.svorumstrax.is'
+];
+
+// required: true = always, ['production'] = only in those environments
+// secret: masked by redactConfig
+const CONFIG_SCHEMA = [
+  // Server
+  { key: 'server.port', env: 'PORT', type: 'int', default: 8080 },
+  { key: 'server.publicBaseUrl', env: 'PUBLIC_BASE_URL', type: 'url', default: '' },
+  { key: 'server.corsOrigins', env: 'ALLOWED_ORIGINS', type: 'list', default: DEFAULT_CORS_ORIGINS },
+
+  // Tenants - the default tenant is the Svörum strax bot and answers to API_KEY
+  { key: 'tenants.defaultTenantId', env: 'DEFAULT_TENANT_ID', type: 'string', default: 'svorum-strax' },
+
+  // API keys - widget keys live hashed in MongoDB (apiKeyService.js); API_KEY is imported
+  // once as a key of the default tenant
+  { key: 'auth.apiKey', env: 'API_KEY', type: 'string', secret: true },
+  { key: 'auth.adminApiKey', env: 'ADMIN_API_KEY', type: 'string', secret: true },
+  { key: 'auth.operatorApiKey', env: 'OPERATOR_API_KEY', type: 'string', secret: true },
+
+  // External services
+  { key: 'openai.apiKey', env: 'OPENAI_API_KEY', type: 'string', secret: true },
+  // Required unless storage and rate limits are kept in memory (checked in loadConfig)
+  { key: 'mongodb.uri', env: 'MONGODB_URI', type: 'string', secret: true },
+  { key: 'pusher.appId', env: 'PUSHER_APP_ID', type: 'string' },
+  { key: 'pusher.key', env: 'PUSHER_KEY', type: 'string' },
+  { key: 'pusher.secret', env: 'PUSHER_SECRET', type: 'string', secret: true },
+  { key: 'pusher.cluster', env: 'PUSHER_CLUSTER', type: 'string' },
+
+  // Live dashboard updates (realtimeBroadcaster.js) - 'auto' uses Pusher when PUSHER_* is
+  // set, otherwise dashboards connected to this instance's /realtime WebSocket
+  { key: 'realtime.broadcaster', env: 'REALTIME_BROADCASTER', type: 'enum', values: ['auto', 'pusher', 'websocket', 'none'], default: 'auto' },
+  { key: 'realtime.channelPrefix', env: 'REALTIME_CHANNEL_PREFIX', type: 'string', default: '' },
+  { key: 'realtime.maxPayloadBytes', env: 'REALTIME_MAX_PAYLOAD_BYTES', type: 'int', default: 10240 },
+
+  // Resumable /chat-stream (streamBuffer.js) - how long a finished answer can still be
+  // replayed to a reconnect with Last-Event-ID, and the keep-alive comment interval
+  { key: 'streaming.resumeWindowSeconds', env: 'SSE_RESUME_WINDOW_SECONDS', type: 'int', default: 60 },
+  { key: 'streaming.keepAliveSeconds', env: 'SSE_KEEPALIVE_SECONDS', type: 'int', default: 15 },
+  // An answer nobody follows any more is stopped after this long (0 = at once)
+  { key: 'streaming.disconnectGraceSeconds', env: 'SSE_DISCONNECT_GRACE_SECONDS', type: 'int', default: 10 },
+
+  // Storage of conversations, sessions, feedback, analytics ID mappings and LiveChat
+  // records (repositories/) - 'memory' keeps them per instance until a restart
+  { key: 'storage.backend', env: 'STORAGE_BACKEND', type: 'enum', values: ['mongodb', 'memory'], default: 'mongodb' },
+
+  // Analytics (hysing)
+  { key: 'analytics.baseUrl', env: 'ANALYTICS_BASE_URL', type: 'url', default: 'https://hysing.svorumstrax.is' },
+  { key: 'analytics.apiKey', env: 'ANALYTICS_API_KEY', type: 'string', required: ['production'], secret: true },
+  // Per-endpoint timeouts in ms ({"conversations":10000,"feedbackLookup":3000,...}) and the
+  // circuit breaker: open after N failures in a row, one trial call after the reset time
+  { key: 'analytics.timeouts', env: 'ANALYTICS_TIMEOUTS', type: 'json', default: {} },
+  { key: 'analytics.breakerThreshold', env: 'ANALYTICS_BREAKER_THRESHOLD', type: 'int', default: 5 },
+  { key: 'analytics.breakerResetSeconds', env: 'ANALYTICS_BREAKER_RESET_SECONDS', type: 'int', default: 30 },
+
+  // Analytics outbox (analyticsOutbox.js) - stored turns are delivered by a worker every
+  // ANALYTICS_OUTBOX_INTERVAL_SECONDS (0 = only by the /cron/analytics-outbox route), retried
+  // with exponential backoff and dead-lettered after the last attempt
+  { key: 'analyticsOutbox.maxAttempts', env: 'ANALYTICS_OUTBOX_MAX_ATTEMPTS', type: 'int', default: 10 },
+  { key: 'analyticsOutbox.retryBaseSeconds', env: 'ANALYTICS_OUTBOX_RETRY_BASE_SECONDS', type: 'int', default: 30 },
+  { key: 'analyticsOutbox.workerIntervalSeconds', env: 'ANALYTICS_OUTBOX_INTERVAL_SECONDS', type: 'int', default: 30 },
+  { key: 'analyticsOutbox.batchSize', env: 'ANALYTICS_OUTBOX_BATCH_SIZE', type: 'int', default: 20 },
+  { key: 'auth.cronSecret', env: 'CRON_SECRET', type: 'string', secret: true },
+
+  // Language models - LLM_PROVIDER=fake answers offline (development and tests). Chat calls
+  // are retried on transient errors, then repeated on the fallback models in order
+  { key: 'llm.provider', env: 'LLM_PROVIDER', type: 'enum', values: ['openai', 'fake'], default: 'openai' },
+  { key: 'llm.fallbackModels', env: 'LLM_FALLBACK_MODELS', type: 'list', default: ['gpt-4o-mini'] },
+  { key: 'llm.maxRetries', env: 'LLM_MAX_RETRIES', type: 'int', default: 2 },
+  { key: 'llm.retryBaseMs', env: 'LLM_RETRY_BASE_MS', type: 'int', default: 500 },
+  { key: 'llm.transcriptionModel', env: 'LLM_TRANSCRIPTION_MODEL', type: 'string', default: 'whisper-1' },
+  { key: 'llm.speechModel', env: 'LLM_SPEECH_MODEL', type: 'string', default: 'tts-1-hd' },
+  // Pause between the fake model's streamed words - to try stopping an answer locally
+  { key: 'llm.fakeChunkDelayMs', env: 'LLM_FAKE_CHUNK_DELAY_MS', type: 'int', default: 0 },
+
+  // Knowledge base
+  { key: 'knowledge.embeddingProvider', env: 'EMBEDDING_PROVIDER', type: 'enum', values: ['openai', 'local'], default: 'openai' },
+  { key: 'knowledge.embeddingModel', env: 'EMBEDDING_MODEL', type: 'string', default: 'text-embedding-3-small' },
+  { key: 'knowledge.retrievalLimit', env: 'KNOWLEDGE_RETRIEVAL_LIMIT', type: 'int', default: 5 },
+  { key: 'knowledge.minScore', env: 'KNOWLEDGE_MIN_SCORE', type: 'number', default: 0.15 },
+
+  // Model context
+  { key: 'context.tokenBudget', env: 'CONTEXT_TOKEN_BUDGET', type: 'int', default: 6000 },
+  { key: 'context.fileTokenBudget', env: 'FILE_CONTEXT_TOKEN_BUDGET', type: 'int', default: 2000 },
+  { key: 'context.minRecentMessages', env: 'CONTEXT_MIN_RECENT_MESSAGES', type: 'int', default: 4 },
+  { key: 'context.summaryModel', env: 'CONTEXT_SUMMARY_MODEL', type: 'string', default: 'gpt-4o-mini' },
+
+  // Rate limits (requests per minute) and quotas for paid operations - counters live in
+  // MongoDB so every instance shares them ('memory' = per instance)
+  { key: 'rateLimits.store', env: 'RATE_LIMIT_STORE', type: 'enum', values: ['mongodb', 'memory'], default: 'mongodb' },
+  { key: 'rateLimits.chatPerIp', env: 'RATE_LIMIT_CHAT_PER_IP', type: 'int', default: 30 },
+  { key: 'rateLimits.chatPerSession', env: 'RATE_LIMIT_CHAT_PER_SESSION', type: 'int', default: 12 },
+  { key: 'rateLimits.voicePerIp', env: 'RATE_LIMIT_VOICE_PER_IP', type: 'int', default: 10 },
+  { key: 'rateLimits.perApiKey', env: 'RATE_LIMIT_PER_API_KEY', type: 'int', default: 600 },
+  { key: 'quotas.imagesPerIpHour', env: 'QUOTA_IMAGES_PER_IP_HOUR', type: 'int', default: 20 },
+  { key: 'quotas.audioSecondsPerIpHour', env: 'QUOTA_AUDIO_SECONDS_PER_IP_HOUR', type: 'int', default: 600 },
+  { key: 'quotas.ttsCharactersPerIpHour', env: 'QUOTA_TTS_CHARACTERS_PER_IP_HOUR', type: 'int', default: 10000 },
+  { key: 'quotas.imagesPerKeyDay', env: 'QUOTA_IMAGES_PER_KEY_DAY', type: 'int', default: 2000 },
+  { key: 'quotas.audioSecondsPerKeyDay', env: 'QUOTA_AUDIO_SECONDS_PER_KEY_DAY', type: 'int', default: 36000 },
+  { key: 'quotas.ttsCharactersPerKeyDay', env: 'QUOTA_TTS_CHARACTERS_PER_KEY_DAY', type: 'int', default: 500000 },
+
+  // Usage and cost accounting - USAGE_PRICES (JSON) overrides entries of the price table in
+  // usageTracker.js; budgets in USD apply to tenants without their own (0 = no budget)
+  { key: 'usage.prices', env: 'USAGE_PRICES', type: 'json', default: {} },
+  { key: 'usage.dailyBudgetUsd', env: 'USAGE_DAILY_BUDGET_USD', type: 'number', default: 0 },
+  { key: 'usage.monthlyBudgetUsd', env: 'USAGE_MONTHLY_BUDGET_USD', type: 'number', default: 0 },
+  { key: 'usage.budgetAction', env: 'USAGE_BUDGET_ACTION', type: 'enum', values: ['alert', 'throttle'], default: 'alert' },
+  { key: 'usage.alertThreshold', env: 'USAGE_ALERT_THRESHOLD', type: 'number', default: 0.8 },
+
+  // Features
+  { key: 'booking.minNoticeHours', env: 'BOOKING_MIN_NOTICE_HOURS', type: 'int', default: 4 },
+  { key: 'booking.horizonDays', env: 'BOOKING_HORIZON_DAYS', type: 'int', default: 30 },
+  { key: 'candidates.parserModel', env: 'CANDIDATE_PARSER_MODEL', type: 'string', default: 'gpt-4o-mini' },
+
+  // LiveChat bridge
+  { key: 'livechat.apiUrl', env: 'LIVECHAT_API_URL', type: 'url', default: 'https://api.livechatinc.com/v3.5' },
+  { key: 'livechat.accountsUrl', env: 'LIVECHAT_ACCOUNTS_URL', type: 'url', default: 'https://accounts.livechat.com' },
+  { key: 'livechat.accountId', env: 'LIVECHAT_ACCOUNT_ID', type: 'string' },
+  { key: 'livechat.pat', env: 'LIVECHAT_PAT', type: 'string', secret: true },
+  { key: 'livechat.organizationId', env: 'LIVECHAT_ORGANIZATION_ID', type: 'string' },
+  { key: 'livechat.clientId', env: 'LIVECHAT_CLIENT_ID', type: 'string' },
+  { key: 'livechat.groupId', env: 'LIVECHAT_GROUP_ID', type: 'int' },
+  { key: 'livechat.webhookSecret', env: 'LIVECHAT_WEBHOOK_SECRET', type: 'string', secret: true }
+];
+
+// Set together or not at all
+const LIVECHAT_KEYS = ['livechat.accountId', 'livechat.pat', 'livechat.organizationId', 'livechat.clientId'];
+const PUSHER_KEYS = ['pusher.appId', 'pusher.key', 'pusher.secret', 'pusher.cluster'];
+
+/**
+ * Create a configuration error listing every problem
+ * @param {Array<string>} problems - Problems found
+ * @returns {Error} Error with a problems property
+ */
+function configError(problems) {
+  const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  error.problems = problems;
+  return error;
+}
+
+// Dotted-key access ('server.port')
+const getPath = (object, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  let target = object;
+  for (const part of parts.slice(0, -1)) {
+    target[part] = target[part] || {};
+    target = target[part];
+  }
+  target[parts.at(-1)] = value;
+}
+
+/**
+ * Convert a raw value (env string or JSON value) to the entry's type
+ * @param {Object} entry - Schema entry
+ * @param {*} raw - Raw value
+ * @returns {{ value: *, problem: string|null }}
+ */
+function parseValue(entry, raw) {
+  const invalid = (expected) => ({ value: undefined, problem: `${entry.env} (${entry.key}) must be ${expected}, got "${raw}"` });
+
+  switch (entry.type) {
+    case 'int': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      return Number.isInteger(value) ? { value, problem: null } : invalid('an integer');
+    }
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      return Number.isFinite(value) ? { value, problem: null } : invalid('a number');
+    }
+    case 'url': {
+      const value = String(raw).trim().replace(/\/$/, '');
+      try {
+        if (!['http:', 'https:'].includes(new URL(value).protocol)) return invalid('an http(s) URL');
+      } catch {
+        return invalid('an http(s) URL');
+      }
+      return { value, problem: null };
+    }
+    case 'list': {
+      const value = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+      return { value: value.map(item => item.trim()).filter(Boolean), problem: null };
+    }
+    case 'json': {
+      let value = raw;
+      if (typeof raw === 'string') {
+        try {
+          value = JSON.parse(raw);
+        } catch {
+          return invalid('a JSON object');
+        }
+      }
+      return value && typeof value === 'object' && !Array.isArray(value) ? { value, problem: null } : invalid('a JSON object');
+    }
+    case 'enum':
+      return entry.values.includes(raw) ? { value: raw, problem: null } : invalid(`one of ${entry.values.join(', ')}`);
+    default:
+      return { value: String(raw).trim(), problem: null };
+  }
+}
+
+/**
+ * Read the optional JSON config file
+ * @param {string} file - Path (relative to the working directory)
+ * @returns {Object} Parsed file
+ */
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw configError([`CONFIG_FILE ${file} could not be read: ${error.message}`]);
+  }
+}
+
+/**
+ * Build and validate the configuration
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables (default process.env)
+ * @param {string} [options.file] - JSON config file (default env.CONFIG_FILE)
+ * @returns {Object} Frozen configuration
+ * @throws {Error} With a `problems` list when values are missing or invalid
+ */
+export function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const environment = env.NODE_ENV || 'production';
+  const fileConfig = file ? readConfigFile(file) : {};
+  const environmentConfig = fileConfig.environments?.[environment] || {};
+
+  const config = { environment };
+  const problems = [];
+
+  for (const entry of CONFIG_SCHEMA) {
+    const envValue = env[entry.env];
+    const candidates = [
+      envValue !== undefined && envValue !== '' ? envValue : undefined,
+      getPath(environmentConfig, entry.key),
+      getPath(fileConfig, entry.key)
+    ];
+    const raw = candidates.find(value => value !== undefined && value !== null && value !== '');
+
+    let value = entry.default;
+    if (raw !== undefined) {
+      const parsed = parseValue(entry, raw);
+      if (parsed.problem) problems.push(parsed.problem);
+      else value = parsed.value;
+    }
+
+    const required = entry.required === true || (Array.isArray(entry.required) && entry.required.includes(environment));
+    if (required && (value === undefined || value === '')) {
+      problems.push(`${entry.env} (${entry.key}) is required${entry.required === true ? '' : ` in ${environment}`}`);
+    }
+
+    setPath(config, entry.key, value ?? null);
+  }
+
+  // Fully offline setups (fake models, local embeddings) don't need OpenAI
+  if (!config.openai.apiKey && (config.llm.provider === 'openai' || config.knowledge.embeddingProvider === 'openai')) {
+    problems.push('OPENAI_API_KEY (openai.apiKey) is required unless LLM_PROVIDER=fake and EMBEDDING_PROVIDER=local');
+  }
+
+  if (!config.mongodb.uri && (config.storage.backend === 'mongodb' || config.rateLimits.store === 'mongodb')) {
+    problems.push('MONGODB_URI (mongodb.uri) is required unless STORAGE_BACKEND=memory and RATE_LIMIT_STORE=memory');
+  }
+
+  const liveChatSet = LIVECHAT_KEYS.filter(key => getPath(config, key));
+  if (liveChatSet.length > 0 && liveChatSet.length < LIVECHAT_KEYS.length) {
+    const missing = CONFIG_SCHEMA.filter(entry => LIVECHAT_KEYS.includes(entry.key) && !getPath(config, entry.key));
+    problems.push(`LiveChat is partly configured - also set ${missing.map(entry => entry.env).join(', ')}`);
+  }
+
+  const pusherSet = PUSHER_KEYS.filter(key => getPath(config, key));
+  if ((pusherSet.length > 0 || config.realtime.broadcaster === 'pusher') && pusherSet.length < PUSHER_KEYS.length) {
+    const missing = CONFIG_SCHEMA.filter(entry => PUSHER_KEYS.includes(entry.key) && !getPath(config, entry.key));
+    problems.push(`Pusher is ${pusherSet.length > 0 ? 'partly configured' : 'selected (REALTIME_BROADCASTER=pusher)'} - also set ${missing.map(entry => entry.env).join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    throw configError(problems);
+  }
+
+  return deepFreeze(config);
+}
+
+// Nothing outside this module changes the configuration
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
+
+/**
+ * Loaded configuration (loaded and validated on first use)
+ * @returns {Object} Frozen configuration
+ */
+export function getConfig() {
+  if (!global.appConfig) {
+    global.appConfig = loadConfig();
+  }
+  return global.appConfig;
+}
+
+/**
+ * Forget the loaded configuration so the next getConfig() reloads it
+ */
+export function resetConfig() {
+  global.appConfig = null;
+}
+
+/**
+ * Copy of a configuration with secrets masked, for logging
+ * @param {Object} config - Configuration
+ * @returns {Object} Redacted copy
+ */
+export function redactConfig(config) {
+  const redacted = structuredClone(config);
+  for (const entry of CONFIG_SCHEMA) {
+    if (entry.secret && getPath(redacted, entry.key)) setPath(redacted, entry.key, '***');
+  }
+  return redacted;
+}
+
+export default { loadConfig, getConfig, resetConfig, redactConfig };
@@ -0,0 +1,208 @@
+// contextBuilder.js - Token-budgeted model context with rolling summarisation
+//
+// The system prompt and the most recent turns are always sent verbatim. Older turns
+// that no longer fit the token budget are folded into a running summary which is
+// stored with the conversation, so details the customer mentioned early on (company
+// size, call volume, services of interest) stay available to the model.
+//
+// Budgets come from config.context: tokenBudget (system prompt + summary + history +
+// current turn), fileTokenBudget (text extracted from files in the current turn),
+// minRecentMessages (always kept verbatim, even when over budget) and summaryModel.
+//
+// Only the loaded history window (conversationStore.js) is ever summarised. buildContext
+// keeps fewer messages than the window holds, so a message is folded into the summary
+// before it slides out of the window; should that summary fail, the messages that leave
+// the window meanwhile are not summarised later.
+
+import { getConfig } from './config.js';
+
+const SUMMARY_MAX_TOKENS = 400;
+
+// Approximate cost of a high-detail image part in the prompt
+const IMAGE_TOKEN_ESTIMATE = 765;
+
+// Per-message overhead of the chat format (role, separators)
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+/**
+ * Estimate the token count of a text or multipart message content
+ * Uses ~4 characters per token, which is close enough for budgeting GPT-4o prompts
+ *
+ * @param {string|Array} content - Message content
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(content) {
+  if (!content) return 0;
+
+  if (Array.isArray(content)) {
+    return content.reduce((total, part) => {
+      if (part.type === 'image_url') return total + IMAGE_TOKEN_ESTIMATE;
+      return total + estimateTokens(part.text);
+    }, 0);
+  }
+
+  return Math.ceil(String(content).length / 4);
+}
+
+/**
+ * Estimate the token count of a list of chat messages
+ * @param {Array} messages - Chat messages
+ * @returns {number} Estimated token count
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce(
+    (total, message) => total + MESSAGE_TOKEN_OVERHEAD + estimateTokens(message.content),
+    0
+  );
+}
+
+/**
+ * Truncate text to roughly the given number of tokens
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Token limit
+ * @returns {string} Truncated text
+ */
+export function truncateToTokens(text, maxTokens = getConfig().context.fileTokenBudget) {
+  if (!text) return '';
+  const maxChars = maxTokens * 4;
+  return text.length > maxChars ? text.slice(0, maxChars) : text;
+}
+
+/**
+ * Format the stored summary as a system message
+ * @param {Object|null} summary - { text, coveredUntil }
+ * @returns {Object|null} System message or null
+ */
+function formatSummaryMessage(summary) {
+  if (!summary?.text) return null;
+
+  return {
+    role: "system",
+    content: `CONVERSATION SUMMARY (earlier in this conversation - use it to remember what the customer told you):\n${summary.text}`
+  };
+}
+
+/**
+ * Build the model context within the token budget
+ *
+ * @param {Object} params
+ * @param {string} params.systemPrompt - System prompt (always included)
+ * @param {Object|null} params.summary - Running summary { text, coveredUntil }
+ * @param {Array} params.history - Stored messages { role, content, timestamp } in chronological order
+ * @param {string|Array} params.currentContent - Content of the current user turn
+ * @param {number} [params.budget] - Token budget
+ * @param {number} [params.maxMessages] - Most history messages sent verbatim, however small
+ * @returns {Object} { messages, overflow, tokenCount } - overflow are older messages that should be summarised
+ */
+export function buildContext({ systemPrompt, summary = null, history = [], currentContent, budget = getConfig().context.tokenBudget, maxMessages = Infinity }) {
+  // Messages already folded into the summary are not sent again. Every message of a turn
+  // has its own timestamp, so the summary's cutoff never falls inside a turn.
+  const coveredUntil = summary?.coveredUntil ? new Date(summary.coveredUntil).getTime() : null;
+  const unsummarized = coveredUntil
+    ? history.filter(m => !m.timestamp || new Date(m.timestamp).getTime() > coveredUntil)
+    : history;
+
+  const systemMessage = { role: "system", content: systemPrompt };
+  const summaryMessage = formatSummaryMessage(summary);
+  const currentMessage = { role: "user", content: currentContent };
+
+  const fixedMessages = summaryMessage ? [systemMessage, summaryMessage] : [systemMessage];
+  let tokenCount = estimateMessagesTokens([...fixedMessages, currentMessage]);
+
+  // Walk backwards from the newest message, keeping as many as fit
+  const kept = [];
+  for (let i = unsummarized.length - 1; i >= 0; i--) {
+    const message = unsummarized[i];
+    const messageTokens = MESSAGE_TOKEN_OVERHEAD + estimateTokens(message.content);
+
+    if (kept.length >= maxMessages ||
+        (kept.length >= getConfig().context.minRecentMessages && tokenCount + messageTokens > budget)) {
+      break;
+    }
+
+    kept.unshift(message);
+    tokenCount += messageTokens;
+  }
+
+  const overflow = unsummarized.slice(0, unsummarized.length - kept.length);
+
+  return {
+    messages: [
+      ...fixedMessages,
+      ...kept.map(({ role, content }) => ({ role, content })),
+      currentMessage
+    ],
+    overflow,
+    tokenCount
+  };
+}
+
+/**
+ * Fold older messages into the running summary
+ *
+ * @param {Object} params
+ * @param {Object} params.llm - Language model provider (llmProvider.js)
+ * @param {Object|null} params.previousSummary - Existing summary { text, coveredUntil }
+ * @param {Array} params.messages - Messages to fold in (chronological)
+ * @param {string} [params.tenantName] - Name of the business the conversation is with
+ * @param {string} [params.language] - Conversation language
+ * @param {Function} [params.onUsage] - Called with (usage, model) for cost accounting
+ * @returns {Promise<Object|null>} New summary { text, coveredUntil, updatedAt } or null on failure
+ */
+export async function summarizeMessages({ llm, previousSummary = null, messages, tenantName = 'the business', language = 'en', onUsage = null }) {
+  if (!messages || messages.length === 0) return previousSummary;
+
+  // The cutoff must be a stored timestamp - anything later would hide messages that were never summarised
+  const coveredUntil = messages.findLast(m => m.timestamp)?.timestamp;
+  if (!coveredUntil) return previousSummary;
+
+  try {
+    const transcript = messages
+      .map(m => `${m.role === 'assistant' ? 'Assistant' : 'Customer'}: ${m.content}`)
+      .join('\n');
+
+    const completion = await llm.chat({
+      model: getConfig().context.summaryModel,
+      temperature: 0,
+      maxTokens: SUMMARY_MAX_TOKENS,
+      messages: [
+        {
+          role: "system",
+          content: `You maintain a running summary of a customer service conversation for ${tenantName}.
+Merge the existing summary with the new transcript lines into one concise summary (max ~200 words).
+Always keep concrete facts the customer shared: name, company, company size, monthly call/email volume,
+services or packages of interest, contact details, job application details and open questions.
+Write the summary in ${language === 'is' ? 'Icelandic' : 'English'}. Return only the summary.`
+        },
+        {
+          role: "user",
+          content: `EXISTING SUMMARY:\n${previousSummary?.text || '(none)'}\n\nNEW TRANSCRIPT:\n${transcript}`
+        }
+      ]
+    });
+
+    if (onUsage && completion.usage) onUsage(completion.usage, completion.model);
+
+    const text = completion.message?.content?.trim();
+    if (!text) return previousSummary;
+
+    console.log(`🧾 Folded ${messages.length} older messages into conversation summary`);
+
+    return {
+      text,
+      coveredUntil,
+      updatedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('❌ Error summarising conversation:', error);
+    return previousSummary;
+  }
+}
+
+export default {
+  estimateTokens,
+  estimateMessagesTokens,
+  truncateToTokens,
+  buildContext,
+  summarizeMessages
+};
@@ -0,0 +1,826 @@
+// conversationEngine.js - Shared conversation pipeline for /chat, /chat-stream and WebSocket
+//
+// Every transport (HTTP, SSE, WebSocket) hands a normalized chat request to the
+// engine and only deals with framing the result. Language detection, session
+// lookup, file extraction, prompt assembly and analytics broadcasting live here
+// so a behaviour fix lands in all three places at once.
+
+import crypto from 'crypto';
+import { getOrCreateSession as defaultGetOrCreateSession } from './sessionManager.js';
+import { processMessagePair as defaultProcessMessagePair } from './messageProcessor.js';
+import { deliverConversation as defaultDeliverConversation } from './analyticsOutbox.js';
+import { getSystemPrompt as defaultGetSystemPrompt } from './prompts/tenantPrompt.js';
+import { processFiles as defaultProcessFiles } from './utils/fileProcessor.js';
+import {
+  getConversationHistory as defaultGetConversationHistory,
+  appendConversationHistory as defaultAppendConversationHistory,
+  replaceLastAnswer as defaultReplaceLastAnswer,
+  invalidateConversationHistory as defaultInvalidateConversationHistory,
+  saveConversationSummary as defaultSaveConversationSummary,
+  HISTORY_MESSAGE_LIMIT
+} from './conversationStore.js';
+import { isBotAnswer } from './dataModels.js';
+import { buildContext, summarizeMessages, truncateToTokens, estimateTokens, estimateMessagesTokens } from './contextBuilder.js';
+import { retrieveKnowledge as defaultRetrieveKnowledge } from './knowledgeBase.js';
+import { formatToolResult } from './tools/toolRegistry.js';
+import { DEFAULT_MODEL_SETTINGS, getDefaultTenant as defaultGetDefaultTenant } from './tenantService.js';
+import { recordUsage as defaultRecordUsage, priceUsage, addTokenUsage } from './usageTracker.js';
+import { getTenantChannel } from './realtimeBroadcaster.js';
+import { httpError } from './utils/httpError.js';
+
+// Maximum model round-trips with tool calls before forcing a text answer
+const MAX_TOOL_ROUNDS = 4;
+
+// Placeholders stored in history/analytics when the user sends only attachments
+const FILE_PLACEHOLDER = '📄 [Skjal sent]';
+const IMAGE_PLACEHOLDER = '🖼️ [Mynd send]';
+
+/**
+ * Normalize an incoming chat request body
+ * Supports both the OLD ({ messages, threadId }) and NEW ({ message, sessionId }) formats.
+ * { action: 'regenerate' } (WebSocket { type: 'regenerate' }) asks for a new answer to the
+ * last question instead of answering a message.
+ *
+ * @param {Object} body - Raw request body (HTTP) or WebSocket payload
+ * @returns {Object} { userMessage, sessionId, language, images, files, pageUrl, format, regenerate }
+ */
+export function normalizeChatRequest(body = {}) {
+  let userMessage, sessionId, format;
+
+  if (body.messages && Array.isArray(body.messages)) {
+    // OLD FORMAT: { messages: [...], threadId: "..." }
+    const lastMessage = body.messages[body.messages.length - 1];
+    userMessage = lastMessage?.content || "";
+    sessionId = body.threadId || `session_${Date.now()}`;
+    format = 'old';
+  } else {
+    // NEW FORMAT: { message: "...", sessionId: "..." }
+    userMessage = body.message || "";
+    sessionId = body.sessionId || `session_${Date.now()}`;
+    format = 'new';
+  }
+
+  return {
+    userMessage,
+    sessionId,
+    language: body.language || null,
+    images: Array.isArray(body.images) ? body.images : [],
+    files: Array.isArray(body.files) ? body.files : [],
+    pageUrl: body.pageUrl || null,
+    format,
+    regenerate: body.action === 'regenerate' || body.type === 'regenerate'
+  };
+}
+
+/**
+ * Check that a normalized request has something to answer
+ * @param {Object} request - Normalized chat request
+ * @returns {boolean} Whether the request has a message, images or files, or is a regenerate
+ */
+export function hasChatContent(request) {
+  return !!(request.regenerate || request.userMessage || request.images.length > 0 || request.files.length > 0);
+}
+
+/**
+ * Simple language detection - explicit language wins, then Icelandic characters
+ * @param {string} userMessage - The user's message
+ * @param {string|null} requestedLanguage - Language sent by the widget
+ * @returns {string} 'is' or 'en'
+ */
+export function detectLanguage(userMessage, requestedLanguage = null) {
+  if (requestedLanguage) return requestedLanguage;
+  return userMessage?.match(/[áéíóúýþæðöÁÉÍÓÚÝÞÆÐÖ]/i) ? "is" : "en";
+}
+
+// Topic detection for Svörum Strax
+export function detectTopic(message) {
+  const msg = message.toLowerCase();
+
+  if (/\b(job|work|employment|störf|vinna|barcelona|spánn|spain)\b/i.test(msg)) {
+    return "employment";
+  } else if (/\b(service|þjónusta|símsvörun|tölvupóstur|phone|email)\b/i.test(msg)) {
+    return "services";
+  } else if (/\b(price|verð|cost|kostnaður|tilboð|quote)\b/i.test(msg)) {
+    return "pricing";
+  } else if (/\b(ai|gervigreind|chatbot|automation)\b/i.test(msg)) {
+    return "ai_services";
+  } else if (/\b(contact|tengiliður|information|upplýsingar|samband)\b/i.test(msg)) {
+    return "contact";
+  } else if (/\b(bókhald|accounting|reikningur|invoice)\b/i.test(msg)) {
+    return "accounting";
+  }
+
+  return "general";
+}
+
+/**
+ * Text stored in history and analytics for a user turn
+ * @param {Object} request - Normalized chat request
+ * @returns {string} The user message or an attachment placeholder
+ */
+export function getStoredUserMessage(request) {
+  if (request.userMessage) return request.userMessage;
+  return request.files.length > 0 ? FILE_PLACEHOLDER : IMAGE_PLACEHOLDER;
+}
+
+/**
+ * Build the content of the current user turn with images and file text
+ * Files and images are always combined - neither one drops the other
+ *
+ * @param {string} userMessage - The user's message
+ * @param {string} fileContext - Extracted file text (may be empty)
+ * @param {Array} images - Array of { mimeType, data } images
+ * @returns {string|Array} Plain text or multipart vision content
+ */
+export function buildUserContent(userMessage, fileContext, images = []) {
+  const hasImages = images.length > 0;
+
+  if (!fileContext && !hasImages) {
+    return userMessage;
+  }
+
+  let text;
+  if (fileContext && hasImages) {
+    text = `${userMessage || 'Vinsamlegast greindu þessi gögn.'}\n\nDOCUMENT CONTENT:\n${truncateToTokens(fileContext)}`;
+  } else if (fileContext) {
+    text = `${userMessage || 'Vinsamlegast greindu þetta skjal og gefðu álit.'}\n\nDOCUMENT CONTENT:\n${truncateToTokens(fileContext)}`;
+  } else {
+    text = userMessage || 'Hvað er þetta á myndinni?';
+  }
+
+  if (!hasImages) {
+    return text;
+  }
+
+  const contentParts = [{ type: 'text', text }];
+
+  for (const image of images) {
+    contentParts.push({
+      type: 'image_url',
+      image_url: {
+        url: `data:${image.mimeType};base64,${image.data}`,
+        detail: 'high'
+      }
+    });
+  }
+
+  return contentParts;
+}
+
+/**
+ * Merge streamed tool call deltas into complete tool calls
+ * The API sends the id and name once and the JSON arguments in fragments, keyed by index
+ *
+ * @param {Array} toolCalls - Accumulated tool calls (mutated)
+ * @param {Array} deltas - delta.tool_calls from a stream chunk
+ */
+export function accumulateToolCallDeltas(toolCalls, deltas) {
+  for (const delta of deltas || []) {
+    const index = delta.index ?? 0;
+
+    if (!toolCalls[index]) {
+      toolCalls[index] = {
+        id: '',
+        type: 'function',
+        function: { name: '', arguments: '' }
+      };
+    }
+
+    const call = toolCalls[index];
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  }
+}
+
+/**
+ * Create the conversation engine used by every chat transport
+ *
+ * @param {Object} deps - Dependencies (llm and broadcaster are required, the rest default to the real modules)
+ * @param {Object} deps.llm - Language model provider (llmProvider.js)
+ * @param {Object} deps.broadcaster - Live dashboard updates (realtimeBroadcaster.js)
+ * @param {Object} [deps.tools] - Tool registry (tools/toolRegistry.js), omitted = no tool calling
+ * @param {Object} [deps.handoff] - Handoff manager ({ getActiveHandoff, relayCustomerMessage }), omitted = bot only
+ * @param {Function} [deps.getDefaultTenant] - Tenant used when a turn has none (tenantService.js)
+ * @param {Function} [deps.recordUsage] - Cost accounting for model calls (usageTracker.js)
+ * @param {Function} [deps.processMessagePair] - Stores a turn with its analytics event (messageProcessor.js)
+ * @param {Function} [deps.deliverConversation] - Delivers a stored turn to analytics (analyticsOutbox.js)
+ * @param {Function} [deps.replaceLastAnswer] - Replaces a regenerated answer in the cached history (conversationStore.js)
+ * @param {Function} [deps.invalidateConversationHistory] - Drops a conversation from the history cache (conversationStore.js)
+ * @returns {Object} Engine with completeTurn, streamTurn, storeConversation and broadcastConversation
+ */
+export function createConversationEngine({
+  llm,
+  broadcaster,
+  getOrCreateSession = defaultGetOrCreateSession,
+  processMessagePair = defaultProcessMessagePair,
+  deliverConversation = defaultDeliverConversation,
+  getSystemPrompt = defaultGetSystemPrompt,
+  processFiles = defaultProcessFiles,
+  getConversationHistory = defaultGetConversationHistory,
+  appendConversationHistory = defaultAppendConversationHistory,
+  replaceLastAnswer = defaultReplaceLastAnswer,
+  invalidateConversationHistory = defaultInvalidateConversationHistory,
+  saveConversationSummary = defaultSaveConversationSummary,
+  retrieveKnowledge = defaultRetrieveKnowledge,
+  tools = null,
+  handoff = null,
+  getDefaultTenant = defaultGetDefaultTenant,
+  recordUsage = defaultRecordUsage,
+  contextBudget,
+  defer = setImmediate
+}) {
+  /**
+   * Store a completed turn with its analytics outbox event (messageProcessor.js)
+   * Awaited before the response is sent, so a turn can't be lost to an instance that is
+   * frozen or crashes afterwards. messageMetadata is { usage, truncated, regenerate }.
+   * @returns {Promise<Object>} { success, eventId, conversation, dashboardData, tenant } or { success: false }
+   */
+  const storeConversation = async (
+    userMessage,
+    botResponse,
+    language,
+    topic = "general",
+    type = "chat",
+    clientSessionId = null,
+    status = "active",
+    messageMetadata = null,
+    userAgent = null,
+    referer = null,
+    tenant = null,
+  ) => {
+    try {
+      if (!userMessage || !botResponse) {
+        console.log("Skipping broadcast for empty message");
+        return { success: false, reason: "empty_message" };
+      }
+
+      const activeTenant = tenant || await getDefaultTenant();
+
+      // Use message processor
+      const processResult = await processMessagePair(userMessage, botResponse, {
+        sessionId: clientSessionId,
+        language: language,
+        topic: topic,
+        type: type,
+        clientId: activeTenant.tenantId,
+        status: status,
+        userAgent: userAgent,
+        referer: referer,
+        usage: messageMetadata?.usage || null,
+        truncated: !!messageMetadata?.truncated,
+        regenerate: !!messageMetadata?.regenerate,
+      });
+
+      if (!processResult.success) {
+        return {
+          success: false,
+          error: processResult.error || "processing_error",
+        };
+      }
+
+      const sessionInfo = await getOrCreateSession(clientSessionId, activeTenant.tenantId);
+
+      const botMessage = {
+        id: processResult.botMessageId,
+        content: botResponse,
+        role: "assistant",
+        type: "bot",
+        ...(messageMetadata?.usage ? { usage: messageMetadata.usage } : {}),
+        ...(messageMetadata?.truncated ? { truncated: true } : {}),
+        ...(processResult.replacedMessageId ? { replacesMessageId: processResult.replacedMessageId } : {}),
+      };
+
+      const dashboardData = {
+        id: sessionInfo.conversationId,
+        sessionId: sessionInfo.sessionId,
+        clientId: activeTenant.tenantId,
+        userMessage: userMessage,
+        botResponse: botResponse,
+        // A regenerated answer replaces one the dashboard already shows
+        messages: processResult.replacedMessageId
+          ? [botMessage]
+          : [
+            {
+              id: processResult.userMessageId,
+              content: userMessage,
+              role: "user",
+              type: "user",
+            },
+            botMessage,
+          ],
+        startedAt: sessionInfo.startedAt,
+        endedAt: new Date().toISOString(),
+        language: language,
+        topic: topic,
+      };
+
+      return {
+        success: true,
+        eventId: processResult.eventId || null,
+        conversation: processResult.conversation,
+        dashboardData,
+        tenant: activeTenant,
+      };
+    } catch (error) {
+      console.error("Error storing conversation:", error.message);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Push a stored turn to the tenant's dashboard and deliver it to analytics
+   * @param {Object} stored - Result of storeConversation
+   * @returns {Promise<Object>} { success, postgresqlId }
+   */
+  const broadcastConversation = async (stored) => {
+    try {
+      if (!stored.success) {
+        return { success: false, error: stored.error || stored.reason || "processing_error" };
+      }
+
+      // Live update on the tenant's dashboard channel
+      await broadcaster.publish(
+        getTenantChannel(stored.tenant),
+        "conversation-update",
+        stored.dashboardData,
+      );
+
+      // Outbox delivery - a failure stays queued for the worker/cron
+      const delivery = await deliverConversation(stored);
+
+      return {
+        success: !!delivery.success,
+        postgresqlId: delivery.postgresqlId || null,
+      };
+    } catch (error) {
+      console.error("Error in broadcastConversation:", error.message);
+      return { success: false, postgresqlId: null };
+    }
+  };
+
+  /**
+   * Shared preparation for a turn: language, session, files, prompt and history
+   * A regenerate asks the last question again with the history before it - attachments
+   * of that question are not sent again, only its stored text.
+   * @param {Object} request - Normalized chat request
+   * @param {Object} [tenant] - Tenant the conversation belongs to, omitted = default tenant
+   * @returns {Promise<Object>} Prepared turn state
+   */
+  async function prepareTurn(request, requestTenant = null) {
+    const { sessionId, images, files } = request;
+    const tenant = requestTenant || await getDefaultTenant();
+
+    // Get the tenant's session (creates the analytics conversation ID)
+    const sessionInfo = await getOrCreateSession(sessionId, tenant.tenantId);
+    console.log("📊 Using conversation ID:", sessionInfo.conversationId);
+
+    // Model context is keyed by conversation ID so a timed-out session starts fresh
+    let { messages: history, summary } = await getConversationHistory(sessionInfo.conversationId);
+
+    let userMessage = request.userMessage;
+    if (request.regenerate) {
+      const answer = history.findLastIndex(m => m.role === 'assistant');
+      // An operator's reply or closing note is never overwritten
+      if (answer !== -1 && !isBotAnswer(history[answer])) {
+        throw httpError('The last answer is from an operator and can\'t be regenerated', 409);
+      }
+      const question = answer === -1 ? -1 : history.slice(0, answer).findLastIndex(m => m.role === 'user');
+      if (question === -1) throw httpError('There is no answer to regenerate', 400);
+
+      console.log(`🔄 Regenerating the answer to message ${question + 1} of ${history.length}`);
+      userMessage = history[question].content;
+      history = history.slice(0, question);
+    }
+
+    const detectedLanguage = detectLanguage(userMessage, request.language);
+    console.log("🌐 Language detected:", detectedLanguage);
+
+    // Extract text from files
+    let fileContext = '';
+    if (files.length > 0) {
+      console.log(`📄 Processing ${files.length} files...`);
+      fileContext = await processFiles(files);
+      console.log(`✅ File text extracted: ${fileContext.length} chars`);
+    }
+
+    const storedUserMessage = request.regenerate ? userMessage : getStoredUserMessage(request);
+
+    // Retrieve knowledge for the question - the previous user turn helps with follow-ups
+    const previousUserMessage = [...history].reverse().find(m => m.role === 'user')?.content;
+    const knowledge = await retrieveKnowledge(
+      [previousUserMessage, userMessage || fileContext.slice(0, 500)].filter(Boolean).join('\n'),
+      { tenantId: tenant.tenantId, conversationId: sessionInfo.conversationId, sessionId }
+    );
+
+    // Get the tenant's system prompt for the language, with the retrieved knowledge
+    const systemPrompt = getSystemPrompt(detectedLanguage, { knowledge, tenant });
+
+    // Build token-budgeted context - history is stored as text, current turn gets attachments
+    const context = buildContext({
+      systemPrompt,
+      summary,
+      history,
+      currentContent: buildUserContent(userMessage, fileContext, images),
+      // Room for this turn, so older messages are summarised before they leave the window
+      maxMessages: HISTORY_MESSAGE_LIMIT - 2,
+      ...(contextBudget ? { budget: contextBudget } : {})
+    });
+    console.log(`🧮 Context: ${context.messages.length} messages, ~${context.tokenCount} tokens, ${context.overflow.length} to summarise`);
+
+    if (images.length > 0) {
+      console.log(`🖼️ Adding ${images.length} images${fileContext ? ' and files' : ''} to prompt`);
+    }
+
+    // Context handed to tool handlers
+    const toolContext = {
+      sessionId,
+      conversationId: sessionInfo.conversationId,
+      language: detectedLanguage,
+      tenantId: tenant.tenantId,
+      allowedTools: tenant.tools ?? null,
+      request
+    };
+
+    return {
+      sessionInfo,
+      toolContext,
+      toolDefinitions: tools ? tools.getDefinitions(toolContext) : [],
+      messages: context.messages,
+      summary,
+      overflow: context.overflow,
+      sources: knowledge.map(chunk => chunk.chunkId),
+      model: { ...DEFAULT_MODEL_SETTINGS, ...(tenant.model || {}) },
+      tenant,
+      systemPrompt,
+      detectedLanguage,
+      storedUserMessage,
+      detectedTopic: detectTopic(userMessage || 'file upload'),
+      regenerate: request.regenerate
+    };
+  }
+
+  /**
+   * Price the model calls of a turn and record them after the response is sent
+   * @param {Object} turn - Prepared turn
+   * @param {Object} tokens - { inputTokens, outputTokens } summed over the tool rounds
+   * @param {string} model - Model that answered (a fallback model when the primary failed)
+   * @returns {Object} Usage stored with the bot message { operation, model, inputTokens, outputTokens, costUsd }
+   */
+  function accountTurn(turn, tokens, model) {
+    const usage = {
+      operation: turn.toolContext.request.images.length > 0 ? 'vision' : 'chat',
+      model,
+      ...tokens
+    };
+
+    defer(() => recordUsage({
+      ...usage,
+      tenantId: turn.tenant.tenantId,
+      conversationId: turn.sessionInfo.conversationId,
+      sessionId: turn.toolContext.sessionId
+    }));
+
+    return { ...usage, costUsd: priceUsage(usage) };
+  }
+
+  /**
+   * Store the answered turn in history and with its analytics event, and schedule the
+   * dashboard push and delivery after the response is sent
+   * A stopped answer is stored as far as it got, marked truncated; a regenerated answer
+   * replaces the last one.
+   */
+  async function finishTurn(request, turn, response, type, requestMeta, onBroadcast, usage = null, truncated = false) {
+    // Fold turns that no longer fit the budget into the running summary
+    if (turn.overflow.length > 0) {
+      defer(async () => {
+        const newSummary = await summarizeMessages({
+          llm,
+          previousSummary: turn.summary,
+          messages: turn.overflow,
+          tenantName: turn.tenant.name,
+          language: turn.detectedLanguage,
+          onUsage: (summaryUsage, model) => recordUsage({
+            tenantId: turn.tenant.tenantId,
+            conversationId: turn.sessionInfo.conversationId,
+            sessionId: request.sessionId,
+            operation: 'summary',
+            model,
+            ...summaryUsage
+          })
+        });
+
+        if (newSummary && newSummary !== turn.summary) {
+          await saveConversationSummary(turn.sessionInfo.conversationId, newSummary);
+        }
+      });
+    }
+
+    const stored = await storeConversation(
+      turn.storedUserMessage,
+      response,
+      turn.detectedLanguage,
+      turn.detectedTopic,
+      type,
+      request.sessionId,
+      "active",
+      { usage, truncated, regenerate: turn.regenerate },
+      requestMeta.userAgent || null,
+      requestMeta.referer || null,
+      turn.tenant
+    );
+
+    // Only stored turns enter the cached history, so it never holds what storage doesn't;
+    // after a failed store the next turn reloads the history from storage
+    const conversationId = turn.sessionInfo.conversationId;
+    if (!stored.success) {
+      invalidateConversationHistory(conversationId);
+    } else if (turn.regenerate) {
+      replaceLastAnswer(conversationId, response);
+    } else {
+      appendConversationHistory(conversationId, [
+        { role: "user", content: turn.storedUserMessage },
+        { role: "assistant", content: response },
+      ]);
+    }
+
+    // Delivery after the response - the outbox keeps the turn if this never runs
+    defer(async () => {
+      try {
+        const broadcastResult = await broadcastConversation(stored);
+
+        if (onBroadcast) onBroadcast(broadcastResult);
+
+        console.log(`📊 Analytics broadcast (${type}):`, broadcastResult);
+        console.log("📈 Topic categorized as:", turn.detectedTopic);
+      } catch (error) {
+        console.error(`❌ Error in ${type} analytics:`, error);
+      }
+    });
+  }
+
+  /**
+   * Provider chat params shared by both modes, with tools when any are available
+   * The last allowed round forces a text answer so the tool loop is bounded
+   */
+  function completionParams(turn, messages, round) {
+    const params = {
+      model: turn.model.chatModel,
+      messages,
+      temperature: turn.model.temperature,
+      maxTokens: turn.model.maxTokens,
+    };
+
+    if (turn.toolDefinitions.length > 0) {
+      params.tools = turn.toolDefinitions;
+      params.toolChoice = round < MAX_TOOL_ROUNDS ? 'auto' : 'none';
+    }
+
+    return params;
+  }
+
+  /**
+   * Execute the tool calls of one assistant message and append the results to the context
+   *
+   * @param {Object} turn - Prepared turn
+   * @param {Array} messages - Working message list (mutated)
+   * @param {Object} assistantMessage - { content, tool_calls }
+   * @param {Function} [onToolEvent] - Transport callback for tool progress
+   * @returns {Promise<Array>} Executions
+   */
+  async function runToolCalls(turn, messages, assistantMessage, onToolEvent) {
+    messages.push({
+      role: "assistant",
+      content: assistantMessage.content || null,
+      tool_calls: assistantMessage.tool_calls
+    });
+
+    const executions = [];
+    for (const call of assistantMessage.tool_calls) {
+      if (onToolEvent) onToolEvent({ phase: 'start', name: call.function.name, callId: call.id });
+
+      const execution = await tools.execute(call.function.name, call.function.arguments, turn.toolContext);
+      executions.push(execution);
+
+      messages.push({
+        role: "tool",
+        tool_call_id: call.id,
+        content: formatToolResult(execution)
+      });
+
+      if (onToolEvent) onToolEvent({ phase: 'result', callId: call.id, ...execution });
+    }
+
+    return executions;
+  }
+
+  /**
+   * Relay the message to the operator when the session is handed off to a human
+   * @param {Object} request - Normalized chat request
+   * @param {Object|null} tenant - Tenant of the request (only its handoffs are found)
+   * @returns {Promise<Object|null>} Turn result without a bot response, or null when the bot answers
+   */
+  async function relayToOperator(request, tenant) {
+    if (!handoff) return null;
+
+    const activeHandoff = await handoff.getActiveHandoff(request.sessionId, (tenant || await getDefaultTenant()).tenantId);
+    if (!activeHandoff) return null;
+    if (request.regenerate) throw httpError('The conversation is with an operator', 409);
+
+    console.log(`🙋 Session ${request.sessionId} is handed off (${activeHandoff.status}) - relaying to operator`);
+    await handoff.relayCustomerMessage(activeHandoff, {
+      content: getStoredUserMessage(request)
+    });
+
+    return {
+      response: '',
+      language: activeHandoff.language || detectLanguage(request.userMessage, request.language),
+      topic: detectTopic(request.userMessage || 'file upload'),
+      sources: [],
+      toolCalls: [],
+      handoff: { handoffId: activeHandoff.handoffId, status: activeHandoff.status }
+    };
+  }
+
+  /**
+   * Run a non-streaming turn
+   *
+   * @param {Object} request - Normalized chat request
+   * @param {Object} [options]
+   * @param {string} [options.type] - Analytics type ('chat', 'sse_streaming', ...)
+   * @param {Object} [options.requestMeta] - { userAgent, referer, userCountry, userIp }
+   * @param {Object} [options.tenant] - Tenant resolved for the request
+   * @param {Function} [options.onBroadcast] - Called with the analytics result
+   * @returns {Promise<Object>} { response, language, topic, sources, toolCalls, usage, systemPrompt, sessionInfo, handoff }
+   */
+  async function completeTurn(request, { type = "chat", requestMeta = {}, tenant = null, onBroadcast } = {}) {
+    const relayed = await relayToOperator(request, tenant);
+    if (relayed) return { ...relayed, systemPrompt: '', sessionInfo: null };
+
+    const turn = await prepareTurn(request, tenant);
+    const messages = [...turn.messages];
+    const toolCalls = [];
+    const tokens = { inputTokens: 0, outputTokens: 0 };
+    let model = turn.model.chatModel;
+
+    let response = '';
+    for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+      const completion = await llm.chat(completionParams(turn, messages, round));
+      addTokenUsage(tokens, completion.usage);
+      model = completion.model;
+      const message = completion.message;
+
+      if (message.tool_calls?.length > 0 && round < MAX_TOOL_ROUNDS) {
+        toolCalls.push(...await runToolCalls(turn, messages, message));
+        continue;
+      }
+
+      response = message.content || '';
+      break;
+    }
+
+    const usage = accountTurn(turn, tokens, model);
+    await finishTurn(request, turn, response, type, requestMeta, onBroadcast, usage);
+
+    return {
+      response,
+      language: turn.detectedLanguage,
+      topic: turn.detectedTopic,
+      sources: turn.sources,
+      toolCalls,
+      usage,
+      systemPrompt: turn.systemPrompt,
+      sessionInfo: turn.sessionInfo
+    };
+  }
+
+  /**
+   * Run a streaming turn, calling onChunk for every content delta
+   * Tool calls are assembled from the streamed deltas, executed, and the answer is
+   * streamed again with the results - the transport sees one continuous stream.
+   * Aborting options.signal (the customer pressed stop or went away) cancels the model
+   * request; what was streamed so far is stored as a truncated answer (nothing when no
+   * text arrived) and the result has truncated: true.
+   *
+   * @param {Object} request - Normalized chat request
+   * @param {Object} options
+   * @param {Function} options.onChunk - Called with (content, chunkNumber)
+   * @param {Function} [options.onToolEvent] - Called with tool progress { phase, name, ... }
+   * @param {string} [options.type] - Analytics type
+   * @param {Object} [options.requestMeta] - { userAgent, referer, userCountry, userIp }
+   * @param {Object} [options.tenant] - Tenant resolved for the request
+   * @param {AbortSignal} [options.signal] - Stops the answer
+   * @returns {Promise<Object>} { response, language, topic, sources, toolCalls, usage, chunkCount, handoff, truncated }
+   */
+  async function streamTurn(request, { onChunk, onToolEvent, type = "streaming_chat", requestMeta = {}, tenant = null, signal = null } = {}) {
+    const relayed = await relayToOperator(request, tenant);
+    if (relayed) return { ...relayed, chunkCount: 0 };
+
+    const turn = await prepareTurn(request, tenant);
+    const messages = [...turn.messages];
+    const toolCalls = [];
+
+    const tokens = { inputTokens: 0, outputTokens: 0 };
+    let model = turn.model.chatModel;
+
+    let fullResponse = '';
+    let chunkNumber = 0;
+    let truncated = false;
+
+    for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+      let roundContent = '';
+      const roundToolCalls = [];
+      const params = { ...completionParams(turn, messages, round), ...(signal ? { signal } : {}) };
+      let usageReported = false;
+
+      // The last event of a stream carries the token usage
+      try {
+        for await (const event of llm.stream(params)) {
+          addTokenUsage(tokens, event.usage);
+          if (event.usage) usageReported = true;
+          model = event.model;
+          const content = event.content;
+
+          if (event.toolCallDeltas) {
+            accumulateToolCallDeltas(roundToolCalls, event.toolCallDeltas);
+          }
+
+          if (content) {
+            roundContent += content;
+            fullResponse += content;
+            chunkNumber++;
+            onChunk(content, chunkNumber);
+          }
+        }
+      } catch (error) {
+        if (!signal?.aborted) throw error;
+      }
+
+      if (signal?.aborted) {
+        // A stopped stream never sends its usage - the prompt and the text so far are billed
+        if (!usageReported) {
+          addTokenUsage(tokens, { inputTokens: estimateMessagesTokens(messages), outputTokens: estimateTokens(roundContent) });
+        }
+        console.log(`⏹️ Answer stopped after ${chunkNumber} chunks`);
+        truncated = true;
+        break;
+      }
+
+      const completedCalls = roundToolCalls.filter(call => call && call.function.name);
+      if (completedCalls.length === 0 || round === MAX_TOOL_ROUNDS) {
+        break;
+      }
+
+      toolCalls.push(...await runToolCalls(
+        turn,
+        messages,
+        { content: roundContent, tool_calls: completedCalls },
+        onToolEvent
+      ));
+    }
+
+    const usage = accountTurn(turn, tokens, model);
+    if (fullResponse || !truncated) {
+      await finishTurn(request, turn, fullResponse, type, requestMeta, undefined, usage, truncated);
+    }
+
+    return {
+      response: fullResponse,
+      language: turn.detectedLanguage,
+      topic: turn.detectedTopic,
+      sources: turn.sources,
+      toolCalls,
+      usage,
+      chunkCount: chunkNumber,
+      truncated
+    };
+  }
+
+  return {
+    completeTurn,
+    streamTurn,
+    storeConversation,
+    broadcastConversation
+  };
+}
+
+/**
+ * Generate a stream ID shared by the SSE and WebSocket transports
+ * Random, as it is all a client needs besides the session to resume or stop a stream
+ * @returns {string} Unique stream ID
+ */
+export function createStreamId() {
+  return `stream_${crypto.randomUUID()}`;
+}
+
+export default {
+  createConversationEngine,
+  normalizeChatRequest,
+  hasChatContent,
+  detectLanguage,
+  detectTopic,
+  buildUserContent,
+  getStoredUserMessage,
+  createStreamId,
+  accumulateToolCallDeltas
+};
@@ -0,0 +1,185 @@
+// conversationStore.js - Model context rebuilt from the stored conversations
+//
+// saveConversation (messageProcessor.js) persists every turn through the conversation
+// repository, so storage is the source of truth for history. A bounded in-memory cache sits in front of it so
+// warm instances don't hit the database on every message, while cold starts and other
+// instances rebuild the same context from the stored transcript.
+//
+// The running summary produced by contextBuilder.js is stored on the same
+// conversation document (`contextSummary`) and cached alongside the messages.
+
+import { getRepositories } from './repositories/repositoryRegistry.js';
+import { isBotAnswer } from './dataModels.js';
+
+// Maximum number of conversations kept in the in-memory cache
+const HISTORY_CACHE_SIZE = 500;
+
+// Maximum number of messages loaded/kept per conversation - older ones only reach the
+// model through the summary (contextBuilder.js)
+export const HISTORY_MESSAGE_LIMIT = 50;
+
+// Create a global history cache (survives module reloads like the session cache)
+if (!global.conversationHistoryCache) {
+  global.conversationHistoryCache = new Map();
+}
+
+/**
+ * Convert a stored (normalized) message to model context format
+ * @param {Object} message - Stored MessageData
+ * @returns {Object} { role, content, timestamp, sender } - sender only on operator and system messages
+ */
+function toContextMessage(message) {
+  return {
+    role: message.role === 'assistant' || message.type === 'bot' ? 'assistant' : 'user',
+    content: message.content || '',
+    timestamp: message.timestamp || null,
+    ...(message.sender && message.sender !== 'bot' && message.sender !== 'user' ? { sender: message.sender } : {})
+  };
+}
+
+/**
+ * Put a conversation in the cache, evicting the least recently used entry when full
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} entry - { messages, summary }
+ */
+function cacheHistory(conversationId, entry) {
+  const cache = global.conversationHistoryCache;
+
+  // Re-insert so Map iteration order reflects recency
+  cache.delete(conversationId);
+  cache.set(conversationId, {
+    messages: entry.messages.slice(-HISTORY_MESSAGE_LIMIT),
+    summary: entry.summary || null
+  });
+
+  while (cache.size > HISTORY_CACHE_SIZE) {
+    const oldestKey = cache.keys().next().value;
+    cache.delete(oldestKey);
+  }
+}
+
+/**
+ * Get the model context for a conversation
+ * Uses the in-memory cache first and falls back to storage
+ *
+ * @param {string} conversationId - Conversation ID from getOrCreateSession
+ * @returns {Promise<{messages: Array<{role: string, content: string, timestamp: string}>, summary: Object|null}>}
+ *   Messages in chronological order and the running summary of older turns
+ */
+export async function getConversationHistory(conversationId) {
+  if (!conversationId) return { messages: [], summary: null };
+
+  const cache = global.conversationHistoryCache;
+
+  if (cache.has(conversationId)) {
+    const cached = cache.get(conversationId);
+    cacheHistory(conversationId, cached);
+    return { messages: [...cached.messages], summary: cached.summary };
+  }
+
+  try {
+    const conversation = await getRepositories().conversations.findRecent(conversationId, HISTORY_MESSAGE_LIMIT);
+
+    const messages = Array.isArray(conversation?.messages)
+      ? conversation.messages.map(toContextMessage)
+      : [];
+    const summary = conversation?.contextSummary || null;
+
+    console.log(`📚 Loaded ${messages.length} stored history messages for ${conversationId}${summary ? ' (with summary)' : ''}`);
+
+    cacheHistory(conversationId, { messages, summary });
+    return { messages: [...messages], summary };
+  } catch (error) {
+    console.error('❌ Error loading conversation history:', error);
+    // Don't cache on failure - the next request retries the database
+    return { messages: [], summary: null };
+  }
+}
+
+/**
+ * Append messages to the cached history of a conversation
+ * Persistence itself is handled by processMessagePair -> saveConversation; call this only
+ * once the messages are stored (invalidateConversationHistory when storing failed)
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<{role: string, content: string}>} messages - Messages to append
+ */
+export function appendConversationHistory(conversationId, messages) {
+  if (!conversationId) return;
+
+  const existing = global.conversationHistoryCache.get(conversationId) || { messages: [], summary: null };
+  const now = Date.now();
+
+  // 1ms apart like the stored messages, so a summary cutoff can't cover half a turn
+  cacheHistory(conversationId, {
+    messages: [
+      ...existing.messages,
+      ...messages.map((m, index) => ({ timestamp: new Date(now + index).toISOString(), ...m }))
+    ],
+    summary: existing.summary
+  });
+}
+
+/**
+ * Replace the last bot answer in the cached history (a regenerated answer)
+ * Called once processMessagePair has stored it; an uncached conversation is reloaded
+ * from storage with the new answer on its next read.
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {string} content - The new answer
+ */
+export function replaceLastAnswer(conversationId, content) {
+  const cached = global.conversationHistoryCache.get(conversationId);
+  if (!cached) return;
+
+  // An operator or system message after it means there is nothing to replace
+  const index = cached.messages.findLastIndex(m => m.role === 'assistant');
+  if (index === -1 || !isBotAnswer(cached.messages[index])) return;
+
+  const messages = [...cached.messages];
+  messages[index] = { ...messages[index], content, timestamp: new Date().toISOString() };
+  cacheHistory(conversationId, { messages, summary: cached.summary });
+}
+
+/**
+ * Store the running summary of older turns with the conversation
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} summary - { text, coveredUntil, updatedAt }
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveConversationSummary(conversationId, summary) {
+  if (!conversationId || !summary) return false;
+
+  const cached = global.conversationHistoryCache.get(conversationId);
+  if (cached) {
+    cacheHistory(conversationId, { messages: cached.messages, summary });
+  }
+
+  try {
+    // Not created here - the conversation is created by saveConversation
+    await getRepositories().conversations.saveSummary(conversationId, summary);
+
+    console.log(`💾 Saved context summary for conversation: ${conversationId}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error saving context summary:', error);
+    return false;
+  }
+}
+
+/**
+ * Drop a conversation from the cache so the next read reloads it from storage
+ * @param {string} conversationId - Conversation ID
+ */
+export function invalidateConversationHistory(conversationId) {
+  global.conversationHistoryCache.delete(conversationId);
+}
+
+export default {
+  getConversationHistory,
+  appendConversationHistory,
+  replaceLastAnswer,
+  saveConversationSummary,
+  invalidateConversationHistory
+};
@@ -1,11 +1,13 @@
 // dataModels.js - Standardized structures compatible with your PostgreSQL schema
 
+import { getDefaultTenantId } from './tenantService.js';
+
 /**
  * Standard Conversation Data Structure
  * @typedef {Object} ConversationData
  * @property {string} id - Unique conversation ID
  * @property {string} sessionId - Client session ID
- * @property {string} clientId - Customer identifier (e.g., 'svorum-strax')
+ * @property {string} clientId - Tenant ID of the chatbot (e.g., 'svorum-strax')
  * @property {Array<MessageData>} messages - Array of message objects
  * @property {string} startedAt - ISO timestamp when conversation started
  * @property {string} endedAt - ISO timestamp when conversation ended
@@ -24,6 +26,9 @@
  * @property {string} timestamp - ISO timestamp
  * @property {string} [language] - Message language code
  * @property {string} [postgresqlId] - Reference to analytics system ID
+ * @property {Object} [usage] - Model usage and cost of a bot answer
+ * @property {boolean} [truncated] - Bot answer stopped before it was complete
+ * @property {string} [replacesMessageId] - Bot answer regenerated in place of this message
  */
 
 /**
@@ -39,7 +44,7 @@ export function normalizeConversation(conversation) {
   // Ensure we have required fields
   const id = conversation.id || `conv_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
   const sessionId = conversation.sessionId || conversation.chatId || id;
-  const clientId = conversation.clientId || 'svorum-strax';
+  const clientId = conversation.clientId || getDefaultTenantId();
   const startedAt = conversation.startedAt || conversation.startTime || new Date().toISOString();
   const endedAt = conversation.endedAt || new Date().toISOString();
   const language = conversation.language || 'en';
@@ -134,10 +139,25 @@ export function normalizeMessage(message) {
     type,   // 'user' or 'bot' - for database compatibility
     timestamp,
     language,
-    postgresqlId
+    postgresqlId,
+    // Model usage and cost of bot answers (usageTracker.js)
+    ...(message.usage ? { usage: message.usage } : {}),
+    // Stopped and regenerated answers (conversationEngine.js)
+    ...(message.truncated ? { truncated: true } : {}),
+    ...(message.replacesMessageId ? { replacesMessageId: message.replacesMessageId } : {})
   };
 }
 
+/**
+ * Whether a message is an answer of the bot - operator replies and closing notes of a
+ * handoff (handoffManager.js) are assistant messages too, with sender 'operator' or 'system'
+ * @param {Object} message - Stored or model context message
+ * @returns {boolean}
+ */
+export function isBotAnswer(message) {
+  return (message?.role === 'assistant' || message?.type === 'bot') && (!message.sender || message.sender === 'bot');
+}
+
 /**
  * Create a mapping between MongoDB and PostgreSQL message IDs
  * @param {string} mongodbId - MongoDB message ID
@@ -158,5 +178,6 @@ export function createMessageIdMapping(mongodbId, postgresqlId, contentHash = nu
 export default {
   normalizeConversation,
   normalizeMessage,
+  isBotAnswer,
   createMessageIdMapping
 };
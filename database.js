@@ -1,7 +1,7 @@
 // database.js
 import { MongoClient } from 'mongodb';
-import dotenv from 'dotenv';
-dotenv.config();
+import { getConfig } from './config.js';
+import { getRepositories } from './repositories/repositoryRegistry.js';
 
 // Global singleton connection
 if (!global.mongoConnection) {
@@ -37,10 +37,10 @@ export async function connectToDatabase() {
       };
     }
     
-    // Check for MongoDB URI
-    if (!process.env.MONGODB_URI) {
-      console.error('MONGODB_URI environment variable not set');
-      throw new Error('Please define the MONGODB_URI environment variable');
+    // MongoDB URI (validated by config.js - optional with in-memory storage)
+    const { uri } = getConfig().mongodb;
+    if (!uri) {
+      throw new Error('MONGODB_URI is not set - this feature needs MongoDB');
     }
     
     // Start new connection and set the connecting promise
@@ -50,7 +50,7 @@ export async function connectToDatabase() {
     // Store connection promise to prevent parallel connection attempts
     global.mongoConnection.connecting = (async () => {
       try {
-        const client = new MongoClient(process.env.MONGODB_URI);
+        const client = new MongoClient(uri);
         await client.connect();
         const db = client.db();
         
@@ -81,38 +81,16 @@ export async function connectToDatabase() {
 
 // ---------------------------------------------------------
 // Echo and Duplicate Message Prevention for LiveChat Customer API integration
-// message is stored in MongoDB for echo detection
+// message is stored (recentMessageRepository.js) for echo detection
 // ---------------------------------------------------------
 
 // Message tracking for echo detection
 export async function storeRecentMessage(chatId, messageText) {
   try {
-    const { db } = await connectToDatabase();
+    // Store the message with expiration (1 minute)
+    await getRepositories().recentMessages.insert(chatId, messageText, 60000);
     
-    // Store the message with expiration
-    await db.collection('recent_messages').insertOne({
-      chatId,
-      messageText,
-      timestamp: new Date(),
-      expiresAt: new Date(Date.now() + 60000) // 1 minute expiration
-    });
-    
-    console.log(`\n✅ Stored message in MongoDB for echo detection: "${messageText.substring(0, 30)}..."`);
-    
-    // Create TTL index if it doesn't exist (only needs to be done once)
-    try {
-      const indexExists = await db.collection('recent_messages').indexExists('expiresAt_1');
-      if (!indexExists) {
-        console.log('\n📊 Creating TTL index for recent_messages collection');
-        await db.collection('recent_messages').createIndex(
-          { "expiresAt": 1 },
-          { expireAfterSeconds: 0 }
-        );
-      }
-    } catch (indexError) {
-      console.error('\n⚠️ Error checking/creating index:', indexError);
-      // Continue anyway
-    }
+    console.log(`\n✅ Stored message for echo detection: "${messageText.substring(0, 30)}..."`);
     
     return true;
   } catch (error) {
@@ -123,40 +101,32 @@ export async function storeRecentMessage(chatId, messageText) {
 
 export async function checkForDuplicateMessage(chatId, messageText) {
   try {
-    console.log('\n🔎 ECHO DEBUG - MongoDB check called for:', chatId, messageText);
+    console.log('\n🔎 ECHO DEBUG - Echo check called for:', chatId, messageText);
     
-    const { db } = await connectToDatabase();
+    const { recentMessages: recentMessageRepository } = getRepositories();
     
     // Look for a matching message in the last 30 seconds
     const recentTimestamp = new Date(Date.now() - 30000);
     
-    console.log('\n🔎 ECHO DEBUG - MongoDB query:', {
+    console.log('\n🔎 ECHO DEBUG - Echo query:', {
       chatId,
       messageText,
-      timestamp: { $gte: recentTimestamp }
+      since: recentTimestamp
     });
     
-    const match = await db.collection('recent_messages').findOne({
-      chatId,
-      messageText,
-      timestamp: { $gte: recentTimestamp }
-    });
+    const match = await recentMessageRepository.findSince(chatId, messageText, recentTimestamp);
     
-    console.log('\n🔎 ECHO DEBUG - MongoDB match result:', !!match);
+    console.log('\n🔎 ECHO DEBUG - Echo match result:', !!match);
     
     if (match) {
-      console.log(`\n🔄 Found duplicate message in MongoDB: "${messageText.substring(0, 30)}..."`);
+      console.log(`\n🔄 Found duplicate stored message: "${messageText.substring(0, 30)}..."`);
     } else {
-      console.log(`\n⚠️ No matching message found in MongoDB for: "${messageText.substring(0, 30)}..."`);
+      console.log(`\n⚠️ No matching stored message found for: "${messageText.substring(0, 30)}..."`);
       
       // Add a debug query to check what messages exist for this chat
-      const recentMessages = await db.collection('recent_messages')
-        .find({ chatId })
-        .sort({ timestamp: -1 })
-        .limit(5)
-        .toArray();
+      const recentMessages = await recentMessageRepository.listLatest(chatId, 5);
       
-      console.log('\n🔎 ECHO DEBUG - Recent messages in MongoDB for this chat:', 
+      console.log('\n🔎 ECHO DEBUG - Recent stored messages for this chat:', 
         recentMessages.map(msg => ({
           text: msg.messageText.substring(0, 20),
           age: Math.round((Date.now() - new Date(msg.timestamp).getTime())/1000) + 's ago'
@@ -185,27 +155,17 @@ export async function checkForDuplicateMessage(chatId, messageText) {
  */
 export async function storeDualCredentials(chatId, sessionId, customerToken, entityId) {
   try {
-    const { db } = await connectToDatabase();
-    
     // Get agent credentials
-    const ACCOUNT_ID = 'e3a3d41a-203f-46bc-a8b0-94ef5b3e378e';
-    const PAT = 'fra:rmSYYwBm3t_PdcnJIOfQf2aQuJc';
+    const { accountId: ACCOUNT_ID, pat: PAT } = getConfig().livechat;
     
     // Store both agent credentials and customer token
-    await db.collection('dual_credentials').updateOne(
-      { chatId },
-      { 
-        $set: { 
-          sessionId,
-          customerToken,
-          entityId,
-          agentCredentials: Buffer.from(`${ACCOUNT_ID}:${PAT}`).toString('base64'),
-          expiresAt: new Date(Date.now() + 28800000), // 8 hours
-          updatedAt: new Date()
-        }
-      },
-      { upsert: true }
-    );
+    await getRepositories().dualCredentials.save(chatId, {
+      sessionId,
+      customerToken,
+      entityId,
+      agentCredentials: Buffer.from(`${ACCOUNT_ID}:${PAT}`).toString('base64'),
+      expiresAt: new Date(Date.now() + 28800000) // 8 hours
+    });
     
     // Also cache in memory
     if (!global.dualCredentials) {
@@ -213,6 +173,7 @@ export async function storeDualCredentials(chatId, sessionId, customerToken, ent
     }
     
     global.dualCredentials.set(chatId, {
+      sessionId,
       customerToken,
       entityId,
       agentCredentials: Buffer.from(`${ACCOUNT_ID}:${PAT}`).toString('base64'),
@@ -244,9 +205,8 @@ export async function getDualCredentials(chatId) {
       }
     }
     
-    // Then check database
-    const { db } = await connectToDatabase();
-    const creds = await db.collection('dual_credentials').findOne({ chatId });
+    // Then check storage
+    const creds = await getRepositories().dualCredentials.find(chatId);
     
     if (creds && creds.expiresAt > new Date()) {
       // Cache in memory
@@ -255,6 +215,7 @@ export async function getDualCredentials(chatId) {
       }
       
       global.dualCredentials.set(chatId, {
+        sessionId: creds.sessionId,
         customerToken: creds.customerToken,
         entityId: creds.entityId,
         agentCredentials: creds.agentCredentials,
@@ -262,6 +223,7 @@ export async function getDualCredentials(chatId) {
       });
       
       return {
+        sessionId: creds.sessionId,
         customerToken: creds.customerToken,
         entityId: creds.entityId,
         agentCredentials: creds.agentCredentials,
@@ -300,4 +262,4 @@ setInterval(() => {
       }
     }
   }
-}, 5 * 60 * 1000); // Check every 5 minutes
+}, 5 * 60 * 1000).unref(); // Check every 5 minutes (never keeps the process alive)
@@ -0,0 +1,663 @@
+// handoffManager.js - Handoff from the bot to a human operator
+//
+// A handoff is requested by the bot (request_human_agent tool) or by the customer,
+// queued in the `handoffs` collection and claimed by an operator over the operator
+// WebSocket (operatorConsole.js). While a handoff is queued or active the
+// conversation engine relays customer messages here instead of answering them, and
+// operator replies are pushed to the customer's open sockets. Every message is
+// also written to the conversation transcript and the model context, so the bot
+// knows what was said when the operator returns the chat to it.
+//
+// External channels (liveChatBridge.js) can be registered to mirror handoffs into
+// another helpdesk; their agents then act as operators through the same lifecycle.
+//
+// Operators with a tenantId (a tenant's operator-scoped API key) only see, claim and
+// answer that tenant's handoffs; operators without one (OPERATOR_API_KEY, LiveChat
+// agents) work every tenant's queue.
+
+import crypto from 'crypto';
+import { connectToDatabase } from './database.js';
+import { normalizeMessage } from './dataModels.js';
+import { appendConversationHistory, getConversationHistory } from './conversationStore.js';
+import { getDefaultTenantId } from './tenantService.js';
+import { getRepositories } from './repositories/repositoryRegistry.js';
+import { httpError } from './utils/httpError.js';
+
+const HANDOFFS_COLLECTION = 'handoffs';
+
+export const HANDOFF_STATUSES = ['queued', 'active', 'closed'];
+const OPEN_STATUSES = ['queued', 'active'];
+
+// Connected sockets (per instance)
+if (!global.handoffSockets) {
+  global.handoffSockets = {
+    customers: new Map(), // 'tenantId:sessionId' -> Set<WebSocket>
+    operators: new Map()  // WebSocket -> { operatorId, name, tenantId }
+  };
+}
+
+// External handoff channels - { name, onHandoffRequested, onCustomerMessage, onHandoffClosed }
+const handoffChannels = [];
+
+/**
+ * Handoff fields shared with customers and operators (no transcript)
+ * @param {Object} handoff - Handoff document
+ * @returns {Object} Public handoff
+ */
+export function toPublicHandoff(handoff) {
+  return {
+    handoffId: handoff.handoffId,
+    sessionId: handoff.sessionId,
+    conversationId: handoff.conversationId,
+    tenantId: handoff.tenantId || null,
+    status: handoff.status,
+    reason: handoff.reason,
+    requestedBy: handoff.requestedBy,
+    language: handoff.language,
+    operator: handoff.operator || null,
+    external: handoff.external || null,
+    queuedAt: handoff.queuedAt,
+    claimedAt: handoff.claimedAt || null,
+    closedAt: handoff.closedAt || null
+  };
+}
+
+/**
+ * Tenant a handoff belongs to (handoffs from before tenants belong to the default tenant)
+ * @param {Object} handoff - Handoff document
+ * @returns {string} Tenant ID
+ */
+function getHandoffTenantId(handoff) {
+  return handoff.tenantId || getDefaultTenantId();
+}
+
+/**
+ * Whether an operator may work a handoff
+ * @param {Object} operator - { operatorId, name, tenantId }
+ * @param {Object} handoff - Handoff document
+ * @returns {boolean} True for operators of every tenant and of the handoff's tenant
+ */
+function canOperate(operator, handoff) {
+  return !operator?.tenantId || operator.tenantId === getHandoffTenantId(handoff);
+}
+
+// ---------------------------------------------------------
+// Socket registry
+// ---------------------------------------------------------
+
+// Session IDs come from the widget, so customer sockets are kept per tenant
+const customerSocketKey = (tenantId, sessionId) => `${tenantId}:${sessionId}`;
+
+/**
+ * Send a JSON frame if the socket is open
+ * @param {WebSocket} ws - Socket
+ * @param {Object} frame - Frame
+ * @returns {boolean} Whether the frame was sent
+ */
+function sendFrame(ws, frame) {
+  if (ws.readyState !== 1) return false; // WebSocket.OPEN
+  ws.send(JSON.stringify(frame));
+  return true;
+}
+
+/**
+ * Remember a customer socket so operator messages reach it
+ * @param {string} tenantId - Tenant the socket authenticated as
+ * @param {string} sessionId - Customer session
+ * @param {WebSocket} ws - Socket
+ */
+export function registerCustomerSocket(tenantId, sessionId, ws) {
+  if (!sessionId) return;
+  const { customers } = global.handoffSockets;
+  const key = customerSocketKey(tenantId, sessionId);
+
+  if (!customers.has(key)) customers.set(key, new Set());
+  customers.get(key).add(ws);
+}
+
+/**
+ * Forget a closed customer socket
+ * @param {WebSocket} ws - Socket
+ */
+export function unregisterCustomerSocket(ws) {
+  for (const [key, sockets] of global.handoffSockets.customers) {
+    sockets.delete(ws);
+    if (sockets.size === 0) global.handoffSockets.customers.delete(key);
+  }
+}
+
+/**
+ * Register an authenticated operator socket
+ * @param {WebSocket} ws - Socket
+ * @param {Object} operator - { operatorId, name, tenantId } (tenantId null for every tenant)
+ */
+export function registerOperatorSocket(ws, operator) {
+  global.handoffSockets.operators.set(ws, operator);
+}
+
+/**
+ * Forget a closed operator socket
+ * @param {WebSocket} ws - Socket
+ */
+export function unregisterOperatorSocket(ws) {
+  global.handoffSockets.operators.delete(ws);
+}
+
+/**
+ * Number of operators connected to this instance
+ * @param {Object} [handoff] - Only operators who may work this handoff
+ * @returns {number} Operator count
+ */
+export function getOnlineOperatorCount(handoff = null) {
+  const operators = [...global.handoffSockets.operators.values()]
+    .filter(operator => !handoff || canOperate(operator, handoff));
+  return new Set(operators.map(operator => operator.operatorId)).size;
+}
+
+/**
+ * Send a frame to every socket of a customer session
+ * @param {string} tenantId - Tenant the session belongs to
+ * @param {string} sessionId - Customer session
+ * @param {Object} frame - Frame
+ * @returns {number} Sockets reached
+ */
+export function sendToCustomer(tenantId, sessionId, frame) {
+  const sockets = global.handoffSockets.customers.get(customerSocketKey(tenantId, sessionId));
+  if (!sockets) return 0;
+  return [...sockets].filter(ws => sendFrame(ws, frame)).length;
+}
+
+/**
+ * Send a frame about a handoff to the operators who may work it
+ * @param {Object} handoff - Handoff the frame is about
+ * @param {Object} frame - Frame
+ * @param {string} [operatorId] - Only this operator
+ * @returns {number} Sockets reached
+ */
+export function sendToOperators(handoff, frame, operatorId = null) {
+  let delivered = 0;
+  for (const [ws, operator] of global.handoffSockets.operators) {
+    if (!canOperate(operator, handoff)) continue;
+    if (operatorId && operator.operatorId !== operatorId) continue;
+    if (sendFrame(ws, frame)) delivered++;
+  }
+  return delivered;
+}
+
+// ---------------------------------------------------------
+// External channels
+// ---------------------------------------------------------
+
+/**
+ * Register an external handoff channel
+ * Hooks are optional and awaited in order; failures are logged and never block the
+ * operator console.
+ *
+ * @param {Object} channel
+ * @param {string} channel.name - Channel name (e.g. 'livechat')
+ * @param {Function} [channel.onHandoffRequested] - (handoff) => Promise
+ * @param {Function} [channel.onCustomerMessage] - (handoff, message) => Promise
+ * @param {Function} [channel.onHandoffClosed] - (handoff, closedBy) => Promise
+ */
+export function registerHandoffChannel(channel) {
+  if (!channel?.name) {
+    throw new Error('Handoff channel needs a name');
+  }
+  if (handoffChannels.some(existing => existing.name === channel.name)) {
+    throw new Error(`Handoff channel "${channel.name}" is already registered`);
+  }
+  handoffChannels.push(channel);
+  console.log(`🔗 Handoff channel registered: ${channel.name}`);
+}
+
+/**
+ * Run a hook on every registered channel
+ * @param {string} hook - Hook name
+ * @param {...*} args - Hook arguments
+ */
+async function notifyChannels(hook, ...args) {
+  for (const channel of handoffChannels) {
+    if (typeof channel[hook] !== 'function') continue;
+    try {
+      await channel[hook](...args);
+    } catch (error) {
+      console.error(`❌ Handoff channel ${channel.name} ${hook} failed:`, error);
+    }
+  }
+}
+
+/**
+ * Link a handoff to a conversation in an external channel
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} external - { channel, id }
+ */
+export async function linkExternalHandoff(handoffId, { channel, id }) {
+  const { db } = await connectToDatabase();
+  await db.collection(HANDOFFS_COLLECTION).updateOne(
+    { handoffId },
+    { $set: { external: { channel, id, linkedAt: new Date() } } }
+  );
+}
+
+/**
+ * Find the handoff linked to an external conversation
+ * @param {string} channel - Channel name
+ * @param {string} id - External conversation ID
+ * @returns {Promise<Object|null>} Handoff (most recent first)
+ */
+export async function findExternalHandoff(channel, id) {
+  const { db } = await connectToDatabase();
+  return db.collection(HANDOFFS_COLLECTION).findOne(
+    { 'external.channel': channel, 'external.id': id },
+    { sort: { queuedAt: -1 }, projection: { _id: 0, messages: 0 } }
+  );
+}
+
+// ---------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------
+
+/**
+ * Record a handoff message on the handoff, the conversation transcript and the model context
+ *
+ * @param {Object} handoff - Handoff document
+ * @param {Object} message - { role: 'user'|'assistant', content, sender: 'user'|'operator'|'system', operatorName }
+ * @returns {Promise<Object>} Stored message
+ */
+async function recordHandoffMessage(handoff, { role, content, sender, operatorName = null }) {
+  const { db } = await connectToDatabase();
+
+  const message = {
+    ...normalizeMessage({
+      id: `${sender}-msg-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      content,
+      role,
+      timestamp: new Date().toISOString(),
+      language: handoff.language || 'is'
+    }),
+    sender,
+    operatorName
+  };
+
+  await db.collection(HANDOFFS_COLLECTION).updateOne(
+    { handoffId: handoff.handoffId },
+    { $push: { messages: message }, $set: { lastMessageAt: new Date() } }
+  );
+
+  // Keep the stored transcript complete - the conversation normally exists already
+  if (handoff.conversationId) {
+    await getRepositories().conversations.appendMessages(handoff.conversationId, [message], {
+      endedAt: message.timestamp,
+      createWith: {
+        sessionId: handoff.sessionId,
+        tenantId: handoff.tenantId || getDefaultTenantId(),
+        clientId: handoff.tenantId || getDefaultTenantId(),
+        startedAt: message.timestamp,
+        language: handoff.language || 'is'
+      }
+    });
+
+    appendConversationHistory(handoff.conversationId, [{
+      role,
+      content: sender === 'operator' ? `[${operatorName || 'Operator'}] ${content}` : content,
+      ...(sender !== 'user' ? { sender } : {})
+    }]);
+  }
+
+  return message;
+}
+
+/**
+ * Open (queued or active) handoff of a session
+ * Returns null on database errors so the bot keeps answering.
+ *
+ * @param {string} sessionId - Customer session
+ * @param {string} [tenantId] - Tenant asking (other tenants' handoffs are not found)
+ * @returns {Promise<Object|null>} Handoff
+ */
+export async function getActiveHandoff(sessionId, tenantId = getDefaultTenantId()) {
+  if (!sessionId) return null;
+
+  try {
+    const { db } = await connectToDatabase();
+    return await db.collection(HANDOFFS_COLLECTION).findOne(
+      { sessionId, tenantId, status: { $in: OPEN_STATUSES } },
+      { projection: { _id: 0, messages: 0 } }
+    );
+  } catch (error) {
+    console.error('❌ Error checking handoff status:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a handoff with its messages
+ * @param {string} handoffId - Handoff ID
+ * @returns {Promise<Object|null>} Handoff
+ */
+export async function getHandoff(handoffId) {
+  const { db } = await connectToDatabase();
+  return db.collection(HANDOFFS_COLLECTION).findOne({ handoffId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Get a handoff an operator may work
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} operator - { operatorId, tenantId }
+ * @returns {Promise<Object>} Handoff with its messages
+ * @throws {Error} 404 when it does not exist or belongs to a tenant the operator doesn't work for
+ */
+async function getOperatorHandoff(handoffId, operator) {
+  const handoff = await getHandoff(handoffId);
+  if (!handoff || !canOperate(operator, handoff)) {
+    throw httpError(`Handoff ${handoffId} not found`, 404);
+  }
+  return handoff;
+}
+
+/**
+ * Queue position of a handoff among its tenant's handoffs (1 = next)
+ * @param {Object} db - Database handle
+ * @param {Object} handoff - Handoff
+ * @returns {Promise<number|null>} Position, null when not queued
+ */
+async function getQueuePosition(db, handoff) {
+  if (handoff.status !== 'queued') return null;
+  const ahead = await db.collection(HANDOFFS_COLLECTION).countDocuments({
+    tenantId: handoff.tenantId,
+    status: 'queued',
+    queuedAt: { $lt: handoff.queuedAt }
+  });
+  return ahead + 1;
+}
+
+// ---------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------
+
+/**
+ * Request a human operator for a session (idempotent while a handoff is open)
+ *
+ * @param {Object} params
+ * @param {string} params.sessionId - Customer session
+ * @param {string} [params.conversationId] - Conversation ID
+ * @param {string} [params.language] - Conversation language
+ * @param {string} [params.reason] - Why a human is needed
+ * @param {string} [params.requestedBy] - 'bot' or 'user'
+ * @param {string} [params.tenantId] - Tenant the conversation belongs to
+ * @returns {Promise<Object>} Public handoff with queuePosition and operatorsOnline
+ */
+export async function requestHandoff({
+  sessionId,
+  conversationId = null,
+  language = 'is',
+  reason = '',
+  requestedBy = 'user',
+  tenantId = getDefaultTenantId()
+}) {
+  if (!sessionId) {
+    throw httpError('sessionId is required', 400);
+  }
+
+  const { db } = await connectToDatabase();
+
+  let handoff = await getActiveHandoff(sessionId, tenantId);
+  if (!handoff) {
+    handoff = {
+      handoffId: `ho_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`,
+      sessionId,
+      conversationId,
+      tenantId,
+      status: 'queued',
+      reason: reason || null,
+      requestedBy,
+      language,
+      operator: null,
+      queuedAt: new Date(),
+      messages: []
+    };
+    await db.collection(HANDOFFS_COLLECTION).insertOne(handoff);
+    console.log(`🙋 Handoff ${handoff.handoffId} queued for session ${sessionId} (${requestedBy}${reason ? `: ${reason}` : ''})`);
+
+    sendToOperators(handoff, { type: 'handoff-queued', handoff: toPublicHandoff(handoff) });
+    await notifyChannels('onHandoffRequested', handoff);
+  }
+
+  const result = {
+    ...toPublicHandoff(handoff),
+    queuePosition: await getQueuePosition(db, handoff),
+    operatorsOnline: getOnlineOperatorCount(handoff)
+  };
+
+  sendToCustomer(getHandoffTenantId(handoff), sessionId, { type: 'handoff-status', sessionId, handoff: result });
+  return result;
+}
+
+/**
+ * Claim a queued handoff - only one operator can win
+ *
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} operator - { operatorId, name, tenantId }
+ * @returns {Promise<Object>} Public handoff
+ */
+export async function claimHandoff(handoffId, operator) {
+  await getOperatorHandoff(handoffId, operator);
+  const { db } = await connectToDatabase();
+
+  const result = await db.collection(HANDOFFS_COLLECTION).findOneAndUpdate(
+    { handoffId, status: 'queued' },
+    { $set: { status: 'active', operator, claimedAt: new Date() } },
+    { returnDocument: 'after', projection: { _id: 0, messages: 0 } }
+  );
+  // Driver 6 returns the document, older drivers { value }
+  const handoff = result?.value !== undefined ? result.value : result;
+
+  if (!handoff) {
+    const existing = await getHandoff(handoffId);
+    throw existing
+      ? httpError(`Handoff ${handoffId} is already ${existing.status}`, 409)
+      : httpError(`Handoff ${handoffId} not found`, 404);
+  }
+
+  console.log(`🎧 Handoff ${handoffId} claimed by ${operator.name}`);
+  const publicHandoff = toPublicHandoff(handoff);
+  sendToOperators(handoff, { type: 'handoff-updated', handoff: publicHandoff });
+  sendToCustomer(getHandoffTenantId(handoff), handoff.sessionId, { type: 'handoff-status', sessionId: handoff.sessionId, handoff: publicHandoff });
+
+  return publicHandoff;
+}
+
+/**
+ * Load an open handoff owned by an operator
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} operator - { operatorId }
+ * @returns {Promise<Object>} Handoff
+ */
+async function getOwnedHandoff(handoffId, operator) {
+  const handoff = await getOperatorHandoff(handoffId, operator);
+  if (handoff.status !== 'active' || handoff.operator?.operatorId !== operator.operatorId) {
+    throw httpError(`Handoff ${handoffId} is not claimed by you`, 403);
+  }
+  return handoff;
+}
+
+/**
+ * Relay a customer message to the operators while a handoff is open
+ *
+ * @param {Object} handoff - Open handoff
+ * @param {Object} message - { content }
+ * @returns {Promise<Object>} Stored message
+ */
+export async function relayCustomerMessage(handoff, { content }) {
+  const message = await recordHandoffMessage(handoff, { role: 'user', content, sender: 'user' });
+
+  // Queued handoffs are visible to every operator, active ones only to the owner
+  const delivered = sendToOperators(
+    handoff,
+    { type: 'customer-message', handoffId: handoff.handoffId, sessionId: handoff.sessionId, message },
+    handoff.status === 'active' ? handoff.operator?.operatorId : null
+  );
+  console.log(`📨 Relayed customer message for handoff ${handoff.handoffId} to ${delivered} operator socket(s)`);
+
+  await notifyChannels('onCustomerMessage', handoff, message);
+
+  return message;
+}
+
+/**
+ * Send an operator reply to the customer
+ *
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} operator - { operatorId, name }
+ * @param {string} content - Reply text
+ * @returns {Promise<Object>} { message, delivered }
+ */
+export async function sendOperatorMessage(handoffId, operator, content) {
+  if (!content || !content.trim()) {
+    throw httpError('Message content is required', 400);
+  }
+
+  const handoff = await getOwnedHandoff(handoffId, operator);
+  const message = await recordHandoffMessage(handoff, {
+    role: 'assistant',
+    content: content.trim(),
+    sender: 'operator',
+    operatorName: operator.name
+  });
+
+  const delivered = sendToCustomer(getHandoffTenantId(handoff), handoff.sessionId, {
+    type: 'operator-message',
+    sessionId: handoff.sessionId,
+    handoffId,
+    operatorName: operator.name,
+    content: message.content,
+    messageId: message.id,
+    timestamp: message.timestamp
+  });
+
+  return { message, delivered };
+}
+
+/**
+ * Close a handoff and return the conversation to the bot
+ *
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} operator - { operatorId, name } (must own the handoff unless it is queued)
+ * @param {Object} [options]
+ * @param {string} [options.note] - Closing note for the transcript
+ * @returns {Promise<Object>} Public handoff
+ */
+export async function releaseHandoff(handoffId, operator, { note = null } = {}) {
+  const handoff = await getOperatorHandoff(handoffId, operator);
+  if (handoff.status === 'closed') {
+    return toPublicHandoff(handoff);
+  }
+  if (handoff.status === 'active' && handoff.operator?.operatorId !== operator.operatorId) {
+    throw httpError(`Handoff ${handoffId} is not claimed by you`, 403);
+  }
+
+  const { db } = await connectToDatabase();
+  await db.collection(HANDOFFS_COLLECTION).updateOne(
+    { handoffId },
+    { $set: { status: 'closed', closedAt: new Date(), closedBy: operator, closingNote: note } }
+  );
+
+  if (note) {
+    await recordHandoffMessage(handoff, { role: 'assistant', content: note, sender: 'system' });
+  }
+
+  const closed = toPublicHandoff({ ...handoff, status: 'closed', closedAt: new Date() });
+  console.log(`🤖 Handoff ${handoffId} returned to the bot by ${operator.name}`);
+
+  sendToOperators(handoff, { type: 'handoff-updated', handoff: closed });
+  sendToCustomer(getHandoffTenantId(handoff), handoff.sessionId, { type: 'handoff-status', sessionId: handoff.sessionId, handoff: closed });
+  await notifyChannels('onHandoffClosed', handoff, operator);
+
+  return closed;
+}
+
+/**
+ * List handoffs for the operator console
+ * @param {Object} [filter]
+ * @param {Array<string>} [filter.statuses] - Statuses (default queued + active)
+ * @param {string} [filter.tenantId] - Only this tenant's handoffs (default every tenant)
+ * @returns {Promise<Array>} Public handoffs, oldest first
+ */
+export async function listHandoffs({ statuses = OPEN_STATUSES, tenantId = null } = {}) {
+  const query = { status: { $in: statuses } };
+  if (tenantId) query.tenantId = tenantId;
+
+  const { db } = await connectToDatabase();
+  const handoffs = await db.collection(HANDOFFS_COLLECTION)
+    .find(query, { projection: { _id: 0, messages: 0 } })
+    .sort({ queuedAt: 1 })
+    .limit(200)
+    .toArray();
+  return handoffs.map(toPublicHandoff);
+}
+
+/**
+ * Everything an operator needs to take over: bot history plus handoff messages
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} operator - { operatorId, tenantId }
+ * @returns {Promise<Object>} { handoff, history, summary, messages }
+ */
+export async function getHandoffHistory(handoffId, operator) {
+  const handoff = await getOperatorHandoff(handoffId, operator);
+
+  const { messages: history, summary } = await getConversationHistory(handoff.conversationId);
+
+  return {
+    handoff: toPublicHandoff(handoff),
+    history,
+    summary: summary?.text || null,
+    messages: handoff.messages || []
+  };
+}
+
+/**
+ * Messages sent to a customer after a given time (polling fallback for HTTP clients)
+ * @param {string} sessionId - Customer session
+ * @param {string} [since] - ISO timestamp
+ * @param {string} [tenantId] - Tenant asking (other tenants' handoffs are not found)
+ * @returns {Promise<Object>} { handoff, messages }
+ */
+export async function getCustomerUpdates(sessionId, since = null, tenantId = getDefaultTenantId()) {
+  const { db } = await connectToDatabase();
+  const handoff = await db.collection(HANDOFFS_COLLECTION).findOne(
+    { sessionId, tenantId },
+    { sort: { queuedAt: -1 }, projection: { _id: 0 } }
+  );
+  if (!handoff) return { handoff: null, messages: [] };
+
+  const messages = (handoff.messages || [])
+    .filter(message => message.sender !== 'user')
+    .filter(message => !since || message.timestamp > since);
+
+  return { handoff: toPublicHandoff(handoff), messages };
+}
+
+export default {
+  HANDOFF_STATUSES,
+  toPublicHandoff,
+  registerCustomerSocket,
+  unregisterCustomerSocket,
+  registerOperatorSocket,
+  unregisterOperatorSocket,
+  getOnlineOperatorCount,
+  sendToCustomer,
+  sendToOperators,
+  registerHandoffChannel,
+  linkExternalHandoff,
+  findExternalHandoff,
+  getActiveHandoff,
+  getHandoff,
+  requestHandoff,
+  claimHandoff,
+  relayCustomerMessage,
+  sendOperatorMessage,
+  releaseHandoff,
+  listHandoffs,
+  getHandoffHistory,
+  getCustomerUpdates
+};
@@ -1,27 +1,110 @@
-import dotenv from "dotenv";
-dotenv.config();
-
 import express from "express";
 import cors from "cors";
 import OpenAI from "openai";
-import Pusher from "pusher";
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+
+// Configuration (.env, CONFIG_FILE and validation)
+import { getConfig, redactConfig } from "./config.js";
 
 // Import analytics modules
 import { connectToDatabase } from "./database.js";
-import { getOrCreateSession } from "./sessionManager.js";
-import { processMessagePair } from "./messageProcessor.js";
 
-// Import the new prompt system
-import { getSystemPrompt } from "./prompts/svorumstrax-prompt.js";
-
-// NEW: Import file processor
-import { processFiles } from './utils/fileProcessor.js';
+// Storage repositories (conversations, sessions, feedback, analytics ID mappings)
+import { getRepositories } from "./repositories/repositoryRegistry.js";
+
+// Tenants - the client chatbots served by this deployment
+import { resolveTenantByOrigin, getDefaultTenant, getTenant, isOriginAllowed } from "./tenantService.js";
+import { authenticateApiKey } from "./apiKeyService.js";
+
+// Rate limits and quotas for the paid OpenAI endpoints
+import {
+  requestLimits,
+  quota,
+  quotaAvailable,
+  recordQuotaUsage,
+  getSocketIp,
+  checkSocketChatLimits,
+  rateLimitResponse,
+  sendRateLimited
+} from "./rateLimiter.js";
+
+// Token usage, costs and budgets
+import { configureUsageTracker, recordUsage, getBudgetViolation } from "./usageTracker.js";
+
+// Analytics API client (circuit breaker, timeouts, metrics) and outbox delivery
+import { analyticsRequest, getAnalyticsHealth } from "./analyticsClient.js";
+import { startOutboxWorker } from "./analyticsOutbox.js";
+
+// Shared conversation pipeline used by every chat transport
+import {
+  createConversationEngine,
+  normalizeChatRequest,
+  hasChatContent,
+  createStreamId
+} from "./conversationEngine.js";
+
+// Live dashboard updates (Pusher, local WebSocket or none)
+import { createConfiguredBroadcaster, getTenantChannel } from "./realtimeBroadcaster.js";
+
+// Buffered /chat-stream frames for resuming after a dropped connection
+import { openStream, recordEvent, closeStream, releaseConnection, cancelStream, parseEventId, resumeStream } from "./streamBuffer.js";
+
+// Language model providers (OpenAI or the offline fake) with model fallback
+import { createOpenAIProvider, createFakeProvider, createResilientProvider } from "./llmProvider.js";
+
+// Knowledge base (retrieval-augmented prompt)
+import {
+  configureKnowledgeBase,
+  createLocalEmbeddingProvider,
+  createOpenAIEmbeddingProvider
+} from "./knowledgeBase.js";
+
+// Server-side tools the model can call
+import { createToolRegistry } from "./tools/toolRegistry.js";
+import { registerBookingTools } from "./tools/bookingTools.js";
+import { registerLeadTools } from "./tools/leadTools.js";
+import { registerQuoteTools } from "./tools/quoteTools.js";
+import { registerCandidateTools } from "./tools/candidateTools.js";
+import { registerHandoffTools } from "./tools/handoffTools.js";
+
+// Human handoff (operator console over WebSocket)
+import {
+  getActiveHandoff,
+  relayCustomerMessage,
+  requestHandoff,
+  registerCustomerSocket,
+  unregisterCustomerSocket
+} from "./handoffManager.js";
+import { attachOperatorConsole } from "./operatorConsole.js";
+import { registerLiveChatBridge } from "./liveChatBridge.js";
+import { getOrCreateSession } from "./sessionManager.js";
 
-// Configuration
-const PORT = process.env.PORT || 8080;
-const API_KEY = process.env.API_KEY || "svorum2025_sk3j8k4j5k6j7k8j9k0j1k2";
+// Admin routes
+import knowledgeAdminRouter from "./routes/knowledgeAdmin.js";
+import bookingRouter, { bookingAdminRouter } from "./routes/bookings.js";
+import leadsRouter from "./routes/leads.js";
+import quoteRouter, { quoteAdminRouter } from "./routes/quotes.js";
+import candidatesAdminRouter from "./routes/candidates.js";
+import handoffRouter from "./routes/handoff.js";
+import liveChatRouter from "./routes/liveChat.js";
+import tenantAdminRouter from "./routes/tenants.js";
+import usageAdminRouter from "./routes/usage.js";
+import outboxAdminRouter, { outboxCronRouter } from "./routes/outbox.js";
+
+// Configuration - fail fast with every missing or invalid value listed
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+console.log(`⚙️ Configuration loaded (${config.environment})`);
+if (config.environment === "development") {
+  console.log(JSON.stringify(redactConfig(config), null, 2));
+}
 
 // Initialize Express
 const app = express();
@@ -30,26 +113,237 @@ app.set("trust proxy", 1);
 // Create HTTP server for WebSocket support
 const server = createServer(app);
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Initialize OpenAI (not needed when both the LLM and embeddings run offline)
+const openai = config.openai.apiKey ? new OpenAI({ apiKey: config.openai.apiKey }) : null;
+
+// Language model provider - retries transient errors, then the fallback models
+const llm = createResilientProvider(
+  config.llm.provider === 'fake' ? createFakeProvider({ chunkDelayMs: config.llm.fakeChunkDelayMs }) : createOpenAIProvider(openai)
+);
+if (config.llm.provider === 'fake') {
+  console.warn('⚠️ LLM_PROVIDER=fake - answers are canned, no model is called');
+}
+console.log(`🤖 LLM provider: ${config.llm.provider} (fallback: ${config.llm.fallbackModels.join(', ') || 'none'})`);
+
+// Live dashboard updates - Pusher, this instance's /realtime WebSocket or nothing
+const broadcaster = createConfiguredBroadcaster();
+
+// Knowledge base embeddings - EMBEDDING_PROVIDER=local runs fully offline
+configureKnowledgeBase({
+  embeddingProvider: config.knowledge.embeddingProvider === 'local'
+    ? createLocalEmbeddingProvider()
+    : createOpenAIEmbeddingProvider(openai),
 });
 
-// Initialize Pusher
-const pusher = new Pusher({
-  appId: process.env.PUSHER_APP_ID,
-  key: process.env.PUSHER_KEY,
-  secret: process.env.PUSHER_SECRET,
-  cluster: process.env.PUSHER_CLUSTER,
-  useTLS: true,
+// Budget alerts go to the tenant's dashboard channel
+configureUsageTracker({
+  onBudgetAlert: async (alert) => {
+    const tenant = await getTenant(alert.tenantId);
+    if (tenant) await broadcaster.publish(getTenantChannel(tenant), "budget-alert", alert);
+  },
 });
 
-// WebSocket server for streaming responses
-const wss = new WebSocketServer({ server });
+// Tool registry - tools are registered by their feature modules
+const tools = createToolRegistry();
+registerBookingTools(tools);
+registerLeadTools(tools);
+registerQuoteTools(tools);
+registerCandidateTools(tools, { llm });
+registerHandoffTools(tools);
+
+// Mirror handoffs into LiveChat when it is configured
+registerLiveChatBridge();
+
+// Conversation engine - transports below only handle framing
+const engine = createConversationEngine({
+  llm,
+  broadcaster,
+  tools,
+  handoff: { getActiveHandoff, relayCustomerMessage }
+});
+
+/**
+ * Build the stream frame for a tool event (shared by WebSocket and SSE)
+ * Only results of client-visible tools are forwarded to the widget
+ *
+ * @param {Object} event - Tool event from the engine
+ * @param {string} streamId - Stream ID
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Frame to send, or null
+ */
+function toolEventFrame(event, streamId, sessionId) {
+  if (event.phase === 'start') {
+    return { type: 'tool-call', streamId, sessionId, name: event.name, callId: event.callId };
+  }
+
+  if (event.clientVisible && !event.error) {
+    return { type: 'tool-result', streamId, sessionId, name: event.name, callId: event.callId, result: event.result };
+  }
+
+  return null;
+}
+
+/**
+ * Results of client-visible tools for the JSON /chat response
+ * @param {Array} toolCalls - Tool executions from the engine
+ * @returns {Array} [{ name, result }]
+ */
+function clientActions(toolCalls = []) {
+  return toolCalls
+    .filter(call => call.clientVisible && !call.error)
+    .map(call => ({ name: call.name, result: call.result }));
+}
+
+// WebSocket servers - customers on any path, operators on /operator, dashboards on /realtime
+const wss = new WebSocketServer({ noServer: true });
+const operatorWss = new WebSocketServer({ noServer: true });
+const realtimeWss = new WebSocketServer({ noServer: true });
+attachOperatorConsole(operatorWss);
+
+// Operator key - falls back to the admin key
+const getOperatorKey = () => config.auth.operatorApiKey || config.auth.adminApiKey;
+
+/**
+ * Operator for an /operator WebSocket - OPERATOR_API_KEY (?token=) works every tenant's
+ * handoffs, a tenant's operator-scoped API key (?key=) only that tenant's
+ * @param {Object} req - Upgrade request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Object|null>} { operatorId, name, tenantId }, null when rejected
+ */
+async function resolveOperator(req, url) {
+  const token = url.searchParams.get('token');
+  const key = url.searchParams.get('key');
+  const name = (url.searchParams.get('name') || '').trim();
+  if (!name) return null;
+
+  const slug = name.toLowerCase().replace(/\s+/g, '-');
+  if (token) {
+    return getOperatorKey() && token === getOperatorKey() ? { operatorId: slug, name, tenantId: null } : null;
+  }
+  if (!key) return null;
+
+  try {
+    const { tenant } = await authenticateApiKey(key, { scope: 'operator', origin: req.headers.origin });
+    // Names are only unique within a tenant
+    return { operatorId: `${slug}@${tenant.tenantId}`, name, tenantId: tenant.tenantId };
+  } catch (error) {
+    if (error.status === 401 || error.status === 403) return null;
+    throw error;
+  }
+}
+
+/**
+ * Tenant for a customer WebSocket - ?key= (API key with the chat scope), then the Origin,
+ * then the default tenant
+ * @param {Object} req - Upgrade request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Object|null>} { tenant, key } (key null without ?key=), null when the key is rejected
+ */
+async function resolveSocketTenant(req, url) {
+  const key = url.searchParams.get('key');
+  const origin = req.headers.origin;
+
+  if (key) {
+    try {
+      return await authenticateApiKey(key, { scope: 'chat', origin });
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) return null;
+      throw error;
+    }
+  }
+
+  return { tenant: (await resolveTenantByOrigin(origin)) || (await getDefaultTenant()), key: null };
+}
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status}\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Dashboard channel for a /realtime WebSocket - ADMIN_API_KEY may subscribe to any
+ * ?channel=, a tenant's admin-scoped API key only to that tenant's channel
+ * @param {Object} req - Upgrade request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<string|null>} Channel, null when the key or channel is rejected
+ */
+async function resolveRealtimeChannel(req, url) {
+  const key = url.searchParams.get('key');
+  const channel = url.searchParams.get('channel');
+  if (!key) return null;
+  if (config.auth.adminApiKey && key === config.auth.adminApiKey) return channel || null;
+
+  try {
+    const { tenant } = await authenticateApiKey(key, { scope: 'admin', origin: req.headers.origin });
+    const tenantChannel = getTenantChannel(tenant);
+    return !channel || channel === tenantChannel ? tenantChannel : null;
+  } catch (error) {
+    if (error.status === 401 || error.status === 403) return null;
+    throw error;
+  }
+}
+
+server.on('upgrade', (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/realtime') {
+    // Only the local WebSocket broadcaster has subscribers
+    if (!broadcaster.subscribe) return rejectUpgrade(socket, '404 Not Found');
+
+    resolveRealtimeChannel(req, url)
+      .then((channel) => {
+        if (!channel) {
+          console.warn('⚠️ Rejected realtime WebSocket connection');
+          return rejectUpgrade(socket, '401 Unauthorized');
+        }
+        realtimeWss.handleUpgrade(req, socket, head, (ws) => broadcaster.subscribe(ws, channel));
+      })
+      .catch((error) => {
+        console.error('❌ Error authenticating realtime WebSocket:', error);
+        rejectUpgrade(socket, '500 Internal Server Error');
+      });
+    return;
+  }
+
+  if (url.pathname !== '/operator') {
+    resolveSocketTenant(req, url)
+      .then((auth) => {
+        if (!auth) {
+          console.warn('⚠️ Rejected WebSocket connection: unknown key or origin');
+          return rejectUpgrade(socket, '401 Unauthorized');
+        }
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, auth));
+      })
+      .catch((error) => {
+        console.error('❌ Error resolving WebSocket tenant:', error);
+        rejectUpgrade(socket, '500 Internal Server Error');
+      });
+    return;
+  }
+
+  // Browsers can't set headers on WebSocket requests, so the key comes in the query
+  resolveOperator(req, url)
+    .then((operator) => {
+      if (!operator) {
+        console.warn('⚠️ Rejected operator WebSocket connection');
+        return rejectUpgrade(socket, '401 Unauthorized');
+      }
+      operatorWss.handleUpgrade(req, socket, head, (ws) => operatorWss.emit('connection', ws, req, operator));
+    })
+    .catch((error) => {
+      console.error('❌ Error authenticating operator WebSocket:', error);
+      rejectUpgrade(socket, '500 Internal Server Error');
+    });
+});
 
 // WebSocket connection handling
-wss.on('connection', (ws, req) => {
-  console.log('🔌 WebSocket client connected');
+wss.on('connection', (ws, req, { tenant, key }) => {
+  console.log(`🔌 WebSocket client connected (tenant ${tenant.tenantId})`);
+  const clientIp = getSocketIp(req);
+  // Answers streaming on this socket: streamId -> AbortController
+  const activeStreams = new Map();
+  // A socket belongs to the first session it uses - operator replies are pushed to it
+  let boundSessionId = null;
   
   ws.on('message', async (message) => {
     try {
@@ -62,8 +356,37 @@ wss.on('connection', (ws, req) => {
         hasFiles: !!data.files?.length
       });
       
-      if (data.type === 'chat' && data.message) {
-        await handleStreamingChat(ws, data);
+      // Operator messages during a handoff are pushed to the session's sockets
+      if (data.sessionId && !boundSessionId) {
+        boundSessionId = data.sessionId;
+        registerCustomerSocket(tenant.tenantId, boundSessionId, ws);
+      } else if (data.sessionId && data.sessionId !== boundSessionId) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          sessionId: data.sessionId,
+          message: 'This connection belongs to another session'
+        }));
+        return;
+      }
+
+      if (data.type === 'chat' || data.type === 'regenerate') {
+        // Same budget, per-IP, per-session, per-key and image limits as /chat
+        const overBudget = await getBudgetViolation(tenant);
+        const limited = overBudget
+          ? rateLimitResponse(overBudget, data.language === 'en' ? 'en' : 'is')
+          : await checkSocketChatLimits({ ip: clientIp, sessionId: data.sessionId, keyId: key?.keyId }, data);
+        if (limited) {
+          ws.send(JSON.stringify({ type: 'rate-limited', sessionId: data.sessionId, ...limited }));
+          return;
+        }
+        await handleStreamingChat(ws, data, req, tenant, activeStreams);
+      } else if (data.type === 'stop') {
+        // The named stream, or every answer streaming on this socket
+        for (const [streamId, controller] of activeStreams) {
+          if (!data.streamId || data.streamId === streamId) controller.abort();
+        }
+      } else if (data.type === 'request-human') {
+        await handleHumanRequest(ws, data, tenant);
       }
     } catch (error) {
       console.error('❌ WebSocket message error:', error);
@@ -76,6 +399,9 @@ wss.on('connection', (ws, req) => {
 
   ws.on('close', () => {
     console.log('🔌 WebSocket client disconnected');
+    unregisterCustomerSocket(ws);
+    // Nobody is left to read the answers
+    for (const controller of activeStreams.values()) controller.abort();
   });
 
   ws.on('error', (error) => {
@@ -83,18 +409,48 @@ wss.on('connection', (ws, req) => {
   }); 
 });
 
-// Streaming chat handler - WITH IMAGE AND FILE SUPPORT
-async function handleStreamingChat(ws, data) {
-  const { message: userMessage, sessionId, images, files } = data;
-  const streamId = `stream_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+// Customer asks for a human from the widget - status arrives as a handoff-status frame
+async function handleHumanRequest(ws, data, tenant) {
+  if (!data.sessionId) {
+    ws.send(JSON.stringify({ type: 'error', message: 'sessionId is required' }));
+    return;
+  }
+
+  try {
+    const sessionInfo = await getOrCreateSession(data.sessionId, tenant.tenantId);
+    await requestHandoff({
+      sessionId: data.sessionId,
+      conversationId: sessionInfo.conversationId,
+      language: data.language === 'en' ? 'en' : 'is',
+      reason: data.reason,
+      requestedBy: 'user',
+      tenantId: tenant.tenantId
+    });
+  } catch (error) {
+    console.error('❌ Handoff request error:', error);
+    ws.send(JSON.stringify({ type: 'error', message: 'Could not reach an operator' }));
+  }
+}
+
+// Streaming chat handler - WebSocket framing around the conversation engine
+// A { type: 'stop' } frame or a closed socket aborts the answer (activeStreams)
+async function handleStreamingChat(ws, data, req, tenant, activeStreams) {
+  const chatRequest = normalizeChatRequest(data);
+  const { sessionId } = chatRequest;
+  const streamId = createStreamId();
+
+  if (!hasChatContent(chatRequest)) {
+    return;
+  }
+
+  const controller = new AbortController();
+  activeStreams.set(streamId, controller);
   
   try {
     console.log('📨 WebSocket streaming chat:', {
       sessionId,
-      hasImages: !!images?.length,
-      hasFiles: !!files?.length,
-      imageCount: images?.length || 0,
-      fileCount: files?.length || 0
+      imageCount: chatRequest.images.length,
+      fileCount: chatRequest.files.length
     });
 
     // Send connection confirmation
@@ -104,124 +460,15 @@ async function handleStreamingChat(ws, data) {
       sessionId: sessionId
     }));
 
-    // Detect language
-    const detectedLanguage = userMessage.match(/[áéíóúýþæðöÁÉÍÓÚÝÞÆÐÖ]/i) ? "is" : "en";
-    
-    // Get session and conversation history
-    const sessionInfo = await getOrCreateSession(sessionId);
-    
-    // Get session for conversation history
-    if (!sessions.has(sessionId)) {
-      sessions.set(sessionId, {
-        messages: [],
-        createdAt: new Date(),
-      });
-    }
-    const session = sessions.get(sessionId);
-
-    // NEW: Extract text from files if present
-    let fileContext = '';
-    if (files && files.length > 0) {
-      console.log(`📄 WebSocket: Processing ${files.length} files...`);
-      fileContext = await processFiles(files);
-      console.log(`✅ WebSocket: File text extracted: ${fileContext.length} chars`);
-    }
-
-    // Add user message to session
-    session.messages.push({
-      role: "user",
-      content: userMessage,
-    });
-
-    // Get dynamic system prompt based on language
-    const systemPrompt = getSystemPrompt(detectedLanguage);
-
-    // Build messages array with file context if present
-    const messages = [
-      {
-        role: "system",
-        content: systemPrompt,
+    const result = await engine.streamTurn(chatRequest, {
+      type: "streaming_chat",
+      tenant,
+      signal: controller.signal,
+      requestMeta: {
+        userAgent: req?.headers['user-agent'] || null,
+        referer: chatRequest.pageUrl || req?.headers['origin'] || null
       },
-      ...session.messages.slice(-10), // Keep last 10 messages
-    ];
-
-    // NEW: Build the current user message content properly with images and files
-    let finalUserMessage;
-    
-    if (fileContext && images && images.length > 0) {
-      // BOTH files and images
-      const contentParts = [
-        {
-          type: 'text',
-          text: `${userMessage || 'Vinsamlegast greindu þessi gögn.'}\n\nDOCUMENT CONTENT:\n${fileContext.slice(0, 8000)}`
-        }
-      ];
-      
-      // Add images
-      for (const image of images) {
-        contentParts.push({
-          type: 'image_url',
-          image_url: {
-            url: `data:${image.mimeType};base64,${image.data}`,
-            detail: 'high'
-          }
-        });
-      }
-      
-      // Replace last message with multipart content
-      messages[messages.length - 1] = { role: "user", content: contentParts };
-      console.log('🖼️ WebSocket: Adding images and files to prompt');
-      
-    } else if (fileContext) {
-      // ONLY files
-      messages[messages.length - 1] = {
-        role: "user",
-        content: `${userMessage || 'Vinsamlegast greindu þetta skjal og gefðu álit.'}\n\nDOCUMENT CONTENT:\n${fileContext.slice(0, 8000)}`
-      };
-      
-    } else if (images && images.length > 0) {
-      // ONLY images
-      const contentParts = [
-        {
-          type: 'text',
-          text: userMessage || 'Hvað er þetta á myndinni?'
-        }
-      ];
-      
-      for (const image of images) {
-        contentParts.push({
-          type: 'image_url',
-          image_url: {
-            url: `data:${image.mimeType};base64,${image.data}`,
-            detail: 'high'
-          }
-        });
-      }
-      
-      messages[messages.length - 1] = { role: "user", content: contentParts };
-      console.log('🖼️ WebSocket: Adding images to prompt');
-    }
-
-    // Create streaming completion
-    const stream = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 800,
-      stream: true
-    });
-
-    let fullResponse = '';
-    let chunkNumber = 0;
-
-    // Stream the response
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      
-      if (content) {
-        fullResponse += content;
-        chunkNumber++;
-        
+      onChunk: (content, chunkNumber) => {
         // Send chunk via WebSocket
         ws.send(JSON.stringify({
           type: 'stream-chunk',
@@ -230,42 +477,26 @@ async function handleStreamingChat(ws, data) {
           content: content,
           chunkNumber: chunkNumber
         }));
+      },
+      onToolEvent: (event) => {
+        const frame = toolEventFrame(event, streamId, sessionId);
+        if (frame) ws.send(JSON.stringify(frame));
       }
-    }
-
-    // Add assistant response to session
-    session.messages.push({
-      role: "assistant",
-      content: fullResponse,
     });
 
+    if (chatRequest.regenerate) evictCachedAnswers(tenant.tenantId, sessionId);
+
     // Send completion signal
     ws.send(JSON.stringify({
       type: 'stream-complete',
       streamId: streamId,
       sessionId: sessionId,
-      completeContent: fullResponse
+      completeContent: result.response,
+      actions: clientActions(result.toolCalls),
+      handoff: result.handoff || null,
+      truncated: !!result.truncated
     }));
 
-    // Fire-and-forget analytics
-    setImmediate(async () => {
-      try {
-        const detectedTopic = detectTopic(userMessage || 'file upload');
-        await broadcastConversation(
-          userMessage || (files && files.length > 0 ? '📄 [Skjal sent]' : '🖼️ [Mynd send]'),
-          fullResponse,
-          detectedLanguage,
-          detectedTopic,
-          "streaming_chat",
-          sessionId,
-          "active"
-        );
-        console.log('📊 Streaming analytics sent');
-      } catch (error) {
-        console.error('❌ Error in streaming analytics:', error);
-      }
-    });
-
   } catch (error) {
     console.error('❌ Streaming error:', error);
     ws.send(JSON.stringify({
@@ -274,128 +505,20 @@ async function handleStreamingChat(ws, data) {
       sessionId: sessionId,
       error: error.message
     }));
+  } finally {
+    activeStreams.delete(streamId);
   }
 }
 
-// Topic detection for Svörum Strax
-function detectTopic(message) {
-  const msg = message.toLowerCase();
-  
-  if (/\b(job|work|employment|störf|vinna|barcelona|spánn|spain)\b/i.test(msg)) {
-    return "employment";
-  } else if (/\b(service|þjónusta|símsvörun|tölvupóstur|phone|email)\b/i.test(msg)) {
-    return "services";
-  } else if (/\b(price|verð|cost|kostnaður|tilboð|quote)\b/i.test(msg)) {
-    return "pricing";
-  } else if (/\b(ai|gervigreind|chatbot|automation)\b/i.test(msg)) {
-    return "ai_services";
-  } else if (/\b(contact|tengiliður|information|upplýsingar|samband)\b/i.test(msg)) {
-    return "contact";
-  } else if (/\b(bókhald|accounting|reikningur|invoice)\b/i.test(msg)) {
-    return "accounting";
-  }
-  
-  return "general";
-}
-
-// Broadcast conversation function
-const broadcastConversation = async (
-  userMessage,
-  botResponse,
-  language,
-  topic = "general",
-  type = "chat",
-  clientSessionId = null,
-  status = "active",
-  userCountry = null,
-  userIp = null,
-  messageMetadata = null,
-  userAgent = null,
-  referer = null,
-) => {
-  try {
-    if (!userMessage || !botResponse) {
-      console.log("Skipping broadcast for empty message");
-      return { success: false, reason: "empty_message" };
-    }
-
-    // Use message processor
-    const processResult = await processMessagePair(userMessage, botResponse, {
-      sessionId: clientSessionId,
-      language: language,
-      topic: topic,
-      type: type,
-      clientId: "svorum-strax",
-      status: status,
-      userAgent: userAgent,
-      referer: referer,
-    });
-
-    if (processResult.success) {
-      const sessionInfo = await getOrCreateSession(clientSessionId);
-
-      const conversationData = {
-        id: sessionInfo.conversationId,
-        sessionId: sessionInfo.sessionId,
-        clientId: "svorum-strax",
-        userMessage: userMessage,
-        botResponse: botResponse,
-        messages: [
-          {
-            id: processResult.userMessageId,
-            content: userMessage,
-            role: "user",
-            type: "user",
-          },
-          {
-            id: processResult.botMessageId,
-            content: botResponse,
-            role: "assistant",
-            type: "bot",
-          },
-        ],
-        startedAt: sessionInfo.startedAt,
-        endedAt: new Date().toISOString(),
-        language: language,
-        topic: topic,
-      };
-
-      // Pusher broadcast
-      await pusher.trigger(
-        "svorum-strax-chat-channel",
-        "conversation-update",
-        conversationData,
-      );
-
-      return {
-        success: true,
-        postgresqlId: processResult.postgresqlId,
-      };
-    } else {
-      return {
-        success: false,
-        error: processResult.error || "processing_error",
-      };
-    }
-  } catch (error) {
-    console.error("Error in broadcastConversation:", error.message);
-    return { success: false, postgresqlId: null };
-  }
-};
-
-// CORS
+// CORS - ALLOWED_ORIGINS (server.corsOrigins in CONFIG_FILE) plus every tenant's allowed origins
 const corsOptions = {
-  origin: [
-    "http://localhost:3000",
-    "http://localhost:8080", 
-    "https://svorumstrax-website.vercel.app",
-    "https://svorumstrax.is",
-    "https://www.svorumstrax.is",
-    "https://hysing.svorumstrax.is",
-    // Add any other Svörum Strax domains here
-  ],
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "x-api-key"],
+  origin: (origin, callback) => {
+    isOriginAllowed(origin)
+      .then(allowed => callback(null, allowed))
+      .catch(callback);
+  },
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "x-api-key", "x-admin-user", "x-tenant-id", "Last-Event-ID"],
   credentials: true,
 };
 
@@ -408,50 +531,127 @@ app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 console.log('📦 Body parser configured with 10MB limit for image/file uploads');
 
-// Simple session storage
-const sessions = new Map();
+// Rejected keys get their reason, anything else is logged
+function sendAuthError(res, error) {
+  if (error.status === 401 || error.status === 403) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("❌ Error verifying API key:", error);
+  res.status(500).json({ error: "Could not verify API key" });
+}
 
-// API Key verification
-const verifyApiKey = (req, res, next) => {
+// API key verification - the key must carry the route's scope and identifies the tenant (req.tenant).
+// queryKey also accepts ?key= like the WebSocket, for clients that can't set headers (EventSource)
+const requireApiKey = (scope, { queryKey = false } = {}) => async (req, res, next) => {
+  try {
+    const apiKey = req.header("x-api-key") || (queryKey ? req.query.key : undefined);
+    const { tenant, key } = await authenticateApiKey(apiKey, { scope, origin: req.header("origin") });
+    req.tenant = tenant;
+    req.apiKey = key;
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// Tenants with the 'throttle' budget action are refused once their budget is spent
+const requireBudget = async (req, res, next) => {
+  const violation = await getBudgetViolation(req.tenant);
+  if (violation) return sendRateLimited(req, res, violation);
+  next();
+};
+
+// Rate limits (after requireApiKey, which identifies the key) - chat endpoints share one
+// budget per IP, session and key; images, audio seconds and TTS characters have quotas
+const countImages = (req) => (Array.isArray(req.body?.images) ? req.body.images.length : 0);
+const chatLimits = () => [requireBudget, ...requestLimits('chat'), quota('images', countImages)];
+const voiceLimits = () => [requireBudget, ...requestLimits('voice')];
+
+// Admin verification - ADMIN_API_KEY, or an API key with the admin scope. Admin keys of the
+// default tenant manage everything; other tenants' admin keys only reach their own
+// knowledge base and usage (req.adminTenantId, enforced by requireAdminTenant)
+const adminKeyCheck = ({ tenantScoped }) => async (req, res, next) => {
   const apiKey = req.header("x-api-key");
+  if (config.auth.adminApiKey && apiKey === config.auth.adminApiKey) {
+    req.adminTenantId = null;
+    return next();
+  }
+
+  try {
+    const { tenant } = await authenticateApiKey(apiKey, { scope: 'admin', origin: req.header("origin") });
+    req.adminTenantId = tenant.tenantId === config.tenants.defaultTenantId ? null : tenant.tenantId;
 
-  if (!apiKey || apiKey !== API_KEY) {
-    return res.status(401).json({ error: "Unauthorized" });
+    if (req.adminTenantId && !tenantScoped) {
+      return res.status(403).json({ error: "API key is limited to its tenant's knowledge base and usage" });
+    }
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
   }
-  next();
 };
+const verifyAdminKey = adminKeyCheck({ tenantScoped: false });
+const verifyTenantAdminKey = adminKeyCheck({ tenantScoped: true });
+
+// Knowledge base and FAQ management (tenant admins included)
+app.use('/admin', verifyTenantAdminKey, knowledgeAdminRouter);
+
+// Token usage, costs and budgets (tenant admins included)
+app.use('/admin', verifyTenantAdminKey, usageAdminRouter);
+
+// Consultation bookings - staff availability and bookings (admin), invites (public, token-protected)
+app.use('/admin', verifyAdminKey, bookingAdminRouter);
+app.use('/bookings', bookingRouter);
+
+// Human handoff for HTTP clients (WebSocket clients use request-human frames)
+app.use('/handoff', requireApiKey('chat'), requestLimits('chat'), handoffRouter);
+
+// LiveChat webhooks (authenticated with the webhook secret)
+app.use('/livechat', liveChatRouter);
+
+// Sales leads captured from conversations
+app.use('/leads', verifyAdminKey, leadsRouter);
+
+// Package recommendation (widget) and package rules / quote requests (admin)
+app.use('/quote', requireApiKey('chat'), requestLimits('chat'), quoteRouter);
+app.use('/admin', verifyAdminKey, quoteAdminRouter);
+
+// Job applicants (CVs uploaded in chat)
+app.use('/admin', verifyAdminKey, candidatesAdminRouter);
+
+// Tenants (client chatbots) and their API keys
+app.use('/admin', verifyAdminKey, tenantAdminRouter);
+
+// Analytics outbox - stuck events (admin) and the delivery cron (CRON_SECRET)
+app.use('/admin', verifyAdminKey, outboxAdminRouter);
+app.use('/cron', outboxCronRouter);
 
 // Widget events proxy — forwards to analytics system (avoids CSP blocks)
-app.post('/widget-events', verifyApiKey, async (req, res) => {
+app.post('/widget-events', requireApiKey('feedback'), async (req, res) => {
   try {
-    const analyticsUrl = 'https://hysing.svorumstrax.is/api/widget-events';
-    const analyticsKey = process.env.ANALYTICS_API_KEY || 'sky-lagoon-secret-2024';
-
     const body = Array.isArray(req.body)
       ? req.body.map(e => ({ ...e, _geo: { country: req.headers['x-vercel-ip-country'], region: req.headers['x-vercel-ip-country-region'], city: req.headers['x-vercel-ip-city'] } }))
       : { ...req.body, _geo: { country: req.headers['x-vercel-ip-country'], region: req.headers['x-vercel-ip-country-region'], city: req.headers['x-vercel-ip-city'] } };
 
-    const response = await fetch(analyticsUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'x-api-key': analyticsKey },
-      body: JSON.stringify(body),
-    });
+    const response = await analyticsRequest('widgetEvents', { method: 'POST', body });
 
     const data = await response.json();
     res.status(response.status).json(data);
   } catch (error) {
+    // Analytics down or too slow (503/504) - the widget drops the events
     console.error('Widget events proxy error:', error.message);
-    res.status(500).json({ error: 'Failed to forward widget events' });
+    res.status(error.status || 500).json({ error: 'Failed to forward widget events' });
   }
 });
 
-// Health check
+// Health check - the analytics API is reported but doesn't fail the check (chat works without it)
 app.get("/", (_req, res) => {
   res.json({
     status: "OK",
     service: "Svörum strax AI Backend",
     timestamp: new Date().toISOString(),
-    features: ["HTTP API", "WebSocket Streaming", "SSE Streaming", "Dynamic Prompts", "Image Analysis", "File Processing", "Voice Transcription", "Text-to-Speech"]
+    analytics: getAnalyticsHealth(),
+    realtime: broadcaster.getStatus(),
+    features: ["HTTP API", "WebSocket Streaming", "SSE Streaming", "Resumable Streams", "Stop and Regenerate", "Dynamic Prompts", "Knowledge Base", "Consultation Booking", "Lead Capture", "Package Estimates", "Job Applications", "Human Handoff", "LiveChat Bridge", "Multi-Tenant", "Rate Limiting", "Cost Accounting", "Analytics Outbox", "Realtime Dashboard", "Model Fallback", "Image Analysis", "File Processing", "Voice Transcription", "Text-to-Speech"]
   });
 });
 
@@ -468,7 +668,7 @@ app.get("/mongo-test", async (_req, res) => {
       success: true,
       message: "MongoDB connected successfully",
       collections: collectionNames,
-      clientId: "svorum-strax",
+      clientId: config.tenants.defaultTenantId,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -484,10 +684,19 @@ app.get("/mongo-test", async (_req, res) => {
 // Response cache
 const responseCache = new Map();
 
+// A regenerated answer replaces the one cached for the session's question
+function evictCachedAnswers(tenantId, sessionId) {
+  for (const [key, value] of responseCache.entries()) {
+    if (value.tenantId === tenantId && value.sessionId === sessionId) {
+      responseCache.delete(key);
+    }
+  }
+}
+
 // ============================================================================
 // VOICE TRANSCRIPTION ENDPOINT
 // ============================================================================
-app.post('/transcribe-audio', verifyApiKey, async (req, res) => {
+app.post('/transcribe-audio', requireApiKey('voice'), voiceLimits(), quotaAvailable('audioSeconds'), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -518,25 +727,28 @@ app.post('/transcribe-audio', verifyApiKey, async (req, res) => {
     const extension = getExtension(mimeType);
     console.log(`🎵 Audio format: ${extension} (${mimeType || 'audio/webm'})`);
 
-    // Create proper File object
-    const audioFile = new File(
-      [audioBuffer],
-      `audio.${extension}`,
-      { type: mimeType || 'audio/webm' }
-    );
+    console.log('🚀 Sending audio to the transcription model...');
+    console.log(`⚙️ Settings: ${config.llm.transcriptionModel}, language: ${language || 'AUTO'}`);
 
-    console.log('🚀 Sending audio to OpenAI Transcription API...');
-    console.log(`⚙️ Settings: whisper-1, language: ${language || 'AUTO'}`);
-
-    const transcriptionArgs = {
-      file: audioFile,
-      model: 'whisper-1',
-      ...(language ? { language } : {}),
-    };
-
-    const transcription = await openai.audio.transcriptions.create(transcriptionArgs);
+    const transcription = await llm.transcribe({
+      audio: audioBuffer,
+      mimeType: mimeType || 'audio/webm',
+      filename: `audio.${extension}`,
+      language
+    });
 
-    const transcribedText = transcription.text || transcription;
+    const transcribedText = transcription.text;
+
+    // Charge the audio length (estimated from the size at ~32 kbit/s if the model omits it)
+    const audioSeconds = Math.ceil(transcription.durationSeconds || audioBuffer.length / 4000);
+    await recordQuotaUsage('audioSeconds', req, audioSeconds);
+    recordUsage({
+      tenantId: req.tenant.tenantId,
+      sessionId: req.body.sessionId || null,
+      operation: 'transcription',
+      model: transcription.model,
+      audioSeconds
+    });
 
     const totalTime = Date.now() - startTime;
     console.log(`✅ Transcription complete in ${totalTime}ms`);
@@ -567,7 +779,7 @@ app.post('/transcribe-audio', verifyApiKey, async (req, res) => {
 // ============================================================================
 // TEXT-TO-SPEECH ENDPOINT
 // ============================================================================
-app.post('/text-to-speech', verifyApiKey, async (req, res) => {
+app.post('/text-to-speech', requireApiKey('voice'), voiceLimits(), quota('ttsCharacters', (req) => req.body?.text?.length || 0), async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -582,15 +794,16 @@ app.post('/text-to-speech', verifyApiKey, async (req, res) => {
 
     console.log(`🗣️ Generating speech: "${text.substring(0, 70)}..." (voice: ${voice})`);
 
-    const mp3 = await openai.audio.speech.create({
-      model: 'tts-1-hd',
-      voice,
-      input: text,
-      speed: 1.0
+    const speech = await llm.speak({ text, voice });
+    const buffer = speech.audio;
+
+    recordUsage({
+      tenantId: req.tenant.tenantId,
+      sessionId: req.body.sessionId || null,
+      operation: 'tts',
+      model: speech.model,
+      characters: text.length
     });
-    
-    // Convert response to buffer
-    const buffer = Buffer.from(await mp3.arrayBuffer());
 
     const totalTime = Date.now() - startTime;
     console.log(`✅ Speech generated in ${totalTime}ms (${(buffer.length / 1024).toFixed(1)}KB)`);
@@ -599,7 +812,7 @@ app.post('/text-to-speech', verifyApiKey, async (req, res) => {
     res.json({
       success: true,
       audio: buffer.toString('base64'),
-      mimeType: 'audio/mpeg',
+      mimeType: speech.mimeType,
       duration: totalTime,
       size: buffer.length
     });
@@ -623,226 +836,169 @@ console.log('🎤 Voice endpoints initialized:');
 console.log('   - /transcribe-audio (Whisper)');
 console.log('   - /text-to-speech (TTS)');
 
-// SSE Streaming endpoint - WITH IMAGE AND FILE SUPPORT
-app.post("/chat-stream", verifyApiKey, async (req, res) => {
-  const startTime = Date.now();
+// Collect client metadata forwarded to analytics
+function getRequestMeta(req) {
+  return {
+    userAgent: req.headers['user-agent'] || null,
+    referer: req.body?.pageUrl || req.headers['referer'] || null,
+    userCountry: req.headers['cf-ipcountry'] || null,
+    userIp: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || null
+  };
+}
 
-  try {
-    let userMessage, sessionId, language;
-    const userAgent = req.headers['user-agent'] || null;
-    const referer = req.body?.pageUrl || req.headers['referer'] || null;
-    const userCountry = req.headers['cf-ipcountry'] || null;
-    const userIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || null;
-
-    if (req.body.messages && Array.isArray(req.body.messages)) {
-      // OLD FORMAT: { messages: [...], threadId: "..." }
-      const lastMessage = req.body.messages[req.body.messages.length - 1];
-      userMessage = lastMessage?.content || "";
-      sessionId = req.body.threadId || `session_${Date.now()}`;
-      language = req.body.language;
-      console.log("📥 Using OLD request format");
-    } else {
-      // NEW FORMAT: { message: "...", sessionId: "..." }
-      userMessage = req.body.message;
-      sessionId = req.body.sessionId || `session_${Date.now()}`;
-      language = req.body.language;
-      console.log("📥 Using NEW request format");
+/**
+ * Start a Server-Sent Events response
+ * Frames carry their event ID so a dropped connection can resume (streamBuffer.js); a
+ * keep-alive comment every SSE_KEEPALIVE_SECONDS stops proxies from closing a quiet stream.
+ * Writes after the client went away are dropped - the answer is still buffered.
+ *
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event), end() }
+ */
+function openSseResponse(res) {
+  // CORS headers are the ones the cors middleware set for the checked origin
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+
+  const write = (text) => {
+    if (!res.writableEnded && !res.destroyed) res.write(text);
+  };
+
+  const { keepAliveSeconds } = config.streaming;
+  const keepAlive = keepAliveSeconds > 0
+    ? setInterval(() => write(`: keep-alive\n\n`), keepAliveSeconds * 1000)
+    : null;
+  const stop = () => clearInterval(keepAlive);
+  res.on('close', stop);
+
+  return {
+    send(event) {
+      const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data);
+      write(`id: ${event.id}\ndata: ${data}\n\n`);
+    },
+    end() {
+      stop();
+      if (!res.writableEnded) res.end();
     }
+  };
+}
 
-    // NEW: Accept images and files in request
-    const { images, files } = req.body;
+/**
+ * Resume a buffered stream: replay the frames after Last-Event-ID, then follow the answer
+ * until it's done. The stream comes from the Last-Event-ID header, ?lastEventId= or
+ * ?streamId= (from the start, or after ?lastEventId=<sequence>), and must belong to the
+ * session in ?sessionId= (or the body of a repeated POST).
+ */
+function resumeChatStream(req, res) {
+  const lastEventId = parseEventId(req.header("last-event-id") || req.query.lastEventId);
+  const streamId = req.query.streamId || lastEventId?.streamId;
+  const sessionId = req.query.sessionId || req.body?.sessionId;
+  if (!streamId || !sessionId) {
+    return res.status(400).json({ error: 'Last-Event-ID or streamId, and sessionId required' });
+  }
 
-    if (!userMessage && (!images || images.length === 0) && (!files || files.length === 0)) {
+  const afterSequence = lastEventId && (!lastEventId.streamId || lastEventId.streamId === streamId)
+    ? lastEventId.sequence
+    : 0;
+  const stream = resumeStream(streamId, req.tenant.tenantId, sessionId, afterSequence);
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found or expired - send the message again' });
+  }
+
+  console.log(`🔁 Resuming SSE stream ${streamId} after event ${afterSequence} (${stream.missed.length} missed)`);
+  const sse = openSseResponse(res);
+  stream.missed.forEach(event => sse.send(event));
+
+  const unsubscribe = stream.subscribe((event) => {
+    if (event) return sse.send(event);
+    sse.end();
+  });
+  res.on('close', unsubscribe);
+}
+
+// A reconnect to POST /chat-stream carrying Last-Event-ID resumes instead of asking again
+const resumeIfRequested = (req, res, next) => {
+  if (req.header("last-event-id") || req.query.streamId) return resumeChatStream(req, res);
+  next();
+};
+
+// SSE Streaming endpoint - SSE framing around the conversation engine
+app.post("/chat-stream", requireApiKey("chat"), resumeIfRequested, chatLimits(), async (req, res) => {
+  const startTime = Date.now();
+  let streamId = null;
+  let sse = null;
+  const send = (data) => sse.send(recordEvent(streamId, data));
+  // Stopped by POST /chat-stream/stop, or when nobody follows the stream any more
+  const controller = new AbortController();
+
+  try {
+    const chatRequest = normalizeChatRequest(req.body);
+    const { userMessage, sessionId, images, files } = chatRequest;
+    console.log(`📥 Using ${chatRequest.format.toUpperCase()} request format`);
+
+    if (!hasChatContent(chatRequest)) {
       return res.status(400).json({ error: 'Message, images, or files required' });
     }
 
     console.log("📡 SSE Stream Request:", userMessage);
     console.log("🔑 Session:", sessionId);
-    console.log("🖼️ Images:", images?.length || 0);
-    console.log("📄 Files:", files?.length || 0);
-
-    // Set up Server-Sent Events headers
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type, x-api-key',
-    });
+    console.log("🖼️ Images:", images.length);
+    console.log("📄 Files:", files.length);
+
+    // Buffer the stream and set up Server-Sent Events
+    streamId = createStreamId();
+    openStream({ streamId, tenantId: req.tenant.tenantId, sessionId, onCancel: () => controller.abort() });
+    sse = openSseResponse(res);
+    res.on('close', () => releaseConnection(streamId));
 
     // Send connection confirmation
-    const streamId = `stream_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
-    res.write(`data: ${JSON.stringify({
+    send({
       type: 'stream-connected',
       streamId: streamId,
       sessionId: sessionId
-    })}\n\n`);
-
-    // Get session and detect language
-    const sessionInfo = await getOrCreateSession(sessionId);
-    const detectedLanguage = language || (userMessage.match(/[áéíóúýþæðöÁÉÍÓÚÝÞÆÐÖ]/i) ? "is" : "en");
-    
-    // Session management
-    if (!sessions.has(sessionId)) {
-      sessions.set(sessionId, {
-        messages: [],
-        createdAt: new Date(),
-      });
-    }
-    const session = sessions.get(sessionId);
-
-    // NEW: Extract text from files
-    let fileContext = '';
-    if (files && files.length > 0) {
-      console.log(`📄 SSE: Processing ${files.length} files...`);
-      fileContext = await processFiles(files);
-      console.log(`✅ SSE: File text extracted: ${fileContext.length} chars`);
-    }
-
-    session.messages.push({
-      role: "user",
-      content: userMessage || (files && files.length > 0 ? '📄 [Skjal sent]' : '🖼️ [Mynd send]'),
     });
 
-    // Get dynamic system prompt
-    const systemPrompt = getSystemPrompt(detectedLanguage);
-
-    // Prepare messages
-    const messages = [
-      {
-        role: "system",
-        content: systemPrompt,
-      },
-      ...session.messages.slice(-10),
-    ];
-
-    // NEW: Build the current user message content properly
-    let finalUserMessage;
-    
-    if (fileContext && images && images.length > 0) {
-      // BOTH files and images
-      const contentParts = [
-        {
-          type: 'text',
-          text: `${userMessage || 'Vinsamlegast greindu þessi gögn.'}\n\nDOCUMENT CONTENT:\n${fileContext.slice(0, 8000)}`
-        }
-      ];
-      
-      for (const image of images) {
-        contentParts.push({
-          type: 'image_url',
-          image_url: {
-            url: `data:${image.mimeType};base64,${image.data}`,
-            detail: 'high'
-          }
-        });
-      }
-      
-      messages[messages.length - 1] = { role: "user", content: contentParts };
-      console.log('🖼️ SSE: Adding images and files to prompt');
-      
-    } else if (fileContext) {
-      // ONLY files
-      messages[messages.length - 1] = {
-        role: "user",
-        content: `${userMessage || 'Vinsamlegast greindu þetta skjal og gefðu álit.'}\n\nDOCUMENT CONTENT:\n${fileContext.slice(0, 8000)}`
-      };
-      
-    } else if (images && images.length > 0) {
-      // ONLY images
-      const contentParts = [
-        {
-          type: 'text',
-          text: userMessage || 'Hvað er þetta á myndinni?'
-        }
-      ];
-      
-      for (const image of images) {
-        contentParts.push({
-          type: 'image_url',
-          image_url: {
-            url: `data:${image.mimeType};base64,${image.data}`,
-            detail: 'high'
-          }
-        });
-      }
-      
-      messages[messages.length - 1] = { role: "user", content: contentParts };
-      console.log('🖼️ SSE: Adding images to prompt');
-    }
-
-    // Create streaming completion
-    const stream = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 800,
-      stream: true
-    });
-
-    let fullResponse = '';
-    let chunkNumber = 0;
-
-    // Stream the response via SSE
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      
-      if (content) {
-        fullResponse += content;
-        chunkNumber++;
-        
+    const result = await engine.streamTurn(chatRequest, {
+      type: "sse_streaming",
+      tenant: req.tenant,
+      signal: controller.signal,
+      requestMeta: getRequestMeta(req),
+      onChunk: (content, chunkNumber) => {
         // Send chunk via SSE (same data as WebSocket)
-        res.write(`data: ${JSON.stringify({
+        send({
           type: 'stream-chunk',
           streamId: streamId,
           sessionId: sessionId,
           content: content,
           chunkNumber: chunkNumber
-        })}\n\n`);
+        });
+      },
+      onToolEvent: (event) => {
+        const frame = toolEventFrame(event, streamId, sessionId);
+        if (frame) send(frame);
       }
-    }
-
-    // Add assistant response to session
-    session.messages.push({
-      role: "assistant",
-      content: fullResponse,
     });
 
+    if (chatRequest.regenerate) evictCachedAnswers(req.tenant.tenantId, sessionId);
+
     // Send completion signal
-    res.write(`data: ${JSON.stringify({
+    send({
       type: 'stream-complete',
       streamId: streamId,
       sessionId: sessionId,
-      completeContent: fullResponse
-    })}\n\n`);
+      completeContent: result.response,
+      actions: clientActions(result.toolCalls),
+      handoff: result.handoff || null,
+      truncated: !!result.truncated
+    });
 
     // End the stream
-    res.write(`data: [DONE]\n\n`);
-    res.end();
-
-    // Fire-and-forget analytics
-    setImmediate(async () => {
-      try {
-        const detectedTopic = detectTopic(userMessage || 'file upload');
-        await broadcastConversation(
-          userMessage || (files && files.length > 0 ? '📄 [Skjal sent]' : '🖼️ [Mynd send]'),
-          fullResponse,
-          detectedLanguage,
-          detectedTopic,
-          "sse_streaming",
-          sessionId,
-          "active",
-          userCountry,
-          userIp,
-          null,
-          userAgent,
-          referer
-        );
-        console.log('📊 SSE analytics sent');
-      } catch (error) {
-        console.error('❌ Error in SSE analytics:', error);
-      }
-    });
+    send('[DONE]');
+    closeStream(streamId);
+    sse.end();
 
     const totalTime = Date.now() - startTime;
     console.log(`⏱️ SSE Stream completed in: ${totalTime}ms`);
@@ -851,212 +1007,118 @@ app.post("/chat-stream", verifyApiKey, async (req, res) => {
     console.error('❌ SSE Stream error:', error);
     
     try {
-      res.write(`data: ${JSON.stringify({
+      if (!sse) {
+        return res.status(500).json({ error: error.message });
+      }
+      send({
         type: 'stream-error',
+        streamId: streamId,
         error: error.message
-      })}\n\n`);
-      res.end();
+      });
+      closeStream(streamId);
+      sse.end();
     } catch (writeError) {
       console.error('❌ Could not send error response:', writeError);
     }
   }
 });
 
-// Main chat endpoint - WITH IMAGE AND FILE SUPPORT
-app.post("/chat", verifyApiKey, async (req, res) => {
+// Resume a dropped /chat-stream - with fetch and the Last-Event-ID header, or as an
+// EventSource on /chat-stream?streamId=&sessionId=&key= (which sends Last-Event-ID itself
+// when it reconnects)
+app.get("/chat-stream", requireApiKey("chat", { queryKey: true }), resumeChatStream);
+
+// Stop a /chat-stream answer - what was streamed so far is stored as a truncated answer
+app.post("/chat-stream/stop", requireApiKey("chat"), (req, res) => {
+  const { streamId, sessionId } = req.body || {};
+  if (!streamId || !sessionId) {
+    return res.status(400).json({ error: 'streamId and sessionId required' });
+  }
+  if (!cancelStream(streamId, req.tenant.tenantId, sessionId)) {
+    return res.status(404).json({ error: 'Stream not found or already finished' });
+  }
+
+  console.log(`⏹️ SSE stream ${streamId} stopped by the client`);
+  res.json({ success: true, streamId });
+});
+
+// Main chat endpoint - JSON framing around the conversation engine
+app.post("/chat", requireApiKey("chat"), chatLimits(), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    let userMessage, sessionId, language;
-    const chatUserAgent = req.headers['user-agent'] || null;
-    const chatReferer = req.body?.pageUrl || req.headers['referer'] || null;
-    const chatUserCountry = req.headers['cf-ipcountry'] || null;
-    const chatUserIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || null;
-
-    if (req.body.messages && Array.isArray(req.body.messages)) {
-      // OLD FORMAT: { messages: [...], threadId: "..." }
-      const lastMessage = req.body.messages[req.body.messages.length - 1];
-      userMessage = lastMessage?.content || "";
-      sessionId = req.body.threadId || `session_${Date.now()}`;
-      language = req.body.language;
-      console.log("📥 Using OLD request format");
-    } else {
-      // NEW FORMAT: { message: "...", sessionId: "..." }
-      userMessage = req.body.message;
-      sessionId = req.body.sessionId || `session_${Date.now()}`;
-      language = req.body.language;
-      console.log("📥 Using NEW request format");
-    }
+    const chatRequest = normalizeChatRequest(req.body);
+    const { userMessage, sessionId, images, files } = chatRequest;
+    console.log(`📥 Using ${chatRequest.format.toUpperCase()} request format`);
 
-    // NEW: Accept images and files
-    const { images, files } = req.body;
-
-    if (!userMessage && (!images || images.length === 0) && (!files || files.length === 0)) {
+    if (!hasChatContent(chatRequest)) {
       return res.status(400).json({ error: 'Message, images, or files required' });
     }
 
     console.log("📥 Message:", userMessage);
     console.log("🔑 Session:", sessionId);
-    console.log("🖼️ Images:", images?.length || 0);
-    console.log("📄 Files:", files?.length || 0);
-
-    // Simple language detection
-    const detectedLanguage = language || (userMessage?.match(/[áéíóúýþæðöÁÉÍÓÚÝÞÆÐÖ]/i) ? "is" : "en");
-    console.log("🌐 Language detected:", detectedLanguage);
+    console.log("🖼️ Images:", images.length);
+    console.log("📄 Files:", files.length);
 
-    // Check cache
-    const cacheKey = `${sessionId}:${userMessage?.toLowerCase().trim()}:${detectedLanguage}:${images?.length || 0}:${files?.length || 0}`;
-    const cached = responseCache.get(cacheKey);
+    // Check cache - never while a human operator has the conversation, nor for a new answer
+    const cacheKey = `${req.tenant.tenantId}:${sessionId}:${userMessage.toLowerCase().trim()}:${chatRequest.language || ''}:${images.length}:${files.length}`;
+    const cached = chatRequest.regenerate ? null : responseCache.get(cacheKey);
 
-    if (cached && Date.now() - cached.timestamp < 3600000) {
+    if (cached && Date.now() - cached.timestamp < 3600000 && !(await getActiveHandoff(sessionId, req.tenant.tenantId))) {
       // 1 hour cache
       console.log("📦 Using cached response");
       return res.json(cached.response);
     }
 
-    // Get session
-    const sessionInfo = await getOrCreateSession(sessionId);
-    console.log("📊 Using conversation ID:", sessionInfo.conversationId);
-
-    // Session management
-    if (!sessions.has(sessionId)) {
-      sessions.set(sessionId, {
-        messages: [],
-        createdAt: new Date(),
-      });
-    }
-    const session = sessions.get(sessionId);
-
-    // NEW: Extract text from files
-    let fileContext = '';
-    if (files && files.length > 0) {
-      console.log(`📄 HTTP: Processing ${files.length} files...`);
-      fileContext = await processFiles(files);
-      console.log(`✅ HTTP: File text extracted: ${fileContext.length} chars`);
-    }
-
-    session.messages.push({
-      role: "user",
-      content: userMessage || (files && files.length > 0 ? '📄 [Skjal sent]' : '🖼️ [Mynd send]'),
-    });
-
-    // Keep only last 10 messages
-    if (session.messages.length > 10) {
-      session.messages = session.messages.slice(-10);
-    }
-
-    // Get system prompt
-    const systemPrompt = getSystemPrompt(detectedLanguage);
+    const responseData = {};
 
-    // Build messages
-    const messages = [
-      {
-        role: "system",
-        content: systemPrompt,
-      },
-      ...session.messages,
-    ];
-
-    // Handle images/files in HTTP mode (non-streaming)
-    if (images && images.length > 0) {
-      // Replace last message with image content
-      const contentParts = [
-        {
-          type: 'text',
-          text: userMessage || 'Hvað er þetta á myndinni?'
+    const result = await engine.completeTurn(chatRequest, {
+      type: "chat",
+      tenant: req.tenant,
+      requestMeta: getRequestMeta(req),
+      onBroadcast: (broadcastResult) => {
+        // Update cached response with PostgreSQL ID if available
+        if (broadcastResult.postgresqlId) {
+          responseData.postgresqlMessageId = broadcastResult.postgresqlId;
         }
-      ];
-      
-      for (const image of images) {
-        contentParts.push({
-          type: 'image_url',
-          image_url: {
-            url: `data:${image.mimeType};base64,${image.data}`,
-            detail: 'high'
-          }
-        });
       }
-      
-      messages[messages.length - 1] = { role: "user", content: contentParts };
-    } else if (fileContext) {
-      messages[messages.length - 1] = {
-        role: "user",
-        content: `${userMessage || 'Vinsamlegast greindu þetta skjal.'}\n\nDOCUMENT CONTENT:\n${fileContext.slice(0, 8000)}`
-      };
-    }
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 800,
     });
 
-    const response = completion.choices[0].message.content;
+    if (chatRequest.regenerate) evictCachedAnswers(req.tenant.tenantId, sessionId);
 
-    session.messages.push({
-      role: "assistant",
-      content: response,
-    });
-
-    // Topic detection
-    const detectedTopic = detectTopic(userMessage || 'file upload');
-
-    // Cache the response  
-    const responseData = {
-      message: response,
+    Object.assign(responseData, {
+      message: result.response,
       sessionId: sessionId,
       threadId: sessionId,
       postgresqlMessageId: null,
       language: {
-        detected: detectedLanguage,
-        isIcelandic: detectedLanguage === "is"
+        detected: result.language,
+        isIcelandic: result.language === "is"
       },
-      topic: detectedTopic,
+      topic: result.topic,
+      actions: clientActions(result.toolCalls),
+      handoff: result.handoff || null,
       debugInfo:
-        process.env.NODE_ENV === "development"
+        config.environment === "development"
           ? {
-              topic: detectedTopic,
-              promptLength: systemPrompt.length,
+              topic: result.topic,
+              promptLength: result.systemPrompt.length,
+              knowledgeSources: result.sources,
+              toolCalls: result.toolCalls.map(call => ({ name: call.name, error: call.error, durationMs: call.durationMs })),
+              usage: result.usage,
             }
           : undefined,
-    };
-
-    responseCache.set(cacheKey, {
-      response: responseData,
-      timestamp: Date.now(),
     });
 
-    // Fire-and-forget broadcasting
-    setImmediate(async () => {
-      try {
-        const broadcastResult = await broadcastConversation(
-          userMessage || (files && files.length > 0 ? '📄 [Skjal sent]' : '🖼️ [Mynd send]'),
-          response,
-          detectedLanguage,
-          detectedTopic,
-          "chat",
-          sessionId,
-          "active",
-          chatUserCountry,
-          chatUserIp,
-          null,
-          chatUserAgent,
-          chatReferer
-        );
-
-        // Update cache with PostgreSQL ID if available
-        if (broadcastResult.postgresqlId && cached) {
-          cached.response.postgresqlMessageId = broadcastResult.postgresqlId;
-        }
-
-        console.log("📊 Analytics broadcast result:", broadcastResult);
-        console.log("📈 Topic categorized as:", detectedTopic);
-        console.log("🌍 Language sent:", detectedLanguage);
-      } catch (error) {
-        console.error("❌ Error in broadcast function:", error);
-      }
-    });
+    // Cache the response (relayed messages have no bot answer to cache)
+    if (!result.handoff && !chatRequest.regenerate) {
+      responseCache.set(cacheKey, {
+        response: responseData,
+        tenantId: req.tenant.tenantId,
+        sessionId,
+        timestamp: Date.now(),
+      });
+    }
 
     // Log performance
     const totalTime = Date.now() - startTime;
@@ -1069,7 +1131,8 @@ app.post("/chat", verifyApiKey, async (req, res) => {
     const totalTime = Date.now() - startTime;
     console.log(`⏱️ Error after: ${totalTime}ms`);
 
-    res.status(500).json({
+    // Nothing to regenerate (400) or an operator has the conversation (409)
+    res.status(error.status || 500).json({
       message: "Fyrirgefðu, eitthvað fór úrskeiðis. Vinsamlegast reyndu aftur. / Sorry, something went wrong. Please try again.",
       error: error.message,
     });
@@ -1077,7 +1140,7 @@ app.post("/chat", verifyApiKey, async (req, res) => {
 });
 
 // Feedback endpoint
-app.post('/feedback', verifyApiKey, async (req, res) => {
+app.post('/feedback', requireApiKey('feedback'), async (req, res) => {
   try {
     const { messageId, isPositive, messageContent, timestamp, chatId, language, postgresqlId } = req.body;
     
@@ -1088,9 +1151,7 @@ app.post('/feedback', verifyApiKey, async (req, res) => {
       hasContent: !!messageContent
     });
     
-    const { db } = await connectToDatabase();
-    
-    await db.collection('message_feedback').insertOne({
+    await getRepositories().feedback.insert({
       messageId,
       postgresqlId,
       isPositive,
@@ -1102,29 +1163,26 @@ app.post('/feedback', verifyApiKey, async (req, res) => {
       source: 'svorum-strax-chatbot'
     });
     
-    console.log('💾 Feedback saved to MongoDB');
+    console.log('💾 Feedback stored');
 
     // Forward to analytics
     try {
-      const analyticsResponse = await fetch('https://hysing.svorumstrax.is/api/public-feedback', {
+      const analyticsResponse = await analyticsRequest('feedback', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
+        body: {
           messageId: messageId,
           postgresqlId: postgresqlId,
           rating: isPositive,
           comment: messageContent,
           source: 'svorum-strax-chatbot'
-        })
-      });  
+        }
+      });
       
       if (analyticsResponse.ok) {
         console.log('✅ Feedback successfully forwarded to analytics');
       }
     } catch (forwardError) {
-      console.error('❌ Error forwarding feedback:', forwardError);
+      console.error('❌ Error forwarding feedback:', forwardError.message);
     }
     
     return res.status(200).json({
@@ -1140,7 +1198,7 @@ app.post('/feedback', verifyApiKey, async (req, res) => {
   }
 });
 
-// Cleanup cache periodically
+// Cleanup cache periodically (unref'd - the server keeps the process alive, not the timer)
 setInterval(() => {
   const oneHourAgo = Date.now() - 3600000;
   for (const [key, value] of responseCache.entries()) {
@@ -1148,12 +1206,29 @@ setInterval(() => {
       responseCache.delete(key);
     }
   }
-}, 3600000);
+}, 3600000).unref();
+
+/**
+ * Start the HTTP server with WebSocket support
+ * @param {number} [port] - Port (0 picks a free one, used by the tests)
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startServer(port = config.server.port) {
+  // Storage indexes are created on first use (repositoryRegistry.js); on Vercel the outbox
+  // is delivered by the /cron/analytics-outbox route instead of this worker
+  startOutboxWorker();
+
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      logStartup(server.address().port);
+      resolve(server);
+    });
+  });
+}
 
-// Start server with WebSocket support
-server.listen(PORT, () => {
+function logStartup(port) {
   console.log(`\n🌊 Svörum strax Backend Started`);
-  console.log(`📍 Port: ${PORT}`);
+  console.log(`📍 Port: ${port}`);
   console.log(`🔌 WebSocket server ready for streaming`);
   console.log(`✅ Ready for connections\n`);
   
@@ -1161,16 +1236,23 @@ server.listen(PORT, () => {
   console.log(`📚 Performance Features Loaded:`);
   console.log(`   - Dynamic system prompts (IS/EN)`);
   console.log(`   - Response caching (1 hour TTL)`);
-  console.log(`   - Fire-and-forget analytics`);
+  console.log(`   - Analytics outbox with retries`);
   console.log(`   - Performance logging`);
   console.log(`   - Cache cleanup intervals`);
   console.log(`   - WebSocket streaming support`);
   console.log(`   - SSE streaming support`);
+  console.log(`   - Resumable SSE streams (Last-Event-ID)`);
+  console.log(`   - Stop and regenerate for streamed answers`);
   console.log(`   - 🖼️ Image analysis (GPT-4o vision)`);
   console.log(`   - 📄 File processing (PDF, Word, Excel)`);
   console.log(`   - 🎤 Voice transcription (Whisper API)`);
   console.log(`   - 🔊 Text-to-speech (TTS)\n`);
-});
+}
+
+// Listen when run directly (npm start) - the tests import the app and start it themselves
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer();
+}
 
 // Graceful shutdown
 process.on("SIGTERM", () => {
@@ -1178,4 +1260,7 @@ process.on("SIGTERM", () => {
     console.log("Server closed");
     process.exit(0);
   });
-});
\ No newline at end of file
+});
+
+export { app, server };
+export default app;
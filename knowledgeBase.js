@@ -0,0 +1,697 @@
+// knowledgeBase.js - Retrieval-augmented knowledge base
+//
+// Documents live in MongoDB (`knowledge_documents`), are split into chunks and
+// embedded (`knowledge_chunks`), and the best matching chunks are retrieved for
+// each user question and injected into the system prompt with their source IDs.
+// The embedding provider is pluggable: OpenAI in production, a deterministic local
+// provider for offline development and tests.
+// Every document belongs to a tenant (tenantService.js); retrieval only sees the
+// tenant's own documents. Functions default to the default tenant.
+// Paid embeddings (indexing, previews and each retrieval) are recorded against the tenant
+// in usageTracker.js.
+
+import { connectToDatabase } from './database.js';
+import { KNOWLEDGE_SEED_DOCUMENTS } from './prompts/svorumstrax-knowledge.js';
+import { getConfig } from './config.js';
+import { getDefaultTenantId } from './tenantService.js';
+import { recordUsage } from './usageTracker.js';
+import { httpError } from './utils/httpError.js';
+
+const DOCUMENTS_COLLECTION = 'knowledge_documents';
+const CHUNKS_COLLECTION = 'knowledge_chunks';
+const VERSIONS_COLLECTION = 'knowledge_document_versions';
+const META_COLLECTION = 'knowledge_meta';
+
+// Chunking settings (characters)
+const CHUNK_MAX_CHARS = 1200;
+const CHUNK_OVERLAP_CHARS = 150;
+
+// How long loaded chunks are reused before checking MongoDB for changes
+const KNOWLEDGE_CACHE_TTL = 30 * 1000;
+
+// Global knowledge state (provider + chunk cache)
+if (!global.knowledgeBase) {
+  global.knowledgeBase = {
+    embeddingProvider: null,
+    chunks: null,
+    revision: null,
+    loadedAt: 0,
+    loading: null
+  };
+}
+
+// ---------------------------------------------------------
+// Embedding providers
+// ---------------------------------------------------------
+
+// Common Icelandic/English words that carry no meaning for retrieval
+const STOP_WORDS = new Set([
+  'og', 'að', 'er', 'í', 'á', 'til', 'við', 'með', 'fyrir', 'um', 'sem', 'það', 'ég', 'þú', 'hvað', 'hver', 'hvernig',
+  'the', 'and', 'for', 'you', 'your', 'our', 'with', 'what', 'how', 'who', 'are', 'is', 'in', 'of', 'to', 'we'
+]);
+
+/**
+ * Split text into lowercase word tokens (keeps Icelandic characters)
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9áéíóúýþæðöñç]+/i)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * FNV-1a hash of a string, used for the local hashing embedding
+ * @param {string} value - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic local embedding provider (no network)
+ * Hashes words and character trigrams into a fixed-size vector, which handles
+ * Icelandic inflections reasonably well for a small knowledge base
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dimensions=512] - Vector size
+ * @returns {Object} Provider { name, embed(texts) => { embeddings, usage, model } } - usage is
+ *   null, nothing is paid for
+ */
+export function createLocalEmbeddingProvider({ dimensions = 512 } = {}) {
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+
+    for (const token of tokenize(text)) {
+      vector[hashString(`w:${token}`) % dimensions] += 1;
+
+      const padded = ` ${token} `;
+      for (let i = 0; i < padded.length - 2; i++) {
+        vector[hashString(`t:${padded.slice(i, i + 3)}`) % dimensions] += 0.5;
+      }
+    }
+
+    return normalizeVector(vector);
+  };
+
+  return {
+    name: `local-hash-${dimensions}`,
+    async embed(texts) {
+      return { embeddings: texts.map(embedOne), usage: null, model: null };
+    }
+  };
+}
+
+/**
+ * Create an OpenAI embedding provider
+ * @param {Object} openai - OpenAI client
+ * @param {string} [model] - Embedding model
+ * @returns {Object} Provider { name, embed(texts) => { embeddings, usage: { inputTokens }, model } }
+ */
+export function createOpenAIEmbeddingProvider(openai, model = getConfig().knowledge.embeddingModel) {
+  return {
+    name: `openai-${model}`,
+    async embed(texts) {
+      const response = await openai.embeddings.create({
+        model,
+        input: texts
+      });
+      return {
+        embeddings: response.data.map(item => normalizeVector(item.embedding)),
+        usage: { inputTokens: response.usage?.prompt_tokens || 0 },
+        model: response.model || model
+      };
+    }
+  };
+}
+
+/**
+ * Set the embedding provider used for indexing and retrieval
+ * Clears the chunk cache so chunks are reloaded for the new provider
+ *
+ * @param {Object} options
+ * @param {Object} options.embeddingProvider - Embedding provider
+ */
+export function configureKnowledgeBase({ embeddingProvider }) {
+  global.knowledgeBase.embeddingProvider = embeddingProvider;
+  invalidateKnowledgeCache();
+  console.log(`📚 Knowledge base using embedding provider: ${embeddingProvider.name}`);
+}
+
+function getEmbeddingProvider() {
+  if (!global.knowledgeBase.embeddingProvider) {
+    global.knowledgeBase.embeddingProvider = createLocalEmbeddingProvider();
+  }
+  return global.knowledgeBase.embeddingProvider;
+}
+
+/**
+ * Embed texts with the current provider and record the paid tokens against the tenant
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} billing - { tenantId, conversationId, sessionId }
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embedTexts(texts, { tenantId, conversationId = null, sessionId = null }) {
+  const { embeddings, usage, model } = await getEmbeddingProvider().embed(texts);
+  if (usage) {
+    // recordUsage never throws - not awaited so indexing and retrieval don't wait on it
+    recordUsage({ tenantId, operation: 'embedding', model, conversationId, sessionId, inputTokens: usage.inputTokens });
+  }
+  return embeddings;
+}
+
+// ---------------------------------------------------------
+// Vector helpers and chunking
+// ---------------------------------------------------------
+
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Split a document into overlapping chunks on paragraph boundaries
+ *
+ * @param {string} text - Document text
+ * @param {Object} [options]
+ * @param {number} [options.maxChars] - Maximum chunk size
+ * @param {number} [options.overlap] - Characters carried over between chunks
+ * @returns {Array<string>} Chunks
+ */
+export function chunkText(text, { maxChars = CHUNK_MAX_CHARS, overlap = CHUNK_OVERLAP_CHARS } = {}) {
+  const paragraphs = (text || '')
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+
+  for (const paragraph of paragraphs) {
+    // Very long paragraphs are hard-split
+    const pieces = paragraph.length > maxChars
+      ? paragraph.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g'))
+      : [paragraph];
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > maxChars) {
+        chunks.push(current);
+        current = overlap > 0 ? current.slice(-overlap) : '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+// ---------------------------------------------------------
+// Indexing and document management
+// ---------------------------------------------------------
+
+/**
+ * Build a URL-safe source ID from a title
+ * @param {string} title - Document title
+ * @returns {string} Slug (Icelandic characters transliterated)
+ */
+export function slugifySourceId(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/þ/g, 'th').replace(/æ/g, 'ae').replace(/ð/g, 'd').replace(/ö/g, 'o')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * Chunk and embed a document
+ * @param {Object} document - { tenantId, sourceId, title, category, content }
+ * @returns {Promise<Array>} Chunk records ready to store
+ */
+async function buildChunks(document) {
+  const provider = getEmbeddingProvider();
+  const texts = chunkText(document.content);
+  if (texts.length === 0) return [];
+
+  // Title is embedded with the text so short chunks still match on their heading
+  const embeddings = await embedTexts(texts.map(text => `${document.title}\n${text}`), { tenantId: document.tenantId });
+
+  return texts.map((text, index) => ({
+    chunkId: `${document.sourceId}#${index}`,
+    tenantId: document.tenantId,
+    sourceId: document.sourceId,
+    title: document.title,
+    category: document.category || 'general',
+    language: document.language || null,
+    version: document.version || 1,
+    index,
+    content: text,
+    embedding: embeddings[index],
+    embeddingModel: provider.name,
+    createdAt: new Date()
+  }));
+}
+
+/**
+ * Record that the knowledge base changed so every instance reloads its chunks
+ * @param {Object} db - MongoDB database
+ */
+async function bumpKnowledgeRevision(db) {
+  await db.collection(META_COLLECTION).updateOne(
+    { _id: 'revision' },
+    { $inc: { revision: 1 }, $set: { updatedAt: new Date() } },
+    { upsert: true }
+  );
+  invalidateKnowledgeCache();
+}
+
+/**
+ * Re-chunk and re-embed a stored document, replacing its chunks
+ * Draft documents are never indexed, so they are not retrievable
+ *
+ * @param {Object} document - Stored knowledge document
+ * @returns {Promise<number>} Number of chunks written
+ */
+export async function indexKnowledgeDocument(document) {
+  const { db } = await connectToDatabase();
+  const chunks = document.status === 'draft' ? [] : await buildChunks(document);
+
+  await db.collection(CHUNKS_COLLECTION).deleteMany({ tenantId: document.tenantId, sourceId: document.sourceId });
+  if (chunks.length > 0) {
+    await db.collection(CHUNKS_COLLECTION).insertMany(chunks);
+  }
+
+  await bumpKnowledgeRevision(db);
+  console.log(`📚 Indexed knowledge document ${document.tenantId}/${document.sourceId} v${document.version || 1} (${chunks.length} chunks)`);
+  return chunks.length;
+}
+
+/**
+ * Create or update a knowledge document, archive the previous version and re-index
+ *
+ * @param {Object} document - { sourceId, title, category, content, language, format, status, question, answer }
+ *   status 'draft' stores the document without making it retrievable
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Owning tenant (default tenant when omitted)
+ * @param {boolean} [options.createOnly=false] - Fail with 409 if the document exists
+ * @param {boolean} [options.updateOnly=false] - Fail with 404 if the document doesn't exist
+ * @param {string} [options.editor] - Who made the change (stored with the version)
+ * @returns {Promise<Object>} Stored document
+ */
+export async function saveKnowledgeDocument(document, { tenantId = getDefaultTenantId(), createOnly = false, updateOnly = false, editor = null } = {}) {
+  if (!document?.sourceId) {
+    throw httpError('Knowledge documents require a sourceId', 400);
+  }
+
+  const { db } = await connectToDatabase();
+  const documents = db.collection(DOCUMENTS_COLLECTION);
+  const existing = await documents.findOne({ tenantId, sourceId: document.sourceId });
+
+  // Updates may omit content (e.g. only publishing a draft)
+  const content = document.content || existing?.content;
+  if (!content) {
+    throw httpError('Knowledge documents require content', 400);
+  }
+
+  if (createOnly && existing) {
+    throw httpError(`Knowledge document ${document.sourceId} already exists`, 409);
+  }
+  if (updateOnly && !existing) {
+    throw httpError(`Knowledge document ${document.sourceId} not found`, 404);
+  }
+
+  // Keep the previous version so it can be inspected or restored
+  if (existing) {
+    const { _id, ...previous } = existing;
+    await db.collection(VERSIONS_COLLECTION).insertOne({
+      ...previous,
+      archivedAt: new Date()
+    });
+  }
+
+  const now = new Date();
+  const stored = {
+    tenantId,
+    sourceId: document.sourceId,
+    title: document.title || existing?.title || document.sourceId,
+    category: document.category || existing?.category || 'general',
+    language: document.language ?? existing?.language ?? null,
+    format: document.format || existing?.format || 'text',
+    status: document.status || existing?.status || 'published',
+    content,
+    ...(document.question ? { question: document.question, answer: document.answer } : {}),
+    ...(document.originalFilename ? { originalFilename: document.originalFilename } : {}),
+    version: (existing?.version || 0) + 1,
+    updatedBy: editor,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  await documents.replaceOne({ tenantId, sourceId: document.sourceId }, stored, { upsert: true });
+
+  await indexKnowledgeDocument(stored);
+  return stored;
+}
+
+/**
+ * List a tenant's knowledge documents (without chunk data)
+ * @param {Object} [filter] - { tenantId, category, status }
+ * @returns {Promise<Array>} Documents sorted by category and title
+ */
+export async function listKnowledgeDocuments({ tenantId = getDefaultTenantId(), category, status } = {}) {
+  const { db } = await connectToDatabase();
+  const query = { tenantId };
+  if (category) query.category = category;
+  if (status) query.status = status;
+
+  return db.collection(DOCUMENTS_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ category: 1, title: 1 })
+    .toArray();
+}
+
+/**
+ * Get a single knowledge document
+ * @param {string} sourceId - Source ID
+ * @param {Object} [options] - { tenantId }
+ * @returns {Promise<Object|null>} Document or null
+ */
+export async function getKnowledgeDocument(sourceId, { tenantId = getDefaultTenantId() } = {}) {
+  const { db } = await connectToDatabase();
+  return db.collection(DOCUMENTS_COLLECTION).findOne({ tenantId, sourceId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Delete a knowledge document and its chunks (the last version is archived)
+ * @param {string} sourceId - Source ID
+ * @param {Object} [options] - { tenantId, editor }
+ * @returns {Promise<boolean>} Whether a document was deleted
+ */
+export async function deleteKnowledgeDocument(sourceId, { tenantId = getDefaultTenantId(), editor = null } = {}) {
+  const { db } = await connectToDatabase();
+  const existing = await db.collection(DOCUMENTS_COLLECTION).findOne({ tenantId, sourceId });
+  if (!existing) return false;
+
+  const { _id, ...previous } = existing;
+  await db.collection(VERSIONS_COLLECTION).insertOne({
+    ...previous,
+    archivedAt: new Date(),
+    deletedBy: editor,
+    deleted: true
+  });
+
+  await db.collection(DOCUMENTS_COLLECTION).deleteOne({ tenantId, sourceId });
+  await db.collection(CHUNKS_COLLECTION).deleteMany({ tenantId, sourceId });
+  await bumpKnowledgeRevision(db);
+
+  console.log(`🗑️ Deleted knowledge document ${tenantId}/${sourceId}`);
+  return true;
+}
+
+/**
+ * List archived versions of a document, newest first
+ * @param {string} sourceId - Source ID
+ * @param {Object} [options] - { tenantId }
+ * @returns {Promise<Array>} Archived versions
+ */
+export async function listKnowledgeVersions(sourceId, { tenantId = getDefaultTenantId() } = {}) {
+  const { db } = await connectToDatabase();
+  return db.collection(VERSIONS_COLLECTION)
+    .find({ tenantId, sourceId }, { projection: { _id: 0 } })
+    .sort({ version: -1, archivedAt: -1 })
+    .toArray();
+}
+
+/**
+ * Restore an archived version as the new current version
+ * @param {string} sourceId - Source ID
+ * @param {number} version - Version number to restore
+ * @param {Object} [options] - { tenantId, editor }
+ * @returns {Promise<Object>} Stored document
+ */
+export async function restoreKnowledgeVersion(sourceId, version, { tenantId = getDefaultTenantId(), editor = null } = {}) {
+  const { db } = await connectToDatabase();
+  const archived = await db.collection(VERSIONS_COLLECTION).findOne(
+    { tenantId, sourceId, version: Number(version) },
+    { sort: { archivedAt: -1 } }
+  );
+
+  if (!archived) {
+    throw httpError(`Version ${version} of ${sourceId} not found`, 404);
+  }
+
+  const { _id, archivedAt, deleted, deletedBy, version: _version, ...restored } = archived;
+  return saveKnowledgeDocument(restored, { tenantId, editor });
+}
+
+/**
+ * Preview how a document would be chunked and how well it matches a question,
+ * without storing anything
+ *
+ * @param {Object} document - { title, content }
+ * @param {string} [question] - Optional test question
+ * @param {Object} [options] - { tenantId }
+ * @returns {Promise<Object>} { chunks: [{ index, content, score }], currentMatches }
+ */
+export async function previewKnowledgeDocument(document, question = null, { tenantId = getDefaultTenantId() } = {}) {
+  const draft = {
+    tenantId,
+    sourceId: document.sourceId || 'preview',
+    title: document.title || 'Preview',
+    category: document.category || 'general',
+    content: document.content || ''
+  };
+
+  const chunks = await buildChunks(draft);
+  let queryEmbedding = null;
+  if (question) {
+    [queryEmbedding] = await embedTexts([question], { tenantId });
+  }
+
+  return {
+    chunks: chunks.map(chunk => ({
+      index: chunk.index,
+      content: chunk.content,
+      characters: chunk.content.length,
+      ...(queryEmbedding ? { score: cosineSimilarity(queryEmbedding, chunk.embedding) } : {})
+    })),
+    // What the bot retrieves today for the same question, for comparison
+    currentMatches: question ? await retrieveKnowledge(question, { tenantId }) : []
+  };
+}
+
+/**
+ * Seed the default tenant's knowledge base from the bundled documents if it is empty
+ * Documents stored before tenants existed are assigned to the default tenant first.
+ *
+ * @returns {Promise<number>} Number of documents seeded
+ */
+export async function seedKnowledgeBase() {
+  const { db } = await connectToDatabase();
+  const tenantId = getDefaultTenantId();
+
+  for (const collection of [DOCUMENTS_COLLECTION, CHUNKS_COLLECTION, VERSIONS_COLLECTION]) {
+    await db.collection(collection).updateMany({ tenantId: { $exists: false } }, { $set: { tenantId } });
+  }
+
+  const existing = await db.collection(DOCUMENTS_COLLECTION).countDocuments({ tenantId });
+  if (existing > 0) return 0;
+
+  console.log(`🌱 Seeding knowledge base with ${KNOWLEDGE_SEED_DOCUMENTS.length} documents`);
+  for (const document of KNOWLEDGE_SEED_DOCUMENTS) {
+    await saveKnowledgeDocument(document, { tenantId, editor: 'seed' });
+  }
+
+  return KNOWLEDGE_SEED_DOCUMENTS.length;
+}
+
+// ---------------------------------------------------------
+// Retrieval
+// ---------------------------------------------------------
+
+/**
+ * Load all chunks (every tenant) for the current embedding provider
+ * Seeds an empty knowledge base and re-embeds documents indexed with another provider.
+ * After the cache TTL only the revision counter is checked, so admin changes made on
+ * any instance are picked up within KNOWLEDGE_CACHE_TTL without reloading every chunk.
+ * Falls back to the bundled seed documents (embedded in memory) if MongoDB is unavailable.
+ *
+ * @returns {Promise<Array>} Chunks with embeddings
+ */
+async function loadChunks() {
+  const state = global.knowledgeBase;
+
+  if (state.chunks && Date.now() - state.loadedAt < KNOWLEDGE_CACHE_TTL) {
+    return state.chunks;
+  }
+
+  // Share a single load between concurrent requests
+  if (state.loading) return state.loading;
+
+  state.loading = (async () => {
+    const provider = getEmbeddingProvider();
+
+    try {
+      const { db } = await connectToDatabase();
+      const meta = await db.collection(META_COLLECTION).findOne({ _id: 'revision' });
+      const revision = meta?.revision || 0;
+
+      if (state.chunks && state.revision === revision) {
+        state.loadedAt = Date.now();
+        return state.chunks;
+      }
+
+      await seedKnowledgeBase();
+
+      const documents = await db.collection(DOCUMENTS_COLLECTION)
+        .find({ status: { $ne: 'draft' } })
+        .toArray();
+      let chunks = await db.collection(CHUNKS_COLLECTION)
+        .find({ embeddingModel: provider.name })
+        .toArray();
+
+      // Documents indexed with a different provider (or never indexed) are re-embedded
+      const indexedSources = new Set(chunks.map(chunk => `${chunk.tenantId}:${chunk.sourceId}`));
+      const stale = documents.filter(document => !indexedSources.has(`${document.tenantId}:${document.sourceId}`));
+
+      if (stale.length > 0) {
+        console.log(`📚 Re-indexing ${stale.length} knowledge documents for ${provider.name}`);
+        for (const document of stale) {
+          await indexKnowledgeDocument(document);
+        }
+        chunks = await db.collection(CHUNKS_COLLECTION)
+          .find({ embeddingModel: provider.name })
+          .toArray();
+      }
+
+      const latest = await db.collection(META_COLLECTION).findOne({ _id: 'revision' });
+      state.revision = latest?.revision || 0;
+      state.chunks = chunks;
+    } catch (error) {
+      console.error('❌ Error loading knowledge base, using bundled documents:', error.message);
+
+      const fallbackChunks = [];
+      for (const document of KNOWLEDGE_SEED_DOCUMENTS) {
+        fallbackChunks.push(...await buildChunks({ ...document, tenantId: getDefaultTenantId() }));
+      }
+      state.chunks = fallbackChunks;
+      state.revision = null;
+    }
+
+    state.loadedAt = Date.now();
+    return state.chunks;
+  })();
+
+  try {
+    return await state.loading;
+  } finally {
+    state.loading = null;
+  }
+}
+
+/**
+ * Retrieve a tenant's knowledge chunks most relevant to a question
+ *
+ * @param {string} query - User question (optionally with recent context)
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Tenant whose knowledge is searched (default tenant when omitted)
+ * @param {string} [options.conversationId] - Conversation the query embedding is billed to
+ * @param {string} [options.sessionId] - Widget session
+ * @param {number} [options.limit] - Maximum chunks returned (default config.knowledge.retrievalLimit)
+ * @param {number} [options.minScore] - Minimum cosine similarity (default config.knowledge.minScore)
+ * @returns {Promise<Array<{sourceId: string, chunkId: string, title: string, content: string, score: number}>>}
+ */
+export async function retrieveKnowledge(query, {
+  tenantId = getDefaultTenantId(),
+  conversationId = null,
+  sessionId = null,
+  limit = getConfig().knowledge.retrievalLimit,
+  minScore = getConfig().knowledge.minScore
+} = {}) {
+  if (!query || !query.trim()) return [];
+
+  try {
+    const chunks = (await loadChunks()).filter(chunk => chunk.tenantId === tenantId);
+    if (chunks.length === 0) return [];
+
+    const [queryEmbedding] = await embedTexts([query], { tenantId, conversationId, sessionId });
+
+    const results = chunks
+      .map(chunk => ({
+        sourceId: chunk.sourceId,
+        chunkId: chunk.chunkId,
+        title: chunk.title,
+        category: chunk.category,
+        content: chunk.content,
+        score: cosineSimilarity(queryEmbedding, chunk.embedding)
+      }))
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    console.log(`🔎 Retrieved ${results.length} knowledge chunks: ${results.map(r => r.chunkId).join(', ') || 'none'}`);
+    return results;
+  } catch (error) {
+    console.error('❌ Error retrieving knowledge:', error);
+    return [];
+  }
+}
+
+/**
+ * Drop the chunk cache so the next retrieval reloads from MongoDB
+ */
+export function invalidateKnowledgeCache() {
+  global.knowledgeBase.chunks = null;
+  global.knowledgeBase.revision = null;
+  global.knowledgeBase.loadedAt = 0;
+}
+
+export default {
+  createLocalEmbeddingProvider,
+  createOpenAIEmbeddingProvider,
+  configureKnowledgeBase,
+  cosineSimilarity,
+  chunkText,
+  slugifySourceId,
+  indexKnowledgeDocument,
+  saveKnowledgeDocument,
+  listKnowledgeDocuments,
+  getKnowledgeDocument,
+  deleteKnowledgeDocument,
+  listKnowledgeVersions,
+  restoreKnowledgeVersion,
+  previewKnowledgeDocument,
+  seedKnowledgeBase,
+  retrieveKnowledge,
+  invalidateKnowledgeCache
+};
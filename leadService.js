@@ -0,0 +1,252 @@
+// leadService.js - Structured sales leads extracted from conversations
+//
+// The model records what a prospect shares (contact details, company, volumes,
+// services of interest, recommended package) with the record_lead tool, and bookings
+// add the contact details automatically. There is one lead per conversation in the
+// `leads` collection; later captures are merged into it, so the sales team sees a
+// single, growing record next to the transcript in `conversations`. Leads belong to the
+// tenant of the conversation and are only listed, read and updated for that tenant.
+
+import crypto from 'crypto';
+import { connectToDatabase } from './database.js';
+import { getDefaultTenantId } from './tenantService.js';
+import { httpError } from './utils/httpError.js';
+
+const LEADS_COLLECTION = 'leads';
+
+export const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
+export const LEAD_PACKAGES = ['girona', 'bilbao', 'valencia', 'barcelona'];
+export const LEAD_SERVICES = [
+  'phone_answering',
+  'customer_service',
+  'ai_agents',
+  'ai_human_hybrid',
+  'email_handling',
+  'outbound_calls',
+  'dedicated_staff',
+  'accounting',
+  'business_analytics'
+];
+
+/**
+ * Leads collection, with the one-lead-per-conversation index created once per instance
+ * @returns {Promise<Object>} Collection
+ */
+async function getLeadsCollection() {
+  const { db } = await connectToDatabase();
+  const collection = db.collection(LEADS_COLLECTION);
+
+  if (!global.leadIndexesReady) {
+    await collection.createIndex({ conversationId: 1 }, { unique: true });
+    await collection.createIndex({ leadId: 1 }, { unique: true });
+    await collection.createIndex({ tenantId: 1, createdAt: -1 });
+    global.leadIndexesReady = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Filter for a tenant's leads - leads stored before leads had a tenant belong to the
+ * default tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} Query fields
+ */
+function tenantFilter(tenantId) {
+  return tenantId === getDefaultTenantId()
+    ? { $or: [{ tenantId }, { tenantId: { $exists: false } }] }
+    : { tenantId };
+}
+
+/**
+ * Keep only known, non-empty lead fields and turn them into $set paths
+ * @param {Object} fields - Captured lead fields
+ * @returns {Object} { set, services }
+ */
+function toLeadUpdate(fields) {
+  const set = {};
+  const assign = (path, value) => {
+    if (value !== undefined && value !== null && value !== '') set[path] = value;
+  };
+
+  if (fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+    throw httpError(`Invalid email address: ${fields.email}`, 400);
+  }
+  if (fields.recommendedPackage && !LEAD_PACKAGES.includes(fields.recommendedPackage)) {
+    throw httpError(`recommendedPackage must be one of: ${LEAD_PACKAGES.join(', ')}`, 400);
+  }
+
+  assign('contact.name', fields.name);
+  assign('contact.email', fields.email?.toLowerCase());
+  assign('contact.phone', fields.phone);
+  assign('contact.role', fields.jobTitle);
+  assign('company.name', fields.company);
+  assign('company.size', fields.companySize);
+  assign('company.industry', fields.industry);
+  assign('volume.monthlyCalls', fields.monthlyCalls);
+  assign('volume.monthlyEmails', fields.monthlyEmails);
+  assign('recommendedPackage', fields.recommendedPackage);
+  assign('notes', fields.notes);
+  assign('bookingId', fields.bookingId);
+
+  const services = (fields.servicesOfInterest || []).filter(service => LEAD_SERVICES.includes(service));
+
+  return { set, services };
+}
+
+/**
+ * Record (or merge into) the lead of a conversation
+ * Provided fields overwrite earlier values, services of interest accumulate.
+ *
+ * @param {Object} fields - Lead fields
+ * @param {string} [fields.name] - Contact name
+ * @param {string} [fields.email] - Contact email
+ * @param {string} [fields.phone] - Contact phone
+ * @param {string} [fields.jobTitle] - Contact's role in the company
+ * @param {string} [fields.company] - Company name
+ * @param {string} [fields.companySize] - Employees, e.g. "10-50"
+ * @param {string} [fields.industry] - Industry
+ * @param {number} [fields.monthlyCalls] - Estimated inbound calls per month
+ * @param {number} [fields.monthlyEmails] - Estimated emails per month
+ * @param {Array<string>} [fields.servicesOfInterest] - LEAD_SERVICES values
+ * @param {string} [fields.recommendedPackage] - LEAD_PACKAGES value
+ * @param {string} [fields.notes] - Free-text summary of the need
+ * @param {string} [fields.bookingId] - Consultation booking
+ * @param {Object} context - { conversationId, sessionId, tenantId, language, source }
+ * @returns {Promise<Object>} Stored lead
+ */
+export async function recordLead(fields, { conversationId, sessionId = null, tenantId = getDefaultTenantId(), language = null, source = 'chat' } = {}) {
+  if (!conversationId) {
+    throw httpError('Leads must be linked to a conversation', 400);
+  }
+
+  const { set, services } = toLeadUpdate(fields);
+  if (Object.keys(set).length === 0 && services.length === 0) {
+    throw httpError('No lead details provided', 400);
+  }
+
+  const collection = await getLeadsCollection();
+  const now = new Date();
+
+  const update = {
+    $set: { ...set, updatedAt: now },
+    $setOnInsert: {
+      leadId: `lead_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`,
+      conversationId,
+      sessionId,
+      tenantId,
+      language,
+      source,
+      status: 'new',
+      createdAt: now
+    },
+    $inc: { captureCount: 1 }
+  };
+  if (services.length > 0) {
+    update.$addToSet = { servicesOfInterest: { $each: services } };
+  }
+
+  try {
+    await collection.updateOne({ conversationId, ...tenantFilter(tenantId) }, update, { upsert: true });
+  } catch (error) {
+    // The conversation already has a lead of another tenant (unique conversationId)
+    if (error.code === 11000) {
+      throw httpError(`Conversation ${conversationId} belongs to another tenant`, 409);
+    }
+    throw error;
+  }
+
+  const lead = await collection.findOne({ conversationId }, { projection: { _id: 0 } });
+  console.log(`🎯 Lead ${lead.leadId} recorded for conversation ${conversationId} (${Object.keys(set).join(', ') || 'services'})`);
+  return lead;
+}
+
+/**
+ * List a tenant's leads
+ * @param {Object} [filter]
+ * @param {string} [filter.tenantId] - Tenant, omitted = default tenant
+ * @param {string} [filter.status] - Lead status
+ * @param {string} [filter.recommendedPackage] - Package
+ * @param {string} [filter.conversationId] - Conversation
+ * @param {string} [filter.from] - Created after (ISO)
+ * @param {string} [filter.to] - Created before (ISO)
+ * @param {number} [filter.limit] - Page size (max 200)
+ * @param {number} [filter.skip] - Offset
+ * @returns {Promise<Object>} { leads, total }
+ */
+export async function listLeads({ tenantId = getDefaultTenantId(), status, recommendedPackage, conversationId, from, to, limit = 50, skip = 0 } = {}) {
+  const collection = await getLeadsCollection();
+
+  const query = tenantFilter(tenantId);
+  if (status) query.status = status;
+  if (recommendedPackage) query.recommendedPackage = recommendedPackage;
+  if (conversationId) query.conversationId = conversationId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const [leads, total] = await Promise.all([
+    collection.find(query, { projection: { _id: 0 } })
+      .sort({ createdAt: -1 })
+      .skip(Math.max(0, parseInt(skip, 10) || 0))
+      .limit(Math.min(200, Math.max(1, parseInt(limit, 10) || 50)))
+      .toArray(),
+    collection.countDocuments(query)
+  ]);
+
+  return { leads, total };
+}
+
+/**
+ * Get one of a tenant's leads
+ * @param {string} leadId - Lead ID
+ * @param {string} [tenantId] - Tenant, omitted = default tenant
+ * @returns {Promise<Object|null>} Lead, null when missing or another tenant's
+ */
+export async function getLead(leadId, tenantId = getDefaultTenantId()) {
+  const collection = await getLeadsCollection();
+  return collection.findOne({ leadId, ...tenantFilter(tenantId) }, { projection: { _id: 0 } });
+}
+
+/**
+ * Update a lead from the sales team (status, owner, notes, corrected details)
+ * @param {string} leadId - Lead ID
+ * @param {Object} changes - { status, owner, salesNotes, ...lead fields }
+ * @param {string} [tenantId] - Tenant, omitted = default tenant
+ * @returns {Promise<Object>} Updated lead
+ */
+export async function updateLead(leadId, changes, tenantId = getDefaultTenantId()) {
+  if (changes.status && !LEAD_STATUSES.includes(changes.status)) {
+    throw httpError(`status must be one of: ${LEAD_STATUSES.join(', ')}`, 400);
+  }
+
+  const { set, services } = toLeadUpdate(changes);
+  if (changes.status) set.status = changes.status;
+  if (changes.owner !== undefined) set.owner = changes.owner;
+  if (changes.salesNotes !== undefined) set.salesNotes = changes.salesNotes;
+  if (Array.isArray(changes.servicesOfInterest)) set.servicesOfInterest = services;
+
+  const collection = await getLeadsCollection();
+  const result = await collection.updateOne(
+    { leadId, ...tenantFilter(tenantId) },
+    { $set: { ...set, updatedAt: new Date() } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw httpError(`Lead ${leadId} not found`, 404);
+  }
+
+  return getLead(leadId, tenantId);
+}
+
+export default {
+  LEAD_STATUSES,
+  LEAD_PACKAGES,
+  LEAD_SERVICES,
+  recordLead,
+  listLeads,
+  getLead,
+  updateLead
+};
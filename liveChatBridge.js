@@ -0,0 +1,428 @@
+// liveChatBridge.js - LiveChat bridge for human handoff
+//
+// When LiveChat is configured, every handoff is also opened as a LiveChat chat:
+// a customer token is created for the visitor, the chat is started through the
+// Customer API and the bot transcript is posted as an agents-only note. Customer
+// messages are then posted as the customer, and LiveChat agents answer through the
+// inbound webhook (routes/liveChat.js) - they claim, reply to and close the handoff
+// through handoffManager.js like console operators do.
+//
+// Everything the bridge posts is stored with storeRecentMessage, so the webhook
+// copies LiveChat sends back (echoes) are dropped with checkForDuplicateMessage.
+// Chat credentials are kept with storeDualCredentials / getDualCredentials.
+
+import crypto from 'crypto';
+import {
+  storeRecentMessage,
+  checkForDuplicateMessage,
+  storeDualCredentials,
+  getDualCredentials
+} from './database.js';
+import { getConversationHistory } from './conversationStore.js';
+import { getConfig } from './config.js';
+import {
+  registerHandoffChannel,
+  linkExternalHandoff,
+  findExternalHandoff,
+  claimHandoff,
+  sendOperatorMessage,
+  releaseHandoff
+} from './handoffManager.js';
+import { httpError } from './utils/httpError.js';
+
+const CHANNEL = 'livechat';
+const REQUEST_TIMEOUT_MS = 10000;
+const TRANSCRIPT_MESSAGE_LIMIT = 30;
+
+// Opening message of the LiveChat chat, posted as the customer
+const OPENING_MESSAGES = {
+  is: 'Ég vil gjarnan fá að tala við starfsmann.',
+  en: "I'd like to talk to a person, please."
+};
+
+// LiveChat settings (config.livechat)
+const getLiveChatConfig = () => getConfig().livechat;
+
+/**
+ * Whether the bridge has everything it needs to open chats
+ * @returns {boolean} Enabled
+ */
+export function isLiveChatEnabled() {
+  const config = getLiveChatConfig();
+  return Boolean(config.accountId && config.pat && config.organizationId && config.clientId);
+}
+
+// ---------------------------------------------------------
+// LiveChat API
+// ---------------------------------------------------------
+
+/**
+ * POST JSON to LiveChat
+ * @param {string} url - Endpoint
+ * @param {string} authorization - Authorization header
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response body
+ */
+async function postToLiveChat(url, authorization, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: authorization },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const detail = data.error?.message || data.error || response.statusText;
+    throw httpError(`LiveChat request ${new URL(url).pathname} failed (${response.status}): ${detail}`, 502);
+  }
+  return data;
+}
+
+/**
+ * Basic auth header of the bot agent (account ID + personal access token)
+ * @returns {string} Authorization header
+ */
+function getAgentAuthorization() {
+  const { accountId, pat } = getLiveChatConfig();
+  return `Basic ${Buffer.from(`${accountId}:${pat}`).toString('base64')}`;
+}
+
+/**
+ * Call a Customer API action as the visitor
+ * @param {string} action - Action name (start_chat, send_event, ...)
+ * @param {Object} body - Payload
+ * @param {string} customerToken - Customer access token
+ * @returns {Promise<Object>} Response body
+ */
+function customerAction(action, body, customerToken) {
+  const { apiUrl, organizationId } = getLiveChatConfig();
+  return postToLiveChat(
+    `${apiUrl}/customer/action/${action}?organization_id=${encodeURIComponent(organizationId)}`,
+    `Bearer ${customerToken}`,
+    body
+  );
+}
+
+/**
+ * Call an Agent API action as the bot agent
+ * @param {string} action - Action name
+ * @param {Object} body - Payload
+ * @param {string} [agentCredentials] - Stored base64 credentials (defaults to the configured agent)
+ * @returns {Promise<Object>} Response body
+ */
+function agentAction(action, body, agentCredentials = null) {
+  const { apiUrl } = getLiveChatConfig();
+  return postToLiveChat(
+    `${apiUrl}/agent/action/${action}`,
+    agentCredentials ? `Basic ${agentCredentials}` : getAgentAuthorization(),
+    body
+  );
+}
+
+/**
+ * Create a customer identity and token on behalf of the bot agent
+ * @returns {Promise<Object>} { customerToken, entityId, expiresIn }
+ */
+export async function createCustomerToken() {
+  const { accountsUrl, clientId, organizationId } = getLiveChatConfig();
+  const data = await postToLiveChat(`${accountsUrl}/v2/customer/token`, getAgentAuthorization(), {
+    grant_type: 'agent_token',
+    client_id: clientId,
+    response_type: 'token',
+    organization_id: organizationId
+  });
+
+  return { customerToken: data.access_token, entityId: data.entity_id, expiresIn: data.expires_in };
+}
+
+/**
+ * Get the stored credentials of a bridged chat
+ * @param {string} chatId - LiveChat chat ID
+ * @returns {Promise<Object>} Credentials
+ */
+async function getChatCredentials(chatId) {
+  const credentials = await getDualCredentials(chatId);
+  if (!credentials) {
+    throw httpError(`No LiveChat credentials for chat ${chatId}`, 404);
+  }
+  return credentials;
+}
+
+// ---------------------------------------------------------
+// Outbound
+// ---------------------------------------------------------
+
+/**
+ * Bot transcript for LiveChat agents
+ * @param {Object} handoff - Handoff
+ * @param {Array<{role: string, content: string}>} messages - Conversation history
+ * @param {Object|null} summary - Running summary of older turns
+ * @returns {string} Transcript text
+ */
+export function formatTranscript(handoff, messages, summary = null) {
+  const lines = [
+    `Handoff from the Svörum strax chatbot (${handoff.language === 'en' ? 'English' : 'Icelandic'})`,
+    `Requested by: ${handoff.requestedBy === 'bot' ? 'the bot' : 'the customer'}`
+  ];
+  if (handoff.reason) lines.push(`Reason: ${handoff.reason}`);
+  if (summary?.text) lines.push('', `Earlier conversation (summary): ${summary.text}`);
+
+  const recent = messages.slice(-TRANSCRIPT_MESSAGE_LIMIT);
+  if (recent.length > 0) {
+    lines.push('', 'Transcript:');
+    for (const message of recent) {
+      lines.push(`${message.role === 'user' ? 'Customer' : 'Bot'}: ${message.content}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Post a message to a bridged chat as the customer
+ * @param {string} chatId - LiveChat chat ID
+ * @param {string} text - Message text
+ * @returns {Promise<Object>} LiveChat response
+ */
+export async function sendCustomerMessage(chatId, text) {
+  const { customerToken } = await getChatCredentials(chatId);
+
+  // Stored before sending - the webhook copy can arrive before the response does
+  await storeRecentMessage(chatId, text);
+  return customerAction('send_event', {
+    chat_id: chatId,
+    event: { type: 'message', text, visibility: 'all' }
+  }, customerToken);
+}
+
+/**
+ * Post a message to a bridged chat as the bot agent
+ * @param {string} chatId - LiveChat chat ID
+ * @param {string} text - Message text
+ * @param {Object} [options]
+ * @param {string} [options.visibility] - 'all' or 'agents' (internal note)
+ * @returns {Promise<Object>} LiveChat response
+ */
+export async function sendAgentMessage(chatId, text, { visibility = 'all' } = {}) {
+  const { agentCredentials } = await getChatCredentials(chatId);
+
+  await storeRecentMessage(chatId, text);
+  return agentAction('send_event', {
+    chat_id: chatId,
+    event: { type: 'message', text, visibility }
+  }, agentCredentials);
+}
+
+/**
+ * Open a LiveChat chat for a handoff and hand over the bot transcript
+ * @param {Object} handoff - Newly queued handoff
+ * @returns {Promise<Object>} { chatId, threadId }
+ */
+export async function transferToLiveChat(handoff) {
+  const { groupId } = getLiveChatConfig();
+  const { customerToken, entityId } = await createCustomerToken();
+
+  const openingText = OPENING_MESSAGES[handoff.language] || OPENING_MESSAGES.is;
+  const chat = {
+    thread: { events: [{ type: 'message', text: openingText, visibility: 'all' }] }
+  };
+  if (groupId !== null) chat.access = { group_ids: [groupId] };
+
+  const { chat_id: chatId, thread_id: threadId } = await customerAction('start_chat', { chat }, customerToken);
+  await storeRecentMessage(chatId, openingText);
+  await storeDualCredentials(chatId, handoff.sessionId, customerToken, entityId);
+  await linkExternalHandoff(handoff.handoffId, { channel: CHANNEL, id: chatId });
+
+  const { messages, summary } = await getConversationHistory(handoff.conversationId);
+  await sendAgentMessage(chatId, formatTranscript(handoff, messages, summary), { visibility: 'agents' });
+
+  console.log(`🔗 Handoff ${handoff.handoffId} transferred to LiveChat chat ${chatId}`);
+  return { chatId, threadId };
+}
+
+/**
+ * Close a bridged chat after the handoff was returned to the bot
+ * @param {string} chatId - LiveChat chat ID
+ * @returns {Promise<Object>} LiveChat response
+ */
+export async function closeLiveChat(chatId) {
+  const { customerToken } = await getChatCredentials(chatId);
+  return customerAction('deactivate_chat', { id: chatId }, customerToken);
+}
+
+// ---------------------------------------------------------
+// Inbound webhooks
+// ---------------------------------------------------------
+
+/**
+ * Compare the webhook's secret_key with the configured secret in constant time
+ * @param {*} received - secret_key from the webhook body
+ * @param {string} expected - Configured secret
+ * @returns {boolean} Whether they match
+ */
+function isValidWebhookSecret(received, expected) {
+  if (typeof received !== 'string' || !received) return false;
+
+  // Digests have the same length whatever was sent, as timingSafeEqual requires
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(received), digest(expected));
+}
+
+/**
+ * Operator record for a LiveChat agent
+ * @param {Object} handoff - Handoff
+ * @param {string} agentId - LiveChat agent ID (email)
+ * @param {string} [name] - Agent name
+ * @returns {Object} { operatorId, name, channel }
+ */
+function toLiveChatOperator(handoff, agentId, name = null) {
+  const operatorId = `${CHANNEL}:${agentId}`;
+  if (handoff.operator?.operatorId === operatorId) return handoff.operator;
+  return { operatorId, name: name || agentId, channel: CHANNEL };
+}
+
+/**
+ * Claim a queued handoff for a LiveChat agent
+ * @param {Object} handoff - Handoff
+ * @param {Object} operator - LiveChat operator
+ * @returns {Promise<Object>} Handoff with the operator set
+ */
+async function claimForAgent(handoff, operator) {
+  if (handoff.status !== 'queued') return handoff;
+  return claimHandoff(handoff.handoffId, operator);
+}
+
+/**
+ * Agent joined the chat - the handoff is theirs
+ * @param {Object} handoff - Handoff
+ * @param {Object} payload - user_added_to_chat payload
+ * @returns {Promise<Object>} Result
+ */
+async function handleAgentAdded(handoff, payload) {
+  const user = payload.user || {};
+  if (user.type !== 'agent' || user.id === getLiveChatConfig().accountId) {
+    return { handled: false, reason: 'not a LiveChat agent' };
+  }
+
+  await claimForAgent(handoff, toLiveChatOperator(handoff, user.id, user.name));
+  return { handled: true };
+}
+
+/**
+ * Agent message - forward it to the customer unless it is our own echo
+ * @param {Object} handoff - Handoff
+ * @param {Object} payload - incoming_event payload
+ * @returns {Promise<Object>} Result
+ */
+async function handleIncomingEvent(handoff, payload) {
+  const { chat_id: chatId, event = {} } = payload;
+  if (event.type !== 'message' || event.visibility === 'agents' || !event.text) {
+    return { handled: false, reason: 'not a visible message' };
+  }
+
+  const credentials = await getDualCredentials(chatId);
+  if (credentials && event.author_id === credentials.entityId) {
+    return { handled: false, reason: 'customer message' };
+  }
+  if (await checkForDuplicateMessage(chatId, event.text)) {
+    return { handled: false, reason: 'echo' };
+  }
+
+  const operator = handoff.status === 'active'
+    ? handoff.operator
+    : toLiveChatOperator(handoff, event.author_id);
+  if (operator?.channel !== CHANNEL) {
+    console.warn(`⚠️ LiveChat message for handoff ${handoff.handoffId} ignored - claimed in the operator console`);
+    return { handled: false, reason: 'claimed by a console operator' };
+  }
+
+  await claimForAgent(handoff, operator);
+  await sendOperatorMessage(handoff.handoffId, operator, event.text);
+  return { handled: true };
+}
+
+/**
+ * Chat closed in LiveChat - return the conversation to the bot
+ * @param {Object} handoff - Handoff
+ * @returns {Promise<Object>} Result
+ */
+async function handleChatDeactivated(handoff) {
+  // Marked as a LiveChat closure so onHandoffClosed doesn't deactivate the chat again
+  const closedBy = { ...(handoff.operator || { operatorId: CHANNEL, name: 'LiveChat' }), channel: CHANNEL };
+  await releaseHandoff(handoff.handoffId, closedBy);
+  return { handled: true };
+}
+
+/**
+ * Handle a LiveChat webhook
+ * @param {Object} body - Webhook body ({ action, secret_key, payload })
+ * @returns {Promise<Object>} { handled, reason }
+ */
+export async function handleLiveChatWebhook(body = {}) {
+  const { webhookSecret } = getLiveChatConfig();
+  if (!webhookSecret) {
+    throw httpError('LiveChat webhook is not configured', 503);
+  }
+  if (!isValidWebhookSecret(body.secret_key, webhookSecret)) {
+    throw httpError('Invalid webhook secret', 401);
+  }
+
+  const payload = body.payload || {};
+  const handoff = payload.chat_id ? await findExternalHandoff(CHANNEL, payload.chat_id) : null;
+  if (!handoff || handoff.status === 'closed') {
+    return { handled: false, reason: 'no open handoff for this chat' };
+  }
+
+  switch (body.action) {
+    case 'incoming_event':
+      return handleIncomingEvent(handoff, payload);
+    case 'user_added_to_chat':
+      return handleAgentAdded(handoff, payload);
+    case 'chat_deactivated':
+      return handleChatDeactivated(handoff);
+    default:
+      return { handled: false, reason: `unsupported action ${body.action}` };
+  }
+}
+
+// ---------------------------------------------------------
+// Handoff channel
+// ---------------------------------------------------------
+
+/**
+ * Register the bridge as a handoff channel when LiveChat is configured
+ * @returns {boolean} Whether the bridge was registered
+ */
+export function registerLiveChatBridge() {
+  if (!isLiveChatEnabled()) {
+    console.log('ℹ️ LiveChat bridge disabled (LIVECHAT_* not configured)');
+    return false;
+  }
+
+  registerHandoffChannel({
+    name: CHANNEL,
+    onHandoffRequested: (handoff) => transferToLiveChat(handoff),
+    onCustomerMessage: async (handoff, message) => {
+      if (handoff.external?.channel !== CHANNEL) return;
+      await sendCustomerMessage(handoff.external.id, message.content);
+    },
+    onHandoffClosed: async (handoff, closedBy) => {
+      if (handoff.external?.channel !== CHANNEL || closedBy?.channel === CHANNEL) return;
+      await closeLiveChat(handoff.external.id);
+    }
+  });
+  return true;
+}
+
+export default {
+  isLiveChatEnabled,
+  createCustomerToken,
+  formatTranscript,
+  sendCustomerMessage,
+  sendAgentMessage,
+  transferToLiveChat,
+  closeLiveChat,
+  handleLiveChatWebhook,
+  registerLiveChatBridge
+};
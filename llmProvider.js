@@ -0,0 +1,310 @@
+// llmProvider.js - Language model providers with retries and model fallback
+//
+// Everything that calls a model goes through a provider:
+//   chat(params)       -> { message: { content, tool_calls }, usage, model }
+//   stream(params)     -> async iterable of { content, toolCallDeltas, usage, model }
+//   transcribe(audio)  -> { text, durationSeconds, model }
+//   speak(request)     -> { audio (Buffer), mimeType, model }
+// Chat params are { model, messages, temperature, maxTokens, tools, toolChoice,
+// responseFormat, signal } with messages in the OpenAI format (images are image_url parts);
+// aborting signal (an AbortSignal) cancels the request upstream and rejects with an AbortError.
+// usage is { inputTokens, outputTokens }; model is the model that answered.
+//
+// createOpenAIProvider calls OpenAI, createFakeProvider answers deterministically
+// offline (LLM_PROVIDER=fake, tests). createResilientProvider wraps either with retries
+// on transient errors and the fallback models (LLM_FALLBACK_MODELS).
+
+import { getConfig } from './config.js';
+import { estimateTokens, estimateMessagesTokens } from './contextBuilder.js';
+
+// Network failures without an HTTP status that are worth retrying
+const TRANSIENT_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Whether a failed call may succeed when repeated (timeouts, rate limits, 5xx)
+ * @param {Error} error - Error from a provider
+ * @returns {boolean} Transient
+ */
+export function isTransientError(error) {
+  if (error?.status) {
+    return [408, 409, 429].includes(error.status) || error.status >= 500;
+  }
+  return TRANSIENT_ERROR_NAMES.includes(error?.constructor?.name) ||
+    TRANSIENT_ERROR_CODES.includes(error?.code || error?.cause?.code);
+}
+
+/**
+ * Whether the requested model can't be used at all (worth trying the next model)
+ * @param {Error} error - Error from a provider
+ * @returns {boolean} Model unavailable
+ */
+function isModelUnavailable(error) {
+  return error?.status === 404 || error?.code === 'model_not_found';
+}
+
+const fromOpenAIUsage = (usage) => (usage
+  ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+  : null);
+
+/**
+ * OpenAI request body for provider chat params
+ * @param {Object} params - Provider chat params
+ * @returns {Object} chat.completions.create body
+ */
+function toOpenAIParams({ model, messages, temperature, maxTokens, tools, toolChoice, responseFormat }) {
+  return {
+    model,
+    messages,
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    ...(tools?.length ? { tools, tool_choice: toolChoice || 'auto' } : {}),
+    ...(responseFormat ? { response_format: responseFormat } : {})
+  };
+}
+
+/**
+ * Create the OpenAI provider
+ * @param {Object} openai - OpenAI client
+ * @returns {Object} Provider
+ */
+export function createOpenAIProvider(openai) {
+  // createResilientProvider retries, the SDK must not retry on its own as well
+  const requestOptions = { maxRetries: 0 };
+  const chatRequestOptions = (params) => (params.signal ? { ...requestOptions, signal: params.signal } : requestOptions);
+
+  return {
+    name: 'openai',
+
+    async chat(params) {
+      const completion = await openai.chat.completions.create(toOpenAIParams(params), chatRequestOptions(params));
+      return {
+        message: completion.choices[0].message,
+        usage: fromOpenAIUsage(completion.usage),
+        model: params.model
+      };
+    },
+
+    async *stream(params) {
+      // The last chunk carries the token usage
+      const stream = await openai.chat.completions.create({
+        ...toOpenAIParams(params),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, chatRequestOptions(params));
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta || {};
+        yield {
+          content: delta.content || '',
+          toolCallDeltas: delta.tool_calls || null,
+          usage: fromOpenAIUsage(chunk.usage),
+          model: params.model
+        };
+      }
+    },
+
+    async transcribe({ audio, mimeType, filename, language, model = getConfig().llm.transcriptionModel }) {
+      const transcription = await openai.audio.transcriptions.create({
+        file: new File([audio], filename, { type: mimeType }),
+        model,
+        response_format: 'verbose_json', // includes the audio duration
+        ...(language ? { language } : {})
+      }, requestOptions);
+
+      return { text: transcription.text || '', durationSeconds: transcription.duration ?? null, model };
+    },
+
+    async speak({ text, voice = 'nova', speed = 1.0, model = getConfig().llm.speechModel }) {
+      const response = await openai.audio.speech.create({ model, voice, input: text, speed }, requestOptions);
+      return { audio: Buffer.from(await response.arrayBuffer()), mimeType: 'audio/mpeg', model };
+    }
+  };
+}
+
+// Text of the last user message (multipart content included)
+function lastUserText(messages = []) {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  return (message.content || []).filter(part => part.type === 'text').map(part => part.text).join(' ');
+}
+
+// Error thrown by the fake provider when the request's signal is aborted
+function abortError() {
+  const error = new Error('Request was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Default answer of the fake provider - echoes the question, '{}' for JSON requests
+ * @param {Object} params - Chat params
+ * @returns {string} Answer
+ */
+function defaultFakeReply(params) {
+  if (params.responseFormat?.type === 'json_object') return '{}';
+  const question = lastUserText(params.messages).slice(0, 200);
+  return `[${params.model}] Svar við: "${question}"`;
+}
+
+/**
+ * Create the fake provider - deterministic answers without network access
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.reply] - (params) => string or { content, tool_calls }
+ * @param {Function} [options.fail] - (kind, params) => Error to throw, or null
+ * @param {number} [options.chunkDelayMs] - Pause before each streamed word (LLM_FAKE_CHUNK_DELAY_MS)
+ * @returns {Object} Provider, with `calls` listing every call { kind, params }
+ */
+export function createFakeProvider({ reply = defaultFakeReply, fail = () => null, chunkDelayMs = 0 } = {}) {
+  const calls = [];
+
+  const answer = async (kind, params) => {
+    calls.push({ kind, params });
+    if (params.signal?.aborted) throw abortError();
+    const error = fail(kind, params);
+    if (error) throw error;
+
+    const result = await reply(params);
+    const message = typeof result === 'string'
+      ? { role: 'assistant', content: result }
+      : { role: 'assistant', content: result?.content ?? null, ...(result?.tool_calls ? { tool_calls: result.tool_calls } : {}) };
+
+    const usage = {
+      inputTokens: estimateMessagesTokens(params.messages || []),
+      outputTokens: estimateTokens(message.content || JSON.stringify(message.tool_calls || ''))
+    };
+    return { message, usage, model: params.model };
+  };
+
+  return {
+    name: 'fake',
+    calls,
+
+    chat: (params) => answer('chat', params),
+
+    async *stream(params) {
+      const { message, usage, model } = await answer('stream', params);
+
+      // One chunk per word, tool calls in a single delta
+      for (const word of (message.content || '').match(/\S+\s*/g) || []) {
+        if (chunkDelayMs > 0) await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
+        if (params.signal?.aborted) throw abortError();
+        yield { content: word, toolCallDeltas: null, usage: null, model };
+      }
+      if (message.tool_calls) {
+        yield {
+          content: '',
+          toolCallDeltas: message.tool_calls.map((call, index) => ({ index, ...call })),
+          usage: null,
+          model
+        };
+      }
+      yield { content: '', toolCallDeltas: null, usage, model };
+    },
+
+    async transcribe({ audio, language, model = getConfig().llm.transcriptionModel }) {
+      calls.push({ kind: 'transcribe', params: { size: audio.length, language, model } });
+      const error = fail('transcribe', { audio, language, model });
+      if (error) throw error;
+      // Duration estimated at ~32 kbit/s
+      return { text: `Prófun: ${audio.length} bæti af hljóði`, durationSeconds: Math.ceil(audio.length / 4000), model };
+    },
+
+    async speak({ text, voice = 'nova', model = getConfig().llm.speechModel }) {
+      calls.push({ kind: 'speak', params: { text, voice, model } });
+      const error = fail('speak', { text, voice, model });
+      if (error) throw error;
+      return { audio: Buffer.from(`FAKE-AUDIO:${voice}:${text}`), mimeType: 'audio/mpeg', model };
+    }
+  };
+}
+
+/**
+ * Wrap a provider with retries and fallback models
+ * Each model is retried with exponential backoff on transient errors, then the next
+ * fallback model is tried. A stream is only retried before its first event - once text
+ * has reached the customer the error is passed on.
+ *
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fallbackModels] - Chat models tried after the requested one
+ * @param {number} [options.maxRetries] - Retries per model
+ * @param {number} [options.retryBaseMs] - First backoff delay (doubles per retry)
+ * @param {Function} [options.sleep] - Delay function (tests)
+ * @returns {Object} Provider
+ */
+export function createResilientProvider(provider, {
+  fallbackModels = getConfig().llm.fallbackModels,
+  maxRetries = getConfig().llm.maxRetries,
+  retryBaseMs = getConfig().llm.retryBaseMs,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  /**
+   * Run a call with retries on transient errors
+   * @param {string} label - What is being called, for logs
+   * @param {Function} call - () => Promise
+   */
+  async function withRetries(label, call, signal = null) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await call();
+      } catch (error) {
+        if (signal?.aborted || !isTransientError(error) || attempt >= maxRetries) throw error;
+
+        const delay = retryBaseMs * 2 ** attempt;
+        console.warn(`⚠️ ${label} failed (${error.status || error.code || error.message}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Run a chat call on the requested model, then on each fallback model
+   * @param {Object} params - Chat params
+   * @param {Function} call - (params) => Promise
+   */
+  async function withFallback(params, call) {
+    const models = [params.model, ...fallbackModels.filter(model => model !== params.model)];
+
+    for (const [index, model] of models.entries()) {
+      try {
+        return await withRetries(`${provider.name} ${model}`, () => call({ ...params, model }), params.signal);
+      } catch (error) {
+        const next = models[index + 1];
+        if (!next || params.signal?.aborted || !(isTransientError(error) || isModelUnavailable(error))) throw error;
+        console.warn(`🔀 ${model} unavailable (${error.status || error.code || error.message}), falling back to ${next}`);
+      }
+    }
+  }
+
+  return {
+    name: provider.name,
+
+    chat: (params) => withFallback(params, (attemptParams) => provider.chat(attemptParams)),
+
+    async *stream(params) {
+      // Open the stream and read its first event inside the retry loop
+      const { iterator, first } = await withFallback(params, async (attemptParams) => {
+        const iterator = provider.stream(attemptParams)[Symbol.asyncIterator]();
+        return { iterator, first: await iterator.next() };
+      });
+
+      for (let step = first; !step.done; step = await iterator.next()) {
+        yield step.value;
+      }
+    },
+
+    transcribe: (request) => withRetries(`${provider.name} transcription`, () => provider.transcribe(request)),
+
+    speak: (request) => withRetries(`${provider.name} speech`, () => provider.speak(request))
+  };
+}
+
+export default {
+  isTransientError,
+  createOpenAIProvider,
+  createFakeProvider,
+  createResilientProvider
+};
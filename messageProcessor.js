@@ -1,9 +1,11 @@
 // messageProcessor.js - Single source of truth for message handling
 
 import { v4 as uuidv4 } from 'uuid';
-import { connectToDatabase } from './database.js';
+import { getRepositories, withTransaction } from './repositories/repositoryRegistry.js';
 import { normalizeConversation, normalizeMessage } from './dataModels.js';
 import { getOrCreateSession } from './sessionManager.js';
+import { analyticsRequest } from './analyticsClient.js';
+import { httpError } from './utils/httpError.js';
 
 // Deduplication cache
 const processedMessages = new Set();
@@ -14,12 +16,18 @@ const analyticsSentMessages = new Map();
 /**
  * Process a message pair (user message + bot response) with deduplication
  * 
- * This is the main entry point for all message processing in the system
+ * This is the main entry point for all message processing in the system. The pair is
+ * stored with an analytics outbox event; sending it is up to the caller
+ * (deliverConversation in analyticsOutbox.js)
  * 
  * @param {string} userMessage - The user's message
  * @param {string} botResponse - The bot's response
  * @param {Object} metadata - Additional metadata about the interaction
- * @returns {Promise<Object>} Processing result with IDs and status
+ * @param {boolean} [metadata.truncated] - The answer was stopped before it was complete
+ * @param {boolean} [metadata.regenerate] - The answer replaces the last bot message
+ * @returns {Promise<Object>} Processing result with IDs, status, the outbox event ID
+ *   (null when storage failed), the normalized conversation sent to analytics and, for a
+ *   regenerated answer, replacedMessageId
  */
 export async function processMessagePair(userMessage, botResponse, metadata = {}) {
   try {
@@ -41,15 +49,16 @@ export async function processMessagePair(userMessage, botResponse, metadata = {}
       };
     }
 
-    // Get session information from the session manager
-    const sessionInfo = await getOrCreateSession(metadata.sessionId);
+    // Get session information from the session manager - sessions belong to the tenant
+    const sessionInfo = await getOrCreateSession(metadata.sessionId, metadata.clientId);
     console.log(`📊 Using session ID: ${sessionInfo.sessionId}, conversation ID: ${sessionInfo.conversationId}`);
 
     // DEDUPLICATION CHECK: Create a unique signature for this message pair
     const messageSignature = `${sessionInfo.conversationId}:${userMessage.substring(0, 40)}:${botResponse.substring(0, 40)}`;
     
-    // Check if we've already processed this exact message pair recently
-    if (processedMessages.has(messageSignature)) {
+    // Check if we've already processed this exact message pair recently - a regenerated
+    // answer may well repeat the one it replaces
+    if (!metadata.regenerate && processedMessages.has(messageSignature)) {
       console.log(`⚠️ Prevented duplicate message processing: ${messageSignature}`);
       return { 
         success: false, 
@@ -88,14 +97,18 @@ export async function processMessagePair(userMessage, botResponse, metadata = {}
       role: 'assistant',
       sender: 'bot',
       timestamp: new Date(Date.now() + 1).toISOString(), // 1ms later for ordering
-      language: metadata.language || 'en'
+      language: metadata.language || 'en',
+      truncated: metadata.truncated
     });
 
+    // Model usage and cost of the answer (usageTracker.js)
+    if (metadata.usage) normalizedBotMessage.usage = metadata.usage;
+
     // Create a conversation object using the normalized messages
     const conversationData = normalizeConversation({
       id: sessionInfo.conversationId,
       sessionId: sessionInfo.sessionId,
-      clientId: metadata.clientId || 'svorum-strax',
+      clientId: metadata.clientId,
       messages: [normalizedUserMessage, normalizedBotMessage],
       startedAt: sessionInfo.startedAt,
       endedAt: new Date().toISOString(),
@@ -116,19 +129,21 @@ export async function processMessagePair(userMessage, botResponse, metadata = {}
       Topic: ${metadata.topic || 'general'}`
     );
 
-    // Save conversation to MongoDB for persistence
-    await saveConversationToMongoDB(conversationData);
-
-    // Send conversation to analytics system
-    const analyticsResult = await sendConversationToAnalytics(conversationData);
+    // Save conversation with its analytics event - delivered later by analyticsOutbox.js
+    const saved = await saveConversation(conversationData, {
+      regenerate: !!metadata.regenerate,
+      tenantId: sessionInfo.tenantId
+    });
 
-    // Return success with message IDs and PostgreSQL ID (for feedback)
+    // Return success with message IDs and the outbox event (delivery returns the PostgreSQL ID)
     return {
       success: true,
       conversationId: sessionInfo.conversationId,
       userMessageId: userMessageId,
       botMessageId: botMessageId,
-      postgresqlId: analyticsResult?.postgresqlId || null
+      eventId: saved.eventId,
+      conversation: saved.conversation,
+      ...(saved.replacedMessageId ? { replacedMessageId: saved.replacedMessageId } : {})
     };
   } catch (error) {
     console.error('❌ Error processing message pair:', error);
@@ -142,55 +157,74 @@ export async function processMessagePair(userMessage, botResponse, metadata = {}
 }
 
 /**
- * Save conversation data to MongoDB for persistent storage
+ * Save conversation data for persistent storage, with an analytics outbox event in the
+ * same transaction so a stored turn always reaches analytics
+ * A regenerated answer replaces the last bot message and analytics gets only the new
+ * answer, with replacesMessageId; without a bot message to replace the pair is appended.
+ * A conversation stored for another tenant is never written to (409).
  * 
  * @param {Object} conversationData - Normalized conversation data
- * @returns {Promise<boolean>} Success status
+ * @param {Object} [options]
+ * @param {boolean} [options.regenerate] - Replace the last bot message
+ * @param {string} [options.tenantId] - Tenant the conversation belongs to, omitted = its clientId
+ * @returns {Promise<Object>} { eventId (null when storage failed), conversation sent to
+ *   analytics, replacedMessageId }
  */
-async function saveConversationToMongoDB(conversationData) {
+async function saveConversation(conversationData, { regenerate = false, tenantId = conversationData.clientId } = {}) {
   try {
-    // Connect to MongoDB
-    const { db } = await connectToDatabase();
-    
-    // Check if conversation exists
-    const existingConvo = await db.collection('conversations').findOne({
-      id: conversationData.id
-    });
-    
-    if (existingConvo) {
-      // Update existing conversation with new messages
-      await db.collection('conversations').updateOne(
-        { id: conversationData.id },
-        { 
-          $push: { 
-            messages: { 
-              $each: conversationData.messages 
-            } 
-          },
-          $set: {
-            endedAt: conversationData.endedAt,
-            lastActivity: new Date()
-          }
-        }
-      );
-      
-      console.log(`💾 Updated existing conversation: ${conversationData.id}`);
-    } else {
-      // Insert new conversation
-      await db.collection('conversations').insertOne({
-        ...conversationData,
-        createdAt: new Date(),
-        lastActivity: new Date()
+    return await withTransaction(async ({ conversations, analyticsOutbox }) => {
+      const ownerTenantId = await conversations.findTenantId(conversationData.id);
+      if (ownerTenantId && ownerTenantId !== tenantId) {
+        throw httpError(`Conversation ${conversationData.id} belongs to another tenant`, 409);
+      }
+
+      const botMessage = conversationData.messages.at(-1);
+      const regenerated = regenerate
+        ? await conversations.replaceLastBotMessage(conversationData.id, botMessage, { endedAt: conversationData.endedAt })
+        : null;
+
+      if (regenerated) {
+        const payload = {
+          ...conversationData,
+          messages: [{ ...botMessage, replacesMessageId: regenerated.replaced.id }]
+        };
+        const event = await analyticsOutbox.enqueue({
+          type: 'conversation',
+          conversationId: conversationData.id,
+          payload
+        });
+
+        console.log(`💾 Replaced answer ${regenerated.replaced.id} in conversation: ${conversationData.id}`);
+        return { eventId: event.eventId, conversation: payload, replacedMessageId: regenerated.replaced.id };
+      }
+
+      if (ownerTenantId) {
+        // Update existing conversation with new messages
+        await conversations.appendMessages(conversationData.id, conversationData.messages, {
+          endedAt: conversationData.endedAt
+        });
+        
+        console.log(`💾 Updated existing conversation: ${conversationData.id}`);
+      } else {
+        await conversations.create({ ...conversationData, tenantId });
+        
+        console.log(`💾 Created new conversation: ${conversationData.id}`);
+      }
+
+      const event = await analyticsOutbox.enqueue({
+        type: 'conversation',
+        conversationId: conversationData.id,
+        payload: conversationData
       });
-      
-      console.log(`💾 Created new conversation: ${conversationData.id}`);
-    }
-    
-    return true;
+      return { eventId: event.eventId, conversation: conversationData };
+    });
   } catch (error) {
-    console.error('❌ Error saving to MongoDB:', error);
-    // Don't throw - continue processing even if DB storage fails
-    return false;
+    // Another tenant's conversation must not reach analytics either
+    if (error.status === 409) throw error;
+
+    console.error('❌ Error saving conversation:', error);
+    // Don't throw - the caller sends to analytics directly when storage fails
+    return { eventId: null, conversation: conversationData };
   }
 }
 
@@ -198,9 +232,11 @@ async function saveConversationToMongoDB(conversationData) {
  * Send conversation data to analytics system via its API
  * 
  * @param {Object} conversationData - Normalized conversation data
- * @returns {Promise<Object>} Analytics result with PostgreSQL ID
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts on network errors (the outbox retries on its own)
+ * @returns {Promise<Object>} Analytics result with PostgreSQL ID ({ success: false, error } on failure)
  */
-async function sendConversationToAnalytics(conversationData) {
+export async function sendConversationToAnalytics(conversationData, { maxAttempts = 3 } = {}) {
   try {
     // DEDUPLICATION CHECK: Create signature for this specific message set
     const botMessages = conversationData.messages.filter(m => m.role === 'assistant' || m.type === 'bot');
@@ -237,24 +273,16 @@ async function sendConversationToAnalytics(conversationData) {
     
     // Make HTTP request to analytics API (with retry for transient failures)
     let analyticsResponse;
-    const maxRetries = 3;
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
-        analyticsResponse = await fetch('https://hysing.svorumstrax.is/api/conversations', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': process.env.ANALYTICS_API_KEY || 'sky-lagoon-secret-2024'
-          },
-          body: JSON.stringify(conversationData),
-          signal: AbortSignal.timeout(10000), // 10s timeout per attempt
-        });
+        analyticsResponse = await analyticsRequest('conversations', { method: 'POST', body: conversationData });
         break; // Success - exit retry loop
       } catch (fetchError) {
-        console.warn(`⚠️ Analytics send attempt ${attempt}/${maxRetries} failed:`, fetchError.message);
-        if (attempt === maxRetries) {
-          console.error(`❌ All ${maxRetries} analytics send attempts failed`);
-          return { success: false, postgresqlId: null };
+        console.warn(`⚠️ Analytics send attempt ${attempt}/${maxAttempts} failed:`, fetchError.message);
+        // No point waiting for another attempt while the circuit is open
+        if (attempt === maxAttempts || fetchError.code === 'CIRCUIT_OPEN') {
+          console.error(`❌ All ${maxAttempts} analytics send attempts failed`);
+          return { success: false, postgresqlId: null, error: fetchError.message };
         }
         // Wait before retry: 1s, 2s, 4s
         await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)));
@@ -273,8 +301,7 @@ async function sendConversationToAnalytics(conversationData) {
         if (responseData && responseData.messages && Array.isArray(responseData.messages)) {
           console.log(`✅ Received ${responseData.messages.length} message IDs from analytics`);
           
-          // Connect to MongoDB for ID mapping
-          const { db } = await connectToDatabase();
+          const { messageMappings } = getRepositories();
           
           // Process each message ID mapping
           for (let i = 0; i < responseData.messages.length; i++) {
@@ -283,7 +310,7 @@ async function sendConversationToAnalytics(conversationData) {
             
             if (pgMessage && pgMessage.id && originalMessage && originalMessage.id) {
               // Store mapping between MongoDB ID and PostgreSQL ID
-              await db.collection('message_id_mappings').insertOne({
+              await messageMappings.insert({
                 mongodbId: originalMessage.id,
                 postgresqlId: pgMessage.id,
                 content: originalMessage.content || '',
@@ -335,11 +362,11 @@ async function sendConversationToAnalytics(conversationData) {
       // Handle API error
       const responseText = await analyticsResponse.text();
       console.error('❌ Error from analytics system:', responseText);
-      return { success: false, postgresqlId: null };
+      return { success: false, postgresqlId: null, error: `HTTP ${analyticsResponse.status}: ${responseText.slice(0, 200)}` };
     }
   } catch (error) {
     console.error('❌ Error sending to analytics:', error);
-    return { success: false, postgresqlId: null };
+    return { success: false, postgresqlId: null, error: error.message };
   }
 }
 
@@ -353,27 +380,16 @@ export async function getMessageFeedback(messageId) {
   try {
     console.log(`🔍 Looking up feedback for message: ${messageId}`);
     
-    // Connect to MongoDB
-    const { db } = await connectToDatabase();
+    const { messageMappings, feedback: feedbackRepository } = getRepositories();
     
     // Try to find mapping first (in case this is a MongoDB ID)
-    const mapping = await db.collection('message_id_mappings').findOne({
-      $or: [
-        { mongodbId: messageId },
-        { postgresqlId: messageId }
-      ]
-    });
+    const mapping = await messageMappings.find({ mongodbId: messageId, postgresqlId: messageId });
     
     // Get the PostgreSQL ID from mapping or use messageId directly
     const pgId = mapping?.postgresqlId || messageId;
     
-    // Look up feedback in MongoDB
-    const feedback = await db.collection('message_feedback').findOne({
-      $or: [
-        { messageId: messageId },
-        { postgresqlId: pgId }
-      ]
-    });
+    // Look up stored feedback
+    const feedback = await feedbackRepository.findForMessage({ messageId, postgresqlId: pgId });
     
     // If found in MongoDB, return it
     if (feedback) {
@@ -386,11 +402,7 @@ export async function getMessageFeedback(messageId) {
     }
     
     // If not in MongoDB, try the analytics API
-    const apiResponse = await fetch(`https://hysing.svorumstrax.is/api/feedback/message?messageId=${encodeURIComponent(pgId)}`, {
-      headers: {
-        'x-api-key': process.env.ANALYTICS_API_KEY || 'sky-lagoon-secret-2024'
-      }
-    });
+    const apiResponse = await analyticsRequest('feedbackLookup', { query: { messageId: pgId } });
     
     if (apiResponse.ok) {
       const apiData = await apiResponse.json();
@@ -427,18 +439,15 @@ export async function submitMessageFeedback(messageId, isPositive, comment = nul
   try {
     console.log(`📝 Submitting ${isPositive ? 'positive' : 'negative'} feedback for message: ${messageId}`);
     
-    // Connect to MongoDB
-    const { db } = await connectToDatabase();
+    const { messageMappings, feedback } = getRepositories();
     
     // Find mapping if it exists
-    const mapping = await db.collection('message_id_mappings').findOne({
-      mongodbId: messageId
-    });
+    const mapping = await messageMappings.find({ mongodbId: messageId });
     
     const postgresqlId = mapping?.postgresqlId || null;
     
-    // Store feedback in MongoDB
-    await db.collection('message_feedback').insertOne({
+    // Store feedback
+    await feedback.insert({
       messageId,
       postgresqlId,
       isPositive,
@@ -456,20 +465,16 @@ export async function submitMessageFeedback(messageId, isPositive, comment = nul
     try {
       console.log(`📤 Forwarding feedback to analytics system`);
       
-      const analyticsResponse = await fetch('https://hysing.svorumstrax.is/api/public-feedback', {
+      const analyticsResponse = await analyticsRequest('feedback', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.ANALYTICS_API_KEY || 'sky-lagoon-secret-2024'
-        },
-        body: JSON.stringify({
+        body: {
           messageId: postgresqlId || messageId,
           rating: isPositive,
           comment,
           // Include additional metadata
           source: 'message_processor',
           timestamp: new Date().toISOString()
-        })
+        }
       });
       
       if (analyticsResponse.ok) {
@@ -514,30 +519,19 @@ export async function createMessageIdMapping(mongodbId, postgresqlId, content =
     
     console.log(`🔗 Creating mapping: ${mongodbId} -> ${postgresqlId}`);
     
-    // Connect to MongoDB
-    const { db } = await connectToDatabase();
+    const { messageMappings } = getRepositories();
     
     // Check if mapping already exists
-    const existingMapping = await db.collection('message_id_mappings').findOne({
-      $or: [
-        { mongodbId },
-        { postgresqlId }
-      ]
-    });
+    const existingMapping = await messageMappings.find({ mongodbId, postgresqlId });
     
     if (existingMapping) {
       // Update existing mapping
-      await db.collection('message_id_mappings').updateOne(
-        { _id: existingMapping._id },
-        { 
-          $set: { 
-            mongodbId, 
-            postgresqlId,
-            ...(content ? { content } : {}),
-            updatedAt: new Date()
-          } 
-        }
-      );
+      await messageMappings.update(existingMapping._id, {
+        mongodbId, 
+        postgresqlId,
+        ...(content ? { content } : {}),
+        updatedAt: new Date()
+      });
       
       console.log(`✅ Updated existing mapping: ${mongodbId} -> ${postgresqlId}`);
       return {
@@ -550,7 +544,7 @@ export async function createMessageIdMapping(mongodbId, postgresqlId, content =
       };
     } else {
       // Create new mapping with a UUID-based ID if needed
-      const result = await db.collection('message_id_mappings').insertOne({
+      const mappingId = await messageMappings.insert({
         mongodbId,
         postgresqlId,
         ...(content ? { content } : {}),
@@ -566,7 +560,7 @@ export async function createMessageIdMapping(mongodbId, postgresqlId, content =
         mapping: {
           mongodbId,
           postgresqlId,
-          _id: result.insertedId
+          _id: mappingId
         }
       };
     }
@@ -582,6 +576,7 @@ export async function createMessageIdMapping(mongodbId, postgresqlId, content =
 
 export default {
   processMessagePair,
+  sendConversationToAnalytics,
   getMessageFeedback,
   submitMessageFeedback,
   createMessageIdMapping
@@ -0,0 +1,108 @@
+// operatorConsole.js - Operator WebSocket channel for human handoff
+//
+// Operators connect to /operator?token=...&name=... with OPERATOR_API_KEY and work
+// every tenant's handoffs, or to /operator?key=...&name=... with a tenant's
+// operator-scoped API key and only see that tenant's (authenticated in index.js
+// before the upgrade). Incoming frames:
+//   { type: 'list' }                               -> { type: 'queue', handoffs }
+//   { type: 'claim', handoffId }                   -> { type: 'claimed', handoff } + history
+//   { type: 'history', handoffId }                 -> { type: 'history', ... }
+//   { type: 'reply', handoffId, content }          -> { type: 'reply-sent', messageId, delivered }
+//   { type: 'release', handoffId, note }           -> { type: 'released', handoff }
+// Pushed frames: handoff-queued, handoff-updated, customer-message.
+
+import {
+  registerOperatorSocket,
+  unregisterOperatorSocket,
+  listHandoffs,
+  claimHandoff,
+  getHandoffHistory,
+  sendOperatorMessage,
+  releaseHandoff
+} from './handoffManager.js';
+
+/**
+ * Handle a frame from an operator
+ * @param {Object} data - Parsed frame
+ * @param {Object} operator - { operatorId, name, tenantId }
+ * @returns {Promise<Object>} Response frame
+ */
+async function handleOperatorFrame(data, operator) {
+  switch (data.type) {
+    case 'list':
+      return { type: 'queue', handoffs: await listHandoffs({ tenantId: operator.tenantId }) };
+
+    case 'claim': {
+      const handoff = await claimHandoff(data.handoffId, operator);
+      return { type: 'claimed', handoff, ...await getHandoffHistory(data.handoffId, operator) };
+    }
+
+    case 'history':
+      return { type: 'history', ...await getHandoffHistory(data.handoffId, operator) };
+
+    case 'reply': {
+      const { message, delivered } = await sendOperatorMessage(data.handoffId, operator, data.content);
+      return { type: 'reply-sent', handoffId: data.handoffId, messageId: message.id, delivered };
+    }
+
+    case 'release':
+      return { type: 'released', handoff: await releaseHandoff(data.handoffId, operator, { note: data.note }) };
+
+    case 'ping':
+      return { type: 'pong' };
+
+    default:
+      return { type: 'error', error: `Unknown frame type: ${data.type}` };
+  }
+}
+
+/**
+ * Wire an operator WebSocket server
+ * @param {WebSocketServer} operatorWss - Server receiving authenticated operator connections
+ */
+export function attachOperatorConsole(operatorWss) {
+  operatorWss.on('connection', (ws, req, operator) => {
+    console.log(`🎧 Operator connected: ${operator.name}`);
+    registerOperatorSocket(ws, operator);
+
+    // Current queue straight away
+    listHandoffs({ tenantId: operator.tenantId })
+      .then(handoffs => ws.send(JSON.stringify({ type: 'queue', handoffs })))
+      .catch(error => console.error('❌ Error sending handoff queue:', error));
+
+    ws.on('message', async (raw) => {
+      let data;
+      try {
+        data = JSON.parse(raw);
+      } catch {
+        ws.send(JSON.stringify({ type: 'error', error: 'Invalid message format' }));
+        return;
+      }
+
+      try {
+        ws.send(JSON.stringify({ requestId: data.requestId, ...await handleOperatorFrame(data, operator) }));
+      } catch (error) {
+        if (!error.status || error.status >= 500) {
+          console.error(`❌ Operator ${data.type} failed:`, error);
+        }
+        ws.send(JSON.stringify({
+          type: 'error',
+          requestId: data.requestId,
+          action: data.type,
+          error: error.status && error.status < 500 ? error.message : 'Operator action failed'
+        }));
+      }
+    });
+
+    ws.on('close', () => {
+      console.log(`🎧 Operator disconnected: ${operator.name}`);
+      unregisterOperatorSocket(ws);
+    });
+
+    ws.on('error', (error) => {
+      console.error('❌ Operator WebSocket error:', error);
+    });
+  });
+}
+
+export default { attachOperatorConsole };
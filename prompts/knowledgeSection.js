@@ -0,0 +1,28 @@
+// Knowledge Section
+// Purpose: The retrieved-knowledge part of every system prompt, shared by the built-in
+// Svörum strax prompt and tenants' own instructions
+
+/**
+ * Format retrieved knowledge chunks for the prompt, each tagged with its source ID
+ * @param {Array} knowledge - Retrieved chunks { sourceId, title, content }
+ * @param {string} [contact] - How customers reach the company, offered when nothing matched
+ * @returns {string} Prompt section
+ */
+export function formatKnowledge(knowledge, contact = '') {
+  if (!knowledge || knowledge.length === 0) {
+    return `
+  📖 RELEVANT KNOWLEDGE:
+  No knowledge base entries matched this question. Do not invent details${contact ? ` - refer the customer to ${contact}` : ''}.`;
+  }
+
+  const entries = knowledge
+    .map(chunk => `  [${chunk.sourceId}] ${chunk.title}\n${chunk.content.split('\n').map(line => `  ${line}`).join('\n')}`)
+    .join('\n\n');
+
+  return `
+  📖 RELEVANT KNOWLEDGE (source IDs in brackets - use these facts, never show the IDs to the customer):
+
+${entries}`;
+}
+
+export default { formatKnowledge };
@@ -0,0 +1,241 @@
+// Svörum strax knowledge base seed documents
+// Service catalogue, packages, testimonials, careers and contacts that used to be
+// embedded in the system prompt. Seeded into MongoDB (knowledge_documents) on first
+// use and retrieved per question by knowledgeBase.js.
+
+export const KNOWLEDGE_SEED_DOCUMENTS = [
+  {
+    sourceId: 'services-phone-answering',
+    title: 'Almenn símsvörun (General Phone Answering)',
+    category: 'services',
+    content: `ALMENN SÍMSVÖRUN (General Phone Answering)
+- Answer calls in your company's name
+- Take detailed messages
+- Forward calls to appropriate staff
+- Quick setup (within 1 week)
+- Perfect for handling overflow and off-hours
+- Cost-effective solution`
+  },
+  {
+    sourceId: 'services-customer-service-center',
+    title: 'Þjónustuver (Full Customer Service Center)',
+    category: 'services',
+    content: `ÞJÓNUSTUVER (Full Customer Service Center)
+- Fully trained staff who know your business
+- Answer complex questions
+- Handle customer issues
+- Access your systems (CRM, booking, etc.)
+- Become part of your team
+- Professional and experienced agents
+- Setup: 15-30 days`
+  },
+  {
+    sourceId: 'services-ai-agents',
+    title: 'Gervigreindarfulltrúar (AI Agents)',
+    category: 'services',
+    content: `GERVIGREINDARFULLTRÚAR (AI Agents)
+- 24/7 availability - never miss a call
+- Trained on your products, prices, policies
+- Handles bookings and orders
+- Answers complex questions
+- Escalates to humans when needed
+- Learns from every conversation
+- Integrates with your systems`
+  },
+  {
+    sourceId: 'services-ai-human',
+    title: 'Gervigreind + mannleg þjónusta (AI + Human Service)',
+    category: 'services',
+    content: `GERVIGREIND + MANNLEG ÞJÓNUSTA (AI + Human Service)
+- Best of both worlds
+- AI handles routine inquiries 24/7
+- Humans handle complex issues
+- Seamless handoff between AI and agents
+- Maximum efficiency and coverage
+- Our most popular solution`
+  },
+  {
+    sourceId: 'services-email',
+    title: 'Tölvupóstur (Email Service)',
+    category: 'services',
+    content: `TÖLVUPÓSTUR (Email Service)
+- Professional email responses
+- Categorize and prioritize
+- Forward complex matters to right department
+- Quick turnaround time
+- Maintain your brand voice`
+  },
+  {
+    sourceId: 'services-outbound',
+    title: 'Úthringingar (Outbound Calling)',
+    category: 'services',
+    content: `ÚTHRINGINGAR (Outbound Calling)
+- Experienced B2B and B2C sales teams
+- Modern CRM systems
+- Performance tracking
+- Lead generation
+- Customer follow-up
+- Appointment setting`
+  },
+  {
+    sourceId: 'services-staff-leasing',
+    title: 'Stöðugildi til leigu (Staff Leasing)',
+    category: 'services',
+    content: `STÖÐUGILDI TIL LEIGU (Staff Leasing)
+- Dedicated employees for your company
+- No administrative overhead
+- Fully trained staff
+- Work exclusively for you
+- Based in Barcelona`
+  },
+  {
+    sourceId: 'services-accounting',
+    title: 'Bókhaldsþjónusta (Accounting Services)',
+    category: 'services',
+    content: `BÓKHALDSÞJÓNUSTA (Accounting Services)
+- Full bookkeeping in Uniconta
+- VAT returns
+- Annual accounts
+- Tax returns
+- Led by Jóel Kristinsson (M.acc, experienced accountant)`
+  },
+  {
+    sourceId: 'services-analytics',
+    title: 'Viðskiptagreining (Business Analytics)',
+    category: 'services',
+    content: `VIÐSKIPTAGREINING (Business Analytics)
+- AI analyzes all interactions
+- Identify sales opportunities
+- Customer satisfaction insights
+- Demand forecasting
+- Operational insights
+- Data-driven decision making`
+  },
+  {
+    sourceId: 'package-girona',
+    title: 'Girona package',
+    category: 'packages',
+    content: `GIRONA (Starting Package)
+- Phone answering service
+- 40 calls included
+- Business hours coverage
+- Basic appointment booking
+- Perfect for small businesses`
+  },
+  {
+    sourceId: 'package-bilbao',
+    title: 'Bilbao package',
+    category: 'packages',
+    content: `BILBAO (Popular Package)
+- Phone answering service
+- 100 calls included
+- Business hours coverage
+- Appointment booking
+- Great for small-medium businesses`
+  },
+  {
+    sourceId: 'package-valencia',
+    title: 'Valencia package',
+    category: 'packages',
+    content: `VALENCIA (Recommended Package)
+- Phone answering service
+- 300 calls included
+- Business hours coverage
+- Appointment booking
+- Full customer service
+- Simplifies your operations`
+  },
+  {
+    sourceId: 'package-barcelona',
+    title: 'Barcelona package',
+    category: 'packages',
+    content: `BARCELONA (Premium Package)
+- Unlimited calls
+- Custom working hours
+- Appointment booking
+- Sales support
+- Email handling
+- Switchboard service
+- Monthly reports
+- Custom projects
+- Dedicated staff member
+- Full customer service center
+- Perfect for larger companies`
+  },
+  {
+    sourceId: 'company-benefits',
+    title: 'Key benefits',
+    category: 'company',
+    content: `- Up to 40% more cost-effective than similar services in Iceland
+- Smart integration of human expertise and AI technology
+- Measurable results: 240,000+ calls and emails per year
+- Real-time business insights through AI analysis
+- Setup within 7-30 days depending on service
+- Icelandic specialists who understand your market`
+  },
+  {
+    sourceId: 'company-testimonials',
+    title: 'Client testimonials',
+    category: 'testimonials',
+    content: `
+"FlyOver Iceland nýtir sér þjónustu Svörum strax og erum við virkilega ánægð með þetta fyrirkomulag. Starfsfólk Svörum strax var mjög fljótt að læra inn á þjónustu okkar og einkennist öll samskipti af faglegum vinnubrögðum og góðu viðmóti." - Erla Björg Hafsteinsdóttir, FlyOver Iceland
+
+"Ég get hiklaust mælt með Svörum strax, þau hafa veitt Rafal trausta og góða þjónustu frá fyrsta degi." - Hulda Símonardóttir, Rafal
+
+"Epal hefur nýtt sér yfirfallsþjónustu hjá Svörum strax síðan í lok árs 2022 en þjónustan hefur verið til fyrirmyndar og einkennist af fagmannlegum vinnubrögðum." - Kjartan Páll Eyjólfsson, Epal`
+  },
+  {
+    sourceId: 'careers-barcelona',
+    title: 'Working at Svörum strax in Barcelona',
+    category: 'careers',
+    content: `
+We're one of the largest Icelandic workplaces in Spain with 35+ employees.
+
+POSITIONS AVAILABLE:
+- Customer service representatives
+- Sales agents
+- Accounting staff
+- Remote positions available
+
+REQUIREMENTS:
+- Good Icelandic speaking and writing skills
+- Customer service experience (preferred)
+- Sales experience (preferred but not required)
+- Positive attitude and service mindset
+- NIE (Spanish ID) required for remote work
+
+BENEFITS:
+- Live in Barcelona - one of Europe's most exciting cities
+- Sunny Mediterranean lifestyle
+- Lower cost of living than Iceland
+- Fixed salary plus performance bonuses
+- Flexible working hours (day and evening shifts)
+- Help with accommodation and Spanish ID
+- International work environment
+- Career development opportunities
+- Learn Spanish while working
+
+TO APPLY: Upload your CV (PDF or Word) in the chat, or send it to svorumstrax@svorumstrax.is`
+  },
+  {
+    sourceId: 'contacts-management',
+    title: 'Key management contacts',
+    category: 'contacts',
+    content: `
+Daníel Þór Irvine - Framkvæmdastjóri (CEO)
+📧 daniel@svorumstrax.is
+
+Sveinn Sigurður Rafnsson - Rekstrarstjóri (COO)
+📧 sveinn@svorumstrax.is
+📞 694-8891
+
+Daníel Thorstensen - Sölustjóri (Sales Manager)
+📧 daniel.t@svorumstrax.is
+
+Jóel Kristinsson - Rekstrarstjóri Bókhaldssviðs (Accounting Manager)
+📧 svorumstrax@svorumstrax.is
+Background: M.acc in accounting, 6 years at Deloitte, experienced in financial management`
+  }
+];
+
+export default { KNOWLEDGE_SEED_DOCUMENTS };
@@ -0,0 +1,65 @@
+// Tenant System Prompts
+// Purpose: Pick the system prompt for the tenant a conversation belongs to
+// Tenants either use a built-in prompt (the Svörum strax bot) or their own
+// instructions, wrapped with the date, retrieved knowledge and contact details.
+
+import { getSystemPrompt as getSvorumStraxPrompt } from './svorumstrax-prompt.js';
+import { formatKnowledge } from './knowledgeSection.js';
+
+const BUILTIN_PROMPTS = {
+  'svorum-strax': getSvorumStraxPrompt
+};
+
+/**
+ * Build the system prompt for a tenant
+ *
+ * @param {string} language - 'is' or 'en'
+ * @param {Object} [options]
+ * @param {Array} [options.knowledge] - Retrieved knowledge chunks
+ * @param {Object} [options.tenant] - Tenant (tenantService.js), omitted = Svörum strax
+ * @returns {string} System prompt
+ */
+export function getSystemPrompt(language = 'is', { knowledge = [], tenant = null } = {}) {
+  const prompt = tenant?.prompt || { builtin: 'svorum-strax' };
+
+  if (prompt.builtin) {
+    return BUILTIN_PROMPTS[prompt.builtin](language, { knowledge });
+  }
+
+  const instructions = typeof prompt.instructions === 'string'
+    ? prompt.instructions
+    : prompt.instructions[language] || prompt.instructions.en || prompt.instructions.is;
+
+  const currentDate = new Date().toLocaleDateString('is-IS', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  const currentTime = new Date().toLocaleTimeString('is-IS', {
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return `You are the AI customer assistant for ${tenant.name}.
+
+  ⏰ CURRENT DATE AND TIME:
+  TODAY IS: ${currentDate}
+  CURRENT TIME: ${currentTime}
+
+  🎯 INSTRUCTIONS:
+  ${instructions}
+${formatKnowledge(knowledge, prompt.contact)}
+${prompt.contact ? `
+  📞 CONTACT:
+  ${prompt.contact}
+` : ''}
+  ❌ WHAT NOT TO DO:
+  - Don't invent prices, policies or facts that are not in your instructions or knowledge
+  - Don't make commitments on behalf of the company
+
+  ${language === 'is' ? 'CRITICAL: Respond in PURE Icelandic only - no English mixing!' : 'Respond in English.'}`;
+}
+
+export default { getSystemPrompt };
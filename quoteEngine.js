@@ -0,0 +1,438 @@
+// quoteEngine.js - Deterministic package recommendation
+//
+// Package rules (included calls, coverage, features) live in MongoDB
+// (`package_rules`) so sales can tune them without a deploy. Given the customer's
+// stated call volume, coverage and needs, the engine walks the packages from the
+// smallest tier up and recommends the first one that covers everything, with the
+// reasoning for each package it skipped. Prices are never part of the result -
+// every estimate becomes an internal quote request (`quote_requests`) that the
+// sales team prices and follows up on.
+
+import crypto from 'crypto';
+import { connectToDatabase } from './database.js';
+import { httpError } from './utils/httpError.js';
+
+const RULES_COLLECTION = 'package_rules';
+const QUOTE_REQUESTS_COLLECTION = 'quote_requests';
+
+// How long loaded rules are reused before reading MongoDB again
+const RULES_CACHE_TTL = 60 * 1000;
+
+export const COVERAGE_LEVELS = ['business_hours', 'extended_hours', 'around_the_clock'];
+export const PACKAGE_FEATURES = [
+  'phone_answering',
+  'appointment_booking',
+  'customer_service',
+  'email_handling',
+  'sales_support',
+  'switchboard',
+  'monthly_reports',
+  'custom_projects',
+  'dedicated_staff'
+];
+export const QUOTE_REQUEST_STATUSES = ['open', 'in_progress', 'sent', 'closed'];
+
+// Default rules, matching the package descriptions in the knowledge base
+const DEFAULT_PACKAGE_RULES = [
+  {
+    packageId: 'girona',
+    name: 'Girona',
+    tier: 1,
+    includedCalls: 40,
+    coverage: ['business_hours'],
+    features: ['phone_answering', 'appointment_booking'],
+    active: true
+  },
+  {
+    packageId: 'bilbao',
+    name: 'Bilbao',
+    tier: 2,
+    includedCalls: 100,
+    coverage: ['business_hours'],
+    features: ['phone_answering', 'appointment_booking'],
+    active: true
+  },
+  {
+    packageId: 'valencia',
+    name: 'Valencia',
+    tier: 3,
+    includedCalls: 300,
+    coverage: ['business_hours'],
+    features: ['phone_answering', 'appointment_booking', 'customer_service'],
+    active: true
+  },
+  {
+    packageId: 'barcelona',
+    name: 'Barcelona',
+    tier: 4,
+    includedCalls: null, // unlimited
+    coverage: ['business_hours', 'extended_hours', 'around_the_clock'],
+    features: [...PACKAGE_FEATURES],
+    active: true
+  }
+];
+
+// Global rules cache
+if (!global.packageRulesCache) {
+  global.packageRulesCache = { rules: null, loadedAt: 0 };
+}
+
+// ---------------------------------------------------------
+// Package rules
+// ---------------------------------------------------------
+
+/**
+ * Validate and normalize a package rule
+ * @param {Object} rule - Rule input
+ * @returns {Object} Normalized rule
+ */
+function normalizeRule(rule) {
+  if (!rule?.packageId || !rule.name) {
+    throw httpError('Package rules require packageId and name', 400);
+  }
+
+  const tier = parseInt(rule.tier, 10);
+  if (!Number.isInteger(tier) || tier < 1) {
+    throw httpError('tier must be a positive integer', 400);
+  }
+
+  const includedCalls = rule.includedCalls === null || rule.includedCalls === undefined
+    ? null
+    : parseInt(rule.includedCalls, 10);
+  if (includedCalls !== null && (!Number.isInteger(includedCalls) || includedCalls < 0)) {
+    throw httpError('includedCalls must be a non-negative integer or null (unlimited)', 400);
+  }
+
+  const coverage = rule.coverage || ['business_hours'];
+  const unknownCoverage = coverage.filter(level => !COVERAGE_LEVELS.includes(level));
+  if (unknownCoverage.length > 0) {
+    throw httpError(`Unknown coverage: ${unknownCoverage.join(', ')}`, 400);
+  }
+
+  const features = rule.features || [];
+  const unknownFeatures = features.filter(feature => !PACKAGE_FEATURES.includes(feature));
+  if (unknownFeatures.length > 0) {
+    throw httpError(`Unknown features: ${unknownFeatures.join(', ')}`, 400);
+  }
+
+  return {
+    packageId: rule.packageId,
+    name: rule.name,
+    tier,
+    includedCalls,
+    coverage,
+    features,
+    active: rule.active !== false
+  };
+}
+
+/**
+ * Load active package rules (seeds the defaults when the collection is empty)
+ * Falls back to the defaults if MongoDB is unavailable.
+ *
+ * @returns {Promise<Array>} Rules sorted by tier
+ */
+export async function getPackageRules() {
+  const cache = global.packageRulesCache;
+  if (cache.rules && Date.now() - cache.loadedAt < RULES_CACHE_TTL) {
+    return cache.rules;
+  }
+
+  try {
+    const { db } = await connectToDatabase();
+    const collection = db.collection(RULES_COLLECTION);
+
+    if (await collection.countDocuments() === 0) {
+      console.log(`🌱 Seeding ${DEFAULT_PACKAGE_RULES.length} package rules`);
+      const now = new Date();
+      await collection.insertMany(DEFAULT_PACKAGE_RULES.map(rule => ({ ...rule, createdAt: now, updatedAt: now })));
+    }
+
+    const rules = await collection
+      .find({ active: true }, { projection: { _id: 0 } })
+      .sort({ tier: 1 })
+      .toArray();
+
+    global.packageRulesCache = { rules, loadedAt: Date.now() };
+    return rules;
+  } catch (error) {
+    console.error('❌ Error loading package rules, using defaults:', error);
+    return DEFAULT_PACKAGE_RULES;
+  }
+}
+
+/**
+ * List all package rules, including inactive ones (admin)
+ * @returns {Promise<Array>} Rules sorted by tier
+ */
+export async function listPackageRules() {
+  await getPackageRules(); // seeds an empty collection
+  const { db } = await connectToDatabase();
+  return db.collection(RULES_COLLECTION)
+    .find({}, { projection: { _id: 0 } })
+    .sort({ tier: 1 })
+    .toArray();
+}
+
+/**
+ * Create or replace a package rule
+ * @param {Object} rule - Package rule
+ * @param {Object} [options]
+ * @param {string} [options.editor] - Admin making the change
+ * @returns {Promise<Object>} Stored rule
+ */
+export async function savePackageRule(rule, { editor = null } = {}) {
+  const normalized = normalizeRule(rule);
+  const { db } = await connectToDatabase();
+  const now = new Date();
+
+  await db.collection(RULES_COLLECTION).updateOne(
+    { packageId: normalized.packageId },
+    { $set: { ...normalized, updatedAt: now, updatedBy: editor }, $setOnInsert: { createdAt: now } },
+    { upsert: true }
+  );
+
+  global.packageRulesCache = { rules: null, loadedAt: 0 };
+  console.log(`📦 Package rule saved: ${normalized.packageId}`);
+
+  return db.collection(RULES_COLLECTION).findOne({ packageId: normalized.packageId }, { projection: { _id: 0 } });
+}
+
+// ---------------------------------------------------------
+// Recommendation
+// ---------------------------------------------------------
+
+/**
+ * Validate and normalize the customer's stated requirements
+ * @param {Object} input - { monthlyCalls, coverage, needs }
+ * @returns {Object} Normalized requirements
+ */
+export function normalizeRequirements(input = {}) {
+  const monthlyCalls = input.monthlyCalls === null || input.monthlyCalls === '' ? NaN : Number(input.monthlyCalls);
+  if (!Number.isFinite(monthlyCalls) || monthlyCalls < 0) {
+    throw httpError('monthlyCalls must be a non-negative number', 400);
+  }
+
+  const coverage = input.coverage || 'business_hours';
+  if (!COVERAGE_LEVELS.includes(coverage)) {
+    throw httpError(`coverage must be one of: ${COVERAGE_LEVELS.join(', ')}`, 400);
+  }
+
+  const needs = [...new Set(input.needs || [])];
+  const unknownNeeds = needs.filter(need => !PACKAGE_FEATURES.includes(need));
+  if (unknownNeeds.length > 0) {
+    throw httpError(`Unknown needs: ${unknownNeeds.join(', ')} (allowed: ${PACKAGE_FEATURES.join(', ')})`, 400);
+  }
+
+  // Answering the phone is part of every recommendation
+  if (!needs.includes('phone_answering')) needs.unshift('phone_answering');
+
+  return { monthlyCalls: Math.round(monthlyCalls), coverage, needs };
+}
+
+/**
+ * Check one package against the requirements
+ * @param {Object} rule - Package rule
+ * @param {Object} requirements - Normalized requirements
+ * @returns {Array<string>} Reasons the package does not fit (empty when it fits)
+ */
+function evaluatePackage(rule, requirements) {
+  const shortfalls = [];
+
+  if (rule.includedCalls !== null && requirements.monthlyCalls > rule.includedCalls) {
+    shortfalls.push(`includes ${rule.includedCalls} calls per month, ${requirements.monthlyCalls} expected`);
+  }
+
+  if (!rule.coverage.includes(requirements.coverage)) {
+    shortfalls.push(`does not offer ${requirements.coverage.replace(/_/g, ' ')} coverage`);
+  }
+
+  const missing = requirements.needs.filter(need => !rule.features.includes(need));
+  if (missing.length > 0) {
+    shortfalls.push(`does not include ${missing.map(need => need.replace(/_/g, ' ')).join(', ')}`);
+  }
+
+  return shortfalls;
+}
+
+/**
+ * Recommend a package for the customer's requirements
+ * Deterministic: the smallest tier that covers everything wins. When nothing fits,
+ * the largest package is recommended and flagged as needing a custom solution.
+ *
+ * @param {Object} input - { monthlyCalls, coverage, needs }
+ * @param {Array} [rules] - Package rules (loaded from MongoDB when omitted)
+ * @returns {Promise<Object>} { requirements, recommendedPackage, reasoning, customSolution, considered }
+ */
+export async function estimatePackage(input, rules = null) {
+  const requirements = normalizeRequirements(input);
+  const packages = [...(rules || await getPackageRules())].sort((a, b) => a.tier - b.tier);
+
+  if (packages.length === 0) {
+    throw httpError('No package rules configured', 503);
+  }
+
+  const considered = packages.map(rule => ({
+    packageId: rule.packageId,
+    name: rule.name,
+    shortfalls: evaluatePackage(rule, requirements)
+  }));
+
+  const match = considered.find(entry => entry.shortfalls.length === 0);
+  const recommended = packages.find(rule => rule.packageId === (match || considered[considered.length - 1]).packageId);
+
+  // Explain every smaller package that was skipped
+  const reasoning = considered
+    .slice(0, match ? considered.indexOf(match) : considered.length)
+    .map(entry => `${entry.name}: ${entry.shortfalls.join('; ')}`);
+
+  if (match) {
+    reasoning.push(recommended.includedCalls === null
+      ? `${recommended.name}: unlimited calls and covers all stated needs`
+      : `${recommended.name}: ${recommended.includedCalls} calls per month covers ${requirements.monthlyCalls} expected and all stated needs`);
+  } else {
+    reasoning.push(`No standard package covers everything - ${recommended.name} is the closest and sales will tailor a custom solution`);
+  }
+
+  return {
+    requirements,
+    recommendedPackage: {
+      packageId: recommended.packageId,
+      name: recommended.name,
+      includedCalls: recommended.includedCalls,
+      coverage: recommended.coverage,
+      features: recommended.features
+    },
+    reasoning,
+    customSolution: !match,
+    considered
+  };
+}
+
+// ---------------------------------------------------------
+// Quote requests
+// ---------------------------------------------------------
+
+/**
+ * Create an internal quote request for the sales team
+ * One open request per conversation - a newer estimate in the same conversation
+ * replaces the previous one.
+ *
+ * @param {Object} estimate - Result of estimatePackage
+ * @param {Object} [details]
+ * @param {Object} [details.contact] - { name, email, phone, company }
+ * @param {string} [details.notes] - Notes for sales
+ * @param {string} [details.conversationId] - Chat conversation
+ * @param {string} [details.sessionId] - Chat session
+ * @param {string} [details.source] - 'chat' or 'api'
+ * @returns {Promise<Object>} Stored quote request
+ */
+export async function createQuoteRequest(estimate, { contact = null, notes = null, conversationId = null, sessionId = null, source = 'chat' } = {}) {
+  const { db } = await connectToDatabase();
+  const collection = db.collection(QUOTE_REQUESTS_COLLECTION);
+  const now = new Date();
+
+  const fields = {
+    requirements: estimate.requirements,
+    recommendedPackage: estimate.recommendedPackage.packageId,
+    reasoning: estimate.reasoning,
+    customSolution: estimate.customSolution,
+    updatedAt: now
+  };
+  if (contact) fields.contact = contact;
+  if (notes) fields.notes = notes;
+
+  if (conversationId) {
+    await collection.updateOne(
+      { conversationId, status: 'open' },
+      {
+        $set: fields,
+        $setOnInsert: {
+          quoteRequestId: `qr_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`,
+          sessionId,
+          source,
+          createdAt: now
+        }
+      },
+      { upsert: true }
+    );
+    const stored = await collection.findOne({ conversationId, status: 'open' }, { projection: { _id: 0 } });
+    console.log(`🧾 Quote request ${stored.quoteRequestId} (${stored.recommendedPackage}) for conversation ${conversationId}`);
+    return stored;
+  }
+
+  const quoteRequest = {
+    quoteRequestId: `qr_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`,
+    conversationId: null,
+    sessionId,
+    source,
+    status: 'open',
+    createdAt: now,
+    ...fields
+  };
+  await collection.insertOne(quoteRequest);
+  delete quoteRequest._id;
+
+  console.log(`🧾 Quote request ${quoteRequest.quoteRequestId} (${quoteRequest.recommendedPackage})`);
+  return quoteRequest;
+}
+
+/**
+ * List quote requests
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - Status
+ * @param {string} [filter.recommendedPackage] - Package
+ * @returns {Promise<Array>} Quote requests, newest first
+ */
+export async function listQuoteRequests({ status, recommendedPackage } = {}) {
+  const { db } = await connectToDatabase();
+
+  const query = {};
+  if (status) query.status = status;
+  if (recommendedPackage) query.recommendedPackage = recommendedPackage;
+
+  return db.collection(QUOTE_REQUESTS_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .toArray();
+}
+
+/**
+ * Update a quote request (status, owner, notes)
+ * @param {string} quoteRequestId - Quote request ID
+ * @param {Object} changes - { status, owner, salesNotes }
+ * @returns {Promise<Object>} Updated quote request
+ */
+export async function updateQuoteRequest(quoteRequestId, { status, owner, salesNotes } = {}) {
+  if (status && !QUOTE_REQUEST_STATUSES.includes(status)) {
+    throw httpError(`status must be one of: ${QUOTE_REQUEST_STATUSES.join(', ')}`, 400);
+  }
+
+  const set = { updatedAt: new Date() };
+  if (status) set.status = status;
+  if (owner !== undefined) set.owner = owner;
+  if (salesNotes !== undefined) set.salesNotes = salesNotes;
+
+  const { db } = await connectToDatabase();
+  const result = await db.collection(QUOTE_REQUESTS_COLLECTION).updateOne({ quoteRequestId }, { $set: set });
+  if (result.matchedCount === 0) {
+    throw httpError(`Quote request ${quoteRequestId} not found`, 404);
+  }
+
+  return db.collection(QUOTE_REQUESTS_COLLECTION).findOne({ quoteRequestId }, { projection: { _id: 0 } });
+}
+
+export default {
+  COVERAGE_LEVELS,
+  PACKAGE_FEATURES,
+  QUOTE_REQUEST_STATUSES,
+  getPackageRules,
+  listPackageRules,
+  savePackageRule,
+  normalizeRequirements,
+  estimatePackage,
+  createQuoteRequest,
+  listQuoteRequests,
+  updateQuoteRequest
+};
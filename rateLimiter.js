@@ -0,0 +1,538 @@
+// rateLimiter.js - Rate limits and quotas for the paid OpenAI endpoints
+//
+// Two kinds of limits, both counted in fixed windows in MongoDB (`rate_limits`, TTL
+// index) so they hold across instances:
+//   request limits - requests per minute per IP, per session and per API key
+//                    (express-rate-limit on HTTP, checkRequestLimits for WebSocket frames)
+//   quotas         - budgets for expensive work: images sent to the model, seconds of
+//                    transcribed audio and characters of text-to-speech, per IP per hour
+//                    and per API key per day
+// If MongoDB is unreachable the counters fall back to this instance's memory.
+// Rejections are 429s with a message in the widget's language (also used for tenants
+// throttled by their budget, usageTracker.js).
+
+import rateLimit from 'express-rate-limit';
+import { connectToDatabase } from './database.js';
+import { getConfig } from './config.js';
+
+const RATE_LIMITS_COLLECTION = 'rate_limits';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Per-instance counters used with RATE_LIMIT_STORE=memory or while MongoDB is down
+if (!global.rateLimitState) {
+  global.rateLimitState = {
+    memory: new Map(), // counterId -> { hits, resetTime }
+    indexReady: false,
+    mongoFailing: false
+  };
+}
+
+// ---------------------------------------------------------
+// Limits
+// ---------------------------------------------------------
+
+/**
+ * Request limits per endpoint group (per minute)
+ * @returns {Object} { chat: [...], voice: [...] } - layers checked in order
+ */
+function getRequestLimits() {
+  const { rateLimits } = getConfig();
+  return {
+    chat: [
+      { layer: 'ip', limit: rateLimits.chatPerIp },
+      { layer: 'session', limit: rateLimits.chatPerSession },
+      { layer: 'apiKey', limit: rateLimits.perApiKey }
+    ],
+    voice: [
+      { layer: 'ip', limit: rateLimits.voicePerIp },
+      { layer: 'apiKey', limit: rateLimits.perApiKey }
+    ]
+  };
+}
+
+/**
+ * Quotas for expensive operations
+ * @param {string} kind - 'images', 'audioSeconds' or 'ttsCharacters'
+ * @returns {Array} Layers { layer, limit, windowMs }
+ */
+function getQuotaLayers(kind) {
+  const { quotas } = getConfig();
+  return [
+    { layer: 'ip', limit: quotas[`${kind}PerIpHour`], windowMs: HOUR },
+    { layer: 'apiKey', limit: quotas[`${kind}PerKeyDay`], windowMs: DAY }
+  ];
+}
+
+/**
+ * Value identifying the client for a layer
+ * @param {string} layer - 'ip', 'session' or 'apiKey'
+ * @param {Object} client - { ip, sessionId, keyId }
+ * @returns {string|null} Counter key, null when the layer doesn't apply
+ */
+function layerKey(layer, client) {
+  if (layer === 'ip') return client.ip || null;
+  if (layer === 'session') return client.sessionId || null;
+  return client.keyId || null;
+}
+
+/**
+ * Client identity of an HTTP request (after requireApiKey)
+ * @param {Object} req - Express request
+ * @returns {Object} { ip, sessionId, keyId }
+ */
+function getRequestClient(req) {
+  return {
+    ip: req.ip,
+    sessionId: req.body?.sessionId || req.body?.threadId || null,
+    keyId: req.apiKey?.keyId || null
+  };
+}
+
+// ---------------------------------------------------------
+// Counters
+// ---------------------------------------------------------
+
+async function ensureIndex(db) {
+  if (global.rateLimitState.indexReady) return;
+  await db.collection(RATE_LIMITS_COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  global.rateLimitState.indexReady = true;
+}
+
+function incrementMemory(counterId, amount, resetTime) {
+  const { memory } = global.rateLimitState;
+  const entry = memory.get(counterId) || { hits: 0, resetTime };
+  entry.hits += amount;
+  memory.set(counterId, entry);
+
+  // Drop finished windows now and then
+  if (memory.size > 10000) {
+    const now = Date.now();
+    for (const [id, value] of memory) {
+      if (value.resetTime.getTime() <= now) memory.delete(id);
+    }
+  }
+
+  return entry.hits;
+}
+
+/**
+ * Current fixed window of a counter
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length
+ * @returns {Object} { counterId, resetTime }
+ */
+function getCounterWindow(key, windowMs) {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  return { counterId: `${key}@${windowStart}`, resetTime: new Date(windowStart + windowMs) };
+}
+
+/**
+ * Run a counter operation on MongoDB, or return undefined to count in memory instead
+ * (RATE_LIMIT_STORE=memory, or MongoDB unreachable)
+ * @param {Function} operation - async (collection) => result
+ * @returns {Promise<*>} Result, undefined when the memory counters must be used
+ */
+async function withSharedCounters(operation) {
+  if (getConfig().rateLimits.store !== 'mongodb') return undefined;
+  const state = global.rateLimitState;
+
+  try {
+    const { db } = await connectToDatabase();
+    await ensureIndex(db);
+    const result = await operation(db.collection(RATE_LIMITS_COLLECTION));
+
+    if (state.mongoFailing) {
+      console.log('✅ Rate limit counters are shared through MongoDB again');
+      state.mongoFailing = false;
+    }
+    return result;
+  } catch (error) {
+    if (!state.mongoFailing) {
+      console.error('❌ Rate limit store unavailable, counting per instance:', error.message);
+      state.mongoFailing = true;
+    }
+    return undefined;
+  }
+}
+
+// Driver 6 returns the document, older drivers { value }
+const unwrapDocument = (result) => (result?.value !== undefined ? result.value : result);
+
+/**
+ * Add to a counter in the current fixed window
+ * @param {string} key - Counter key (e.g. 'chat:ip:1.2.3.4')
+ * @param {number} amount - Amount to add (0 reads, negative rolls back)
+ * @param {number} windowMs - Window length
+ * @returns {Promise<Object>} { totalHits, resetTime }
+ */
+export async function incrementCounter(key, amount, windowMs) {
+  const { counterId, resetTime } = getCounterWindow(key, windowMs);
+
+  const shared = await withSharedCounters(async (collection) => {
+    const counter = unwrapDocument(await collection.findOneAndUpdate(
+      { _id: counterId },
+      { $inc: { hits: amount }, $setOnInsert: { key, expiresAt: resetTime } },
+      { upsert: true, returnDocument: 'after' }
+    ));
+    return { totalHits: counter.hits, resetTime };
+  });
+  if (shared) return shared;
+
+  return { totalHits: incrementMemory(counterId, amount, resetTime), resetTime };
+}
+
+/**
+ * Add to a counter only if the total stays within a limit
+ * A counter never goes over its limit this way, so concurrent requests only ever see
+ * amounts that were actually granted.
+ *
+ * @param {string} key - Counter key
+ * @param {number} amount - Amount to add (positive)
+ * @param {number} limit - Highest allowed total
+ * @param {number} windowMs - Window length
+ * @returns {Promise<Object>} { consumed, totalHits, resetTime } - totalHits is the
+ *   unchanged total when nothing was consumed
+ */
+export async function consumeCounter(key, amount, limit, windowMs) {
+  const { counterId, resetTime } = getCounterWindow(key, windowMs);
+
+  const shared = await withSharedCounters(async (collection) => {
+    if (amount <= limit) {
+      try {
+        const counter = unwrapDocument(await collection.findOneAndUpdate(
+          { _id: counterId, hits: { $lte: limit - amount } },
+          { $inc: { hits: amount }, $setOnInsert: { key, expiresAt: resetTime } },
+          { upsert: true, returnDocument: 'after' }
+        ));
+        return { consumed: true, totalHits: counter.hits, resetTime };
+      } catch (error) {
+        // Too little left: the counter didn't match, so the upsert clashes with it
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const counter = await collection.findOne({ _id: counterId });
+    return { consumed: false, totalHits: counter?.hits || 0, resetTime };
+  });
+  if (shared) return shared;
+
+  const totalHits = global.rateLimitState.memory.get(counterId)?.hits || 0;
+  if (totalHits + amount > limit) return { consumed: false, totalHits, resetTime };
+  return { consumed: true, totalHits: incrementMemory(counterId, amount, resetTime), resetTime };
+}
+
+/**
+ * Remove every window of a counter
+ * @param {string} key - Counter key
+ */
+async function resetCounter(key) {
+  for (const id of global.rateLimitState.memory.keys()) {
+    if (id.startsWith(`${key}@`)) global.rateLimitState.memory.delete(id);
+  }
+
+  if (getConfig().rateLimits.store === 'mongodb') {
+    try {
+      const { db } = await connectToDatabase();
+      await db.collection(RATE_LIMITS_COLLECTION).deleteMany({ key });
+    } catch (error) {
+      console.error('❌ Error resetting rate limit counter:', error.message);
+    }
+  }
+}
+
+/**
+ * express-rate-limit store backed by incrementCounter
+ * @param {string} prefix - Counter prefix ('chat:ip', ...)
+ * @returns {Object} Store
+ */
+function createSharedStore(prefix) {
+  let windowMs = MINUTE;
+
+  return {
+    prefix,
+    localKeys: false,
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    increment: (key) => incrementCounter(`${prefix}:${key}`, 1, windowMs),
+    decrement: async (key) => {
+      await incrementCounter(`${prefix}:${key}`, -1, windowMs);
+    },
+    resetKey: (key) => resetCounter(`${prefix}:${key}`)
+  };
+}
+
+// ---------------------------------------------------------
+// Responses
+// ---------------------------------------------------------
+
+const MESSAGES = {
+  requests: {
+    is: (wait) => `Of margar fyrirspurnir á stuttum tíma. Vinsamlegast bíddu í ${wait} og reyndu aftur.`,
+    en: (wait) => `Too many requests in a short time. Please wait ${wait} and try again.`
+  },
+  images: {
+    is: (wait) => `Hámarksfjölda mynda er náð í bili. Þú getur sent myndir aftur eftir ${wait}.`,
+    en: (wait) => `You have reached the image limit for now. You can send images again in ${wait}.`
+  },
+  audioSeconds: {
+    is: (wait) => `Hámarki raddinnsláttar er náð í bili. Reyndu aftur eftir ${wait} eða skrifaðu skilaboðin.`,
+    en: (wait) => `You have reached the voice input limit for now. Try again in ${wait} or type your message.`
+  },
+  ttsCharacters: {
+    is: (wait) => `Hámarki upplesturs er náð í bili. Reyndu aftur eftir ${wait}.`,
+    en: (wait) => `You have reached the read-aloud limit for now. Try again in ${wait}.`
+  },
+  budget: {
+    is: (wait) => `Spjallið er tímabundið ekki í boði. Vinsamlegast reyndu aftur eftir ${wait}.`,
+    en: (wait) => `The chat is temporarily unavailable. Please try again in ${wait}.`
+  }
+};
+
+/**
+ * Human wait time ("30 sekúndur", "5 minutes")
+ * @param {number} seconds - Seconds until the window resets
+ * @param {string} language - 'is' or 'en'
+ * @returns {string} Wait time
+ */
+export function formatWait(seconds, language) {
+  if (seconds < 90) {
+    return language === 'is' ? `${seconds} sekúndur` : `${seconds} seconds`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 90) {
+    return language === 'is' ? `${minutes} mínútur` : `${minutes} minutes`;
+  }
+  const hours = Math.ceil(minutes / 60);
+  if (hours < 48) {
+    return language === 'is' ? `${hours} klukkustundir` : `${hours} hours`;
+  }
+  const days = Math.ceil(hours / 24);
+  return language === 'is' ? `${days} daga` : `${days} days`;
+}
+
+/**
+ * Language for the 429 message - explicit language, then Accept-Language, then Icelandic
+ * @param {Object} [body] - Request body or WebSocket frame
+ * @param {string} [acceptLanguage] - Accept-Language header
+ * @returns {string} 'is' or 'en'
+ */
+function getResponseLanguage(body, acceptLanguage) {
+  if (body?.language === 'is' || body?.language === 'en') return body.language;
+  if (acceptLanguage && !/^\s*is\b/i.test(acceptLanguage)) return 'en';
+  return 'is';
+}
+
+/**
+ * 429 body the widget can show as is
+ * @param {Object} violation - { kind, layer, resetTime }
+ * @param {string} language - 'is' or 'en'
+ * @returns {Object} { success, error, limit, message, retryAfter }
+ */
+export function rateLimitResponse(violation, language = 'is') {
+  const retryAfter = Math.max(1, Math.ceil((violation.resetTime.getTime() - Date.now()) / 1000));
+  return {
+    success: false,
+    error: 'rate_limited',
+    limit: `${violation.kind}:${violation.layer}`,
+    message: MESSAGES[violation.kind][language](formatWait(retryAfter, language)),
+    retryAfter
+  };
+}
+
+/**
+ * Send a 429 for a violation, in the request's language
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} violation - { kind, layer, resetTime }
+ */
+export function sendRateLimited(req, res, violation) {
+  const body = rateLimitResponse(violation, getResponseLanguage(req.body, req.headers['accept-language']));
+  console.warn(`🚦 Rate limited ${req.method} ${req.baseUrl}${req.path} (${body.limit})`);
+  res.set('Retry-After', String(body.retryAfter));
+  res.status(429).json(body);
+}
+
+// ---------------------------------------------------------
+// HTTP middleware
+// ---------------------------------------------------------
+
+/**
+ * Request limit middlewares for an endpoint group (mount after requireApiKey)
+ * @param {string} group - 'chat' or 'voice'
+ * @returns {Array<Function>} Middlewares, one per layer
+ */
+export function requestLimits(group) {
+  return getRequestLimits()[group].map(({ layer, limit }) => rateLimit({
+    windowMs: MINUTE,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store: createSharedStore(`${group}:${layer}`),
+    keyGenerator: (req) => layerKey(layer, getRequestClient(req)),
+    skip: (req) => !layerKey(layer, getRequestClient(req)),
+    handler: (req, res) => sendRateLimited(req, res, { kind: 'requests', layer, resetTime: req.rateLimit.resetTime }),
+    // Counting falls back to memory, so a store error is a bug worth surfacing
+    passOnStoreError: false
+  }));
+}
+
+/**
+ * Consume an amount from a quota on every layer
+ * A layer without enough left is never added to; the layers before it get their
+ * amount back, so a refused request uses up nothing.
+ *
+ * @param {string} kind - 'images', 'audioSeconds' or 'ttsCharacters'
+ * @param {Object} client - { ip, keyId }
+ * @param {number} amount - Amount to consume (0 only checks that some budget is left)
+ * @returns {Promise<Object|null>} Violation { kind, layer, resetTime } or null
+ */
+export async function consumeQuota(kind, client, amount) {
+  const consumed = [];
+
+  for (const { layer, limit, windowMs } of getQuotaLayers(kind)) {
+    const value = layerKey(layer, client);
+    if (!value) continue;
+
+    const key = `quota:${kind}:${layer}:${value}`;
+
+    if (amount === 0) {
+      const { totalHits, resetTime } = await incrementCounter(key, 0, windowMs);
+      if (totalHits >= limit) return { kind, layer, resetTime };
+      continue;
+    }
+
+    const { consumed: granted, resetTime } = await consumeCounter(key, amount, limit, windowMs);
+    if (!granted) {
+      for (const entry of consumed) {
+        await incrementCounter(entry.key, -amount, entry.windowMs);
+      }
+      return { kind, layer, resetTime };
+    }
+    consumed.push({ key, windowMs });
+  }
+
+  return null;
+}
+
+/**
+ * Quota middleware - consumes amountOf(req) before the handler runs
+ * @param {string} kind - 'images' or 'ttsCharacters'
+ * @param {Function} amountOf - (req) => amount
+ * @returns {Function} Middleware
+ */
+export function quota(kind, amountOf) {
+  return async (req, res, next) => {
+    try {
+      const amount = amountOf(req);
+      if (!amount) return next();
+
+      const violation = await consumeQuota(kind, getRequestClient(req), amount);
+      if (violation) return sendRateLimited(req, res, violation);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Quota check for work measured afterwards (audio seconds) - rejects only when nothing is left
+ * Record the actual amount with recordQuotaUsage once it is known.
+ *
+ * @param {string} kind - Quota kind
+ * @returns {Function} Middleware
+ */
+export function quotaAvailable(kind) {
+  return async (req, res, next) => {
+    try {
+      const violation = await consumeQuota(kind, getRequestClient(req), 0);
+      if (violation) return sendRateLimited(req, res, violation);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Record usage measured after the work was done (may overshoot the quota once)
+ * @param {string} kind - Quota kind
+ * @param {Object} req - Express request
+ * @param {number} amount - Amount used
+ */
+export async function recordQuotaUsage(kind, req, amount) {
+  if (!amount) return;
+  const client = getRequestClient(req);
+
+  for (const { layer, windowMs } of getQuotaLayers(kind)) {
+    const value = layerKey(layer, client);
+    if (value) await incrementCounter(`quota:${kind}:${layer}:${value}`, amount, windowMs);
+  }
+}
+
+// ---------------------------------------------------------
+// WebSocket
+// ---------------------------------------------------------
+
+/**
+ * Client IP of a WebSocket upgrade request (same rule as Express with trust proxy 1)
+ * @param {Object} req - Upgrade request
+ * @returns {string} IP address
+ */
+export function getSocketIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',').at(-1).trim() : req.socket.remoteAddress;
+}
+
+/**
+ * Apply the chat limits and image quota to a WebSocket chat frame
+ * Uses the same counters as the HTTP endpoints.
+ *
+ * @param {Object} client - { ip, sessionId, keyId }
+ * @param {Object} frame - Chat frame ({ images, language })
+ * @returns {Promise<Object|null>} 429-style body to send, or null when allowed
+ */
+export async function checkSocketChatLimits(client, frame) {
+  const language = getResponseLanguage(frame);
+
+  for (const { layer, limit } of getRequestLimits().chat) {
+    const value = layerKey(layer, client);
+    if (!value) continue;
+
+    const { totalHits, resetTime } = await incrementCounter(`chat:${layer}:${value}`, 1, MINUTE);
+    if (totalHits > limit) {
+      console.warn(`🚦 Rate limited WebSocket chat (requests:${layer})`);
+      return rateLimitResponse({ kind: 'requests', layer, resetTime }, language);
+    }
+  }
+
+  const images = Array.isArray(frame.images) ? frame.images.length : 0;
+  if (images > 0) {
+    const violation = await consumeQuota('images', client, images);
+    if (violation) {
+      console.warn(`🚦 Rate limited WebSocket chat (images:${violation.layer})`);
+      return rateLimitResponse(violation, language);
+    }
+  }
+
+  return null;
+}
+
+export default {
+  incrementCounter,
+  consumeCounter,
+  formatWait,
+  rateLimitResponse,
+  sendRateLimited,
+  requestLimits,
+  consumeQuota,
+  quota,
+  quotaAvailable,
+  recordQuotaUsage,
+  getSocketIp,
+  checkSocketChatLimits
+};
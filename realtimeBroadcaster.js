@@ -0,0 +1,255 @@
+// realtimeBroadcaster.js - Live dashboard updates (conversation updates, budget alerts)
+//
+// Every broadcaster has the same shape:
+//   name                              -> 'pusher' | 'websocket' | 'none'
+//   publish(channel, event, data)     -> Promise
+//   maxPayloadBytes                   -> largest event the backend accepts (null = no limit)
+// createPusherBroadcaster sends through Pusher (10KB per event), createWebSocketBroadcaster
+// pushes to dashboards connected to this instance at /realtime, createNoopBroadcaster drops
+// everything. createMeteredBroadcaster wraps one of them with the payload size guard and
+// delivery metrics; createConfiguredBroadcaster picks the backend from REALTIME_BROADCASTER
+// ('auto' = Pusher when PUSHER_* is set, else the local WebSocket).
+//
+// Each tenant has its own channel: REALTIME_CHANNEL_PREFIX + tenant.analytics.pusherChannel.
+
+import Pusher from 'pusher';
+import { getConfig } from './config.js';
+
+// Shortened string fields of an oversized payload, longest first
+const TRUNCATE_LENGTHS = [2000, 500, 100];
+
+// Characters Pusher allows in channel names (max 164)
+const INVALID_CHANNEL_CHARS = /[^A-Za-z0-9_\-=@,.;]/g;
+
+/**
+ * Channel of a tenant's dashboard
+ * @param {Object} tenant - Tenant (tenantService.js)
+ * @returns {string} Channel name
+ */
+export function getTenantChannel(tenant) {
+  const base = tenant.analytics?.pusherChannel || `${tenant.tenantId}-chat-channel`;
+  return `${getConfig().realtime.channelPrefix}${base}`.replace(INVALID_CHANNEL_CHARS, '-').slice(0, 164);
+}
+
+const byteSize = (value) => Buffer.byteLength(JSON.stringify(value ?? null));
+
+function truncateStrings(value, maxLength) {
+  if (typeof value === 'string') {
+    return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value;
+  }
+  if (Array.isArray(value)) return value.map(item => truncateStrings(item, maxLength));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateStrings(item, maxLength)]));
+  }
+  return value;
+}
+
+/**
+ * Make a payload fit a size limit
+ * Long strings (bot answers, message contents) are shortened first; if that isn't enough
+ * only the short top-level fields (IDs, language, topic) are kept. Shortened payloads carry
+ * truncated: true so a dashboard can load the full conversation itself.
+ *
+ * @param {*} data - Event payload
+ * @param {number|null} maxBytes - Limit, null = none
+ * @returns {Object} { data (null when nothing fits), bytes (original size), truncated }
+ */
+export function fitPayload(data, maxBytes) {
+  const bytes = byteSize(data);
+  if (!maxBytes || bytes <= maxBytes) return { data, bytes, truncated: false };
+
+  const isObject = data && typeof data === 'object' && !Array.isArray(data);
+  for (const length of TRUNCATE_LENGTHS) {
+    const shortened = truncateStrings(data, length);
+    const candidate = isObject ? { ...shortened, truncated: true } : shortened;
+    if (byteSize(candidate) <= maxBytes) return { data: candidate, bytes, truncated: true };
+  }
+
+  if (isObject) {
+    const summary = Object.fromEntries(Object.entries(data).filter(([, value]) =>
+      ['number', 'boolean'].includes(typeof value) || (typeof value === 'string' && value.length <= 100)));
+    const candidate = { ...summary, truncated: true };
+    if (byteSize(candidate) <= maxBytes) return { data: candidate, bytes, truncated: true };
+  }
+
+  return { data: null, bytes, truncated: true };
+}
+
+/**
+ * Broadcaster sending through Pusher
+ * @param {Object} pusher - Pusher client
+ * @param {Object} [options]
+ * @param {number} [options.maxPayloadBytes] - Pusher's event size limit (REALTIME_MAX_PAYLOAD_BYTES)
+ * @returns {Object} Broadcaster
+ */
+export function createPusherBroadcaster(pusher, { maxPayloadBytes = getConfig().realtime.maxPayloadBytes } = {}) {
+  return {
+    name: 'pusher',
+    maxPayloadBytes,
+    async publish(channel, event, data) {
+      await pusher.trigger(channel, event, data);
+    }
+  };
+}
+
+/**
+ * Broadcaster pushing to dashboards connected to this instance (/realtime)
+ * Frames: { type: 'event', channel, event, data }. Only dashboards on the same instance
+ * see the events - fine for a single server and local development.
+ * @returns {Object} Broadcaster with subscribe(ws, channel) and subscriberCount()
+ */
+export function createWebSocketBroadcaster() {
+  const subscribers = new Map(); // channel -> Set of sockets
+
+  return {
+    name: 'websocket',
+    maxPayloadBytes: null,
+
+    subscribe(ws, channel) {
+      if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+      subscribers.get(channel).add(ws);
+
+      ws.on('close', () => {
+        subscribers.get(channel)?.delete(ws);
+        if (subscribers.get(channel)?.size === 0) subscribers.delete(channel);
+      });
+      ws.send(JSON.stringify({ type: 'subscribed', channel }));
+    },
+
+    subscriberCount() {
+      let count = 0;
+      for (const sockets of subscribers.values()) count += sockets.size;
+      return count;
+    },
+
+    async publish(channel, event, data) {
+      const frame = JSON.stringify({ type: 'event', channel, event, data });
+      for (const ws of subscribers.get(channel) || []) {
+        if (ws.readyState === ws.OPEN) ws.send(frame);
+      }
+    }
+  };
+}
+
+/**
+ * Broadcaster that drops every event (REALTIME_BROADCASTER=none)
+ * @returns {Object} Broadcaster
+ */
+export function createNoopBroadcaster() {
+  return {
+    name: 'none',
+    maxPayloadBytes: null,
+    async publish() {}
+  };
+}
+
+/**
+ * Wrap a broadcaster with the payload size guard and delivery metrics
+ * Publishing never throws - failures are logged and counted, a live update is not worth
+ * failing a chat turn for.
+ *
+ * @param {Object} broadcaster - Pusher, WebSocket or no-op broadcaster
+ * @returns {Object} Broadcaster with getStatus()
+ */
+export function createMeteredBroadcaster(broadcaster) {
+  const totals = { published: 0, failed: 0, truncated: 0, dropped: 0, bytes: 0 };
+  const byEvent = new Map(); // event -> { published, failed, truncated, dropped }
+  let lastError = null;
+  let lastFailureAt = null;
+
+  const eventMetrics = (event) => {
+    if (!byEvent.has(event)) byEvent.set(event, { published: 0, failed: 0, truncated: 0, dropped: 0 });
+    return byEvent.get(event);
+  };
+  const count = (event, field) => {
+    totals[field]++;
+    eventMetrics(event)[field]++;
+  };
+
+  return {
+    ...broadcaster,
+
+    async publish(channel, event, data) {
+      const fitted = fitPayload(data, broadcaster.maxPayloadBytes);
+      if (fitted.data === null) {
+        count(event, 'dropped');
+        console.warn(`⚠️ ${event} on ${channel} dropped - ${fitted.bytes} bytes can't fit ${broadcaster.maxPayloadBytes}`);
+        return { delivered: false, dropped: true };
+      }
+      if (fitted.truncated) {
+        count(event, 'truncated');
+        console.warn(`✂️ ${event} on ${channel} truncated from ${fitted.bytes} bytes to fit ${broadcaster.maxPayloadBytes}`);
+      }
+
+      try {
+        await broadcaster.publish(channel, event, fitted.data);
+        count(event, 'published');
+        totals.bytes += byteSize(fitted.data);
+        return { delivered: true, truncated: fitted.truncated };
+      } catch (error) {
+        count(event, 'failed');
+        lastError = error.message;
+        lastFailureAt = new Date();
+        console.error(`❌ ${broadcaster.name} ${event} on ${channel} failed:`, error.message);
+        return { delivered: false, error: error.message };
+      }
+    },
+
+    getStatus() {
+      return {
+        backend: broadcaster.name,
+        maxPayloadBytes: broadcaster.maxPayloadBytes,
+        ...(broadcaster.subscriberCount ? { subscribers: broadcaster.subscriberCount() } : {}),
+        ...totals,
+        lastError,
+        lastFailureAt,
+        events: Object.fromEntries(byEvent)
+      };
+    }
+  };
+}
+
+/**
+ * Broadcaster for the configured backend, metered
+ * @returns {Object} Broadcaster with getStatus() (and subscribe() for the WebSocket backend)
+ */
+export function createConfiguredBroadcaster() {
+  const config = getConfig();
+  const pusherConfigured = !!(config.pusher.appId && config.pusher.key && config.pusher.secret && config.pusher.cluster);
+
+  let backend = config.realtime.broadcaster;
+  if (backend === 'auto') {
+    backend = pusherConfigured ? 'pusher' : 'websocket';
+    if (!pusherConfigured && config.environment === 'production') {
+      console.warn('⚠️ PUSHER_* not set - live dashboard updates only reach dashboards connected to this instance');
+    }
+  }
+
+  let broadcaster;
+  if (backend === 'pusher') {
+    broadcaster = createPusherBroadcaster(new Pusher({
+      appId: config.pusher.appId,
+      key: config.pusher.key,
+      secret: config.pusher.secret,
+      cluster: config.pusher.cluster,
+      useTLS: true,
+    }));
+  } else if (backend === 'websocket') {
+    broadcaster = createWebSocketBroadcaster();
+  } else {
+    broadcaster = createNoopBroadcaster();
+  }
+
+  console.log(`📡 Realtime broadcaster: ${broadcaster.name}`);
+  return createMeteredBroadcaster(broadcaster);
+}
+
+export default {
+  getTenantChannel,
+  fitPayload,
+  createPusherBroadcaster,
+  createWebSocketBroadcaster,
+  createNoopBroadcaster,
+  createMeteredBroadcaster,
+  createConfiguredBroadcaster
+};
@@ -0,0 +1,257 @@
+// repositories/analyticsOutboxRepository.js - Events waiting for the analytics system (`analytics_outbox`)
+//
+// Every stored chat turn gets an event here in the same transaction (messageProcessor.js);
+// analyticsOutbox.js delivers them and records the outcome:
+//   { eventId, type, conversationId, payload, status, attempts, nextAttemptAt, lockedUntil,
+//     lastError, result, createdAt, updatedAt, deliveredAt, expiresAt }
+// status: pending -> delivering -> delivered, or back to pending with a later nextAttemptAt,
+// or dead after the last attempt. An event whose lock runs out while delivering (the
+// instance was frozen or crashed) is picked up again. Delivered events expire after a week.
+
+import crypto from 'crypto';
+
+const COLLECTION = 'analytics_outbox';
+
+export const OUTBOX_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+const DELIVERED_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} AnalyticsOutboxRepository
+ * @property {Function} ensureIndexes - () => Promise
+ * @property {Function} enqueue - ({ type, conversationId, payload }) => Promise<Object> New pending event
+ * @property {Function} claim - (eventId, lockMs) => Promise<Object|null> Lock one pending event
+ * @property {Function} claimNext - (lockMs) => Promise<Object|null> Lock the next due event
+ * @property {Function} markDelivered - (eventId, result) => Promise
+ * @property {Function} markFailed - (eventId, { error, nextAttemptAt }) => Promise<Object|null> nextAttemptAt null = dead
+ * @property {Function} requeue - (eventId) => Promise<Object|null> Dead or pending event made due now
+ * @property {Function} list - ({ statuses, limit }) => Promise<Array> Newest first
+ * @property {Function} countByStatus - () => Promise<Object> { pending, delivering, delivered, dead }
+ */
+
+function newEvent({ type, conversationId = null, payload }) {
+  const now = new Date();
+  return {
+    eventId: `evt_${crypto.randomUUID()}`,
+    type,
+    conversationId,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lockedUntil: null,
+    lastError: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    deliveredAt: null
+  };
+}
+
+// Events that may be delivered now
+function dueFilter(now) {
+  return {
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'delivering', lockedUntil: { $lte: now } }
+    ]
+  };
+}
+
+// Claimed: one more attempt, locked for lockMs
+function claimUpdate(lockMs) {
+  const now = new Date();
+  return {
+    $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + lockMs), updatedAt: now },
+    $inc: { attempts: 1 }
+  };
+}
+
+/**
+ * MongoDB implementation
+ * @param {Function} getDb - async () => Db
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Client session of a transaction (repositoryRegistry.js)
+ * @returns {AnalyticsOutboxRepository}
+ */
+export function createMongoAnalyticsOutboxRepository(getDb, { session } = {}) {
+  const collection = async () => (await getDb()).collection(COLLECTION);
+  const withoutId = { projection: { _id: 0 } };
+
+  return {
+    async ensureIndexes() {
+      const events = await collection();
+      await events.createIndex({ eventId: 1 }, { unique: true });
+      await events.createIndex({ status: 1, nextAttemptAt: 1 });
+      await events.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    },
+
+    async enqueue(fields) {
+      const event = newEvent(fields);
+      await (await collection()).insertOne({ ...event }, { session });
+      return event;
+    },
+
+    async claim(eventId, lockMs) {
+      return (await collection()).findOneAndUpdate(
+        { eventId, status: 'pending' },
+        claimUpdate(lockMs),
+        { returnDocument: 'after', ...withoutId }
+      );
+    },
+
+    async claimNext(lockMs) {
+      return (await collection()).findOneAndUpdate(
+        dueFilter(new Date()),
+        claimUpdate(lockMs),
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after', ...withoutId }
+      );
+    },
+
+    async markDelivered(eventId, result) {
+      const now = new Date();
+      await (await collection()).updateOne(
+        { eventId },
+        {
+          $set: {
+            status: 'delivered', result, lastError: null, lockedUntil: null,
+            deliveredAt: now, updatedAt: now, expiresAt: new Date(now.getTime() + DELIVERED_RETENTION)
+          }
+        }
+      );
+    },
+
+    async markFailed(eventId, { error, nextAttemptAt }) {
+      return (await collection()).findOneAndUpdate(
+        { eventId },
+        {
+          $set: {
+            status: nextAttemptAt ? 'pending' : 'dead',
+            nextAttemptAt, lastError: error, lockedUntil: null, updatedAt: new Date()
+          }
+        },
+        { returnDocument: 'after', ...withoutId }
+      );
+    },
+
+    async requeue(eventId) {
+      const now = new Date();
+      return (await collection()).findOneAndUpdate(
+        { eventId, status: { $in: ['pending', 'dead'] } },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: now, updatedAt: now } },
+        { returnDocument: 'after', ...withoutId }
+      );
+    },
+
+    async list({ statuses = OUTBOX_STATUSES, limit = 50 } = {}) {
+      return (await collection())
+        .find({ status: { $in: statuses } }, withoutId)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    },
+
+    async countByStatus() {
+      const events = await collection();
+      const counts = {};
+      for (const status of OUTBOX_STATUSES) counts[status] = await events.countDocuments({ status });
+      return counts;
+    }
+  };
+}
+
+/**
+ * In-memory implementation (tests and STORAGE_BACKEND=memory)
+ * @returns {AnalyticsOutboxRepository}
+ */
+export function createMemoryAnalyticsOutboxRepository() {
+  let events = [];
+
+  const find = (eventId) => events.find(event => event.eventId === eventId);
+  const copy = (event) => (event ? structuredClone(event) : null);
+
+  // What the TTL index does in MongoDB
+  const live = () => {
+    const now = Date.now();
+    events = events.filter(event => !event.expiresAt || event.expiresAt.getTime() > now);
+    return events;
+  };
+
+  function applyClaim(event, lockMs) {
+    const now = new Date();
+    Object.assign(event, {
+      status: 'delivering',
+      lockedUntil: new Date(now.getTime() + lockMs),
+      attempts: event.attempts + 1,
+      updatedAt: now
+    });
+    return copy(event);
+  }
+
+  return {
+    async ensureIndexes() {},
+
+    async enqueue(fields) {
+      const event = newEvent(fields);
+      events.push(structuredClone(event));
+      return event;
+    },
+
+    async claim(eventId, lockMs) {
+      const event = find(eventId);
+      return event?.status === 'pending' ? applyClaim(event, lockMs) : null;
+    },
+
+    async claimNext(lockMs) {
+      const now = Date.now();
+      const [event] = live()
+        .filter(e => (e.status === 'pending' && e.nextAttemptAt.getTime() <= now) ||
+          (e.status === 'delivering' && e.lockedUntil.getTime() <= now))
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      return event ? applyClaim(event, lockMs) : null;
+    },
+
+    async markDelivered(eventId, result) {
+      const event = find(eventId);
+      if (!event) return;
+      const now = new Date();
+      Object.assign(event, {
+        status: 'delivered', result: structuredClone(result), lastError: null, lockedUntil: null,
+        deliveredAt: now, updatedAt: now, expiresAt: new Date(now.getTime() + DELIVERED_RETENTION)
+      });
+    },
+
+    async markFailed(eventId, { error, nextAttemptAt }) {
+      const event = find(eventId);
+      if (!event) return null;
+      Object.assign(event, {
+        status: nextAttemptAt ? 'pending' : 'dead',
+        nextAttemptAt, lastError: error, lockedUntil: null, updatedAt: new Date()
+      });
+      return copy(event);
+    },
+
+    async requeue(eventId) {
+      const event = find(eventId);
+      if (!event || !['pending', 'dead'].includes(event.status)) return null;
+      const now = new Date();
+      Object.assign(event, { status: 'pending', attempts: 0, nextAttemptAt: now, updatedAt: now });
+      return copy(event);
+    },
+
+    async list({ statuses = OUTBOX_STATUSES, limit = 50 } = {}) {
+      return structuredClone(live()
+        .filter(event => statuses.includes(event.status))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit));
+    },
+
+    async countByStatus() {
+      const counts = Object.fromEntries(OUTBOX_STATUSES.map(status => [status, 0]));
+      for (const event of live()) counts[event.status]++;
+      return counts;
+    }
+  };
+}
+
+export default { createMongoAnalyticsOutboxRepository, createMemoryAnalyticsOutboxRepository, OUTBOX_STATUSES };
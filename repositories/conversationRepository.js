@@ -0,0 +1,186 @@
+// repositories/conversationRepository.js - Stored conversation transcripts (`conversations`)
+//
+// One document per conversation, keyed by the conversation ID from sessionManager.js:
+//   { id, sessionId, tenantId, clientId, messages, startedAt, endedAt, language, topic,
+//     contextSummary, createdAt, lastActivity }
+// tenantId is the tenant that owns the conversation; older documents only have clientId,
+// which holds the same tenant ID.
+// Messages are appended (chat turns by messageProcessor.js, operator and customer messages
+// during a handoff by handoffManager.js); the only edit is a regenerated answer replacing
+// the last bot message.
+
+import { isBotAnswer } from '../dataModels.js';
+
+const COLLECTION = 'conversations';
+
+// Index of the last bot message and of the user message it answered (-1 when missing, or
+// when an operator or system message came after it - those are never replaced)
+function lastExchange(messages = []) {
+  const last = messages.findLastIndex(m => m.role === 'assistant' || m.type === 'bot');
+  const answer = last !== -1 && isBotAnswer(messages[last]) ? last : -1;
+  const question = answer === -1 ? -1 : messages.slice(0, answer).findLastIndex(m => m.role === 'user');
+  return { answer, question };
+}
+
+/**
+ * @typedef {Object} ConversationRepository
+ * @property {Function} ensureIndexes - () => Promise
+ * @property {Function} exists - (id) => Promise<boolean>
+ * @property {Function} findTenantId - (id) => Promise<string|null> - owning tenant, null when missing
+ * @property {Function} findRecent - (id, messageLimit) => Promise<{messages, contextSummary}|null>
+ * @property {Function} create - (conversation) => Promise
+ * @property {Function} appendMessages - (id, messages, { endedAt, createWith }) => Promise
+ * @property {Function} replaceLastBotMessage - (id, message, { endedAt }) => Promise<{replaced, question}|null>
+ * @property {Function} saveSummary - (id, summary) => Promise<boolean>
+ */
+
+/**
+ * MongoDB implementation
+ * @param {Function} getDb - async () => Db
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Client session of a transaction (repositoryRegistry.js)
+ * @returns {ConversationRepository}
+ */
+export function createMongoConversationRepository(getDb, { session } = {}) {
+  const collection = async () => (await getDb()).collection(COLLECTION);
+
+  return {
+    async ensureIndexes() {
+      // Not unique - older data may hold the same ID twice
+      await (await collection()).createIndex({ id: 1 });
+    },
+
+    async exists(id) {
+      return !!await (await collection()).findOne({ id }, { projection: { _id: 1 }, session });
+    },
+
+    async findTenantId(id) {
+      const conversation = await (await collection()).findOne({ id }, { projection: { tenantId: 1, clientId: 1 }, session });
+      return conversation ? conversation.tenantId || conversation.clientId || null : null;
+    },
+
+    async findRecent(id, messageLimit) {
+      const conversation = await (await collection()).findOne(
+        { id },
+        { projection: { messages: { $slice: -messageLimit }, contextSummary: 1 }, session }
+      );
+      if (!conversation) return null;
+      return { messages: conversation.messages || [], contextSummary: conversation.contextSummary || null };
+    },
+
+    async create(conversation) {
+      await (await collection()).insertOne({ ...conversation, createdAt: new Date(), lastActivity: new Date() }, { session });
+    },
+
+    // createWith: fields of a conversation created on the fly (upsert), otherwise a missing
+    // conversation is left alone
+    async appendMessages(id, messages, { endedAt, createWith = null } = {}) {
+      await (await collection()).updateOne(
+        { id },
+        {
+          $push: { messages: { $each: messages } },
+          $set: { endedAt, lastActivity: new Date() },
+          ...(createWith ? { $setOnInsert: { ...createWith, createdAt: new Date() } } : {})
+        },
+        { upsert: !!createWith, session }
+      );
+    },
+
+    // The new message records replacesMessageId. Returns the replaced message and the
+    // question it answered, null when there is no bot message (or it changed meanwhile)
+    async replaceLastBotMessage(id, message, { endedAt } = {}) {
+      const conversation = await (await collection()).findOne({ id }, { projection: { messages: 1 }, session });
+      const { answer, question } = lastExchange(conversation?.messages);
+      if (answer === -1) return null;
+
+      const replaced = conversation.messages[answer];
+      const result = await (await collection()).updateOne(
+        { id, [`messages.${answer}.id`]: replaced.id },
+        { $set: { [`messages.${answer}`]: { ...message, replacesMessageId: replaced.id }, endedAt, lastActivity: new Date() } },
+        { session }
+      );
+      if (result.matchedCount === 0) return null;
+      return { replaced, question: question === -1 ? null : conversation.messages[question] };
+    },
+
+    async saveSummary(id, summary) {
+      const result = await (await collection()).updateOne({ id }, { $set: { contextSummary: summary } }, { session });
+      return result.matchedCount > 0;
+    }
+  };
+}
+
+/**
+ * In-memory implementation (tests and STORAGE_BACKEND=memory)
+ * @returns {ConversationRepository}
+ */
+export function createMemoryConversationRepository() {
+  const conversations = new Map(); // id -> conversation
+
+  return {
+    async ensureIndexes() {},
+
+    async exists(id) {
+      return conversations.has(id);
+    },
+
+    async findTenantId(id) {
+      const conversation = conversations.get(id);
+      return conversation ? conversation.tenantId || conversation.clientId || null : null;
+    },
+
+    async findRecent(id, messageLimit) {
+      const conversation = conversations.get(id);
+      if (!conversation) return null;
+      return {
+        messages: structuredClone(conversation.messages.slice(-messageLimit)),
+        contextSummary: structuredClone(conversation.contextSummary || null)
+      };
+    },
+
+    async create(conversation) {
+      conversations.set(conversation.id, {
+        messages: [],
+        ...structuredClone(conversation),
+        createdAt: new Date(),
+        lastActivity: new Date()
+      });
+    },
+
+    async appendMessages(id, messages, { endedAt, createWith = null } = {}) {
+      let conversation = conversations.get(id);
+      if (!conversation) {
+        if (!createWith) return;
+        conversation = { id, messages: [], ...structuredClone(createWith), createdAt: new Date() };
+        conversations.set(id, conversation);
+      }
+      conversation.messages.push(...structuredClone(messages));
+      conversation.endedAt = endedAt;
+      conversation.lastActivity = new Date();
+    },
+
+    async replaceLastBotMessage(id, message, { endedAt } = {}) {
+      const conversation = conversations.get(id);
+      const { answer, question } = lastExchange(conversation?.messages);
+      if (answer === -1) return null;
+
+      const replaced = conversation.messages[answer];
+      conversation.messages[answer] = { ...structuredClone(message), replacesMessageId: replaced.id };
+      conversation.endedAt = endedAt;
+      conversation.lastActivity = new Date();
+      return {
+        replaced: structuredClone(replaced),
+        question: question === -1 ? null : structuredClone(conversation.messages[question])
+      };
+    },
+
+    async saveSummary(id, summary) {
+      const conversation = conversations.get(id);
+      if (!conversation) return false;
+      conversation.contextSummary = structuredClone(summary);
+      return true;
+    }
+  };
+}
+
+export default { createMongoConversationRepository, createMemoryConversationRepository };
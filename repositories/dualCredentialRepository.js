@@ -0,0 +1,70 @@
+// repositories/dualCredentialRepository.js - LiveChat credentials per chat (`dual_credentials`)
+//
+// The bridge talks to LiveChat both as the customer and as the agent, so each chat keeps
+// both sets of credentials:
+//   { chatId, sessionId, customerToken, entityId, agentCredentials, expiresAt, updatedAt }
+// Expired credentials are ignored by the caller (database.js), not deleted.
+
+const COLLECTION = 'dual_credentials';
+
+/**
+ * @typedef {Object} DualCredentialRepository
+ * @property {Function} ensureIndexes - () => Promise
+ * @property {Function} save - (chatId, credentials) => Promise Insert or replace the chat's credentials
+ * @property {Function} find - (chatId) => Promise<Object|null>
+ */
+
+/**
+ * MongoDB implementation
+ * @param {Function} getDb - async () => Db
+ * @returns {DualCredentialRepository}
+ */
+export function createMongoDualCredentialRepository(getDb) {
+  const collection = async () => (await getDb()).collection(COLLECTION);
+
+  return {
+    async ensureIndexes() {
+      await (await collection()).createIndex({ chatId: 1 }, { unique: true });
+    },
+
+    async save(chatId, credentials) {
+      await (await collection()).updateOne(
+        { chatId },
+        { $set: { ...credentials, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    },
+
+    async find(chatId) {
+      return (await collection()).findOne({ chatId });
+    }
+  };
+}
+
+/**
+ * In-memory implementation (tests and STORAGE_BACKEND=memory)
+ * @returns {DualCredentialRepository}
+ */
+export function createMemoryDualCredentialRepository() {
+  const credentialsByChat = new Map();
+
+  return {
+    async ensureIndexes() {},
+
+    async save(chatId, credentials) {
+      credentialsByChat.set(chatId, {
+        ...credentialsByChat.get(chatId),
+        chatId,
+        ...structuredClone(credentials),
+        updatedAt: new Date()
+      });
+    },
+
+    async find(chatId) {
+      const credentials = credentialsByChat.get(chatId);
+      return credentials ? structuredClone(credentials) : null;
+    }
+  };
+}
+
+export default { createMongoDualCredentialRepository, createMemoryDualCredentialRepository };
@@ -0,0 +1,76 @@
+// repositories/feedbackRepository.js - Thumbs up/down on bot answers (`message_feedback`)
+//
+// Ratings come from the widget (/feedback) and from submitMessageFeedback:
+//   { messageId, postgresqlId, isPositive, comment?, messageContent?, timestamp, chatId?,
+//     language?, source?, metadata?, createdAt? }
+// messageId is our message ID, postgresqlId the analytics ID of the same message.
+
+const COLLECTION = 'message_feedback';
+
+/**
+ * @typedef {Object} FeedbackRepository
+ * @property {Function} ensureIndexes - () => Promise
+ * @property {Function} insert - (feedback) => Promise
+ * @property {Function} findForMessage - ({ messageId, postgresqlId }) => Promise<Object|null>
+ */
+
+// Feedback matching either ID (a missing ID matches nothing)
+function messageFilter({ messageId, postgresqlId }) {
+  return [
+    ...(messageId ? [{ messageId }] : []),
+    ...(postgresqlId ? [{ postgresqlId }] : [])
+  ];
+}
+
+/**
+ * MongoDB implementation
+ * @param {Function} getDb - async () => Db
+ * @returns {FeedbackRepository}
+ */
+export function createMongoFeedbackRepository(getDb) {
+  const collection = async () => (await getDb()).collection(COLLECTION);
+
+  return {
+    async ensureIndexes() {
+      const feedback = await collection();
+      await feedback.createIndex({ messageId: 1 });
+      await feedback.createIndex({ postgresqlId: 1 });
+    },
+
+    async insert(feedback) {
+      await (await collection()).insertOne({ ...feedback });
+    },
+
+    async findForMessage(ids) {
+      const $or = messageFilter(ids);
+      if ($or.length === 0) return null;
+      return (await collection()).findOne({ $or });
+    }
+  };
+}
+
+/**
+ * In-memory implementation (tests and STORAGE_BACKEND=memory)
+ * @returns {FeedbackRepository}
+ */
+export function createMemoryFeedbackRepository() {
+  const entries = [];
+
+  return {
+    async ensureIndexes() {},
+
+    async insert(feedback) {
+      entries.push(structuredClone(feedback));
+    },
+
+    async findForMessage(ids) {
+      const conditions = messageFilter(ids);
+      const entry = entries.find(feedback =>
+        conditions.some(condition => Object.entries(condition).every(([key, value]) => feedback[key] === value))
+      );
+      return entry ? structuredClone(entry) : null;
+    }
+  };
+}
+
+export default { createMongoFeedbackRepository, createMemoryFeedbackRepository };
@@ -0,0 +1,89 @@
+// repositories/messageMappingRepository.js - Our message IDs and their analytics IDs (`message_id_mappings`)
+//
+// The analytics system stores messages in PostgreSQL under its own IDs; feedback given on
+// our IDs is forwarded with the mapped ones:
+//   { mongodbId, postgresqlId, content?, trackingId?, createdAt, updatedAt? }
+
+import crypto from 'crypto';
+
+const COLLECTION = 'message_id_mappings';
+
+/**
+ * @typedef {Object} MessageMappingRepository
+ * @property {Function} ensureIndexes - () => Promise
+ * @property {Function} insert - (mapping) => Promise<string|Object> ID of the new mapping
+ * @property {Function} find - ({ mongodbId, postgresqlId }) => Promise<Object|null> Mapping matching either ID
+ * @property {Function} update - (mappingId, fields) => Promise
+ */
+
+function idFilter({ mongodbId, postgresqlId }) {
+  return [
+    ...(mongodbId ? [{ mongodbId }] : []),
+    ...(postgresqlId ? [{ postgresqlId }] : [])
+  ];
+}
+
+/**
+ * MongoDB implementation
+ * @param {Function} getDb - async () => Db
+ * @returns {MessageMappingRepository}
+ */
+export function createMongoMessageMappingRepository(getDb) {
+  const collection = async () => (await getDb()).collection(COLLECTION);
+
+  return {
+    async ensureIndexes() {
+      const mappings = await collection();
+      await mappings.createIndex({ mongodbId: 1 });
+      await mappings.createIndex({ postgresqlId: 1 });
+    },
+
+    async insert(mapping) {
+      const result = await (await collection()).insertOne({ ...mapping });
+      return result.insertedId;
+    },
+
+    async find(ids) {
+      const $or = idFilter(ids);
+      if ($or.length === 0) return null;
+      return (await collection()).findOne({ $or });
+    },
+
+    async update(mappingId, fields) {
+      await (await collection()).updateOne({ _id: mappingId }, { $set: fields });
+    }
+  };
+}
+
+/**
+ * In-memory implementation (tests and STORAGE_BACKEND=memory)
+ * @returns {MessageMappingRepository}
+ */
+export function createMemoryMessageMappingRepository() {
+  const mappings = [];
+
+  return {
+    async ensureIndexes() {},
+
+    async insert(mapping) {
+      const stored = { _id: crypto.randomUUID(), ...structuredClone(mapping) };
+      mappings.push(stored);
+      return stored._id;
+    },
+
+    async find(ids) {
+      const conditions = idFilter(ids);
+      const mapping = mappings.find(m =>
+        conditions.some(condition => Object.entries(condition).every(([key, value]) => m[key] === value))
+      );
+      return mapping ? structuredClone(mapping) : null;
+    },
+
+    async update(mappingId, fields) {
+      const mapping = mappings.find(m => m._id === mappingId);
+      if (mapping) Object.assign(mapping, structuredClone(fields));
+    }
+  };
+}
+
+export default { createMongoMessageMappingRepository, createMemoryMessageMappingRepository };
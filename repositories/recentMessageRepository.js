@@ -0,0 +1,87 @@
+// repositories/recentMessageRepository.js - Messages recently posted to LiveChat (`recent_messages`)
+//
+// Kept for a minute so the copies LiveChat echoes back through its webhook can be
+// recognised and dropped (liveChatBridge.js):
+//   { chatId, messageText, timestamp, expiresAt }
+// MongoDB removes expired entries with a TTL index.
+
+const COLLECTION = 'recent_messages';
+
+/**
+ * @typedef {Object} RecentMessageRepository
+ * @property {Function} ensureIndexes - () => Promise
+ * @property {Function} insert - (chatId, messageText, ttlMs) => Promise
+ * @property {Function} findSince - (chatId, messageText, since) => Promise<Object|null>
+ * @property {Function} listLatest - (chatId, limit) => Promise<Array> Newest first
+ */
+
+/**
+ * MongoDB implementation
+ * @param {Function} getDb - async () => Db
+ * @returns {RecentMessageRepository}
+ */
+export function createMongoRecentMessageRepository(getDb) {
+  const collection = async () => (await getDb()).collection(COLLECTION);
+
+  return {
+    async ensureIndexes() {
+      const messages = await collection();
+      await messages.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await messages.createIndex({ chatId: 1, timestamp: -1 });
+    },
+
+    async insert(chatId, messageText, ttlMs) {
+      await (await collection()).insertOne({
+        chatId,
+        messageText,
+        timestamp: new Date(),
+        expiresAt: new Date(Date.now() + ttlMs)
+      });
+    },
+
+    async findSince(chatId, messageText, since) {
+      return (await collection()).findOne({ chatId, messageText, timestamp: { $gte: since } });
+    },
+
+    async listLatest(chatId, limit) {
+      return (await collection()).find({ chatId }).sort({ timestamp: -1 }).limit(limit).toArray();
+    }
+  };
+}
+
+/**
+ * In-memory implementation (tests and STORAGE_BACKEND=memory)
+ * @returns {RecentMessageRepository}
+ */
+export function createMemoryRecentMessageRepository() {
+  let messages = [];
+
+  // What the TTL index does in MongoDB
+  const live = () => {
+    const now = Date.now();
+    messages = messages.filter(message => message.expiresAt.getTime() > now);
+    return messages;
+  };
+
+  return {
+    async ensureIndexes() {},
+
+    async insert(chatId, messageText, ttlMs) {
+      messages.push({ chatId, messageText, timestamp: new Date(), expiresAt: new Date(Date.now() + ttlMs) });
+    },
+
+    async findSince(chatId, messageText, since) {
+      const match = live().find(m => m.chatId === chatId && m.messageText === messageText && m.timestamp >= since);
+      return match ? structuredClone(match) : null;
+    },
+
+    async listLatest(chatId, limit) {
+      return structuredClone(live()
+        .filter(m => m.chatId === chatId)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit));
+    }
+  };
+}
+
+export default { createMongoRecentMessageRepository, createMemoryRecentMessageRepository };
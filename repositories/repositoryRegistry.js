@@ -0,0 +1,162 @@
+// repositories/repositoryRegistry.js - Storage behind the chat core
+//
+// Business logic reads and writes conversations, sessions, feedback, analytics ID
+// mappings, the analytics outbox and the LiveChat echo/credential records through
+// these repositories instead of raw collections. Each repository has a MongoDB and an
+// in-memory implementation with the same methods:
+//   mongodb - the default; indexes are created in the background on first use of each
+//             database connection (ensureRepositoryIndexes), as serverless deployments
+//             never run startServer
+//   memory  - per instance, lost on restart (STORAGE_BACKEND=memory, tests)
+//
+// withTransaction runs writes to conversations and the analytics outbox atomically
+// (MongoDB transactions need a replica set - on a standalone server they run one by one).
+
+import { connectToDatabase } from '../database.js';
+import { getConfig } from '../config.js';
+import { createMongoConversationRepository, createMemoryConversationRepository } from './conversationRepository.js';
+import { createMongoSessionRepository, createMemorySessionRepository } from './sessionRepository.js';
+import { createMongoFeedbackRepository, createMemoryFeedbackRepository } from './feedbackRepository.js';
+import { createMongoMessageMappingRepository, createMemoryMessageMappingRepository } from './messageMappingRepository.js';
+import { createMongoRecentMessageRepository, createMemoryRecentMessageRepository } from './recentMessageRepository.js';
+import { createMongoDualCredentialRepository, createMemoryDualCredentialRepository } from './dualCredentialRepository.js';
+import { createMongoAnalyticsOutboxRepository, createMemoryAnalyticsOutboxRepository } from './analyticsOutboxRepository.js';
+
+// Repository sets created for MongoDB (the ones withTransaction can run a transaction on)
+const mongoRepositorySets = new WeakSet();
+
+// Database connections whose indexes were asked for
+const indexedDatabases = new WeakSet();
+
+const getDb = async () => {
+  const { db } = await connectToDatabase();
+  if (!indexedDatabases.has(db)) {
+    indexedDatabases.add(db);
+    // Doesn't hold up the query - a missing index only slows queries down
+    ensureRepositoryIndexes()
+      .then((failed) => {
+        if (!failed) console.log(`🗄️ Storage indexes ready (${getConfig().storage.backend})`);
+      })
+      .catch((error) => console.error('❌ Error creating storage indexes:', error.message));
+  }
+  return db;
+};
+
+// "Transaction numbers are only allowed on a replica set member or mongos"
+const isTransactionUnsupported = (error) => error?.code === 20 || /replica set/i.test(error?.message || '');
+
+/**
+ * @typedef {Object} Repositories
+ * @property {import('./conversationRepository.js').ConversationRepository} conversations
+ * @property {import('./sessionRepository.js').SessionRepository} sessions
+ * @property {import('./feedbackRepository.js').FeedbackRepository} feedback
+ * @property {import('./messageMappingRepository.js').MessageMappingRepository} messageMappings
+ * @property {import('./recentMessageRepository.js').RecentMessageRepository} recentMessages
+ * @property {import('./dualCredentialRepository.js').DualCredentialRepository} dualCredentials
+ * @property {import('./analyticsOutboxRepository.js').AnalyticsOutboxRepository} analyticsOutbox
+ */
+
+/**
+ * Create a full set of repositories
+ * @param {string} backend - 'mongodb' or 'memory'
+ * @returns {Repositories}
+ */
+export function createRepositories(backend) {
+  if (backend === 'memory') {
+    return {
+      conversations: createMemoryConversationRepository(),
+      sessions: createMemorySessionRepository(),
+      feedback: createMemoryFeedbackRepository(),
+      messageMappings: createMemoryMessageMappingRepository(),
+      recentMessages: createMemoryRecentMessageRepository(),
+      dualCredentials: createMemoryDualCredentialRepository(),
+      analyticsOutbox: createMemoryAnalyticsOutboxRepository()
+    };
+  }
+
+  const repositories = {
+    conversations: createMongoConversationRepository(getDb),
+    sessions: createMongoSessionRepository(getDb),
+    feedback: createMongoFeedbackRepository(getDb),
+    messageMappings: createMongoMessageMappingRepository(getDb),
+    recentMessages: createMongoRecentMessageRepository(getDb),
+    dualCredentials: createMongoDualCredentialRepository(getDb),
+    analyticsOutbox: createMongoAnalyticsOutboxRepository(getDb)
+  };
+  mongoRepositorySets.add(repositories);
+  return repositories;
+}
+
+/**
+ * Repositories of the configured backend (created on first use)
+ * @returns {Repositories}
+ */
+export function getRepositories() {
+  if (!global.repositories) {
+    global.repositories = createRepositories(getConfig().storage.backend);
+  }
+  return global.repositories;
+}
+
+/**
+ * Replace the repositories (tests)
+ * @param {Repositories|null} repositories - null goes back to the configured backend
+ */
+export function setRepositories(repositories) {
+  global.repositories = repositories;
+}
+
+/**
+ * Run writes to conversations and the analytics outbox in one transaction
+ * The work may run more than once when MongoDB retries a transient transaction error.
+ *
+ * @param {Function} work - async ({ conversations, analyticsOutbox }) => result
+ * @returns {Promise<*>} Result of the work
+ */
+export async function withTransaction(work) {
+  const repositories = getRepositories();
+  if (!mongoRepositorySets.has(repositories) || global.repositoryTransactionsUnsupported) {
+    return work(repositories);
+  }
+
+  const { client } = await connectToDatabase();
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work({
+        conversations: createMongoConversationRepository(getDb, { session }),
+        analyticsOutbox: createMongoAnalyticsOutboxRepository(getDb, { session })
+      });
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+
+    console.warn('⚠️ MongoDB has no transactions (not a replica set) - writing without one');
+    global.repositoryTransactionsUnsupported = true;
+    return work(repositories);
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Create the indexes of every repository
+ * A failing index is logged and doesn't stop the others
+ * @returns {Promise<number>} Number of repositories that failed
+ */
+export async function ensureRepositoryIndexes() {
+  let failed = 0;
+  for (const [name, repository] of Object.entries(getRepositories())) {
+    try {
+      await repository.ensureIndexes();
+    } catch (error) {
+      failed++;
+      console.error(`❌ Error creating indexes for ${name}:`, error.message);
+    }
+  }
+  return failed;
+}
+
+export default { createRepositories, getRepositories, setRepositories, withTransaction, ensureRepositoryIndexes };
@@ -0,0 +1,75 @@
+// repositories/sessionRepository.js - Chat sessions (`globalSessions`)
+//
+// A session ties the widget's session ID to the conversation it is writing to:
+//   { type: 'chat_session', frontendSessionId, frontendSessionIds, sessionId, tenantId,
+//     conversationId, startedAt, lastActivity, previousConversationId?, isTimeoutSession? }
+// Session IDs come from the widget, so they are only unique within a tenant.
+// A session that times out gets a new document with the next conversation ID
+// (sessionManager.js); dates are ISO strings.
+
+const COLLECTION = 'globalSessions';
+
+/**
+ * @typedef {Object} SessionRepository
+ * @property {Function} ensureIndexes - () => Promise
+ * @property {Function} findByFrontendSessionId - (frontendSessionId, tenantId) => Promise<Object|null>
+ * @property {Function} insert - (session) => Promise
+ * @property {Function} touch - (conversationId, lastActivity) => Promise
+ */
+
+/**
+ * MongoDB implementation
+ * @param {Function} getDb - async () => Db
+ * @returns {SessionRepository}
+ */
+export function createMongoSessionRepository(getDb) {
+  const collection = async () => (await getDb()).collection(COLLECTION);
+
+  return {
+    async ensureIndexes() {
+      const sessions = await collection();
+      await sessions.createIndex({ frontendSessionId: 1, tenantId: 1 });
+      await sessions.createIndex({ conversationId: 1 });
+    },
+
+    async findByFrontendSessionId(frontendSessionId, tenantId) {
+      return (await collection()).findOne({ frontendSessionId, tenantId });
+    },
+
+    async insert(session) {
+      await (await collection()).insertOne({ ...session });
+    },
+
+    async touch(conversationId, lastActivity) {
+      await (await collection()).updateOne({ conversationId }, { $set: { lastActivity } });
+    }
+  };
+}
+
+/**
+ * In-memory implementation (tests and STORAGE_BACKEND=memory)
+ * @returns {SessionRepository}
+ */
+export function createMemorySessionRepository() {
+  const sessions = []; // insertion order, like a MongoDB findOne without sort
+
+  return {
+    async ensureIndexes() {},
+
+    async findByFrontendSessionId(frontendSessionId, tenantId) {
+      const session = sessions.find(s => s.frontendSessionId === frontendSessionId && s.tenantId === tenantId);
+      return session ? structuredClone(session) : null;
+    },
+
+    async insert(session) {
+      sessions.push(structuredClone(session));
+    },
+
+    async touch(conversationId, lastActivity) {
+      const session = sessions.find(s => s.conversationId === conversationId);
+      if (session) session.lastActivity = lastActivity;
+    }
+  };
+}
+
+export default { createMongoSessionRepository, createMemorySessionRepository };
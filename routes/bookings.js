@@ -0,0 +1,98 @@
+// routes/bookings.js - Consultation booking routes
+//
+// The default router serves calendar invites publicly (mounted under /bookings);
+// the invite token in the link protects them, so calendar apps can fetch them
+// without an API key. bookingAdminRouter (mounted under /admin) manages staff
+// availability and bookings.
+
+import express from 'express';
+import {
+  getBooking,
+  getBookingInvite,
+  listBookings,
+  cancelBooking,
+  listBookingStaff,
+  getBookingStaff,
+  saveBookingStaff
+} from '../bookingService.js';
+import { sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+// Download the .ics invite of a booking
+router.get('/:bookingId/invite.ics', async (req, res) => {
+  try {
+    const booking = await getBooking(req.params.bookingId);
+    if (!booking || !req.query.token || req.query.token !== booking.inviteToken) {
+      return res.status(404).json({ success: false, error: 'Booking not found' });
+    }
+
+    const ics = await getBookingInvite(booking);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="svorum-strax-${booking.bookingId}.ics"`);
+    res.send(ics);
+  } catch (error) {
+    sendError(res, error, 'Failed to create calendar invite');
+  }
+});
+
+export const bookingAdminRouter = express.Router();
+
+// List bookings (?staffId=&status=&from=&to=)
+bookingAdminRouter.get('/bookings', async (req, res) => {
+  try {
+    const bookings = await listBookings({
+      staffId: req.query.staffId,
+      status: req.query.status,
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ success: true, count: bookings.length, bookings });
+  } catch (error) {
+    sendError(res, error, 'Failed to list bookings');
+  }
+});
+
+// Cancel a booking - frees the slot
+bookingAdminRouter.post('/bookings/:bookingId/cancel', async (req, res) => {
+  try {
+    const booking = await cancelBooking(req.params.bookingId, { reason: req.body?.reason });
+    res.json({ success: true, booking });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel booking');
+  }
+});
+
+// Staff availability
+bookingAdminRouter.get('/booking-staff', async (req, res) => {
+  try {
+    const staff = await listBookingStaff({ role: req.query.role, includeInactive: true });
+    res.json({ success: true, count: staff.length, staff });
+  } catch (error) {
+    sendError(res, error, 'Failed to list booking staff');
+  }
+});
+
+bookingAdminRouter.get('/booking-staff/:staffId', async (req, res) => {
+  try {
+    const staff = await getBookingStaff(req.params.staffId);
+    if (!staff) {
+      return res.status(404).json({ success: false, error: 'Staff member not found' });
+    }
+    res.json({ success: true, staff });
+  } catch (error) {
+    sendError(res, error, 'Failed to get booking staff');
+  }
+});
+
+// Create or replace weekly hours, slot length, blocked dates etc.
+bookingAdminRouter.put('/booking-staff/:staffId', async (req, res) => {
+  try {
+    const staff = await saveBookingStaff({ ...req.body, staffId: req.params.staffId });
+    res.json({ success: true, staff });
+  } catch (error) {
+    sendError(res, error, 'Failed to save booking staff');
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+// routes/candidates.js - Job applicants for the recruiting team
+//
+// Mounted under /admin behind admin authentication. Candidates are created from
+// CVs uploaded in chat (submit_job_application tool).
+
+import express from 'express';
+import { listCandidates, getCandidate, getCandidateFile, updateCandidate } from '../candidateService.js';
+import { sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+// List candidates (?status=&icelandicProficiency=&nieStatus=)
+router.get('/candidates', async (req, res) => {
+  try {
+    const candidates = await listCandidates({
+      status: req.query.status,
+      icelandicProficiency: req.query.icelandicProficiency,
+      nieStatus: req.query.nieStatus
+    });
+    res.json({ success: true, count: candidates.length, candidates });
+  } catch (error) {
+    sendError(res, error, 'Failed to list candidates');
+  }
+});
+
+router.get('/candidates/:candidateId', async (req, res) => {
+  try {
+    const candidate = await getCandidate(req.params.candidateId);
+    if (!candidate) {
+      return res.status(404).json({ success: false, error: 'Candidate not found' });
+    }
+    res.json({ success: true, candidate });
+  } catch (error) {
+    sendError(res, error, 'Failed to get candidate');
+  }
+});
+
+// Download the original CV
+router.get('/candidates/:candidateId/files/:fileId', async (req, res) => {
+  try {
+    const file = await getCandidateFile(req.params.candidateId, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+    res.set('Content-Type', file.mimeType);
+    res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(file.filename)}"`);
+    res.send(file.data);
+  } catch (error) {
+    sendError(res, error, 'Failed to get candidate file');
+  }
+});
+
+// Update status or recruiter notes
+router.patch('/candidates/:candidateId', async (req, res) => {
+  try {
+    const candidate = await updateCandidate(req.params.candidateId, req.body || {});
+    res.json({ success: true, candidate });
+  } catch (error) {
+    sendError(res, error, 'Failed to update candidate');
+  }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+// routes/handoff.js - Customer side of the human handoff for HTTP clients
+//
+// Mounted under /handoff with the widget API key. WebSocket clients use the
+// 'request-human' frame and receive operator messages on their socket; clients on
+// /chat or /chat-stream poll /handoff/:sessionId/updates instead.
+
+import express from 'express';
+import { getOrCreateSession } from '../sessionManager.js';
+import { requestHandoff, getCustomerUpdates } from '../handoffManager.js';
+import { sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+// Ask for a human operator
+router.post('/request', async (req, res) => {
+  try {
+    const { sessionId, reason, language } = req.body || {};
+    if (!sessionId) {
+      return res.status(400).json({ success: false, error: 'sessionId is required' });
+    }
+
+    const sessionInfo = await getOrCreateSession(sessionId, req.tenant?.tenantId);
+    const handoff = await requestHandoff({
+      sessionId,
+      conversationId: sessionInfo.conversationId,
+      language: language === 'en' ? 'en' : 'is',
+      reason,
+      requestedBy: 'user',
+      tenantId: req.tenant?.tenantId
+    });
+
+    res.json({ success: true, handoff });
+  } catch (error) {
+    sendError(res, error, 'Failed to request a human operator');
+  }
+});
+
+// Handoff status and operator messages since a timestamp (?since=ISO)
+router.get('/:sessionId/updates', async (req, res) => {
+  try {
+    const updates = await getCustomerUpdates(req.params.sessionId, req.query.since, req.tenant?.tenantId);
+    res.json({ success: true, ...updates });
+  } catch (error) {
+    sendError(res, error, 'Failed to get handoff updates');
+  }
+});
+
+export default router;
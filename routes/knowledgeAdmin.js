@@ -0,0 +1,242 @@
+// routes/knowledgeAdmin.js - Admin API for knowledge base documents and FAQ entries
+//
+// Mounted under /admin behind admin authentication. Every write re-indexes the
+// document and bumps the knowledge revision, so the chat pipeline picks up the
+// change on all instances without a redeploy. Documents belong to the tenant
+// given by ?tenantId= or the x-tenant-id header (default tenant otherwise).
+
+import express from 'express';
+import { extractTextFromFile } from '../utils/fileProcessor.js';
+import {
+  saveKnowledgeDocument,
+  listKnowledgeDocuments,
+  getKnowledgeDocument,
+  deleteKnowledgeDocument,
+  listKnowledgeVersions,
+  restoreKnowledgeVersion,
+  previewKnowledgeDocument,
+  slugifySourceId
+} from '../knowledgeBase.js';
+import { getEditor, requireAdminTenant, sendError } from './routeHelpers.js';
+import { httpError } from '../utils/httpError.js';
+
+const router = express.Router();
+
+router.use(['/knowledge', '/faq'], requireAdminTenant);
+
+// Formats accepted as inline content (uploaded files set their own format)
+const INLINE_FORMATS = ['text', 'markdown'];
+
+/**
+ * Work out the document text from the request body
+ * Accepts inline `content` (text/markdown) or an uploaded `file` ({ filename, mimeType, data, size })
+ *
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { content, format, originalFilename }
+ */
+async function resolveContent(body) {
+  if (body.file) {
+    const { filename, mimeType, data } = body.file;
+    if (!filename || !mimeType || !data) {
+      throw httpError('file requires filename, mimeType and data (base64)', 400);
+    }
+
+    const text = await extractTextFromFile(body.file);
+
+    // extractTextFromFile reports failures in-band
+    if (!text || text.startsWith('[Could not extract text')) {
+      throw httpError(text || `No text found in ${filename}`, 422);
+    }
+
+    const format = mimeType === 'application/pdf'
+      ? 'pdf'
+      : (mimeType.includes('word') || mimeType.includes('document')) ? 'word' : 'text';
+
+    return { content: text.trim(), format, originalFilename: filename };
+  }
+
+  if (body.question && body.answer) {
+    return { content: `Q: ${body.question}\nA: ${body.answer}`, format: 'faq' };
+  }
+
+  if (!body.content) {
+    return { content: undefined, format: body.format };
+  }
+
+  const format = body.format || 'text';
+  if (!INLINE_FORMATS.includes(format)) {
+    throw httpError(`format must be one of: ${INLINE_FORMATS.join(', ')}`, 400);
+  }
+
+  return { content: body.content, format };
+}
+
+/**
+ * Build a document from the request body
+ * @param {Object} body - Request body
+ * @param {string} [sourceId] - Source ID from the URL (updates)
+ * @returns {Promise<Object>} Knowledge document
+ */
+async function documentFromBody(body, sourceId = null) {
+  const resolved = await resolveContent(body);
+  const title = body.title || body.question || resolved.originalFilename;
+
+  return {
+    sourceId: sourceId || body.sourceId || slugifySourceId(title),
+    title,
+    category: body.question ? 'faq' : body.category,
+    language: body.language,
+    status: body.status,
+    question: body.question,
+    answer: body.answer,
+    ...resolved
+  };
+}
+
+// List documents
+router.get('/knowledge', async (req, res) => {
+  try {
+    const documents = await listKnowledgeDocuments({
+      tenantId: req.tenantId,
+      category: req.query.category,
+      status: req.query.status
+    });
+    res.json({ success: true, count: documents.length, documents });
+  } catch (error) {
+    sendError(res, error, 'Failed to list knowledge documents');
+  }
+});
+
+// Preview chunking and retrieval for a draft document without saving it
+router.post('/knowledge/preview', async (req, res) => {
+  try {
+    const document = await documentFromBody(req.body);
+    if (!document.content) {
+      return res.status(400).json({ success: false, error: 'content, file or question/answer required' });
+    }
+    const preview = await previewKnowledgeDocument(document, req.body.testQuestion, { tenantId: req.tenantId });
+    res.json({
+      success: true,
+      sourceId: document.sourceId,
+      title: document.title,
+      format: document.format,
+      content: document.content,
+      ...preview
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to preview knowledge document');
+  }
+});
+
+// Get one document
+router.get('/knowledge/:sourceId', async (req, res) => {
+  try {
+    const document = await getKnowledgeDocument(req.params.sourceId, { tenantId: req.tenantId });
+    if (!document) {
+      return res.status(404).json({ success: false, error: 'Knowledge document not found' });
+    }
+    res.json({ success: true, document });
+  } catch (error) {
+    sendError(res, error, 'Failed to get knowledge document');
+  }
+});
+
+// Create a document (text, markdown or uploaded PDF/Word)
+router.post('/knowledge', async (req, res) => {
+  try {
+    const document = await documentFromBody(req.body);
+    const stored = await saveKnowledgeDocument(document, { tenantId: req.tenantId, createOnly: true, editor: getEditor(req) });
+    console.log(`📝 Knowledge document created: ${stored.sourceId}`);
+    res.status(201).json({ success: true, document: stored });
+  } catch (error) {
+    sendError(res, error, 'Failed to create knowledge document');
+  }
+});
+
+// Update a document - the previous version is archived
+router.put('/knowledge/:sourceId', async (req, res) => {
+  try {
+    const document = await documentFromBody(req.body, req.params.sourceId);
+    const stored = await saveKnowledgeDocument(document, { tenantId: req.tenantId, updateOnly: true, editor: getEditor(req) });
+    console.log(`📝 Knowledge document updated: ${stored.sourceId} (v${stored.version})`);
+    res.json({ success: true, document: stored });
+  } catch (error) {
+    sendError(res, error, 'Failed to update knowledge document');
+  }
+});
+
+// Delete a document
+router.delete('/knowledge/:sourceId', async (req, res) => {
+  try {
+    const deleted = await deleteKnowledgeDocument(req.params.sourceId, { tenantId: req.tenantId, editor: getEditor(req) });
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Knowledge document not found' });
+    }
+    res.json({ success: true, sourceId: req.params.sourceId });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete knowledge document');
+  }
+});
+
+// Version history
+router.get('/knowledge/:sourceId/versions', async (req, res) => {
+  try {
+    const current = await getKnowledgeDocument(req.params.sourceId, { tenantId: req.tenantId });
+    const versions = await listKnowledgeVersions(req.params.sourceId, { tenantId: req.tenantId });
+    if (!current && versions.length === 0) {
+      return res.status(404).json({ success: false, error: 'Knowledge document not found' });
+    }
+    res.json({ success: true, current, versions });
+  } catch (error) {
+    sendError(res, error, 'Failed to list knowledge versions');
+  }
+});
+
+// Restore an archived version as the new current version
+router.post('/knowledge/:sourceId/versions/:version/restore', async (req, res) => {
+  try {
+    const stored = await restoreKnowledgeVersion(req.params.sourceId, req.params.version, { tenantId: req.tenantId, editor: getEditor(req) });
+    console.log(`⏪ Knowledge document ${stored.sourceId} restored from v${req.params.version}`);
+    res.json({ success: true, document: stored });
+  } catch (error) {
+    sendError(res, error, 'Failed to restore knowledge version');
+  }
+});
+
+// FAQ entries are knowledge documents in the 'faq' category
+router.get('/faq', async (req, res) => {
+  try {
+    const entries = await listKnowledgeDocuments({ tenantId: req.tenantId, category: 'faq', status: req.query.status });
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    sendError(res, error, 'Failed to list FAQ entries');
+  }
+});
+
+router.post('/faq', async (req, res) => {
+  try {
+    if (!req.body.question || !req.body.answer) {
+      return res.status(400).json({ success: false, error: 'question and answer are required' });
+    }
+    const document = await documentFromBody({ ...req.body, sourceId: req.body.sourceId || `faq-${slugifySourceId(req.body.question)}` });
+    const stored = await saveKnowledgeDocument(document, { tenantId: req.tenantId, createOnly: true, editor: getEditor(req) });
+    res.status(201).json({ success: true, entry: stored });
+  } catch (error) {
+    sendError(res, error, 'Failed to create FAQ entry');
+  }
+});
+
+router.put('/faq/:sourceId', async (req, res) => {
+  try {
+    if (!req.body.question || !req.body.answer) {
+      return res.status(400).json({ success: false, error: 'question and answer are required' });
+    }
+    const document = await documentFromBody(req.body, req.params.sourceId);
+    const stored = await saveKnowledgeDocument(document, { tenantId: req.tenantId, updateOnly: true, editor: getEditor(req) });
+    res.json({ success: true, entry: stored });
+  } catch (error) {
+    sendError(res, error, 'Failed to update FAQ entry');
+  }
+});
+
+export default router;
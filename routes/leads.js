@@ -0,0 +1,58 @@
+// routes/leads.js - Sales leads captured from conversations
+//
+// Mounted under /leads behind admin authentication. Leads are created by the chat
+// pipeline (record_lead tool, bookings); the sales team reads and updates them here,
+// one tenant at a time (?tenantId= or x-tenant-id, default tenant when omitted).
+
+import express from 'express';
+import { listLeads, getLead, updateLead } from '../leadService.js';
+import { getEditor, requireAdminTenant, sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+router.use(requireAdminTenant);
+
+// List leads (?status=&recommendedPackage=&conversationId=&from=&to=&limit=&skip=)
+router.get('/', async (req, res) => {
+  try {
+    const { leads, total } = await listLeads({
+      tenantId: req.tenantId,
+      status: req.query.status,
+      recommendedPackage: req.query.recommendedPackage,
+      conversationId: req.query.conversationId,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+      skip: req.query.skip
+    });
+    res.json({ success: true, total, count: leads.length, leads });
+  } catch (error) {
+    sendError(res, error, 'Failed to list leads');
+  }
+});
+
+// Get one lead
+router.get('/:leadId', async (req, res) => {
+  try {
+    const lead = await getLead(req.params.leadId, req.tenantId);
+    if (!lead) {
+      return res.status(404).json({ success: false, error: 'Lead not found' });
+    }
+    res.json({ success: true, lead });
+  } catch (error) {
+    sendError(res, error, 'Failed to get lead');
+  }
+});
+
+// Update status, owner, sales notes or corrected details
+router.patch('/:leadId', async (req, res) => {
+  try {
+    const lead = await updateLead(req.params.leadId, req.body || {}, req.tenantId);
+    console.log(`🎯 Lead ${req.params.leadId} updated by ${getEditor(req)}`);
+    res.json({ success: true, lead });
+  } catch (error) {
+    sendError(res, error, 'Failed to update lead');
+  }
+});
+
+export default router;
@@ -0,0 +1,26 @@
+// routes/liveChat.js - Inbound LiveChat webhooks
+//
+// Mounted under /livechat without an API key: LiveChat authenticates each webhook
+// with the secret_key configured for it (LIVECHAT_WEBHOOK_SECRET). Register the
+// incoming_event, user_added_to_chat and chat_deactivated webhooks with
+// https://<host>/livechat/webhook as the URL.
+
+import express from 'express';
+import { handleLiveChatWebhook } from '../liveChatBridge.js';
+import { sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await handleLiveChatWebhook(req.body);
+    if (!result.handled) {
+      console.log(`ℹ️ LiveChat ${req.body?.action} webhook skipped: ${result.reason}`);
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to handle LiveChat webhook');
+  }
+});
+
+export default router;
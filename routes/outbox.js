@@ -0,0 +1,71 @@
+// routes/outbox.js - Analytics outbox: stuck events (admin) and the delivery cron
+//
+// The admin router is mounted under /admin behind admin authentication. The cron router
+// is mounted under /cron without an API key: Vercel Cron calls it with
+// "Authorization: Bearer <CRON_SECRET>" (vercel.json schedules it every five minutes).
+
+import express from 'express';
+import { getConfig } from '../config.js';
+import {
+  deliverDueEvents,
+  listOutboxEvents,
+  getOutboxStats,
+  retryOutboxEvent
+} from '../analyticsOutbox.js';
+import { sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+// Counts per status and the stuck events (?status= lists one status instead, ?limit=)
+router.get('/outbox', async (req, res) => {
+  try {
+    const events = await listOutboxEvents({
+      status: req.query.status || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+    res.json({ success: true, stats: await getOutboxStats(), count: events.length, events });
+  } catch (error) {
+    sendError(res, error, 'Failed to list outbox events');
+  }
+});
+
+// Deliver a dead or waiting event now, with a fresh set of attempts
+router.post('/outbox/:eventId/retry', async (req, res) => {
+  try {
+    const result = await retryOutboxEvent(req.params.eventId);
+    res.json({ success: true, eventId: req.params.eventId, ...result, delivered: result.success });
+  } catch (error) {
+    sendError(res, error, 'Failed to retry outbox event');
+  }
+});
+
+// Deliver the due events now (what the worker and the cron do)
+router.post('/outbox/deliver', async (req, res) => {
+  try {
+    const summary = await deliverDueEvents();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    sendError(res, error, 'Failed to deliver outbox events');
+  }
+});
+
+export const outboxCronRouter = express.Router();
+
+outboxCronRouter.get('/analytics-outbox', async (req, res) => {
+  const { cronSecret } = getConfig().auth;
+  if (!cronSecret) {
+    return res.status(503).json({ success: false, error: 'Cron is not configured' });
+  }
+  if (req.header('authorization') !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ success: false, error: 'Invalid cron secret' });
+  }
+
+  try {
+    const summary = await deliverDueEvents();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    sendError(res, error, 'Failed to deliver outbox events');
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+// routes/quotes.js - Package recommendation and quote requests
+//
+// The default router (mounted under /quote with the widget API key) runs the
+// recommendation engine and opens a quote request. quoteAdminRouter (mounted under
+// /admin) manages the package rules and the quote request queue.
+
+import express from 'express';
+import {
+  estimatePackage,
+  createQuoteRequest,
+  listPackageRules,
+  savePackageRule,
+  listQuoteRequests,
+  updateQuoteRequest
+} from '../quoteEngine.js';
+import { getEditor, sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+// Recommend a package and open an internal quote request
+router.post('/estimate', async (req, res) => {
+  try {
+    const { monthlyCalls, coverage, needs, contact, notes, sessionId, conversationId } = req.body || {};
+    const estimate = await estimatePackage({ monthlyCalls, coverage, needs });
+
+    const quoteRequest = await createQuoteRequest(estimate, {
+      contact,
+      notes,
+      sessionId,
+      conversationId,
+      source: 'api'
+    });
+
+    res.json({ success: true, ...estimate, quoteRequestId: quoteRequest.quoteRequestId });
+  } catch (error) {
+    sendError(res, error, 'Failed to estimate package');
+  }
+});
+
+export const quoteAdminRouter = express.Router();
+
+// Package rules
+quoteAdminRouter.get('/package-rules', async (req, res) => {
+  try {
+    const rules = await listPackageRules();
+    res.json({ success: true, count: rules.length, rules });
+  } catch (error) {
+    sendError(res, error, 'Failed to list package rules');
+  }
+});
+
+quoteAdminRouter.put('/package-rules/:packageId', async (req, res) => {
+  try {
+    const rule = await savePackageRule({ ...req.body, packageId: req.params.packageId }, { editor: getEditor(req) });
+    res.json({ success: true, rule });
+  } catch (error) {
+    sendError(res, error, 'Failed to save package rule');
+  }
+});
+
+// Quote request queue (?status=&recommendedPackage=)
+quoteAdminRouter.get('/quote-requests', async (req, res) => {
+  try {
+    const quoteRequests = await listQuoteRequests({
+      status: req.query.status,
+      recommendedPackage: req.query.recommendedPackage
+    });
+    res.json({ success: true, count: quoteRequests.length, quoteRequests });
+  } catch (error) {
+    sendError(res, error, 'Failed to list quote requests');
+  }
+});
+
+quoteAdminRouter.patch('/quote-requests/:quoteRequestId', async (req, res) => {
+  try {
+    const quoteRequest = await updateQuoteRequest(req.params.quoteRequestId, req.body || {});
+    res.json({ success: true, quoteRequest });
+  } catch (error) {
+    sendError(res, error, 'Failed to update quote request');
+  }
+});
+
+export default router;
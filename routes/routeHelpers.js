@@ -0,0 +1,56 @@
+// routes/routeHelpers.js - Small helpers shared by the admin routers
+
+import { getTenant, getDefaultTenantId } from '../tenantService.js';
+
+/**
+ * Name of the admin making a change (x-admin-user header), for audit fields
+ * @param {Object} req - Express request
+ * @returns {string} Editor name
+ */
+export const getEditor = (req) => req.header('x-admin-user') || 'admin';
+
+/**
+ * Tenant an admin request works on (?tenantId= or x-tenant-id header, then the tenant of a
+ * tenant admin key, then the default tenant)
+ * @param {Object} req - Express request
+ * @returns {string} Tenant ID
+ */
+export const getTenantId = (req) => req.query.tenantId || req.header('x-tenant-id') || req.adminTenantId || getDefaultTenantId();
+
+/**
+ * Middleware setting req.tenantId for tenant-scoped admin routes
+ * Unknown tenants get a 404, tenant admin keys a 403 for other tenants
+ */
+export async function requireAdminTenant(req, res, next) {
+  try {
+    const tenantId = getTenantId(req);
+    if (req.adminTenantId && tenantId !== req.adminTenantId) {
+      return res.status(403).json({ success: false, error: `API key is limited to tenant ${req.adminTenantId}` });
+    }
+    if (!await getTenant(tenantId)) {
+      return res.status(404).json({ success: false, error: `Tenant ${tenantId} not found` });
+    }
+    req.tenantId = tenantId;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to resolve tenant');
+  }
+}
+
+/**
+ * Shared error response - errors from the service modules carry an HTTP status
+ * Internal errors are logged and replaced by the fallback message
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error (with optional status)
+ * @param {string} fallbackMessage - Message for 5xx responses
+ */
+export function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(`❌ ${fallbackMessage}:`, error);
+  }
+  res.status(status).json({ success: false, error: status >= 500 ? fallbackMessage : error.message });
+}
+
+export default { getEditor, getTenantId, requireAdminTenant, sendError };
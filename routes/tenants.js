@@ -0,0 +1,86 @@
+// routes/tenants.js - Tenants (client chatbots) and their API keys
+//
+// Mounted under /admin behind admin authentication. A tenant's knowledge base is
+// managed through the knowledge routes with ?tenantId=.
+
+import express from 'express';
+import { listTenants, getTenant, saveTenant, toPublicTenant } from '../tenantService.js';
+import { listApiKeys, createApiKey, rotateApiKey, revokeApiKey } from '../apiKeyService.js';
+import { getEditor, sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+router.get('/tenants', async (req, res) => {
+  try {
+    const tenants = await listTenants();
+    res.json({ success: true, count: tenants.length, tenants });
+  } catch (error) {
+    sendError(res, error, 'Failed to list tenants');
+  }
+});
+
+router.get('/tenants/:tenantId', async (req, res) => {
+  try {
+    const tenant = await getTenant(req.params.tenantId);
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: 'Tenant not found' });
+    }
+    res.json({ success: true, tenant: toPublicTenant(tenant) });
+  } catch (error) {
+    sendError(res, error, 'Failed to get tenant');
+  }
+});
+
+// Create or replace a tenant's settings
+router.put('/tenants/:tenantId', async (req, res) => {
+  try {
+    const tenant = await saveTenant(req.params.tenantId, req.body || {}, { editor: getEditor(req) });
+    res.json({ success: true, tenant });
+  } catch (error) {
+    sendError(res, error, 'Failed to save tenant');
+  }
+});
+
+// API keys (hashes are never returned)
+router.get('/tenants/:tenantId/api-keys', async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.params.tenantId);
+    res.json({ success: true, count: keys.length, keys });
+  } catch (error) {
+    sendError(res, error, 'Failed to list API keys');
+  }
+});
+
+// Create a key { label, scopes, allowedOrigins, expiresAt } - the key is shown once in the response
+router.post('/tenants/:tenantId/api-keys', async (req, res) => {
+  try {
+    const created = await createApiKey(req.params.tenantId, req.body || {}, { editor: getEditor(req) });
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+// Rotate a key { overlapHours } - the old key stays valid for the overlap
+router.post('/tenants/:tenantId/api-keys/:keyId/rotate', async (req, res) => {
+  try {
+    const rotated = await rotateApiKey(req.params.tenantId, req.params.keyId, {
+      ...(req.body?.overlapHours !== undefined ? { overlapHours: req.body.overlapHours } : {}),
+      editor: getEditor(req)
+    });
+    res.status(201).json({ success: true, ...rotated });
+  } catch (error) {
+    sendError(res, error, 'Failed to rotate API key');
+  }
+});
+
+router.delete('/tenants/:tenantId/api-keys/:keyId', async (req, res) => {
+  try {
+    const key = await revokeApiKey(req.params.tenantId, req.params.keyId, { editor: getEditor(req) });
+    res.json({ success: true, key });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+export default router;
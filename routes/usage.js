@@ -0,0 +1,51 @@
+// routes/usage.js - Token usage, costs and budgets
+//
+// Mounted under /admin behind admin authentication. Reports belong to the tenant given
+// by ?tenantId= or the x-tenant-id header (default tenant otherwise); tenant admin keys
+// only see their own tenant.
+
+import express from 'express';
+import { getTenant } from '../tenantService.js';
+import { getUsageReport, getConversationUsage, listTenantSpend } from '../usageTracker.js';
+import { requireAdminTenant, sendError } from './routeHelpers.js';
+
+const router = express.Router();
+
+// Spend of every tenant today and this month (platform admins)
+router.get('/usage/tenants', async (req, res) => {
+  if (req.adminTenantId) {
+    return res.status(403).json({ success: false, error: `API key is limited to tenant ${req.adminTenantId}` });
+  }
+
+  try {
+    const tenants = await listTenantSpend();
+    res.json({ success: true, count: tenants.length, tenants });
+  } catch (error) {
+    sendError(res, error, 'Failed to list tenant spend');
+  }
+});
+
+// Cost report ?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|month (default: this month by day)
+router.get('/usage', requireAdminTenant, async (req, res) => {
+  try {
+    const report = await getUsageReport(await getTenant(req.tenantId), {
+      from: req.query.from,
+      to: req.query.to,
+      groupBy: req.query.groupBy
+    });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    sendError(res, error, 'Failed to build usage report');
+  }
+});
+
+router.get('/usage/conversations/:conversationId', requireAdminTenant, async (req, res) => {
+  try {
+    const usage = await getConversationUsage(req.tenantId, req.params.conversationId);
+    res.json({ success: true, ...usage });
+  } catch (error) {
+    sendError(res, error, 'Failed to get conversation usage');
+  }
+});
+
+export default router;
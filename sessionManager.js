@@ -1,5 +1,6 @@
 // sessionManager.js
-import { connectToDatabase } from './database.js';
+import { getRepositories } from './repositories/repositoryRegistry.js';
+import { getDefaultTenantId } from './tenantService.js';
 
 // Define session timeout (15 minutes)
 const SESSION_TIMEOUT = 15 * 60 * 1000; 
@@ -10,23 +11,50 @@ if (!global.sessionCache) {
 }
 
 /**
- * Get or create a persistent session from MongoDB
+ * Cache key of a session - widgets of different tenants may send the same session ID
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sessionId - Client session ID
+ * @returns {string} Key
+ */
+const sessionCacheKey = (tenantId, sessionId) => `${tenantId}:${sessionId}`;
+
+/**
+ * New conversation ID for a session
+ * The default tenant keeps the plain `${sessionId}_${timestamp}` form, other tenants'
+ * IDs start with the tenant so two tenants never write to the same conversation
+ *
+ * @param {string} sessionId - Client session ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {string} Conversation ID
+ */
+function createConversationId(sessionId, tenantId) {
+  const prefix = tenantId === getDefaultTenantId() ? '' : `${tenantId}:`;
+  return `${prefix}${sessionId}_${Date.now()}`;
+}
+
+/**
+ * Get or create a persistent session (sessionRepository.js)
  * Enhanced with session timeout and better conversation separation
- * Uses the frontend session ID to maintain conversation continuity
+ * Uses the frontend session ID to maintain conversation continuity. Sessions belong to
+ * a tenant: the same session ID from another tenant's widget is a different session.
  * 
  * @param {string} sessionId - The client session ID
+ * @param {string} [tenantId] - Tenant of the widget, omitted = default tenant
  * @returns {Promise<Object>} Session information
  */
-export async function getOrCreateSession(sessionId) {
+export async function getOrCreateSession(sessionId, tenantId = null) {
+  const sessionTenantId = tenantId || getDefaultTenantId();
+
   try {
     // Use provided sessionId or generate a new one
     const frontendSessionId = sessionId || `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const cacheKey = sessionCacheKey(sessionTenantId, frontendSessionId);
     
-    console.log(`🔍 Session lookup for: ${frontendSessionId}`);
+    console.log(`🔍 Session lookup for: ${frontendSessionId} (${sessionTenantId})`);
     
     // Check local cache first - this prevents generating new sessions during temporary DB issues
-    if (global.sessionCache.has(frontendSessionId)) {
-      const cachedSession = global.sessionCache.get(frontendSessionId);
+    if (global.sessionCache.has(cacheKey)) {
+      const cachedSession = global.sessionCache.get(cacheKey);
       
       // TIMEOUT CHECK: If the session has been inactive longer than the timeout period, create a new session
       const lastActivity = new Date(cachedSession.lastActivity).getTime();
@@ -36,11 +64,12 @@ export async function getOrCreateSession(sessionId) {
         console.log(`⏰ Session timeout detected for ${frontendSessionId} (${Math.round((currentTime - lastActivity)/1000/60)} minutes inactive)`);
         
         // Generate a new unique conversation ID that includes the original session ID for traceability
-        const newConversationId = `${frontendSessionId}_${Date.now()}`;
+        const newConversationId = createConversationId(frontendSessionId, sessionTenantId);
         
         // Create a new session with the timeout marker
         const timeoutSession = {
           sessionId: frontendSessionId, // Keep the same session ID for frontend consistency
+          tenantId: sessionTenantId,
           conversationId: newConversationId, // Use a new conversation ID to separate in analytics
           startedAt: new Date().toISOString(),
           lastActivity: Date.now(),
@@ -48,20 +77,17 @@ export async function getOrCreateSession(sessionId) {
         };
         
         // Cache the new session
-        global.sessionCache.set(frontendSessionId, timeoutSession);
+        global.sessionCache.set(cacheKey, timeoutSession);
         console.log(`🆕 Created timeout session with new conversation ID: ${newConversationId}`);
         
-        // Try to update this in MongoDB too
+        // Try to store it too
         try {
-          const dbConnection = await connectToDatabase();
-          const db = dbConnection.db;
-          const globalSessionCollection = db.collection('globalSessions');
-          
-          await globalSessionCollection.insertOne({
+          await getRepositories().sessions.insert({
             type: 'chat_session',
             frontendSessionId: frontendSessionId,
             frontendSessionIds: [frontendSessionId],
             sessionId: frontendSessionId,
+            tenantId: sessionTenantId,
             conversationId: newConversationId,
             startedAt: new Date().toISOString(),
             lastActivity: new Date().toISOString(),
@@ -69,7 +95,7 @@ export async function getOrCreateSession(sessionId) {
             isTimeoutSession: true
           });
         } catch (dbError) {
-          console.error('❌ Error updating MongoDB with timeout session:', dbError);
+          console.error('❌ Error storing timeout session:', dbError);
           // Continue with the cached timeout session anyway
         }
         
@@ -78,61 +104,43 @@ export async function getOrCreateSession(sessionId) {
       
       // If no timeout, update the last activity time and return the cached session
       cachedSession.lastActivity = Date.now();
-      global.sessionCache.set(frontendSessionId, cachedSession);
+      global.sessionCache.set(cacheKey, cachedSession);
       console.log(`🔄 Using cached session: ${cachedSession.conversationId} for frontend session: ${frontendSessionId}`);
       
-      // Try to update last activity in MongoDB too
+      // Try to update the stored last activity too
       try {
-        const dbConnection = await connectToDatabase();
-        const db = dbConnection.db;
-        const globalSessionCollection = db.collection('globalSessions');
-        
-        await globalSessionCollection.updateOne(
-          { conversationId: cachedSession.conversationId },
-          { $set: { lastActivity: new Date().toISOString() } }
-        );
+        await getRepositories().sessions.touch(cachedSession.conversationId, new Date().toISOString());
       } catch (dbError) {
-        console.warn('⚠️ Could not update session activity time in MongoDB:', dbError);
+        console.warn('⚠️ Could not update stored session activity time:', dbError);
         // Continue with the cached session anyway
       }
       
       return cachedSession;
     }
     
-    // Connect to MongoDB
-    let db;
+    // Try to find an existing session for this frontend session
+    const { sessions } = getRepositories();
+    let existingSession = null;
+    
     try {
-      const dbConnection = await connectToDatabase();
-      db = dbConnection.db;
-    } catch (dbConnectionError) {
-      console.error('❌ Error connecting to MongoDB:', dbConnectionError);
+      existingSession = await sessions.findByFrontendSessionId(frontendSessionId, sessionTenantId);
+    } catch (findError) {
+      console.error('❌ Error finding session:', findError);
       // Instead of throwing the error, create a session but cache it
       const tempSession = {
         sessionId: frontendSessionId, // Use the frontend session ID directly!
-        conversationId: `${frontendSessionId}_${Date.now()}`, // Use timestamp to ensure uniqueness
+        tenantId: sessionTenantId,
+        conversationId: createConversationId(frontendSessionId, sessionTenantId), // Use timestamp to ensure uniqueness
         startedAt: new Date().toISOString(),
         lastActivity: Date.now()
       };
       
       // Cache this session
-      global.sessionCache.set(frontendSessionId, tempSession);
-      console.log(`⚠️ Created temporary session: ${tempSession.conversationId} due to DB connection error`);
+      global.sessionCache.set(cacheKey, tempSession);
+      console.log(`⚠️ Created temporary session: ${tempSession.conversationId} due to storage error`);
       return tempSession;
     }
     
-    // Try to find an existing session for this frontend session
-    const globalSessionCollection = db.collection('globalSessions');
-    let existingSession = null;
-    
-    try {
-      existingSession = await globalSessionCollection.findOne({ 
-        frontendSessionId: frontendSessionId 
-      });
-    } catch (findError) {
-      console.error('❌ Error finding session:', findError);
-      // Continue with existingSession as null
-    }
-    
     const now = new Date();
     
     // If we found an existing session for this frontend session, check for timeout
@@ -145,7 +153,7 @@ export async function getOrCreateSession(sessionId) {
         console.log(`⏰ Session timeout detected in DB for ${frontendSessionId} (${Math.round((currentTime - lastActivity)/1000/60)} minutes inactive)`);
         
         // Generate a new unique conversation ID
-        const newConversationId = `${frontendSessionId}_${Date.now()}`;
+        const newConversationId = createConversationId(frontendSessionId, sessionTenantId);
         
         // Create a new session record
         const newSession = {
@@ -153,6 +161,7 @@ export async function getOrCreateSession(sessionId) {
           frontendSessionId: frontendSessionId,
           frontendSessionIds: [frontendSessionId],
           sessionId: frontendSessionId, // Keep the same session ID for frontend consistency
+          tenantId: sessionTenantId,
           conversationId: newConversationId, // New conversation ID for analytics
           startedAt: now.toISOString(),
           lastActivity: now.toISOString(),
@@ -161,14 +170,15 @@ export async function getOrCreateSession(sessionId) {
         };
         
         try {
-          await globalSessionCollection.insertOne(newSession);
+          await sessions.insert(newSession);
           console.log(`🆕 Created timeout session in DB with new conversation ID: ${newConversationId}`);
         } catch (insertError) {
-          console.warn('⚠️ Could not save timeout session to MongoDB:', insertError);
+          console.warn('⚠️ Could not store timeout session:', insertError);
         }
         
         const sessionInfo = {
           sessionId: newSession.sessionId,
+          tenantId: sessionTenantId,
           conversationId: newSession.conversationId,
           startedAt: newSession.startedAt,
           lastActivity: Date.now(),
@@ -176,7 +186,7 @@ export async function getOrCreateSession(sessionId) {
         };
         
         // Cache this session for future use
-        global.sessionCache.set(frontendSessionId, sessionInfo);
+        global.sessionCache.set(cacheKey, sessionInfo);
         
         return sessionInfo;
       }
@@ -186,51 +196,51 @@ export async function getOrCreateSession(sessionId) {
       
       // Update last activity time
       try {
-        await globalSessionCollection.updateOne(
-          { conversationId: existingSession.conversationId },
-          { $set: { lastActivity: now.toISOString() } }
-        );
+        await sessions.touch(existingSession.conversationId, now.toISOString());
       } catch (updateError) {
         console.warn('⚠️ Could not update session activity time:', updateError);
       }
       
       const sessionInfo = {
         sessionId: existingSession.sessionId,
+        tenantId: sessionTenantId,
         conversationId: existingSession.conversationId,
         startedAt: existingSession.startedAt,
         lastActivity: Date.now()
       };
       
       // Cache this session for future use
-      global.sessionCache.set(frontendSessionId, sessionInfo);
+      global.sessionCache.set(cacheKey, sessionInfo);
       
       return sessionInfo;
     }
 
     // Create a new session if no matching session was found
     // Use a new conversation ID that includes the frontend session ID plus timestamp for uniqueness
-    const newConversationId = `${frontendSessionId}_${Date.now()}`;
+    const newConversationId = createConversationId(frontendSessionId, sessionTenantId);
     
     const newSession = {
       type: 'chat_session',
       frontendSessionId: frontendSessionId, // Store the frontend session ID
       frontendSessionIds: [frontendSessionId], // Keep track of all associated session IDs
       sessionId: frontendSessionId, // Use the frontend session ID directly
+      tenantId: sessionTenantId,
       conversationId: newConversationId, // Use a unique conversation ID
       startedAt: now.toISOString(),
       lastActivity: now.toISOString()
     };
     
-    // Save to MongoDB
+    // Store it
     try {
-      await globalSessionCollection.insertOne(newSession);
+      await sessions.insert(newSession);
       console.log(`🌐 Created new session: ${newSession.conversationId} for frontend session: ${frontendSessionId}`);
     } catch (insertError) {
-      console.warn('⚠️ Could not save new session to MongoDB:', insertError);
+      console.warn('⚠️ Could not store new session:', insertError);
     }
     
     const sessionInfo = {
       sessionId: newSession.sessionId,
+      tenantId: sessionTenantId,
       conversationId: newSession.conversationId,
       startedAt: newSession.startedAt,
       lastActivity: Date.now(),
@@ -238,24 +248,25 @@ export async function getOrCreateSession(sessionId) {
     };
     
     // Cache this session for future use
-    global.sessionCache.set(frontendSessionId, sessionInfo);
+    global.sessionCache.set(cacheKey, sessionInfo);
     
     return sessionInfo;
   } catch (error) {
     console.error('❌ Error with session management:', error);
     
     // Create a fallback session using the frontend session ID plus timestamp
-    const fallbackConversationId = `${sessionId || 'unknown'}_${Date.now()}`;
+    const fallbackConversationId = createConversationId(sessionId || 'unknown', sessionTenantId);
     
     const fallbackSession = {
       sessionId: sessionId || `emergency_${Date.now()}`, 
+      tenantId: sessionTenantId,
       conversationId: fallbackConversationId, 
       startedAt: new Date().toISOString(),
       lastActivity: Date.now()
     };
     
     // Cache this session
-    global.sessionCache.set(sessionId || `emergency_${Date.now()}`, fallbackSession);
+    global.sessionCache.set(sessionCacheKey(sessionTenantId, fallbackSession.sessionId), fallbackSession);
     
     console.log(`⚠️ Using fallback session: ${fallbackSession.conversationId}`);
     return fallbackSession;
@@ -265,15 +276,16 @@ export async function getOrCreateSession(sessionId) {
 /**
  * Checks if a session exists
  * @param {string} sessionId - Session ID to check
+ * @param {string} [tenantId] - Tenant of the session, omitted = default tenant
  * @returns {boolean} - Whether session exists
  */
-export function sessionExists(sessionId) {
-  return global.sessionCache.has(sessionId);
+export function sessionExists(sessionId, tenantId = null) {
+  return global.sessionCache.has(sessionCacheKey(tenantId || getDefaultTenantId(), sessionId));
 }
 
 /**
  * Gets all active sessions
- * @returns {Map} - Map of all active sessions
+ * @returns {Map} - Map of all active sessions, keyed by `${tenantId}:${sessionId}`
  */
 export function getAllSessions() {
   return global.sessionCache;
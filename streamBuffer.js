@@ -0,0 +1,207 @@
+// streamBuffer.js - Server-side buffer of SSE chat streams for resuming after a dropped connection
+//
+// Every frame of a /chat-stream response is recorded here with a sequence number; the SSE
+// event ID is "<streamId>:<sequence>". A client that reconnects with Last-Event-ID (or
+// ?streamId=&lastEventId=) and its sessionId gets the frames it missed, then the rest of
+// the answer live - the model call keeps running through a dropped connection, so nothing
+// is paid for twice. Only the tenant and session that asked can resume or stop a stream.
+//
+// Streams are kept while the answer is generated and SSE_RESUME_WINDOW_SECONDS after it
+// finished. The buffer is per instance: a reconnect that reaches another instance gets a
+// 404 and has to ask again.
+//
+// When no connection has followed a stream for SSE_DISCONNECT_GRACE_SECONDS (the customer
+// closed the widget rather than lost the network) or it is stopped (cancelStream), the
+// stream's onCancel aborts the model request.
+
+import { getConfig } from './config.js';
+
+// Longest a stream is kept while still generating (a stuck model call)
+const MAX_STREAM_AGE_MS = 10 * 60 * 1000;
+// Frames buffered per stream - beyond this the stream can no longer be resumed
+const MAX_BUFFERED_EVENTS = 5000;
+
+// streamId -> { streamId, tenantId, sessionId, events, done, resumable, listeners, connections,
+//               graceTimer, onCancel, createdAt, expiresAt }
+if (!global.sseStreams) {
+  global.sseStreams = new Map();
+}
+
+function pruneExpired(now = Date.now()) {
+  for (const [streamId, stream] of global.sseStreams) {
+    if (stream.expiresAt <= now) {
+      global.sseStreams.delete(streamId);
+      for (const listener of stream.listeners) listener(null);
+    }
+  }
+}
+
+/**
+ * Start buffering a stream
+ * @param {Object} stream
+ * @param {string} stream.streamId - Stream ID (createStreamId)
+ * @param {string} stream.tenantId - Tenant of the request (only it may resume)
+ * @param {string} stream.sessionId - Chat session
+ * @param {Function} [stream.onCancel] - Stops the answer (abandoned or cancelled)
+ */
+export function openStream({ streamId, tenantId, sessionId, onCancel = null }) {
+  pruneExpired();
+  const now = Date.now();
+  global.sseStreams.set(streamId, {
+    streamId,
+    tenantId,
+    sessionId,
+    events: [],
+    done: false,
+    resumable: true,
+    listeners: new Set(),
+    // The connection that asked is the first one
+    connections: 1,
+    graceTimer: null,
+    onCancel,
+    createdAt: now,
+    expiresAt: now + MAX_STREAM_AGE_MS
+  });
+}
+
+/**
+ * Record a frame and pass it to resumed connections
+ * @param {string} streamId - Stream ID
+ * @param {Object|string} data - Frame ('[DONE]' is kept as a string)
+ * @returns {Object} { id, sequence, data } - the SSE event
+ */
+export function recordEvent(streamId, data) {
+  const stream = global.sseStreams.get(streamId);
+  const sequence = (stream?.lastSequence || 0) + 1;
+  const event = { id: `${streamId}:${sequence}`, sequence, data };
+  if (!stream) return event;
+
+  stream.lastSequence = sequence;
+  if (stream.events.length < MAX_BUFFERED_EVENTS) {
+    stream.events.push(event);
+  } else if (stream.resumable) {
+    stream.resumable = false;
+    console.warn(`⚠️ Stream ${streamId} is over ${MAX_BUFFERED_EVENTS} frames - no longer resumable`);
+  }
+  for (const listener of stream.listeners) listener(event);
+  return event;
+}
+
+/**
+ * Mark a stream as finished - it stays resumable for the resume window
+ * @param {string} streamId - Stream ID
+ */
+export function closeStream(streamId) {
+  const stream = global.sseStreams.get(streamId);
+  if (!stream) return;
+
+  stream.done = true;
+  clearTimeout(stream.graceTimer);
+  stream.expiresAt = Date.now() + getConfig().streaming.resumeWindowSeconds * 1000;
+  for (const listener of stream.listeners) listener(null);
+  stream.listeners.clear();
+}
+
+// A stream only exists for the tenant and session it was opened for
+function findStream(streamId, tenantId, sessionId) {
+  const stream = global.sseStreams.get(streamId);
+  return stream && stream.tenantId === tenantId && stream.sessionId === sessionId ? stream : null;
+}
+
+function cancel(stream) {
+  if (stream.done || stream.cancelled) return;
+  stream.cancelled = true;
+  clearTimeout(stream.graceTimer);
+  if (stream.onCancel) stream.onCancel();
+}
+
+/**
+ * A connection following a stream went away - once none is left for the grace time the
+ * answer is stopped
+ * @param {string} streamId - Stream ID
+ */
+export function releaseConnection(streamId) {
+  const stream = global.sseStreams.get(streamId);
+  if (!stream || stream.done) return;
+
+  stream.connections = Math.max(stream.connections - 1, 0);
+  if (stream.connections > 0) return;
+
+  const graceSeconds = getConfig().streaming.disconnectGraceSeconds;
+  if (graceSeconds <= 0) return cancel(stream);
+
+  clearTimeout(stream.graceTimer);
+  stream.graceTimer = setTimeout(() => {
+    if (stream.connections === 0) {
+      console.log(`🔌 Stream ${streamId} abandoned - stopping the answer`);
+      cancel(stream);
+    }
+  }, graceSeconds * 1000).unref();
+}
+
+/**
+ * Stop a stream's answer now (the customer pressed stop)
+ * @param {string} streamId - Stream ID
+ * @param {string} tenantId - Tenant asking (other tenants' streams are not found)
+ * @param {string} sessionId - Session asking (other sessions' streams are not found)
+ * @returns {boolean} Whether a running stream was stopped
+ */
+export function cancelStream(streamId, tenantId, sessionId) {
+  const stream = findStream(streamId, tenantId, sessionId);
+  if (!stream || stream.done || stream.cancelled) return false;
+
+  cancel(stream);
+  return true;
+}
+
+/**
+ * Split an SSE event ID into stream and sequence
+ * @param {string} eventId - "<streamId>:<sequence>" (a bare number is a sequence only)
+ * @returns {Object|null} { streamId (null for a bare number), sequence }
+ */
+export function parseEventId(eventId) {
+  const match = /^(?:(.+):)?(\d+)$/.exec(String(eventId || '').trim());
+  return match ? { streamId: match[1] || null, sequence: Number(match[2]) } : null;
+}
+
+/**
+ * Frames after a sequence number, and live ones until the stream ends
+ * @param {string} streamId - Stream ID
+ * @param {string} tenantId - Tenant asking (other tenants' streams are not found)
+ * @param {string} sessionId - Session asking (other sessions' streams are not found)
+ * @param {number} afterSequence - Last sequence the client has (0 = from the start)
+ * @returns {Object|null} { missed: Array, done, subscribe(listener) -> unsubscribe }, null
+ *   when the stream is unknown, expired, another tenant's or session's or no longer resumable
+ */
+export function resumeStream(streamId, tenantId, sessionId, afterSequence) {
+  pruneExpired();
+  const stream = findStream(streamId, tenantId, sessionId);
+  if (!stream || !stream.resumable) return null;
+
+  return {
+    sessionId: stream.sessionId,
+    missed: stream.events.filter(event => event.sequence > afterSequence),
+    done: stream.done,
+    // listener(event) for each new frame, listener(null) when the stream ends; the
+    // subscription keeps the answer going until it is unsubscribed
+    subscribe(listener) {
+      if (stream.done) {
+        listener(null);
+        return () => {};
+      }
+      stream.listeners.add(listener);
+      stream.connections++;
+      clearTimeout(stream.graceTimer);
+
+      let subscribed = true;
+      return () => {
+        if (!subscribed) return;
+        subscribed = false;
+        stream.listeners.delete(listener);
+        releaseConnection(streamId);
+      };
+    }
+  };
+}
+
+export default { openStream, recordEvent, closeStream, releaseConnection, cancelStream, parseEventId, resumeStream };
@@ -0,0 +1,322 @@
+// tenantService.js - Tenants: the client chatbots served by this deployment
+//
+// A tenant is one customer's AI agent: its allowed origins, system prompt,
+// knowledge base, model settings, tools, budget and analytics channel. Requests are resolved
+// to a tenant by API key (apiKeyService.js) or, for keyless WebSockets, by origin.
+//
+// The Svörum strax bot is the default tenant (config.tenants.defaultTenantId),
+// seeded on first use.
+
+import { connectToDatabase } from './database.js';
+import { getConfig } from './config.js';
+import { httpError } from './utils/httpError.js';
+
+const TENANTS_COLLECTION = 'tenants';
+const TENANT_CACHE_TTL = 60 * 1000;
+
+export const TENANT_STATUSES = ['active', 'disabled'];
+
+// What happens when a tenant's budget is spent (usageTracker.js)
+export const BUDGET_ACTIONS = ['alert', 'throttle'];
+
+// Model settings used when a tenant doesn't set its own
+export const DEFAULT_MODEL_SETTINGS = {
+  chatModel: 'gpt-4o',
+  temperature: 0.7,
+  maxTokens: 800
+};
+
+// Built-in prompts (prompts/tenantPrompt.js) a tenant can use instead of custom instructions
+export const BUILTIN_PROMPTS = ['svorum-strax'];
+
+// Tools only the default tenant can use - consultations are booked with Svörum strax's own
+// staff (bookingService.js)
+export const DEFAULT_TENANT_TOOLS = ['list_consultation_slots', 'book_consultation'];
+
+// Tenants loaded from MongoDB (per instance)
+if (!global.tenantCache) {
+  global.tenantCache = { tenants: null, loadedAt: 0 };
+}
+
+/**
+ * ID of the default tenant
+ * @returns {string} Tenant ID
+ */
+export const getDefaultTenantId = () => getConfig().tenants.defaultTenantId;
+
+/**
+ * Default tenant record (the Svörum strax bot)
+ * @returns {Object} Tenant
+ */
+function buildDefaultTenant() {
+  const tenantId = getDefaultTenantId();
+  return {
+    tenantId,
+    name: 'Svörum strax',
+    status: 'active',
+    allowedOrigins: [],
+    prompt: { builtin: 'svorum-strax' },
+    model: { ...DEFAULT_MODEL_SETTINGS },
+    tools: null, // all registered tools
+    budget: null, // deployment defaults (config.usage)
+    analytics: { pusherChannel: `${tenantId}-chat-channel` }
+  };
+}
+
+/**
+ * Validate and normalize tenant settings
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} input - Tenant fields
+ * @returns {Object} Normalized tenant (without API keys)
+ */
+function normalizeTenant(tenantId, input = {}) {
+  if (!/^[a-z0-9][a-z0-9-]{1,62}$/.test(tenantId || '')) {
+    throw httpError('tenantId must be 2-63 lowercase letters, digits or dashes', 400);
+  }
+  if (!input.name) {
+    throw httpError('Tenants require a name', 400);
+  }
+
+  const status = input.status || 'active';
+  if (!TENANT_STATUSES.includes(status)) {
+    throw httpError(`status must be one of: ${TENANT_STATUSES.join(', ')}`, 400);
+  }
+
+  const allowedOrigins = input.allowedOrigins || [];
+  if (!Array.isArray(allowedOrigins) || allowedOrigins.some(origin => !/^https?:\/\/[^/]+$/.test(origin))) {
+    throw httpError('allowedOrigins must be a list of origins like https://example.is', 400);
+  }
+
+  const prompt = input.prompt || {};
+  if (prompt.builtin) {
+    if (!BUILTIN_PROMPTS.includes(prompt.builtin)) {
+      throw httpError(`Unknown built-in prompt: ${prompt.builtin}`, 400);
+    }
+  } else if (!prompt.instructions || (typeof prompt.instructions !== 'string' && !prompt.instructions.is && !prompt.instructions.en)) {
+    throw httpError('prompt requires builtin or instructions (text, or { is, en })', 400);
+  }
+
+  const model = { ...DEFAULT_MODEL_SETTINGS, ...(input.model || {}) };
+  if (typeof model.chatModel !== 'string' || !model.chatModel) {
+    throw httpError('model.chatModel must be a model name', 400);
+  }
+  if (typeof model.temperature !== 'number' || model.temperature < 0 || model.temperature > 2) {
+    throw httpError('model.temperature must be between 0 and 2', 400);
+  }
+  if (!Number.isInteger(model.maxTokens) || model.maxTokens < 50 || model.maxTokens > 4000) {
+    throw httpError('model.maxTokens must be an integer between 50 and 4000', 400);
+  }
+
+  const tools = input.tools === undefined ? [] : input.tools;
+  if (tools !== null && (!Array.isArray(tools) || tools.some(name => typeof name !== 'string'))) {
+    throw httpError('tools must be a list of tool names, or null for all tools', 400);
+  }
+  const defaultTenantTools = tenantId === getDefaultTenantId()
+    ? []
+    : (tools || []).filter(name => DEFAULT_TENANT_TOOLS.includes(name));
+  if (defaultTenantTools.length > 0) {
+    throw httpError(`${defaultTenantTools.join(', ')} can only be used by the default tenant`, 400);
+  }
+
+  const budget = input.budget ?? null;
+  if (budget !== null) {
+    for (const field of ['dailyUsd', 'monthlyUsd']) {
+      if (budget[field] != null && (typeof budget[field] !== 'number' || budget[field] < 0)) {
+        throw httpError(`budget.${field} must be a non-negative amount in USD`, 400);
+      }
+    }
+    if (budget.action != null && !BUDGET_ACTIONS.includes(budget.action)) {
+      throw httpError(`budget.action must be one of: ${BUDGET_ACTIONS.join(', ')}`, 400);
+    }
+  }
+
+  return {
+    tenantId,
+    name: input.name,
+    status,
+    allowedOrigins,
+    prompt: prompt.builtin
+      ? { builtin: prompt.builtin }
+      : { instructions: prompt.instructions, contact: prompt.contact || null },
+    model: { chatModel: model.chatModel, temperature: model.temperature, maxTokens: model.maxTokens },
+    tools,
+    // Unset fields fall back to the deployment defaults
+    budget: budget && {
+      dailyUsd: budget.dailyUsd ?? null,
+      monthlyUsd: budget.monthlyUsd ?? null,
+      action: budget.action ?? null
+    },
+    analytics: { pusherChannel: input.analytics?.pusherChannel || `${tenantId}-chat-channel` }
+  };
+}
+
+/**
+ * Tenant fields safe to return to admins
+ * @param {Object} tenant - Tenant document
+ * @returns {Object} Public tenant
+ */
+export function toPublicTenant(tenant) {
+  const { _id, apiKeys, ...fields } = tenant;
+  return fields;
+}
+
+// ---------------------------------------------------------
+// Loading and resolution
+// ---------------------------------------------------------
+
+/**
+ * Load all tenants (seeds the default tenant when it is missing)
+ * Falls back to the default tenant alone if MongoDB is unavailable.
+ *
+ * @returns {Promise<Array>} Tenants
+ */
+export async function loadTenants() {
+  const cache = global.tenantCache;
+  if (cache.tenants && Date.now() - cache.loadedAt < TENANT_CACHE_TTL) {
+    return cache.tenants;
+  }
+
+  try {
+    const { db } = await connectToDatabase();
+    const collection = db.collection(TENANTS_COLLECTION);
+
+    const defaultTenant = buildDefaultTenant();
+    const now = new Date();
+    await collection.updateOne(
+      { tenantId: defaultTenant.tenantId },
+      { $setOnInsert: { ...defaultTenant, createdAt: now, updatedAt: now } },
+      { upsert: true }
+    );
+
+    const tenants = await collection.find({}, { projection: { _id: 0 } }).toArray();
+    global.tenantCache = { tenants, loadedAt: Date.now() };
+    return tenants;
+  } catch (error) {
+    console.error('❌ Error loading tenants, using the default tenant:', error);
+    return [buildDefaultTenant()];
+  }
+}
+
+/**
+ * Drop the tenant cache so the next lookup reloads from MongoDB
+ */
+export function invalidateTenantCache() {
+  global.tenantCache = { tenants: null, loadedAt: 0 };
+}
+
+/**
+ * Get a tenant by ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} Tenant
+ */
+export async function getTenant(tenantId) {
+  const tenants = await loadTenants();
+  return tenants.find(tenant => tenant.tenantId === tenantId) || null;
+}
+
+/**
+ * The default tenant
+ * @returns {Promise<Object>} Tenant
+ */
+export async function getDefaultTenant() {
+  return (await getTenant(getDefaultTenantId())) || buildDefaultTenant();
+}
+
+/**
+ * Find the active tenant whose widget runs on an origin
+ * @param {string} origin - Origin header
+ * @returns {Promise<Object|null>} Tenant
+ */
+export async function resolveTenantByOrigin(origin) {
+  if (!origin) return null;
+  const tenants = await loadTenants();
+  return tenants.find(tenant => tenant.status === 'active' && (tenant.allowedOrigins || []).includes(origin)) || null;
+}
+
+/**
+ * Whether a tenant's widget may be used from an origin
+ * Tenants without allowed origins accept any origin; the default tenant also accepts
+ * the deployment-wide origins (config.server.corsOrigins).
+ *
+ * @param {Object} tenant - Tenant
+ * @param {string} [origin] - Origin header (absent for server-to-server calls)
+ * @returns {boolean} Allowed
+ */
+export function isOriginAllowedForTenant(tenant, origin) {
+  if (!origin) return true;
+  const origins = [...(tenant.allowedOrigins || [])];
+  if (tenant.tenantId === getDefaultTenantId()) origins.push(...getConfig().server.corsOrigins);
+  return origins.length === 0 || origins.includes(origin);
+}
+
+/**
+ * Whether any tenant (or the deployment) allows an origin - used for CORS
+ * @param {string} origin - Origin header
+ * @returns {Promise<boolean>} Allowed
+ */
+export async function isOriginAllowed(origin) {
+  if (!origin || getConfig().server.corsOrigins.includes(origin)) return true;
+  return Boolean(await resolveTenantByOrigin(origin));
+}
+
+// ---------------------------------------------------------
+// Admin
+// ---------------------------------------------------------
+
+/**
+ * List tenants (admin)
+ * @returns {Promise<Array>} Public tenants sorted by ID
+ */
+export async function listTenants() {
+  const tenants = await loadTenants();
+  return [...tenants]
+    .sort((a, b) => a.tenantId.localeCompare(b.tenantId))
+    .map(toPublicTenant);
+}
+
+/**
+ * Create or update a tenant - API keys are managed in apiKeyService.js
+ * Tools are opt-in: omitted = none (most tools are Svörum strax specific), null = all
+ * (except DEFAULT_TENANT_TOOLS, which other tenants never get).
+ *
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} input - { name, status, allowedOrigins, prompt, model, tools, budget, analytics }
+ * @param {Object} [options]
+ * @param {string} [options.editor] - Admin making the change
+ * @returns {Promise<Object>} Public tenant
+ */
+export async function saveTenant(tenantId, input, { editor = null } = {}) {
+  const normalized = normalizeTenant(tenantId, input);
+  const { db } = await connectToDatabase();
+  const now = new Date();
+
+  await db.collection(TENANTS_COLLECTION).updateOne(
+    { tenantId },
+    { $set: { ...normalized, updatedAt: now, updatedBy: editor }, $setOnInsert: { createdAt: now } },
+    { upsert: true }
+  );
+
+  invalidateTenantCache();
+  console.log(`🏢 Tenant saved: ${tenantId}`);
+
+  return toPublicTenant(await db.collection(TENANTS_COLLECTION).findOne({ tenantId }, { projection: { _id: 0 } }));
+}
+
+export default {
+  TENANT_STATUSES,
+  BUDGET_ACTIONS,
+  DEFAULT_MODEL_SETTINGS,
+  BUILTIN_PROMPTS,
+  DEFAULT_TENANT_TOOLS,
+  getDefaultTenantId,
+  toPublicTenant,
+  loadTenants,
+  invalidateTenantCache,
+  getTenant,
+  getDefaultTenant,
+  resolveTenantByOrigin,
+  isOriginAllowedForTenant,
+  isOriginAllowed,
+  listTenants,
+  saveTenant
+};
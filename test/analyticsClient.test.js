@@ -0,0 +1,126 @@
+// Unit tests for analyticsClient.js - timeouts, the circuit breaker and health metrics
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs, startAnalyticsStub, TEST_ANALYTICS_KEY } from './helpers/testServer.js';
+
+let analytics, client;
+
+before(async () => {
+  muteLogs();
+  analytics = await startAnalyticsStub();
+  setTestEnvironment({
+    analyticsUrl: analytics.url,
+    env: {
+      ANALYTICS_TIMEOUTS: '{"feedbackLookup":250}',
+      ANALYTICS_BREAKER_THRESHOLD: '2',
+      ANALYTICS_BREAKER_RESET_SECONDS: '30'
+    }
+  });
+  client = await import('../analyticsClient.js');
+});
+
+after(async () => {
+  await analytics.close();
+});
+
+beforeEach(() => {
+  client.resetAnalyticsClient();
+  analytics.requests.length = 0;
+  for (const path of ['/api/conversations', '/api/feedback/message', '/api/widget-events']) analytics.respond(path, null);
+});
+
+const failWith = (path, status) => analytics.respond(path, (_req, res) => res.status(status).send('hysing down'));
+
+// As if the reset time had passed since the circuit opened
+const expireOpenCircuit = () => { global.analyticsClientState.circuit.openedAt -= 31000; };
+
+test('requests carry the API key and query and are measured per endpoint', async () => {
+  const response = await client.analyticsRequest('feedbackLookup', { query: { messageId: 'pg 1' } });
+  assert.equal(response.status, 200);
+
+  const [sent] = analytics.requests;
+  assert.equal(sent.path, '/api/feedback/message');
+  assert.equal(sent.headers['x-api-key'], TEST_ANALYTICS_KEY);
+  assert.equal(sent.method, 'GET');
+
+  const health = client.getAnalyticsHealth();
+  assert.equal(health.status, 'healthy');
+  assert.equal(health.circuit.state, 'closed');
+  assert.equal(health.endpoints.feedbackLookup.requests, 1);
+  assert.equal(health.endpoints.feedbackLookup.failures, 0);
+  assert.equal(typeof health.endpoints.feedbackLookup.averageLatencyMs, 'number');
+});
+
+test('each endpoint has its own timeout', async () => {
+  analytics.respond('/api/feedback/message', (_req, res) => setTimeout(() => res.json({}), 1000));
+
+  await assert.rejects(client.analyticsRequest('feedbackLookup', { query: { messageId: 'pg-1' } }), { status: 504 });
+  assert.equal(client.getEndpointTimeout('feedbackLookup'), 250);
+  assert.equal(client.getEndpointTimeout('conversations'), 10000);
+
+  const { endpoints, status } = client.getAnalyticsHealth();
+  assert.equal(endpoints.feedbackLookup.timeouts, 1);
+  assert.match(endpoints.feedbackLookup.lastError, /timed out after 250ms/);
+  assert.equal(status, 'degraded');
+});
+
+test('the circuit opens after failures in a row and rejects calls without sending them', async () => {
+  failWith('/api/conversations', 503);
+
+  assert.equal((await client.analyticsRequest('conversations', { body: {} })).status, 503);
+  assert.equal(client.isAnalyticsAvailable(), true, 'one failure is below the threshold');
+  await client.analyticsRequest('conversations', { body: {} });
+
+  assert.equal(client.isAnalyticsAvailable(), false);
+  await assert.rejects(client.analyticsRequest('widgetEvents', { body: [] }), { code: 'CIRCUIT_OPEN', status: 503 });
+  assert.equal(analytics.requests.length, 2, 'the rejected call never left');
+
+  const health = client.getAnalyticsHealth();
+  assert.equal(health.status, 'unavailable');
+  assert.equal(health.circuit.state, 'open');
+  assert.ok(health.circuit.retryAt);
+  assert.equal(health.endpoints.widgetEvents.rejected, 1);
+});
+
+test('a successful trial call closes the circuit, a failed one opens it again', async () => {
+  failWith('/api/conversations', 502);
+  await client.analyticsRequest('conversations', { body: {} });
+  await client.analyticsRequest('conversations', { body: {} });
+
+  expireOpenCircuit();
+  assert.equal(client.isAnalyticsAvailable(), true);
+  await client.analyticsRequest('conversations', { body: {} });
+  assert.equal(client.getAnalyticsHealth().circuit.state, 'open', 'the trial failed');
+
+  expireOpenCircuit();
+  analytics.respond('/api/conversations', null);
+  await client.analyticsRequest('conversations', { body: {} });
+  assert.equal(client.getAnalyticsHealth().circuit.state, 'closed');
+  assert.equal(client.getAnalyticsHealth().circuit.consecutiveFailures, 0);
+});
+
+test('client errors do not count against the circuit', async () => {
+  failWith('/api/widget-events', 400);
+  for (let i = 0; i < 3; i++) await client.analyticsRequest('widgetEvents', { body: [] });
+
+  assert.equal(client.getAnalyticsHealth().circuit.state, 'closed');
+  assert.equal(client.getAnalyticsHealth().endpoints.widgetEvents.failures, 0);
+});
+
+test('sendConversationToAnalytics gives up at once while the circuit is open', async () => {
+  const { sendConversationToAnalytics } = await import('../messageProcessor.js');
+  failWith('/api/conversations', 503);
+  await client.analyticsRequest('conversations', { body: {} });
+  await client.analyticsRequest('conversations', { body: {} });
+  analytics.requests.length = 0;
+
+  const result = await sendConversationToAnalytics({
+    id: 'circuit-1',
+    messages: [{ id: 'b1', content: 'Svar', role: 'assistant', type: 'bot', timestamp: '2024-05-01T10:00:00.000Z' }]
+  });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /circuit open/);
+  assert.equal(analytics.requests.length, 0);
+});
@@ -0,0 +1,175 @@
+// Tests for the analytics outbox (analyticsOutbox.js, routes/outbox.js) - delivery after a
+// turn, backoff, dead-lettering, abandoned deliveries, the cron route and the admin view
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, waitFor, TEST_ADMIN_KEY } from './helpers/testServer.js';
+
+const CRON_SECRET = 'test-cron-secret';
+
+let api, outbox, getRepositories, analyticsClient;
+
+before(async () => {
+  api = await startTestServer({
+    env: {
+      CRON_SECRET,
+      ANALYTICS_OUTBOX_MAX_ATTEMPTS: '3',
+      ANALYTICS_OUTBOX_RETRY_BASE_SECONDS: '30'
+    }
+  });
+  outbox = await import('../analyticsOutbox.js');
+  ({ getRepositories } = await import('../repositories/repositoryRegistry.js'));
+  analyticsClient = await import('../analyticsClient.js');
+});
+
+after(async () => {
+  await api.close();
+});
+
+beforeEach(() => {
+  api.db.reset();
+  analyticsClient.resetAnalyticsClient();
+  api.analytics.requests.length = 0;
+  api.analytics.respond('/api/conversations', null);
+});
+
+const admin = (method, path, body) => api.request(method, path, { body, key: TEST_ADMIN_KEY });
+const storedEvent = (eventId) => api.db.documents('analytics_outbox').find(e => e.eventId === eventId);
+const conversationSends = () => api.analytics.requests.filter(r => r.path === '/api/conversations');
+const failAnalytics = () => api.analytics.respond('/api/conversations', (_req, res) => res.status(503).send('hysing down'));
+
+// Make a waiting event due now, as if its retry time had come
+const makeDue = (eventId) => { storedEvent(eventId).nextAttemptAt = new Date(Date.now() - 1000); };
+
+let answerCount = 0;
+async function enqueueConversation() {
+  answerCount++;
+  const id = `outbox-conv-${answerCount}`;
+  return getRepositories().analyticsOutbox.enqueue({
+    type: 'conversation',
+    conversationId: id,
+    payload: {
+      id,
+      sessionId: id,
+      clientId: 'svorum-strax',
+      messages: [
+        { id: `${id}-u`, content: 'Spurning', role: 'user', type: 'user', timestamp: new Date().toISOString() },
+        { id: `${id}-b`, content: `Svar ${answerCount}`, role: 'assistant', type: 'bot', timestamp: new Date().toISOString() }
+      ]
+    }
+  });
+}
+
+test('a chat turn is stored with an outbox event and delivered after the response', async () => {
+  const { status } = await api.request('POST', '/chat', { body: { message: 'Hvað kostar þjónustan?', sessionId: 'outbox-chat-1' } });
+  assert.equal(status, 200);
+
+  const [event] = api.db.documents('analytics_outbox');
+  assert.equal(event.type, 'conversation');
+
+  await waitFor(() => storedEvent(event.eventId).status === 'delivered');
+  assert.equal(storedEvent(event.eventId).attempts, 1);
+  assert.match(storedEvent(event.eventId).result.postgresqlId, /^pg-\d+$/);
+  assert.equal(conversationSends()[0].body.id, event.conversationId);
+});
+
+test('a failed delivery is retried with exponential backoff and dead-lettered after the last attempt', async () => {
+  failAnalytics();
+  const { eventId } = await enqueueConversation();
+
+  const first = await outbox.deliverOutboxEvent(eventId);
+  assert.equal(first.status, 'pending');
+  assert.equal(storedEvent(eventId).lastError, 'HTTP 503: hysing down');
+  const firstDelay = storedEvent(eventId).nextAttemptAt.getTime() - Date.now();
+  assert.ok(firstDelay > 25000 && firstDelay <= 30000, `first retry after ~30s, was ${firstDelay}ms`);
+
+  assert.deepEqual(await outbox.deliverDueEvents(), { attempted: 0, delivered: 0, retrying: 0, dead: 0 }, 'not due yet');
+
+  makeDue(eventId);
+  assert.equal((await outbox.deliverDueEvents()).retrying, 1);
+  const secondDelay = storedEvent(eventId).nextAttemptAt.getTime() - Date.now();
+  assert.ok(secondDelay > 55000 && secondDelay <= 60000, `second retry after ~60s, was ${secondDelay}ms`);
+
+  makeDue(eventId);
+  assert.equal((await outbox.deliverDueEvents()).dead, 1);
+  assert.equal(storedEvent(eventId).status, 'dead');
+  assert.equal(storedEvent(eventId).attempts, 3);
+  assert.equal(conversationSends().length, 3, 'one request per attempt');
+});
+
+test('the retry delay doubles up to an hour', () => {
+  assert.deepEqual([1, 2, 3, 4].map(outbox.getRetryDelay), [30000, 60000, 120000, 240000]);
+  assert.equal(outbox.getRetryDelay(20), 60 * 60 * 1000);
+});
+
+test('a delivery that never finished is picked up again when its lock runs out', async () => {
+  const { eventId } = await enqueueConversation();
+  await getRepositories().analyticsOutbox.claim(eventId, 60000);
+
+  assert.equal((await outbox.deliverDueEvents()).attempted, 0, 'still locked');
+  assert.equal((await outbox.deliverOutboxEvent(eventId)).skipped, true);
+
+  storedEvent(eventId).lockedUntil = new Date(Date.now() - 1000);
+  assert.equal((await outbox.deliverDueEvents()).delivered, 1);
+  assert.equal(storedEvent(eventId).status, 'delivered');
+  assert.equal(storedEvent(eventId).attempts, 2);
+});
+
+test('delivery waits while the analytics circuit is open without using up attempts', async () => {
+  // Five failures in a row (ANALYTICS_BREAKER_THRESHOLD) on any endpoint open the circuit
+  api.analytics.respond('/api/widget-events', (_req, res) => res.status(503).send('hysing down'));
+  for (let i = 0; i < 5; i++) await analyticsClient.analyticsRequest('widgetEvents', { body: [] });
+  api.analytics.respond('/api/widget-events', null);
+  assert.equal(analyticsClient.isAnalyticsAvailable(), false);
+
+  const { eventId } = await enqueueConversation();
+  assert.equal((await outbox.deliverOutboxEvent(eventId)).skipped, true);
+  assert.equal((await outbox.deliverDueEvents()).attempted, 0);
+  assert.equal(storedEvent(eventId).status, 'pending');
+  assert.equal(storedEvent(eventId).attempts, 0);
+  assert.equal(conversationSends().length, 0);
+});
+
+test('the cron route needs the cron secret and delivers due events', async () => {
+  const { eventId } = await enqueueConversation();
+
+  const missing = await api.request('GET', '/cron/analytics-outbox', { key: null });
+  assert.equal(missing.status, 401);
+  const wrong = await api.request('GET', '/cron/analytics-outbox', { key: null, headers: { Authorization: 'Bearer nope' } });
+  assert.equal(wrong.status, 401);
+
+  const { status, body } = await api.request('GET', '/cron/analytics-outbox', {
+    key: null,
+    headers: { Authorization: `Bearer ${CRON_SECRET}` }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.delivered, 1);
+  assert.equal(storedEvent(eventId).status, 'delivered');
+});
+
+test('admins see stuck events and can retry a dead one', async () => {
+  failAnalytics();
+  const dead = await enqueueConversation();
+  await outbox.deliverOutboxEvent(dead.eventId);
+  await getRepositories().analyticsOutbox.markFailed(dead.eventId, { error: 'HTTP 503: hysing down', nextAttemptAt: null });
+  await enqueueConversation(); // pending, never attempted - not stuck
+
+  const list = await admin('GET', '/admin/outbox');
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.stats, { pending: 1, delivering: 0, delivered: 0, dead: 1 });
+  assert.deepEqual(list.body.events.map(e => e.eventId), [dead.eventId]);
+  assert.equal(list.body.events[0].payload, undefined);
+  assert.equal(list.body.events[0].messageCount, 2);
+
+  assert.equal((await admin('GET', '/admin/outbox?status=pending')).body.count, 1);
+  assert.equal((await admin('GET', '/admin/outbox?status=lost')).status, 400);
+  assert.equal((await api.request('GET', '/admin/outbox')).status, 403, 'widget key');
+
+  api.analytics.respond('/api/conversations', null);
+  const retried = await admin('POST', `/admin/outbox/${dead.eventId}/retry`);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.delivered, true);
+  assert.equal(storedEvent(dead.eventId).status, 'delivered');
+
+  assert.equal((await admin('POST', `/admin/outbox/${dead.eventId}/retry`)).status, 404);
+});
@@ -0,0 +1,143 @@
+// Unit tests for bookingService.js - slots across time zones and DST, double bookings and
+// the default tenant's booking tools
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+let db, booking;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  db = installMemoryMongo();
+  booking = await import('../bookingService.js');
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+// Long before any of the dates below, so minimum notice never applies
+const LONG_AGO = new Date('2024-01-01T00:00:00Z');
+
+const staffMember = (overrides) => ({
+  staffId: 'staff-1',
+  name: 'Anna',
+  email: 'anna@example.com',
+  slotMinutes: 30,
+  active: true,
+  ...overrides
+});
+
+const starts = (slots) => slots.map(slot => slot.start.toISOString());
+
+test('slots follow the staff member\'s wall clock through a DST change', () => {
+  const london = staffMember({ timeZone: 'Europe/London', weeklyHours: { mon: [['09:00', '10:00']] } });
+
+  // British Summer Time starts on Sunday 31 March 2024
+  assert.deepEqual(starts(booking.generateSlots(london, '2024-03-25', 8, LONG_AGO)), [
+    '2024-03-25T09:00:00.000Z', '2024-03-25T09:30:00.000Z',
+    '2024-04-01T08:00:00.000Z', '2024-04-01T08:30:00.000Z'
+  ]);
+
+  const reykjavik = { ...london, timeZone: 'Atlantic/Reykjavik' };
+  assert.deepEqual(starts(booking.generateSlots(reykjavik, '2024-04-01', 1, LONG_AGO)), [
+    '2024-04-01T09:00:00.000Z', '2024-04-01T09:30:00.000Z'
+  ]);
+});
+
+test('opening hours that span the skipped hour only give the hours that exist', () => {
+  // New York skips 02:00-03:00 on Sunday 10 March 2024
+  const newYork = staffMember({ timeZone: 'America/New_York', slotMinutes: 60, weeklyHours: { sun: [['01:00', '04:00']] } });
+
+  assert.deepEqual(starts(booking.generateSlots(newYork, '2024-03-10', 1, LONG_AGO)), [
+    '2024-03-10T06:00:00.000Z', '2024-03-10T07:00:00.000Z'
+  ]);
+});
+
+test('slots inside the minimum notice are left out', () => {
+  const staff = staffMember({ timeZone: 'Atlantic/Reykjavik', weeklyHours: { mon: [['09:00', '12:00']] } });
+  const now = new Date('2024-04-01T06:00:00Z');
+
+  // Four hours' notice by default
+  assert.equal(starts(booking.generateSlots(staff, '2024-04-01', 1, now))[0], '2024-04-01T10:00:00.000Z');
+});
+
+test('a booked slot is no longer offered and cannot be booked twice', async () => {
+  await booking.saveBookingStaff(staffMember({ timeZone: 'Atlantic/Reykjavik', weeklyHours: { mon: [['09:00', '10:00']] } }));
+  const customer = { name: 'Jón', email: 'jon@example.com' };
+  const start = '2024-04-01T09:00:00.000Z';
+
+  const created = await booking.createBooking({ staffId: 'staff-1', start, customer, now: LONG_AGO });
+  assert.equal(created.status, 'confirmed');
+
+  // Within the booking horizon of the search
+  const now = new Date('2024-03-30T12:00:00Z');
+  const slots = await booking.listAvailableSlots({ staffId: 'staff-1', fromDate: '2024-04-01', days: 1, now });
+  assert.deepEqual(slots.map(slot => slot.start), ['2024-04-01T09:30:00.000Z']);
+
+  await assert.rejects(
+    booking.createBooking({ staffId: 'staff-1', start, customer, now: LONG_AGO }),
+    { status: 409, message: /just been booked/ }
+  );
+
+  // Cancelling frees the slot again
+  await booking.cancelBooking(created.bookingId);
+  const rebooked = await booking.createBooking({ staffId: 'staff-1', start, customer, now: LONG_AGO });
+  assert.notEqual(rebooked.bookingId, created.bookingId);
+});
+
+test('two customers racing for the same slot get one booking and one 409', async () => {
+  await booking.saveBookingStaff(staffMember({ timeZone: 'Atlantic/Reykjavik', weeklyHours: { mon: [['09:00', '10:00']] } }));
+  const request = (name) => booking.createBooking({
+    staffId: 'staff-1',
+    start: '2024-04-01T09:00:00.000Z',
+    customer: { name, email: `${name.toLowerCase()}@example.com` },
+    now: LONG_AGO
+  });
+
+  // Both pass the overlap check before either is stored - the unique index decides
+  const results = await Promise.allSettled([request('Anna'), request('Bjarni')]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+  assert.equal(db.documents('bookings').filter(b => b.status === 'confirmed').length, 1);
+});
+
+test('a slot outside the weekly hours is refused', async () => {
+  await booking.saveBookingStaff(staffMember({ timeZone: 'Atlantic/Reykjavik', weeklyHours: { mon: [['09:00', '10:00']] } }));
+
+  await assert.rejects(
+    booking.createBooking({ staffId: 'staff-1', start: '2024-04-01T09:15:00.000Z', customer: { name: 'Jón', email: 'jon@example.com' }, now: LONG_AGO }),
+    { status: 409, message: /not available/ }
+  );
+});
+
+test('every booking gets its own invite token', async () => {
+  await booking.saveBookingStaff(staffMember({ timeZone: 'Atlantic/Reykjavik', weeklyHours: { mon: [['09:00', '10:00']] } }));
+  const customer = { name: 'Jón', email: 'jon@example.com' };
+
+  const first = await booking.createBooking({ staffId: 'staff-1', start: '2024-04-01T09:00:00.000Z', customer, now: LONG_AGO });
+  const second = await booking.createBooking({ staffId: 'staff-1', start: '2024-04-01T09:30:00.000Z', customer, now: LONG_AGO });
+  const stored = await booking.getBooking(first.bookingId);
+
+  assert.match(stored.inviteToken, /^[0-9a-f]{32}$/);
+  assert.equal(first.inviteUrl, `/bookings/${first.bookingId}/invite.ics?token=${stored.inviteToken}`);
+  assert.notEqual(new URL(second.inviteUrl, 'http://x').searchParams.get('token'), stored.inviteToken);
+
+  // Admin listings never show the token
+  assert.ok((await booking.listBookings()).every(listed => listed.inviteToken === undefined));
+});
+
+test('only the default tenant\'s conversations get the booking tools', async () => {
+  const { createToolRegistry } = await import('../tools/toolRegistry.js');
+  const { registerBookingTools } = await import('../tools/bookingTools.js');
+  const tools = createToolRegistry();
+  registerBookingTools(tools);
+
+  const names = (context) => tools.getDefinitions(context).map(tool => tool.function.name);
+  assert.deepEqual(names({ tenantId: 'svorum-strax' }), ['list_consultation_slots', 'book_consultation']);
+  assert.deepEqual(names({ tenantId: 'acme', allowedTools: null }), []);
+});
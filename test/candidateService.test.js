@@ -0,0 +1,181 @@
+// Unit tests for candidateService.js - CV intake, profile parsing and the stored original
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+let db, candidates;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  db = installMemoryMongo();
+  candidates = await import('../candidateService.js');
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+/**
+ * A one-page PDF with the given lines of text
+ * (padded - pdf.js does not find the cross-reference table of very short files)
+ */
+function createPdf(lines) {
+  const content = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map(line => `(${line}) Tj T*`).join(' ')} ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = `%PDF-1.4\n${`%${'-'.repeat(80)}\n`.repeat(40)}`;
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const cvUpload = (buffer, overrides = {}) => ({
+  filename: 'anna-cv.pdf',
+  mimeType: 'application/pdf',
+  data: buffer.toString('base64'),
+  size: buffer.length,
+  ...overrides
+});
+
+// Model double that answers with a fixed profile and keeps the prompts it was sent
+function profileLlm(profile) {
+  const requests = [];
+  return {
+    requests,
+    chat: async (request) => {
+      requests.push(request);
+      return { message: { content: typeof profile === 'string' ? profile : JSON.stringify(profile) }, usage: null, model: request.model };
+    }
+  };
+}
+
+test('a CV is read, parsed into a profile and stored with its original file', async () => {
+  const pdf = createPdf(['Anna Jonsdottir', 'anna@example.com', 'Customer service at Siminn 2019-2023']);
+  const llm = profileLlm({
+    name: 'Anna Jónsdóttir',
+    email: 'Anna@Example.com',
+    languages: [{ language: 'Icelandic', level: 'native' }, { language: 'Spanish', level: 'conversational' }],
+    icelandicProficiency: 'native',
+    customerServiceExperience: true
+  });
+
+  const candidate = await candidates.submitApplication({
+    llm,
+    file: cvUpload(pdf),
+    applicantMessage: 'Ég er með NIE',
+    desiredPosition: 'Þjónustufulltrúi',
+    context: { conversationId: 'conversation-1', sessionId: 'session-1', language: 'is' }
+  });
+
+  assert.match(llm.requests[0].messages[1].content, /Anna Jonsdottir/);
+  assert.match(llm.requests[0].messages[1].content, /Ég er með NIE/);
+
+  // Whatever the CV did not say stays empty instead of guessed
+  assert.equal(candidate.email, 'anna@example.com');
+  assert.deepEqual(candidate.languages, [{ language: 'Icelandic', level: 'native' }, { language: 'Spanish', level: 'unknown' }]);
+  assert.equal(candidate.phone, null);
+  assert.equal(candidate.nieStatus, 'unknown');
+  assert.equal(candidate.yearsOfExperience, null);
+  assert.equal(candidate.salesExperience, false);
+  assert.equal(candidate.status, 'new');
+  assert.equal(candidate.desiredPosition, 'Þjónustufulltrúi');
+
+  // The candidate only references the file; the bytes live in candidate_files
+  const [fileInfo] = candidate.files;
+  assert.equal(fileInfo.data, undefined);
+  assert.equal(fileInfo.size, pdf.length);
+
+  const original = await candidates.getCandidateFile(candidate.candidateId, fileInfo.fileId);
+  assert.equal(original.mimeType, 'application/pdf');
+  assert.ok(original.data.equals(pdf));
+  assert.equal(await candidates.getCandidateFile('cand_other', fileInfo.fileId), null);
+});
+
+test('a second CV from the same email updates the candidate', async () => {
+  const llm = profileLlm({ name: 'Anna', email: 'anna@example.com' });
+  const first = await candidates.submitApplication({ llm, file: cvUpload(createPdf(['Anna'])), context: { conversationId: 'conversation-1' } });
+  const second = await candidates.submitApplication({ llm, file: cvUpload(createPdf(['Anna, 2025'])), context: { conversationId: 'conversation-2' } });
+
+  assert.equal(second.candidateId, first.candidateId);
+  assert.equal(second.applicationCount, 2);
+  assert.deepEqual(second.conversationIds, ['conversation-1', 'conversation-2']);
+  assert.equal(second.files.length, 2);
+  assert.equal(db.documents('candidate_files').length, 2);
+});
+
+test('uploads that are missing, of the wrong type, too large or unreadable are refused', async () => {
+  const llm = profileLlm({ name: 'Anna' });
+  const pdf = createPdf(['Anna']);
+
+  await assert.rejects(candidates.submitApplication({ llm, file: null }), { status: 400, message: /No CV attached/ });
+  await assert.rejects(
+    candidates.submitApplication({ llm, file: cvUpload(pdf, { filename: 'anna.png', mimeType: 'image/png' }) }),
+    { status: 400, message: /PDF or Word/ }
+  );
+  await assert.rejects(
+    candidates.submitApplication({ llm, file: cvUpload(Buffer.alloc(8 * 1024 * 1024 + 1)) }),
+    { status: 413 }
+  );
+  await assert.rejects(
+    candidates.submitApplication({ llm, file: cvUpload(Buffer.from('not a pdf')) }),
+    { status: 422, message: /Could not read anna-cv.pdf/ }
+  );
+
+  assert.equal(llm.requests.length, 0);
+  assert.equal(db.documents('candidates').length, 0);
+  assert.equal(db.documents('candidate_files').length, 0);
+});
+
+test('a profile the model could not produce as JSON is a 502', async () => {
+  await assert.rejects(
+    candidates.parseCandidateProfile({ llm: profileLlm('Anna is a great fit'), cvText: 'Anna' }),
+    { status: 502 }
+  );
+});
+
+test('profile fields outside the vocabularies are normalized', () => {
+  const profile = candidates.normalizeCandidateProfile({
+    name: '  Anna  ',
+    email: 'not-an-email',
+    languages: [{ language: '', level: 'native' }, { language: 'English', level: 'fluent' }],
+    icelandicProficiency: 'pretty good',
+    nieStatus: 'maybe',
+    yearsOfExperience: 'five',
+    experience: [{ role: null, company: null }, { role: 'Agent', customerFacing: 'yes' }]
+  });
+
+  assert.equal(profile.name, 'Anna');
+  assert.equal(profile.email, null);
+  assert.deepEqual(profile.languages, [{ language: 'English', level: 'fluent' }]);
+  assert.equal(profile.icelandicProficiency, 'unknown');
+  assert.equal(profile.nieStatus, 'unknown');
+  assert.equal(profile.yearsOfExperience, null);
+  assert.deepEqual(profile.experience, [{ role: 'Agent', company: null, from: null, to: null, customerFacing: false }]);
+});
+
+test('findCvFile picks the first PDF or Word attachment', () => {
+  const files = [
+    { filename: 'photo.jpg', mimeType: 'image/jpeg' },
+    { filename: 'cv.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    { filename: 'cv.pdf', mimeType: 'application/pdf' }
+  ];
+
+  assert.equal(candidates.findCvFile(files).filename, 'cv.docx');
+  assert.equal(candidates.findCvFile(files.slice(0, 1)), null);
+});
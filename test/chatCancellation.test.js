@@ -0,0 +1,173 @@
+// Tests for stopping and regenerating answers - the WebSocket stop and regenerate frames,
+// POST /chat-stream/stop and abandoned SSE streams, with a fake model that streams slowly
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, openSocket, waitFor, TEST_API_KEY, TEST_OPERATOR_KEY } from './helpers/testServer.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer({ env: { LLM_FAKE_CHUNK_DELAY_MS: '30', SSE_DISCONNECT_GRACE_SECONDS: '0' } });
+});
+
+after(async () => {
+  await api.close();
+});
+
+// Long enough to stream for about a second
+const LONG_QUESTION = 'Getið þið svarað símanum fyrir okkur á kvöldin og um helgar þegar skrifstofan er lokuð og allir farnir heim?';
+
+const conversationsFor = (sessionId) => api.db.documents('conversations').filter(c => c.sessionId === sessionId);
+const botMessagesOf = (sessionId) => conversationsFor(sessionId).flatMap(c => c.messages).filter(m => m.type === 'bot');
+
+/**
+ * POST /chat-stream and read the frames as they arrive
+ * @returns {Promise<Object>} { frames, waitFor(predicate), done (resolves when the stream ends), abort() }
+ */
+async function openSseStream(body) {
+  const controller = new AbortController();
+  const response = await fetch(`${api.baseUrl}/chat-stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': TEST_API_KEY },
+    body: JSON.stringify(body),
+    signal: controller.signal
+  });
+  const frames = [];
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  const done = (async () => {
+    try {
+      for await (const bytes of response.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const blocks = buffered.split('\n\n');
+        buffered = blocks.pop();
+        for (const block of blocks) {
+          const data = block.split('\n').find(line => line.startsWith('data: '))?.slice(6);
+          if (data) frames.push(data === '[DONE]' ? data : JSON.parse(data));
+        }
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  })();
+
+  return {
+    frames,
+    done,
+    waitFor: (predicate) => waitFor(() => frames.find(predicate)),
+    abort: () => controller.abort()
+  };
+}
+
+test('a WebSocket stop frame ends the answer early and stores it as truncated', async () => {
+  const client = await openSocket(`${api.wsUrl}/?key=${TEST_API_KEY}`);
+  try {
+    client.send({ type: 'chat', message: LONG_QUESTION, sessionId: 'stop-ws-1' });
+    const first = await client.waitFor(f => f.type === 'stream-chunk');
+    client.send({ type: 'stop', streamId: first.streamId });
+
+    const complete = await client.waitFor(f => f.type === 'stream-complete');
+    const chunks = client.frames.filter(f => f.type === 'stream-chunk');
+    assert.equal(complete.truncated, true);
+    assert.equal(complete.completeContent, chunks.map(c => c.content).join(''));
+    assert.ok(!complete.completeContent.endsWith('"'), 'the answer was cut short');
+
+    const [answer] = await waitFor(() => botMessagesOf('stop-ws-1').length && botMessagesOf('stop-ws-1'));
+    assert.equal(answer.truncated, true);
+    assert.equal(answer.content, complete.completeContent);
+  } finally {
+    await client.close();
+  }
+});
+
+test('a WebSocket regenerate frame replaces the last answer', async () => {
+  const client = await openSocket(`${api.wsUrl}/?key=${TEST_API_KEY}`);
+  try {
+    client.send({ type: 'chat', message: 'Hvað kostar áskrift?', sessionId: 'regen-ws-1' });
+    const original = await client.waitFor(f => f.type === 'stream-complete');
+    const [first] = await waitFor(() => botMessagesOf('regen-ws-1').length && botMessagesOf('regen-ws-1'));
+
+    client.send({ type: 'regenerate', sessionId: 'regen-ws-1' });
+    const regenerated = await client.waitFor(f => f.type === 'stream-complete' && f.streamId !== original.streamId);
+    assert.equal(regenerated.truncated, false);
+
+    const [conversation] = conversationsFor('regen-ws-1');
+    assert.deepEqual(conversation.messages.map(m => m.type), ['user', 'bot'], 'replaced, not appended');
+    assert.equal(conversation.messages[1].replacesMessageId, first.id);
+    assert.equal(conversation.messages[1].content, regenerated.completeContent);
+
+    const sent = await waitFor(() => api.analytics.requests.find(r =>
+      r.path === '/api/conversations' && r.body.messages.some(m => m.replacesMessageId === first.id)));
+    assert.equal(sent.body.messages.length, 1, 'analytics gets the new answer only');
+  } finally {
+    await client.close();
+  }
+});
+
+test('regenerate without an earlier answer is an error frame', async () => {
+  const client = await openSocket(`${api.wsUrl}/?key=${TEST_API_KEY}`);
+  try {
+    client.send({ type: 'regenerate', sessionId: 'regen-ws-empty' });
+    const error = await client.waitFor(f => f.type === 'stream-error');
+    assert.match(error.error, /no answer to regenerate/);
+  } finally {
+    await client.close();
+  }
+});
+
+test('regenerate after a closed handoff leaves the operator\'s messages alone', async () => {
+  const sessionId = 'regen-handoff-1';
+  await api.request('POST', '/chat', { body: { message: 'Get ég talað við manneskju?', sessionId } });
+  await api.request('POST', '/handoff/request', { body: { sessionId } });
+
+  const operator = await openSocket(`${api.wsUrl}/operator?token=${TEST_OPERATOR_KEY}&name=Anna`);
+  try {
+    const queue = await operator.waitFor(f => f.type === 'queue');
+    const { handoffId } = queue.handoffs.find(h => h.sessionId === sessionId);
+    operator.send({ type: 'claim', handoffId, requestId: 'claim' });
+    await operator.waitFor(f => f.requestId === 'claim');
+    operator.send({ type: 'reply', handoffId, content: 'Góðan dag, Anna hér.', requestId: 'reply' });
+    await operator.waitFor(f => f.requestId === 'reply');
+    operator.send({ type: 'release', handoffId, note: 'Spjallinu skilað til þjónustuversins', requestId: 'release' });
+    await operator.waitFor(f => f.requestId === 'release');
+  } finally {
+    await operator.close();
+  }
+  const before = conversationsFor(sessionId)[0].messages;
+
+  const regenerated = await api.request('POST', '/chat', { body: { action: 'regenerate', sessionId } });
+  assert.equal(regenerated.status, 409);
+  assert.deepEqual(conversationsFor(sessionId)[0].messages, before);
+  assert.deepEqual(before.slice(-2).map(m => m.sender), ['operator', 'system']);
+});
+
+test('POST /chat-stream/stop ends an SSE answer early', async () => {
+  const stream = await openSseStream({ message: LONG_QUESTION, sessionId: 'stop-sse-1' });
+  const first = await stream.waitFor(f => f.type === 'stream-chunk');
+
+  const stopped = await api.request('POST', '/chat-stream/stop', { body: { streamId: first.streamId, sessionId: 'stop-sse-1' } });
+  assert.equal(stopped.status, 200);
+  await stream.done;
+
+  const complete = stream.frames.find(f => f.type === 'stream-complete');
+  assert.equal(complete.truncated, true);
+  assert.equal(stream.frames.at(-1), '[DONE]');
+  const [answer] = await waitFor(() => botMessagesOf('stop-sse-1').length && botMessagesOf('stop-sse-1'));
+  assert.equal(answer.truncated, true);
+
+  assert.equal((await api.request('POST', '/chat-stream/stop', { body: { streamId: first.streamId, sessionId: 'stop-sse-1' } })).status, 404, 'already finished');
+  assert.equal((await api.request('POST', '/chat-stream/stop', { body: { streamId: first.streamId } })).status, 400);
+});
+
+test('an SSE answer nobody follows any more is stopped', async () => {
+  const stream = await openSseStream({ message: LONG_QUESTION, sessionId: 'stop-sse-2' });
+  await stream.waitFor(f => f.type === 'stream-chunk');
+  stream.abort();
+  await stream.done;
+
+  const [answer] = await waitFor(() => botMessagesOf('stop-sse-2').length && botMessagesOf('stop-sse-2'));
+  assert.equal(answer.truncated, true);
+  assert.ok(answer.content.length < LONG_QUESTION.length);
+});
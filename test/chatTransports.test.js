@@ -0,0 +1,199 @@
+// Integration tests for the three chat transports: JSON /chat, SSE /chat-stream and WebSocket
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, parseSseFrames, openSocket, waitFor, TEST_API_KEY } from './helpers/testServer.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.close();
+});
+
+const conversationsFor = (sessionId) => api.db.documents('conversations').filter(c => c.sessionId === sessionId);
+
+test('POST /chat answers with the model reply and stores the turn', async () => {
+  const { status, body } = await api.request('POST', '/chat', {
+    body: { message: 'Hvað kostar símsvörun?', sessionId: 'chat-json-1' }
+  });
+
+  assert.equal(status, 200);
+  assert.match(body.message, /^\[gpt-4o\] Svar við: "Hvað kostar símsvörun\?"/);
+  assert.equal(body.sessionId, 'chat-json-1');
+  assert.equal(body.threadId, 'chat-json-1');
+  assert.deepEqual(body.language, { detected: 'is', isIcelandic: true });
+  assert.deepEqual(body.actions, []);
+  assert.equal(body.handoff, null);
+
+  // The turn is stored before the response; analytics and the dashboard broadcast follow it
+  const [conversation] = await waitFor(() => conversationsFor('chat-json-1').length && conversationsFor('chat-json-1'));
+  assert.deepEqual(conversation.messages.map(m => m.role), ['user', 'assistant']);
+  assert.equal(conversation.messages[1].content, body.message);
+  assert.equal(conversation.messages[1].usage.model, 'gpt-4o');
+
+  const sent = await waitFor(() => api.analytics.requests.find(r =>
+    r.path === '/api/conversations' && r.body.sessionId === 'chat-json-1'));
+  assert.equal(sent.headers['x-api-key'], 'test-analytics-key');
+  assert.equal(sent.body.clientId, 'svorum-strax');
+
+  const broadcast = await waitFor(() => api.pusherEvents.find(e =>
+    e.event === 'conversation-update' && e.data.sessionId === 'chat-json-1'));
+  assert.equal(broadcast.data.botResponse, body.message);
+
+  const usage = await waitFor(() => api.db.documents('usage_events').find(e => e.sessionId === 'chat-json-1'));
+  assert.equal(usage.operation, 'chat');
+  assert.ok(usage.inputTokens > 0);
+});
+
+test('POST /chat accepts the old { messages, threadId } format', async () => {
+  const { status, body } = await api.request('POST', '/chat', {
+    body: { messages: [{ role: 'user', content: 'Hello there' }], threadId: 'chat-json-old' }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.sessionId, 'chat-json-old');
+  assert.equal(body.language.detected, 'en');
+  assert.match(body.message, /Hello there/);
+});
+
+test('POST /chat rejects requests without content or key', async () => {
+  const empty = await api.request('POST', '/chat', { body: { sessionId: 'chat-json-empty' } });
+  assert.equal(empty.status, 400);
+
+  const anonymous = await api.request('POST', '/chat', { body: { message: 'hæ' }, key: null });
+  assert.equal(anonymous.status, 401);
+
+  const wrongKey = await api.request('POST', '/chat', { body: { message: 'hæ' }, key: 'not-a-key' });
+  assert.equal(wrongKey.status, 401);
+});
+
+test('POST /chat serves a repeated question from the response cache', async () => {
+  const first = await api.request('POST', '/chat', { body: { message: 'Opnunartímar?', sessionId: 'chat-json-cache' } });
+  const second = await api.request('POST', '/chat', { body: { message: 'Opnunartímar?', sessionId: 'chat-json-cache' } });
+
+  assert.equal(second.body.message, first.body.message);
+  await waitFor(() => conversationsFor('chat-json-cache').length);
+  assert.equal(conversationsFor('chat-json-cache')[0].messages.length, 2);
+});
+
+test('POST /chat evicts the cached answer when it is regenerated', async () => {
+  await api.request('POST', '/chat', { body: { message: 'Hvar eruð þið?', sessionId: 'chat-json-regen' } });
+  await waitFor(() => conversationsFor('chat-json-regen').length);
+  const regenerated = await api.request('POST', '/chat', { body: { action: 'regenerate', sessionId: 'chat-json-regen' } });
+  assert.equal(regenerated.status, 200);
+
+  const modelCalls = () => api.db.documents('usage_events').filter(e => e.sessionId === 'chat-json-regen' && e.operation === 'chat').length;
+  await waitFor(() => modelCalls() === 2);
+
+  // Asked again rather than served the replaced answer
+  await api.request('POST', '/chat', { body: { message: 'Hvar eruð þið?', sessionId: 'chat-json-regen' } });
+  await waitFor(() => modelCalls() === 3);
+});
+
+test('POST /chat-stream sends connected, chunk, complete and [DONE] frames', async () => {
+  const { status, headers, body } = await api.request('POST', '/chat-stream', {
+    body: { message: 'Segðu mér frá þjónustunni', sessionId: 'chat-sse-1' }
+  });
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /text\/event-stream/);
+
+  const frames = parseSseFrames(body);
+  const [connected] = frames;
+  const chunks = frames.filter(f => f.type === 'stream-chunk');
+  const complete = frames.find(f => f.type === 'stream-complete');
+
+  assert.equal(connected.type, 'stream-connected');
+  assert.equal(connected.sessionId, 'chat-sse-1');
+  assert.ok(chunks.length > 1, 'the reply arrives in several chunks');
+  assert.deepEqual(chunks.map(c => c.chunkNumber), chunks.map((_, index) => index + 1));
+  assert.ok(frames.every(f => f === '[DONE]' || f.streamId === connected.streamId));
+  assert.equal(complete.completeContent, chunks.map(c => c.content).join(''));
+  assert.equal(frames.at(-1), '[DONE]');
+
+  await waitFor(() => conversationsFor('chat-sse-1').length);
+});
+
+test('POST /chat-stream allows only the checked origin', async () => {
+  const stream = (origin, sessionId) => api.request('POST', '/chat-stream', {
+    body: { message: 'Halló', sessionId },
+    headers: { Origin: origin }
+  });
+
+  const allowed = await stream('https://svorumstrax.is', 'chat-sse-origin-1');
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://svorumstrax.is');
+  assert.equal(allowed.headers.get('access-control-allow-credentials'), 'true');
+  assert.match(allowed.headers.get('vary'), /Origin/);
+
+  const unknown = await stream('https://unknown.example', 'chat-sse-origin-2');
+  assert.equal(unknown.headers.get('access-control-allow-origin'), null);
+});
+
+test('POST /chat-stream answers 400 before streaming when there is no content', async () => {
+  const { status } = await api.request('POST', '/chat-stream', { body: { sessionId: 'chat-sse-empty' } });
+  assert.equal(status, 400);
+});
+
+test('WebSocket chat streams the reply in frames', async () => {
+  const client = await openSocket(`${api.wsUrl}/?key=${TEST_API_KEY}`);
+  try {
+    client.send({ type: 'chat', message: 'Hello from the widget', sessionId: 'chat-ws-1', language: 'en' });
+    const complete = await client.waitFor(f => f.type === 'stream-complete');
+
+    const connected = client.frames.find(f => f.type === 'stream-connected');
+    const chunks = client.frames.filter(f => f.type === 'stream-chunk');
+    assert.equal(connected.streamId, complete.streamId);
+    assert.equal(complete.sessionId, 'chat-ws-1');
+    assert.match(complete.completeContent, /Hello from the widget/);
+    assert.equal(chunks.map(c => c.content).join(''), complete.completeContent);
+    assert.deepEqual(complete.actions, []);
+  } finally {
+    await client.close();
+  }
+
+  const [conversation] = await waitFor(() => conversationsFor('chat-ws-1').length && conversationsFor('chat-ws-1'));
+  assert.equal(conversation.language, 'en');
+});
+
+test('WebSocket answers malformed frames with an error frame', async () => {
+  const client = await openSocket(api.wsUrl);
+  try {
+    client.socket.send('not json');
+    const error = await client.waitFor(f => f.type === 'error');
+    assert.equal(error.message, 'Invalid message format');
+  } finally {
+    await client.close();
+  }
+});
+
+test('WebSocket connections with an unknown key are refused', async () => {
+  await assert.rejects(openSocket(`${api.wsUrl}/?key=wrong`), /401/);
+});
+
+test('the three transports continue the same conversation', async () => {
+  const sessionId = 'chat-mixed-1';
+  await api.request('POST', '/chat', { body: { message: 'Fyrsta spurning', sessionId } });
+  await waitFor(() => conversationsFor(sessionId)[0]?.messages.length === 2);
+
+  await api.request('POST', '/chat-stream', { body: { message: 'Önnur spurning', sessionId } });
+  await waitFor(() => conversationsFor(sessionId)[0]?.messages.length === 4);
+
+  const client = await openSocket(`${api.wsUrl}/?key=${TEST_API_KEY}`);
+  try {
+    client.send({ type: 'chat', message: 'Þriðja spurning', sessionId });
+    await client.waitFor(f => f.type === 'stream-complete');
+  } finally {
+    await client.close();
+  }
+
+  const [conversation] = await waitFor(() => conversationsFor(sessionId)[0]?.messages.length === 6 && conversationsFor(sessionId));
+  assert.equal(conversationsFor(sessionId).length, 1);
+  assert.deepEqual(
+    conversation.messages.filter(m => m.role === 'user').map(m => m.content),
+    ['Fyrsta spurning', 'Önnur spurning', 'Þriðja spurning']
+  );
+});
@@ -0,0 +1,36 @@
+// Unit tests for config.js - the environment default and requirements that depend on other settings
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let loadConfig;
+
+before(async () => {
+  ({ loadConfig } = await import('../config.js'));
+});
+
+// Offline settings that need nothing else
+const OFFLINE = {
+  LLM_PROVIDER: 'fake',
+  EMBEDDING_PROVIDER: 'local',
+  ANALYTICS_API_KEY: 'analytics-key',
+  MONGODB_URI: 'mongodb://localhost/test'
+};
+
+test('without NODE_ENV the configuration is production', () => {
+  assert.equal(loadConfig({ env: OFFLINE }).environment, 'production');
+  assert.equal(loadConfig({ env: { ...OFFLINE, NODE_ENV: 'development' } }).environment, 'development');
+
+  const { ANALYTICS_API_KEY, ...withoutAnalytics } = OFFLINE;
+  assert.throws(() => loadConfig({ env: withoutAnalytics }), /ANALYTICS_API_KEY \(analytics.apiKey\) is required in production/);
+});
+
+test('MONGODB_URI is only required while something is stored in MongoDB', () => {
+  const { MONGODB_URI, ...withoutMongo } = OFFLINE;
+
+  assert.throws(() => loadConfig({ env: withoutMongo }), /MONGODB_URI \(mongodb.uri\) is required/);
+  assert.throws(() => loadConfig({ env: { ...withoutMongo, STORAGE_BACKEND: 'memory' } }), /MONGODB_URI/);
+
+  const config = loadConfig({ env: { ...withoutMongo, STORAGE_BACKEND: 'memory', RATE_LIMIT_STORE: 'memory' } });
+  assert.equal(config.mongodb.uri, null);
+});
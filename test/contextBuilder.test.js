@@ -0,0 +1,71 @@
+// Unit tests for contextBuilder.js and the cached history it is built from (conversationStore.js)
+// - the summary cutoff and the history window
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+
+let buildContext, summarizeMessages, store;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  ({ buildContext, summarizeMessages } = await import('../contextBuilder.js'));
+  store = await import('../conversationStore.js');
+});
+
+const llm = { chat: async () => ({ message: { content: 'Samantekt' }, usage: null, model: 'gpt-4o-mini' }) };
+
+test('a summary cutoff never hides the unsummarised half of a turn', async () => {
+  store.invalidateConversationHistory('context-1');
+  store.appendConversationHistory('context-1', [
+    { role: 'user', content: 'Fyrsta spurning' },
+    { role: 'assistant', content: 'Fyrsta svar' }
+  ]);
+  const { messages: history } = await store.getConversationHistory('context-1');
+
+  // Only the question overflowed and was summarised
+  const summary = await summarizeMessages({ llm, messages: history.slice(0, 1) });
+  const context = buildContext({ systemPrompt: 'Kerfi', summary, history, currentContent: 'Önnur spurning' });
+
+  assert.ok(context.messages.some(m => m.content === 'Fyrsta svar'));
+  assert.ok(!context.messages.some(m => m.content === 'Fyrsta spurning'));
+});
+
+test('older messages overflow before they leave the history window', () => {
+  const history = Array.from({ length: store.HISTORY_MESSAGE_LIMIT }, (_, index) => ({
+    role: index % 2 ? 'assistant' : 'user',
+    content: `Skilaboð ${index}`,
+    timestamp: new Date(Date.UTC(2024, 4, 1, 10, 0, index)).toISOString()
+  }));
+
+  const context = buildContext({
+    systemPrompt: 'Kerfi',
+    history,
+    currentContent: 'Ný spurning',
+    budget: 100000,
+    maxMessages: store.HISTORY_MESSAGE_LIMIT - 2
+  });
+
+  assert.deepEqual(context.overflow.map(m => m.content), ['Skilaboð 0', 'Skilaboð 1']);
+  assert.equal(context.messages.length, store.HISTORY_MESSAGE_LIMIT);
+});
+
+test('the summary is written for the tenant and ends at the last stored message', async () => {
+  const prompts = [];
+  const recordingLlm = { chat: async ({ messages }) => { prompts.push(messages[0].content); return llm.chat(); } };
+  const messages = [
+    { role: 'user', content: 'Spurning', timestamp: '2024-05-01T10:00:00.000Z' },
+    { role: 'assistant', content: 'Svar' }
+  ];
+
+  const summary = await summarizeMessages({ llm: recordingLlm, messages, tenantName: 'Acme ehf.' });
+  assert.match(prompts[0], /conversation for Acme ehf\./);
+  assert.equal(summary.coveredUntil, '2024-05-01T10:00:00.000Z');
+
+  // Without any stored timestamp there is no safe cutoff, so nothing is summarised
+  const previousSummary = { text: 'Eldri samantekt', coveredUntil: '2024-04-01T10:00:00.000Z' };
+  const unchanged = await summarizeMessages({ llm: recordingLlm, previousSummary, messages: messages.slice(1) });
+  assert.equal(unchanged, previousSummary);
+  assert.equal(prompts.length, 1);
+});
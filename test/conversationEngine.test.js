@@ -0,0 +1,289 @@
+// Unit tests for conversationEngine.js - the tool loop, handoff relay and usage accounting,
+// with a scripted fake model, a Pusher stub and the in-memory database
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+let engineModule, createFakeProvider, createToolRegistry;
+let db;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  db = installMemoryMongo();
+  engineModule = await import('../conversationEngine.js');
+  ({ createFakeProvider } = await import('../llmProvider.js'));
+  ({ createToolRegistry } = await import('../tools/toolRegistry.js'));
+});
+
+beforeEach(() => {
+  db.reset();
+  global.sessionCache.clear();
+});
+
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+const hasToolResult = (params) => params.messages.some(m => m.role === 'tool');
+
+/**
+ * Engine with a fake model, recorded broadcasts and usage, and deferred work run inline
+ * @param {Object} options
+ * @param {Function} [options.reply] - Fake model reply (see createFakeProvider)
+ * @param {Object} [options.handoff] - Handoff dependency
+ * @param {Function} [options.failStore] - (userMessage) => true when storing that turn fails
+ */
+function createTestEngine({ reply, handoff = null, failStore = () => false } = {}) {
+  const llm = createFakeProvider(reply ? { reply } : {});
+  const broadcasts = [];
+  const usage = [];
+  const pending = [];
+  const stored = [];
+  const delivered = [];
+
+  const tools = createToolRegistry();
+  tools.register({
+    name: 'lookup_price',
+    description: 'Price of a package',
+    parameters: { type: 'object', properties: { packageId: { type: 'string' } }, required: ['packageId'] },
+    clientVisible: true,
+    handler: async ({ packageId }) => ({ packageId, priceIsk: 49000 })
+  });
+
+  const engine = engineModule.createConversationEngine({
+    llm,
+    broadcaster: { publish: async (channel, event, data) => broadcasts.push({ channel, event, data }) },
+    tools,
+    handoff,
+    recordUsage: async (entry) => usage.push(entry),
+    processMessagePair: async (userMessage, botResponse, metadata) => {
+      if (failStore(userMessage)) return { success: false, error: 'database unavailable' };
+      stored.push({ userMessage, botResponse, metadata });
+      return {
+        success: true, userMessageId: 'u1', botMessageId: `b${stored.length}`, eventId: `evt_${stored.length}`, conversation: {},
+        ...(metadata.regenerate ? { replacedMessageId: `b${stored.length - 1}` } : {})
+      };
+    },
+    deliverConversation: async ({ eventId }) => {
+      delivered.push(eventId);
+      return { success: true, postgresqlId: 'pg-1' };
+    },
+    defer: (task) => pending.push(task)
+  });
+
+  return {
+    engine, llm, broadcasts, usage, stored, delivered,
+    // Run the work the engine deferred until after the response
+    async flush() {
+      while (pending.length) await pending.shift()();
+    }
+  };
+}
+
+const request = (message, sessionId) => engineModule.normalizeChatRequest({ message, sessionId });
+
+test('completeTurn runs a tool call and answers with its result', async () => {
+  const { engine, llm, flush, broadcasts, usage } = createTestEngine({
+    reply: (params) => (hasToolResult(params)
+      ? 'Pakkinn kostar 49.000 kr.'
+      : { content: null, tool_calls: [toolCall('call_1', 'lookup_price', { packageId: 'basic' })] })
+  });
+
+  const result = await engine.completeTurn(request('Hvað kostar grunnpakkinn?', 'engine-1'));
+  await flush();
+
+  assert.equal(result.response, 'Pakkinn kostar 49.000 kr.');
+  assert.deepEqual(result.toolCalls.map(c => [c.name, c.result]), [['lookup_price', { packageId: 'basic', priceIsk: 49000 }]]);
+  assert.equal(llm.calls.length, 2);
+  assert.equal(llm.calls[0].params.toolChoice, 'auto');
+
+  const toolMessage = llm.calls[1].params.messages.find(m => m.role === 'tool');
+  assert.equal(toolMessage.tool_call_id, 'call_1');
+  assert.match(toolMessage.content, /49000/);
+
+  assert.equal(result.usage.model, 'gpt-4o');
+  assert.ok(result.usage.inputTokens > 0, 'tokens of both rounds are counted');
+  assert.ok(usage.some(u => u.operation === 'chat' && u.sessionId === 'engine-1'));
+  assert.ok(broadcasts.some(e => e.event === 'conversation-update' && e.data.botResponse === result.response));
+});
+
+test('completeTurn forces a text answer on the last tool round', async () => {
+  const { engine, llm } = createTestEngine({
+    reply: (params) => (params.toolChoice === 'none'
+      ? 'Gefst upp á verkfærum'
+      : { content: null, tool_calls: [toolCall(`call_${params.messages.length}`, 'lookup_price', { packageId: 'basic' })] })
+  });
+
+  const result = await engine.completeTurn(request('Verð?', 'engine-2'));
+
+  assert.equal(result.response, 'Gefst upp á verkfærum');
+  assert.equal(result.toolCalls.length, 3);
+  assert.deepEqual(llm.calls.map(c => c.params.toolChoice), ['auto', 'auto', 'auto', 'none']);
+});
+
+test('invalid tool arguments are reported back to the model', async () => {
+  const { engine, llm } = createTestEngine({
+    reply: (params) => (hasToolResult(params)
+      ? 'Vantar pakka'
+      : { content: null, tool_calls: [toolCall('call_1', 'lookup_price', {})] })
+  });
+
+  const result = await engine.completeTurn(request('Verð?', 'engine-3'));
+
+  assert.match(result.toolCalls[0].error, /packageId is required/);
+  assert.match(llm.calls[1].params.messages.find(m => m.role === 'tool').content, /packageId is required/);
+});
+
+test('streamTurn streams chunks and tool events in order', async () => {
+  const { engine } = createTestEngine({
+    reply: (params) => (hasToolResult(params)
+      ? 'Kostar 49.000 kr.'
+      : { content: null, tool_calls: [toolCall('call_1', 'lookup_price', { packageId: 'basic' })] })
+  });
+  const events = [];
+
+  const result = await engine.streamTurn(request('Verð á grunnpakka?', 'engine-4'), {
+    onChunk: (content, chunkNumber) => events.push(['chunk', content, chunkNumber]),
+    onToolEvent: (event) => events.push(['tool', event.phase, event.name || null])
+  });
+
+  assert.deepEqual(events.slice(0, 2), [['tool', 'start', 'lookup_price'], ['tool', 'result', 'lookup_price']]);
+  const chunks = events.filter(e => e[0] === 'chunk');
+  assert.equal(chunks.map(e => e[1]).join(''), 'Kostar 49.000 kr.');
+  assert.deepEqual(chunks.map(e => e[2]), chunks.map((_, index) => index + 1));
+  assert.equal(result.response, 'Kostar 49.000 kr.');
+  assert.equal(result.chunkCount, chunks.length);
+});
+
+test('a handed-off session is relayed to the operator instead of the model', async () => {
+  const relayed = [];
+  const { engine, llm } = createTestEngine({
+    handoff: {
+      getActiveHandoff: async (sessionId) => (sessionId === 'engine-5' ? { handoffId: 'h1', status: 'active', language: 'is' } : null),
+      relayCustomerMessage: async (activeHandoff, message) => relayed.push({ activeHandoff, message })
+    }
+  });
+
+  const result = await engine.completeTurn(request('Halló, ertu þarna?', 'engine-5'));
+
+  assert.equal(result.response, '');
+  assert.deepEqual(result.handoff, { handoffId: 'h1', status: 'active' });
+  assert.equal(relayed[0].message.content, 'Halló, ertu þarna?');
+  assert.equal(llm.calls.length, 0);
+});
+
+test('the conversation history is sent with later turns', async () => {
+  const { engine, llm, flush } = createTestEngine();
+
+  await engine.completeTurn(request('Fyrsta spurning', 'engine-6'));
+  await flush();
+  await engine.completeTurn(request('Önnur spurning', 'engine-6'));
+
+  const contents = llm.calls[1].params.messages.map(m => m.content);
+  assert.ok(contents.includes('Fyrsta spurning'));
+  assert.ok(contents.includes('[gpt-4o] Svar við: "Fyrsta spurning"'));
+  assert.equal(contents.at(-1), 'Önnur spurning');
+});
+
+test('a turn that could not be stored stays out of the history', async () => {
+  const { engine, llm, flush } = createTestEngine({ failStore: (userMessage) => userMessage === 'Týnd spurning' });
+
+  await engine.completeTurn(request('Fyrsta spurning', 'engine-6b'));
+  await engine.completeTurn(request('Týnd spurning', 'engine-6b'));
+  await flush();
+  await engine.completeTurn(request('Þriðja spurning', 'engine-6b'));
+
+  const contents = llm.calls[2].params.messages.map(m => m.content);
+  assert.ok(!contents.includes('Týnd spurning'));
+  assert.ok(!contents.includes('[gpt-4o] Svar við: "Týnd spurning"'));
+});
+
+test('a turn is stored before it is answered and delivered to analytics afterwards', async () => {
+  const { engine, flush, stored, delivered } = createTestEngine();
+  const analyticsResults = [];
+
+  await engine.completeTurn(request('Er opið í dag?', 'engine-7'), { onBroadcast: (result) => analyticsResults.push(result) });
+
+  assert.equal(stored.length, 1, 'stored with its outbox event before the response');
+  assert.equal(stored[0].userMessage, 'Er opið í dag?');
+  assert.deepEqual(delivered, []);
+
+  await flush();
+  assert.deepEqual(delivered, ['evt_1']);
+  assert.deepEqual(analyticsResults, [{ success: true, postgresqlId: 'pg-1' }]);
+});
+
+test('a stopped stream stops the model and stores the answer so far as truncated', async () => {
+  const { engine, stored, usage, flush } = createTestEngine({ reply: () => 'Eitt tvö þrjú fjögur fimm sex' });
+  const controller = new AbortController();
+  const chunks = [];
+
+  const result = await engine.streamTurn(request('Teldu upp að sex', 'engine-8'), {
+    signal: controller.signal,
+    onChunk: (content, chunkNumber) => {
+      chunks.push(content);
+      if (chunkNumber === 2) controller.abort();
+    }
+  });
+  await flush();
+
+  assert.equal(result.truncated, true);
+  assert.equal(result.response, 'Eitt tvö ');
+  assert.deepEqual(chunks, ['Eitt ', 'tvö ']);
+  assert.equal(stored[0].botResponse, 'Eitt tvö ');
+  assert.equal(stored[0].metadata.truncated, true);
+  assert.ok(usage[0].outputTokens > 0, 'the text streamed so far is accounted for');
+});
+
+test('a stream stopped before any text stores nothing', async () => {
+  const { engine, stored, llm } = createTestEngine();
+  const controller = new AbortController();
+  controller.abort();
+
+  const result = await engine.streamTurn(request('Halló', 'engine-9'), { signal: controller.signal, onChunk: () => {} });
+
+  assert.equal(result.truncated, true);
+  assert.equal(result.response, '');
+  assert.equal(stored.length, 0);
+  assert.equal(llm.calls.length, 1);
+});
+
+test('regenerate asks the last question again and replaces its answer', async () => {
+  let version = 0;
+  const { engine, llm, stored, broadcasts, flush } = createTestEngine({ reply: () => `Svar ${++version}` });
+
+  await engine.completeTurn(request('Fyrsta spurning', 'engine-10'));
+  await engine.completeTurn(request('Önnur spurning', 'engine-10'));
+  await flush();
+
+  const result = await engine.streamTurn(
+    engineModule.normalizeChatRequest({ action: 'regenerate', sessionId: 'engine-10' }),
+    { onChunk: () => {} }
+  );
+  await flush();
+
+  assert.equal(result.response, 'Svar 3');
+  const contents = llm.calls[2].params.messages.map(m => m.content);
+  assert.equal(contents.at(-1), 'Önnur spurning');
+  assert.ok(contents.includes('Svar 1'));
+  assert.ok(!contents.includes('Svar 2'), 'the replaced answer is not in the context');
+
+  assert.deepEqual(stored[2], { userMessage: 'Önnur spurning', botResponse: 'Svar 3', metadata: stored[2].metadata });
+  assert.equal(stored[2].metadata.regenerate, true);
+  assert.deepEqual(broadcasts.at(-1).data.messages.map(m => [m.content, m.replacesMessageId]), [['Svar 3', 'b2']]);
+
+  // The next turn sees the new answer in its history
+  await engine.completeTurn(request('Þriðja spurning', 'engine-10'));
+  const history = llm.calls[3].params.messages.map(m => m.content);
+  assert.ok(history.includes('Svar 3') && !history.includes('Svar 2'));
+});
+
+test('regenerate without an answer to replace is refused', async () => {
+  const { engine, llm } = createTestEngine();
+
+  await assert.rejects(
+    engine.completeTurn(engineModule.normalizeChatRequest({ action: 'regenerate', sessionId: 'engine-11' })),
+    { status: 400 }
+  );
+  assert.equal(llm.calls.length, 0);
+});
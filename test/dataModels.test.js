@@ -0,0 +1,112 @@
+// Unit tests for dataModels.js - conversation and message normalization
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+
+let normalizeConversation, normalizeMessage;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment({ env: { DEFAULT_TENANT_ID: 'test-tenant' } });
+  ({ normalizeConversation, normalizeMessage } = await import('../dataModels.js'));
+});
+
+test('normalizeMessage derives the role from role, sender or type', () => {
+  assert.equal(normalizeMessage({ role: 'user', content: 'a' }).role, 'user');
+  assert.equal(normalizeMessage({ sender: 'bot', content: 'b' }).role, 'assistant');
+  assert.equal(normalizeMessage({ type: 'bot', content: 'c' }).role, 'assistant');
+  assert.equal(normalizeMessage({ content: 'd', defaultRole: 'assistant' }).role, 'assistant');
+  assert.equal(normalizeMessage({ content: 'e' }).role, 'user');
+});
+
+test('normalizeMessage fills defaults and maps the analytics type', () => {
+  const message = normalizeMessage({ role: 'assistant' });
+
+  assert.match(message.id, /^msg_/);
+  assert.equal(message.content, '');
+  assert.equal(message.type, 'bot');
+  assert.equal(message.language, 'en');
+  assert.equal(message.postgresqlId, null);
+  assert.ok(!Number.isNaN(Date.parse(message.timestamp)));
+  assert.equal('usage' in message, false);
+});
+
+test('normalizeMessage keeps the usage of bot answers', () => {
+  const usage = { model: 'gpt-4o', inputTokens: 10, outputTokens: 5, costUsd: 0.0001 };
+  assert.deepEqual(normalizeMessage({ role: 'assistant', content: 'x', usage }).usage, usage);
+});
+
+test('normalizeMessage rejects a missing message', () => {
+  assert.throws(() => normalizeMessage(undefined), /undefined message/);
+});
+
+test('normalizeConversation fills defaults from the default tenant', () => {
+  const conversation = normalizeConversation({});
+
+  assert.match(conversation.id, /^conv_/);
+  assert.equal(conversation.sessionId, conversation.id);
+  assert.equal(conversation.clientId, 'test-tenant');
+  assert.equal(conversation.language, 'en');
+  assert.equal(conversation.topic, 'general');
+  assert.equal(conversation.status, 'active');
+  assert.deepEqual(conversation.messages, []);
+});
+
+test('normalizeConversation maps the legacy chatId and startTime fields', () => {
+  const conversation = normalizeConversation({
+    id: 'conv-1',
+    chatId: 'chat-1',
+    startTime: '2024-05-01T10:00:00.000Z',
+    clientId: 'acme'
+  });
+
+  assert.equal(conversation.sessionId, 'chat-1');
+  assert.equal(conversation.startedAt, '2024-05-01T10:00:00.000Z');
+  assert.equal(conversation.clientId, 'acme');
+});
+
+test('normalizeConversation turns legacy userMessage/botResponse into ordered messages', () => {
+  const conversation = normalizeConversation({
+    id: 'conv-legacy',
+    startedAt: '2024-05-01T10:00:00.000Z',
+    botResponse: 'Svar',
+    userMessage: 'Spurning'
+  });
+
+  assert.deepEqual(conversation.messages.map(m => [m.role, m.type, m.content]), [
+    ['user', 'user', 'Spurning'],
+    ['assistant', 'bot', 'Svar']
+  ]);
+  assert.equal(conversation.messages[0].timestamp, '2024-05-01T10:00:00.000Z');
+  assert.equal(conversation.messages[1].timestamp, '2024-05-01T10:00:00.001Z');
+});
+
+test('normalizeConversation prefers messages over the legacy fields', () => {
+  const conversation = normalizeConversation({
+    startedAt: '2024-05-01T10:00:00.000Z',
+    userMessage: 'legacy question',
+    botResponse: 'legacy answer',
+    messages: [
+      { sender: 'bot', content: 'answer', timestamp: '2024-05-01T10:00:02.000Z' },
+      { sender: 'user', content: 'question', timestamp: '2024-05-01T10:00:01.000Z' }
+    ]
+  });
+
+  assert.deepEqual(conversation.messages.map(m => m.content), ['question', 'answer']);
+});
+
+test('normalizeConversation only adds the legacy answer when the messages have none', () => {
+  const conversation = normalizeConversation({
+    startedAt: '2024-05-01T10:00:00.000Z',
+    userMessage: 'legacy question',
+    botResponse: 'legacy answer',
+    messages: [{ role: 'user', content: 'question', timestamp: '2024-05-01T09:59:00.000Z' }]
+  });
+
+  assert.deepEqual(conversation.messages.map(m => m.content), ['question', 'legacy answer']);
+});
+
+test('normalizeConversation rejects a missing conversation', () => {
+  assert.throws(() => normalizeConversation(null), /undefined conversation/);
+});
@@ -0,0 +1,419 @@
+// test/helpers/memoryMongo.js - In-memory stand-in for the MongoDB driver
+//
+// Implements the subset of the driver the API uses: filters with the comparison,
+// $in/$nin, $exists, $or/$and operators and dotted paths, the $set/$setOnInsert/$inc/
+// $push/$addToSet/$unset updates, upserts, sort/skip/limit/projection (including $slice)
+// and unique indexes, _id included (duplicate keys throw code 11000 like MongoDB).
+//
+// installMemoryMongo() puts it in database.js's connection cache, so connectToDatabase()
+// returns it without a server. Its client sessions run transactions without isolation
+// or rollback (the work just runs).
+
+import crypto from 'crypto';
+
+const OPERATOR_PREFIX = '$';
+
+function getPath(document, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+}
+
+function setPath(document, path, value) {
+  const keys = path.split('.');
+  let target = document;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys.at(-1)] = value;
+}
+
+function unsetPath(document, path) {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(document, keys.slice(0, -1).join('.')) : document;
+  if (parent && typeof parent === 'object') delete parent[keys.at(-1)];
+}
+
+// Comparable form of a value (dates compare by time)
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+function isEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) return comparable(a) === comparable(b);
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+// Arrays match a plain value when one of their elements does, like MongoDB
+function valueMatches(value, expected) {
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.some(item => isEqual(item, expected));
+  return isEqual(value, expected);
+}
+
+const isOperatorObject = (condition) => condition && typeof condition === 'object' &&
+  !(condition instanceof Date) && !Array.isArray(condition) &&
+  Object.keys(condition).some(key => key.startsWith(OPERATOR_PREFIX));
+
+function compare(value, expected, test) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.some(item => item != null && test(comparable(item), comparable(expected)));
+}
+
+function conditionMatches(value, condition) {
+  if (!isOperatorObject(condition)) return valueMatches(value, condition);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$eq': return valueMatches(value, expected);
+      case '$ne': return !valueMatches(value, expected);
+      case '$gt': return compare(value, expected, (a, b) => a > b);
+      case '$gte': return compare(value, expected, (a, b) => a >= b);
+      case '$lt': return compare(value, expected, (a, b) => a < b);
+      case '$lte': return compare(value, expected, (a, b) => a <= b);
+      case '$in': return expected.some(item => valueMatches(value, item));
+      case '$nin': return !expected.some(item => valueMatches(value, item));
+      case '$exists': return (value !== undefined) === Boolean(expected);
+      default: throw new Error(`memoryMongo: unsupported query operator ${operator}`);
+    }
+  });
+}
+
+/**
+ * Whether a document matches a filter
+ * @param {Object} document - Stored document
+ * @param {Object} [filter] - MongoDB filter
+ * @returns {boolean} Match
+ */
+export function matchesFilter(document, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(part => matchesFilter(document, part));
+    if (key === '$and') return condition.every(part => matchesFilter(document, part));
+    return conditionMatches(getPath(document, key), condition);
+  });
+}
+
+function applyUpdate(document, update, { inserting }) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set':
+          setPath(document, path, structuredClone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(document, path, structuredClone(value));
+          break;
+        case '$inc':
+          setPath(document, path, (getPath(document, path) || 0) + value);
+          break;
+        case '$unset':
+          unsetPath(document, path);
+          break;
+        case '$push': {
+          const items = value?.$each ? value.$each : [value];
+          const list = (getPath(document, path) || []).concat(structuredClone(items));
+          setPath(document, path, value?.$slice !== undefined ? list.slice(value.$slice) : list);
+          break;
+        }
+        case '$addToSet': {
+          const list = getPath(document, path) || [];
+          for (const item of (value?.$each ? value.$each : [value])) {
+            if (!list.some(existing => isEqual(existing, item))) list.push(structuredClone(item));
+          }
+          setPath(document, path, list);
+          break;
+        }
+        default:
+          throw new Error(`memoryMongo: unsupported update operator ${operator}`);
+      }
+    }
+  }
+}
+
+function applyProjection(document, projection) {
+  if (!projection || Object.keys(projection).length === 0) return document;
+
+  const entries = Object.entries(projection);
+  const including = entries.some(([key, value]) => key !== '_id' && value === 1);
+  let result;
+
+  if (including) {
+    result = projection._id === 0 ? {} : { _id: document._id };
+    for (const [key, value] of entries) {
+      if (value === 1) {
+        const found = getPath(document, key);
+        if (found !== undefined) setPath(result, key, found);
+      }
+    }
+  } else {
+    result = { ...document };
+    for (const [key, value] of entries) {
+      if (value === 0) unsetPath(result, key);
+    }
+  }
+
+  // { messages: { $slice: -20 } } keeps the last 20 elements
+  for (const [key, value] of entries) {
+    if (value && typeof value === 'object' && value.$slice !== undefined) {
+      const list = getPath(document, key);
+      if (Array.isArray(list)) setPath(result, key, value.$slice < 0 ? list.slice(value.$slice) : list.slice(0, value.$slice));
+    }
+  }
+  return result;
+}
+
+function sortDocuments(documents, sort) {
+  const keys = Object.entries(sort);
+  return documents.sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const x = comparable(getPath(a, key));
+      const y = comparable(getPath(b, key));
+      if (x === y) continue;
+      if (x === undefined || x === null) return -direction;
+      if (y === undefined || y === null) return direction;
+      return x < y ? -direction : direction;
+    }
+    return 0;
+  });
+}
+
+function duplicateKeyError(collectionName, index) {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${Object.keys(index.keys).join('_')}`);
+  error.code = 11000;
+  return error;
+}
+
+/**
+ * Cursor over a copy of the matching documents
+ */
+class MemoryCursor {
+  constructor(documents, projection) {
+    this.documents = documents;
+    this.projection = projection;
+  }
+
+  sort(sort) {
+    sortDocuments(this.documents, sort);
+    return this;
+  }
+
+  skip(count) {
+    this.documents = this.documents.slice(count);
+    return this;
+  }
+
+  limit(count) {
+    if (count) this.documents = this.documents.slice(0, count);
+    return this;
+  }
+
+  project(projection) {
+    this.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    return this.documents.map(document => applyProjection(structuredClone(document), this.projection));
+  }
+
+  async next() {
+    const [first] = await this.limit(1).toArray();
+    return first || null;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+/**
+ * One collection - documents are stored as private copies
+ */
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.documents = [];
+    this.indexes = [];
+  }
+
+  checkUnique(candidate, ignore = null) {
+    // _id is always unique, e.g. an upsert whose filter missed an existing document
+    if (this.documents.some(document => document !== ignore && isEqual(document._id, candidate._id))) {
+      throw duplicateKeyError(this.name, { keys: { _id: 1 } });
+    }
+
+    for (const index of this.indexes.filter(index => index.unique)) {
+      if (index.partialFilterExpression && !matchesFilter(candidate, index.partialFilterExpression)) continue;
+
+      const clash = this.documents.some(document => document !== ignore &&
+        (!index.partialFilterExpression || matchesFilter(document, index.partialFilterExpression)) &&
+        Object.keys(index.keys).every(key => isEqual(getPath(document, key), getPath(candidate, key))));
+      if (clash) throw duplicateKeyError(this.name, index);
+    }
+  }
+
+  find(filter = {}, { projection, sort } = {}) {
+    const cursor = new MemoryCursor(this.documents.filter(document => matchesFilter(document, filter)), projection);
+    return sort ? cursor.sort(sort) : cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.find(filter, options).next();
+  }
+
+  async countDocuments(filter = {}) {
+    return this.documents.filter(document => matchesFilter(document, filter)).length;
+  }
+
+  async insertOne(document) {
+    if (document._id === undefined) document._id = crypto.randomUUID();
+    const stored = structuredClone(document);
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(documents) {
+    for (const document of documents) await this.insertOne(document);
+    return { acknowledged: true, insertedCount: documents.length };
+  }
+
+  // Filter fields with plain values are copied into upserted documents
+  upsertBase(filter) {
+    const base = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith(OPERATOR_PREFIX) && !isOperatorObject(value)) setPath(base, key, structuredClone(value));
+    }
+    return base;
+  }
+
+  async updateOne(filter, update, { upsert = false, sort } = {}) {
+    const [document] = sort
+      ? sortDocuments(this.documents.filter(d => matchesFilter(d, filter)), sort)
+      : [this.documents.find(d => matchesFilter(d, filter))];
+
+    if (!document) {
+      if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+
+      const inserted = this.upsertBase(filter);
+      applyUpdate(inserted, update, { inserting: true });
+      if (inserted._id === undefined) inserted._id = crypto.randomUUID();
+      this.checkUnique(inserted);
+      this.documents.push(inserted);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+
+    const updated = structuredClone(document);
+    applyUpdate(updated, update, { inserting: false });
+    this.checkUnique(updated, document);
+    Object.keys(document).forEach(key => delete document[key]);
+    Object.assign(document, updated);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update) {
+    const documents = this.documents.filter(document => matchesFilter(document, filter));
+    for (const document of documents) applyUpdate(document, update, { inserting: false });
+    return { acknowledged: true, matchedCount: documents.length, modifiedCount: documents.length };
+  }
+
+  async replaceOne(filter, replacement, { upsert = false } = {}) {
+    const index = this.documents.findIndex(document => matchesFilter(document, filter));
+    if (index < 0) {
+      if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+      await this.insertOne({ ...this.upsertBase(filter), ...replacement });
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    const replaced = { _id: this.documents[index]._id, ...structuredClone(replacement) };
+    this.checkUnique(replaced, this.documents[index]);
+    this.documents[index] = replaced;
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  }
+
+  // Driver 6 returns the document itself (null when nothing matched)
+  async findOneAndUpdate(filter, update, { upsert = false, sort, projection, returnDocument = 'before' } = {}) {
+    const before = await this.findOne(filter, { sort });
+    const result = await this.updateOne(before ? { _id: before._id } : filter, update, { upsert });
+
+    if (returnDocument !== 'after') return before ? applyProjection(before, projection) : null;
+    const id = before ? before._id : result.upsertedId;
+    return id === undefined ? null : this.findOne({ _id: id }, { projection });
+  }
+
+  async deleteOne(filter) {
+    const index = this.documents.findIndex(document => matchesFilter(document, filter));
+    if (index >= 0) this.documents.splice(index, 1);
+    return { acknowledged: true, deletedCount: index >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const count = this.documents.length;
+    this.documents = this.documents.filter(document => !matchesFilter(document, filter));
+    return { acknowledged: true, deletedCount: count - this.documents.length };
+  }
+
+  async createIndex(keys, options = {}) {
+    const name = Object.entries(keys).map(([key, direction]) => `${key}_${direction}`).join('_');
+    if (!this.indexes.some(index => index.name === name)) {
+      this.indexes.push({ name, keys, unique: Boolean(options.unique), partialFilterExpression: options.partialFilterExpression });
+    }
+    return name;
+  }
+}
+
+/**
+ * Create an in-memory database
+ * @returns {Object} Db-like object with collection(), listCollections(), command() and reset()
+ */
+export function createMemoryMongo() {
+  const collections = new Map();
+
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+      return collections.get(name);
+    },
+
+    listCollections() {
+      return { toArray: async () => [...collections.keys()].map(name => ({ name })) };
+    },
+
+    async command(command) {
+      return { ok: 1, ...(command.ping ? {} : { command }) };
+    },
+
+    /**
+     * Stored documents of a collection (no copies - for assertions)
+     * @param {string} name - Collection name
+     * @returns {Array<Object>} Documents
+     */
+    documents(name) {
+      return collections.get(name)?.documents || [];
+    },
+
+    // Drop every document, keep the indexes
+    reset() {
+      for (const collection of collections.values()) collection.documents = [];
+    }
+  };
+}
+
+/**
+ * Install an in-memory database as database.js's cached connection
+ * @returns {Object} The database (see createMemoryMongo)
+ */
+export function installMemoryMongo() {
+  const db = createMemoryMongo();
+  global.mongoConnection = {
+    client: {
+      close: async () => {},
+      startSession: () => ({ withTransaction: async (work) => work(), endSession: async () => {} })
+    },
+    db,
+    connecting: null,
+    connectionTime: 0,
+    lastUsed: Date.now()
+  };
+  return db;
+}
+
+export default { createMemoryMongo, installMemoryMongo, matchesFilter };
@@ -0,0 +1,251 @@
+// test/helpers/testServer.js - Boots the API against fakes for integration tests
+//
+//   - MongoDB: in-memory database (memoryMongo.js) in database.js's connection cache
+//   - OpenAI: LLM_PROVIDER=fake and EMBEDDING_PROVIDER=local, nothing leaves the machine
+//   - Pusher: trigger() is replaced and records the events
+//   - Analytics (hysing): a local HTTP stub that records requests and hands out message IDs
+//
+// index.js reads its configuration once, so each test file boots one server (node --test
+// runs every file in its own process). Application logs are muted unless TEST_LOGS=1.
+
+import express from 'express';
+import Pusher from 'pusher';
+import { WebSocket } from 'ws';
+import { installMemoryMongo } from './memoryMongo.js';
+
+export const TEST_API_KEY = 'test-widget-key';
+export const TEST_ADMIN_KEY = 'test-admin-key';
+export const TEST_OPERATOR_KEY = 'test-operator-key';
+export const TEST_ANALYTICS_KEY = 'test-analytics-key';
+
+/**
+ * Silence console output of the code under test (TEST_LOGS=1 keeps it)
+ */
+export function muteLogs() {
+  if (process.env.TEST_LOGS) return;
+  for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[level] = () => {};
+  }
+}
+
+/**
+ * Record every Pusher event instead of sending it
+ * @returns {Array<Object>} Recorded events { channel, event, data }
+ */
+export function stubPusher() {
+  const events = [];
+  Pusher.prototype.trigger = async function trigger(channel, event, data) {
+    events.push({ channel, event, data });
+    return { status: 200 };
+  };
+  return events;
+}
+
+/**
+ * Start the analytics stub - conversations get a PostgreSQL-style ID per message
+ * @returns {Promise<Object>} { url, requests, respond(path, handler), close() }
+ */
+export async function startAnalyticsStub() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  const requests = [];
+  const handlers = new Map();
+  let nextId = 1;
+
+  app.use((req, res) => {
+    requests.push({ method: req.method, path: req.path, headers: req.headers, body: req.body });
+
+    const handler = handlers.get(req.path);
+    if (handler) return handler(req, res);
+
+    if (req.path === '/api/conversations') {
+      return res.json({
+        success: true,
+        messages: (req.body.messages || []).map(() => ({ id: `pg-${nextId++}` }))
+      });
+    }
+    res.json({ success: true });
+  });
+
+  const server = await listen(app);
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    respond: (path, handler) => handlers.set(path, handler),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Set the environment for the code under test (before config.js is first used)
+ * @param {Object} [options]
+ * @param {string} [options.analyticsUrl] - Analytics stub URL
+ * @param {Object} [options.env] - Extra or overriding variables
+ */
+export function setTestEnvironment({ analyticsUrl = 'http://127.0.0.1:9', env = {} } = {}) {
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DOTENV_CONFIG_QUIET: 'true',
+    PORT: '0',
+    API_KEY: TEST_API_KEY,
+    ADMIN_API_KEY: TEST_ADMIN_KEY,
+    OPERATOR_API_KEY: TEST_OPERATOR_KEY,
+    MONGODB_URI: 'mongodb://memory/test',
+    LLM_PROVIDER: 'fake',
+    LLM_RETRY_BASE_MS: '1',
+    EMBEDDING_PROVIDER: 'local',
+    ANALYTICS_BASE_URL: analyticsUrl,
+    ANALYTICS_API_KEY: TEST_ANALYTICS_KEY,
+    PUSHER_APP_ID: 'test-app',
+    PUSHER_KEY: 'test-key',
+    PUSHER_SECRET: 'test-secret',
+    PUSHER_CLUSTER: 'eu',
+    // Outbox events are delivered by the tests (and right after each turn), not by a timer
+    ANALYTICS_OUTBOX_INTERVAL_SECONDS: '0',
+    ...env
+  });
+}
+
+/**
+ * Boot the API (index.js) on a free port against the fakes
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Extra environment variables (e.g. tighter rate limits)
+ * @returns {Promise<Object>} { baseUrl, wsUrl, db, pusherEvents, analytics, request, close }
+ */
+export async function startTestServer({ env = {} } = {}) {
+  muteLogs();
+  const db = installMemoryMongo();
+  const pusherEvents = stubPusher();
+  const analytics = await startAnalyticsStub();
+
+  setTestEnvironment({ analyticsUrl: analytics.url, env });
+
+  const { startServer } = await import('../../index.js');
+  const server = await startServer(0);
+  const { port } = server.address();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  /**
+   * JSON request against the API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path
+   * @param {Object} [options]
+   * @param {Object} [options.body] - JSON body
+   * @param {string|null} [options.key] - x-api-key (widget key by default, null for none)
+   * @param {Object} [options.headers] - Extra headers
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  async function request(method, path, { body, key = TEST_API_KEY, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(key ? { 'x-api-key': key } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON (SSE, ICS) - keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  return {
+    baseUrl,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    db,
+    pusherEvents,
+    analytics,
+    request,
+    async close() {
+      server.closeAllConnections?.();
+      await new Promise(resolve => server.close(resolve));
+      await analytics.close();
+    }
+  };
+}
+
+/**
+ * Parse an SSE body into its data frames ('[DONE]' is kept as a string)
+ * @param {string} body - text/event-stream body
+ * @returns {Array<Object|string>} Frames
+ */
+export function parseSseFrames(body) {
+  return body
+    .split('\n\n')
+    .map(block => block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n'))
+    .filter(Boolean)
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
+
+/**
+ * Open a WebSocket and collect its JSON frames
+ * @param {string} url - ws:// URL
+ * @returns {Promise<Object>} { socket, frames, send(frame), waitFor(predicate), close() }
+ */
+export function openSocket(url) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    const frames = [];
+    const waiters = [];
+
+    socket.on('message', (data) => {
+      const frame = JSON.parse(data.toString());
+      frames.push(frame);
+      for (const waiter of [...waiters]) {
+        if (waiter.predicate(frame)) {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          waiter.resolve(frame);
+        }
+      }
+    });
+    socket.once('error', reject);
+    socket.once('unexpected-response', (_req, res) => reject(new Error(`WebSocket rejected with ${res.statusCode}`)));
+    socket.once('open', () => resolve({
+      socket,
+      frames,
+      send: (frame) => socket.send(JSON.stringify(frame)),
+      waitFor: (predicate, timeoutMs = 5000) => {
+        const seen = frames.find(predicate);
+        if (seen) return Promise.resolve(seen);
+        return new Promise((resolveFrame, rejectFrame) => {
+          const timer = setTimeout(() => rejectFrame(new Error('Timed out waiting for a WebSocket frame')), timeoutMs);
+          waiters.push({ predicate, resolve: (frame) => { clearTimeout(timer); resolveFrame(frame); } });
+        });
+      },
+      close: () => new Promise(resolveClose => {
+        socket.once('close', resolveClose);
+        socket.close();
+      })
+    }));
+  });
+}
+
+/**
+ * Wait until a condition holds (fire-and-forget work such as analytics sends)
+ * @param {Function} condition - () => truthy value (may be async)
+ * @param {number} [timeoutMs] - Give up after
+ * @returns {Promise<*>} The truthy value
+ */
+export async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await condition();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
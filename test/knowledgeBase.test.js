@@ -0,0 +1,94 @@
+// Unit tests for knowledgeBase.js - embedding usage recorded against the tenant, with a
+// fake OpenAI embeddings client and the in-memory database
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs, waitFor } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+let db, knowledge, priceUsage;
+
+// Fake OpenAI client - local hashing vectors, one token per word
+function createFakeOpenAI(local) {
+  return {
+    embeddings: {
+      create: async ({ model, input }) => ({
+        model,
+        data: (await local.embed(input)).embeddings.map(embedding => ({ embedding })),
+        usage: { prompt_tokens: input.reduce((total, text) => total + text.split(/\s+/).length, 0) }
+      })
+    }
+  };
+}
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  db = installMemoryMongo();
+  knowledge = await import('../knowledgeBase.js');
+  ({ priceUsage } = await import('../usageTracker.js'));
+  const openai = createFakeOpenAI(knowledge.createLocalEmbeddingProvider());
+  knowledge.configureKnowledgeBase({ embeddingProvider: knowledge.createOpenAIEmbeddingProvider(openai, 'text-embedding-3-small') });
+});
+
+beforeEach(() => {
+  db.reset();
+  knowledge.invalidateKnowledgeCache();
+});
+
+after(() => {
+  knowledge.configureKnowledgeBase({ embeddingProvider: knowledge.createLocalEmbeddingProvider() });
+});
+
+const embeddingEvents = (filter) => db.documents('usage_events').filter(event => event.operation === 'embedding' && filter(event));
+
+test('indexing a document records its embedding tokens against the owning tenant', async () => {
+  await knowledge.saveKnowledgeDocument(
+    { sourceId: 'opening-hours', title: 'Opnunartími', content: 'Opið alla virka daga frá 9 til 17.' },
+    { tenantId: 'acme' }
+  );
+
+  const [event] = await waitFor(() => {
+    const events = embeddingEvents(event => event.tenantId === 'acme');
+    return events.length > 0 && events;
+  });
+  assert.equal(event.model, 'text-embedding-3-small');
+  assert.ok(event.inputTokens > 0);
+  assert.equal(priceUsage({ model: event.model, inputTokens: 1e6 }), 0.02);
+  assert.equal(event.conversationId, null);
+});
+
+test('each retrieval records the query embedding against the conversation', async () => {
+  await knowledge.saveKnowledgeDocument(
+    { sourceId: 'prices', title: 'Verð', content: 'Grunnpakkinn kostar 49.000 krónur á mánuði.' },
+    { tenantId: 'acme' }
+  );
+
+  const results = await knowledge.retrieveKnowledge('Hvað kostar grunnpakkinn?', {
+    tenantId: 'acme',
+    conversationId: 'conv-1',
+    sessionId: 'session-1',
+    minScore: 0
+  });
+  assert.equal(results[0].sourceId, 'prices');
+
+  const [event] = await waitFor(() => {
+    const events = embeddingEvents(event => event.conversationId === 'conv-1');
+    return events.length > 0 && events;
+  });
+  assert.equal(event.tenantId, 'acme');
+  assert.equal(event.sessionId, 'session-1');
+  assert.equal(event.inputTokens, 3);
+});
+
+test('the local provider records nothing', async () => {
+  knowledge.configureKnowledgeBase({ embeddingProvider: knowledge.createLocalEmbeddingProvider() });
+  try {
+    await knowledge.saveKnowledgeDocument({ sourceId: 'local', title: 'Local', content: 'Nothing is paid for here.' }, { tenantId: 'acme' });
+    await knowledge.retrieveKnowledge('paid', { tenantId: 'acme', conversationId: 'conv-2' });
+    assert.equal(embeddingEvents(() => true).length, 0);
+  } finally {
+    const openai = createFakeOpenAI(knowledge.createLocalEmbeddingProvider());
+    knowledge.configureKnowledgeBase({ embeddingProvider: knowledge.createOpenAIEmbeddingProvider(openai, 'text-embedding-3-small') });
+  }
+});
@@ -0,0 +1,94 @@
+// Unit tests for leadService.js - repeated captures of one conversation merge into one lead,
+// and leads stay with their tenant
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+let db, recordLead, listLeads, getLead, updateLead;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  db = installMemoryMongo();
+  ({ recordLead, listLeads, getLead, updateLead } = await import('../leadService.js'));
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+const context = { conversationId: 'conversation-1', sessionId: 'session-1', language: 'is' };
+
+test('later captures of a conversation merge into its lead', async () => {
+  const first = await recordLead({ name: 'Jón', company: 'Acme', servicesOfInterest: ['phone_answering'] }, context);
+  const second = await recordLead({
+    email: 'JON@Acme.is',
+    company: 'Acme ehf.',
+    monthlyCalls: 300,
+    servicesOfInterest: ['phone_answering', 'email_handling']
+  }, context);
+
+  assert.equal(db.documents('leads').length, 1);
+  assert.equal(second.leadId, first.leadId);
+  assert.equal(second.captureCount, 2);
+  assert.deepEqual(second.contact, { name: 'Jón', email: 'jon@acme.is' });
+  assert.equal(second.company.name, 'Acme ehf.');
+  assert.equal(second.volume.monthlyCalls, 300);
+  assert.deepEqual(second.servicesOfInterest, ['phone_answering', 'email_handling']);
+  assert.deepEqual(second.createdAt, first.createdAt);
+  assert.equal(second.status, 'new');
+});
+
+test('empty and unknown values never wipe what was captured earlier', async () => {
+  await recordLead({ name: 'Jón', phone: '555-1234', recommendedPackage: 'bilbao' }, context);
+  const lead = await recordLead({ name: '', phone: null, notes: 'Vill hringja á mánudag', servicesOfInterest: ['time_travel'] }, context);
+
+  assert.equal(lead.contact.name, 'Jón');
+  assert.equal(lead.contact.phone, '555-1234');
+  assert.equal(lead.recommendedPackage, 'bilbao');
+  assert.equal(lead.notes, 'Vill hringja á mánudag');
+  assert.equal(lead.servicesOfInterest, undefined);
+});
+
+test('an invalid capture is refused without touching the lead', async () => {
+  await recordLead({ email: 'jon@acme.is' }, context);
+
+  await assert.rejects(recordLead({ email: 'not-an-email', name: 'Jón' }, context), { status: 400 });
+  await assert.rejects(recordLead({ recommendedPackage: 'madrid' }, context), { status: 400 });
+  await assert.rejects(recordLead({ name: '' }, context), { status: 400, message: 'No lead details provided' });
+
+  const [stored] = db.documents('leads');
+  assert.equal(stored.captureCount, 1);
+  assert.equal(stored.contact.name, undefined);
+});
+
+test('each conversation has its own lead', async () => {
+  await recordLead({ name: 'Jón' }, context);
+  await recordLead({ name: 'Anna' }, { ...context, conversationId: 'conversation-2' });
+
+  assert.deepEqual(db.documents('leads').map(lead => lead.contact.name).sort(), ['Anna', 'Jón']);
+  await assert.rejects(recordLead({ name: 'Enginn' }, {}), { status: 400 });
+});
+
+test('leads are listed, read and updated only for their tenant', async () => {
+  const ours = await recordLead({ name: 'Jón' }, context);
+  const theirs = await recordLead({ name: 'Anna' }, { ...context, conversationId: 'acme:conversation-1', tenantId: 'acme' });
+  // Stored before leads had a tenant
+  await db.collection('leads').insertOne({ leadId: 'lead_old', conversationId: 'conversation-0', contact: { name: 'Gamli' }, createdAt: new Date(0) });
+
+  assert.equal(ours.tenantId, 'svorum-strax');
+  assert.equal(theirs.tenantId, 'acme');
+  assert.deepEqual((await listLeads()).leads.map(lead => lead.contact.name), ['Jón', 'Gamli']);
+  assert.deepEqual((await listLeads({ tenantId: 'acme' })).leads.map(lead => lead.contact.name), ['Anna']);
+
+  assert.equal(await getLead(theirs.leadId), null);
+  assert.equal((await getLead(theirs.leadId, 'acme')).contact.name, 'Anna');
+  await assert.rejects(updateLead(theirs.leadId, { status: 'won' }), { status: 404 });
+  assert.equal((await updateLead(theirs.leadId, { status: 'won' }, 'acme')).status, 'won');
+
+  // Another tenant never merges into a conversation's lead
+  await assert.rejects(recordLead({ name: 'Jón' }, { ...context, tenantId: 'acme' }), { status: 409 });
+  assert.equal((await getLead(ours.leadId)).contact.name, 'Jón');
+});
@@ -0,0 +1,149 @@
+// Integration tests for liveChatBridge.js against the LiveChat stub (utils/liveChatStub.js)
+// - webhook authentication, echo suppression and the handoff flow
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startTestServer, openSocket, waitFor, TEST_OPERATOR_KEY } from './helpers/testServer.js';
+import { createLiveChatStub } from '../utils/liveChatStub.js';
+
+const WEBHOOK_SECRET = 'test-livechat-secret';
+
+let api, stub, stubServer;
+
+before(async () => {
+  // The stub needs the API's webhook URL and the API the stub's URL, so its port comes first
+  stubServer = http.createServer((req, res) => stub(req, res));
+  await new Promise(resolve => stubServer.listen(0, '127.0.0.1', resolve));
+  const stubUrl = `http://127.0.0.1:${stubServer.address().port}`;
+
+  api = await startTestServer({
+    env: {
+      LIVECHAT_API_URL: `${stubUrl}/v3.5`,
+      LIVECHAT_ACCOUNTS_URL: stubUrl,
+      LIVECHAT_ACCOUNT_ID: 'bot@svorumstrax.is',
+      LIVECHAT_PAT: 'test-pat',
+      LIVECHAT_ORGANIZATION_ID: 'stub-organization',
+      LIVECHAT_CLIENT_ID: 'test-client',
+      LIVECHAT_WEBHOOK_SECRET: WEBHOOK_SECRET
+    }
+  });
+  stub = createLiveChatStub({ webhookUrl: `${api.baseUrl}/livechat/webhook`, webhookSecret: WEBHOOK_SECRET });
+});
+
+after(async () => {
+  await api.close();
+  stubServer.closeAllConnections?.();
+  await new Promise(resolve => stubServer.close(resolve));
+});
+
+const webhook = (body) => api.request('POST', '/livechat/webhook', { body, key: null });
+
+test('webhooks without the right secret are refused', async () => {
+  const payload = { chat_id: 'CH-UNKNOWN' };
+
+  for (const secret_key of [undefined, '', 'wrong', `${WEBHOOK_SECRET}x`, 42, { $ne: '' }]) {
+    const { status } = await webhook({ action: 'incoming_event', secret_key, payload });
+    assert.equal(status, 401, JSON.stringify(secret_key));
+  }
+
+  const accepted = await webhook({ action: 'incoming_event', secret_key: WEBHOOK_SECRET, payload });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.handled, false);
+});
+
+const handoffOf = (sessionId) => api.db.documents('handoffs').find(h => h.sessionId === sessionId);
+
+// Ask for a human over HTTP and wait for the LiveChat chat it opens
+async function openBridgedHandoff(sessionId) {
+  await api.request('POST', '/chat', { body: { message: 'Ég þarf aðstoð með reikning', sessionId } });
+  await api.request('POST', '/handoff/request', { body: { sessionId, reason: 'Reikningur' } });
+  const handoff = await waitFor(() => handoffOf(sessionId)?.external && handoffOf(sessionId));
+  return { handoff, chat: stub.chats.get(handoff.external.id) };
+}
+
+const stubRequest = (path, body) => fetch(`http://127.0.0.1:${stubServer.address().port}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('a handoff opens a LiveChat chat with the transcript as an agents-only note', async () => {
+  const { chat } = await openBridgedHandoff('livechat-open');
+
+  const [opening, transcript] = chat.events;
+  assert.equal(opening.author_id, chat.customerId);
+  assert.equal(opening.text, 'Ég vil gjarnan fá að tala við starfsmann.');
+  assert.equal(transcript.visibility, 'agents');
+  assert.equal(transcript.author_id, 'bot@svorumstrax.is');
+  assert.match(transcript.text, /Reason: Reikningur/);
+  assert.match(transcript.text, /Customer: Ég þarf aðstoð með reikning/);
+});
+
+test('the bridge\'s own messages coming back as webhooks are dropped as echoes', async () => {
+  const { handoff, chat } = await openBridgedHandoff('livechat-echo');
+
+  // A visible message posted as the bot agent is stored before LiveChat sends it back
+  const { sendAgentMessage } = await import('../liveChatBridge.js');
+  await sendAgentMessage(chat.chatId, 'Augnablik, ég sæki starfsmann.');
+  const echo = chat.events.at(-1);
+
+  const result = await webhook({ action: 'incoming_event', secret_key: WEBHOOK_SECRET, payload: { chat_id: chat.chatId, event: echo } });
+  assert.deepEqual(result.body, { success: true, handled: false, reason: 'echo' });
+
+  // The same text in another chat is not an echo
+  const { checkForDuplicateMessage } = await import('../database.js');
+  assert.equal(await checkForDuplicateMessage(chat.chatId, echo.text), true);
+  assert.equal(await checkForDuplicateMessage('CH-OTHER', echo.text), false);
+
+  assert.equal(handoffOf(handoff.sessionId).status, 'queued');
+  assert.ok(!handoffOf(handoff.sessionId).messages.some(m => m.content === echo.text));
+});
+
+test('customer messages go to LiveChat, agent replies come back and closing returns the chat to the bot', async () => {
+  const { handoff, chat } = await openBridgedHandoff('livechat-flow');
+  const sessionId = handoff.sessionId;
+
+  // Relayed as the customer - its webhook copy is recognised as the customer's own
+  await api.request('POST', '/chat', { body: { message: 'Er einhver þarna?', sessionId } });
+  await waitFor(() => chat.events.some(e => e.text === 'Er einhver þarna?' && e.author_id === chat.customerId));
+
+  // The agent joins and answers - the handoff becomes theirs
+  await stubRequest(`/stub/chats/${chat.chatId}/agent-message`, { text: 'Halló, Sigga hér.', agentId: 'sigga@svorumstrax.is', name: 'Sigga' });
+  const active = await waitFor(() => handoffOf(sessionId).messages.some(m => m.sender === 'operator') && handoffOf(sessionId));
+  assert.equal(active.status, 'active');
+  assert.deepEqual(active.operator, { operatorId: 'livechat:sigga@svorumstrax.is', name: 'Sigga', channel: 'livechat' });
+
+  const updates = await api.request('GET', `/handoff/${sessionId}/updates`);
+  assert.deepEqual(updates.body.messages.map(m => m.content), ['Halló, Sigga hér.']);
+  assert.equal(handoffOf(sessionId).messages.filter(m => m.content === 'Er einhver þarna?').length, 1);
+
+  await stubRequest(`/stub/chats/${chat.chatId}/close`, { agentId: 'sigga@svorumstrax.is' });
+  await waitFor(() => handoffOf(sessionId).status === 'closed');
+  assert.equal(handoffOf(sessionId).closedBy.channel, 'livechat');
+
+  // Back with the bot
+  const answered = await api.request('POST', '/chat', { body: { message: 'Takk fyrir', sessionId } });
+  assert.notEqual(answered.body.message, '');
+});
+
+test('a handoff claimed in the operator console ignores LiveChat agents and closes the LiveChat chat', async () => {
+  const { handoff, chat } = await openBridgedHandoff('livechat-console');
+  const operator = await openSocket(`${api.wsUrl}/operator?token=${TEST_OPERATOR_KEY}&name=Anna`);
+  try {
+    operator.send({ type: 'claim', handoffId: handoff.handoffId, requestId: 'claim' });
+    assert.equal((await operator.waitFor(f => f.requestId === 'claim')).type, 'claimed');
+
+    const event = { id: 'ev_AGENT', type: 'message', text: 'Ég tek þetta', visibility: 'all', author_id: 'sigga@svorumstrax.is' };
+    const ignored = await webhook({ action: 'incoming_event', secret_key: WEBHOOK_SECRET, payload: { chat_id: chat.chatId, event } });
+    assert.equal(ignored.body.reason, 'claimed by a console operator');
+    assert.equal(handoffOf(handoff.sessionId).operator.operatorId, 'anna');
+
+    operator.send({ type: 'release', handoffId: handoff.handoffId, requestId: 'release' });
+    await operator.waitFor(f => f.requestId === 'release');
+    await waitFor(() => chat.active === false);
+    assert.ok(stub.calls.some(call => call.path === '/v3.5/customer/action/deactivate_chat' && call.body.id === chat.chatId));
+  } finally {
+    await operator.close();
+  }
+});
@@ -0,0 +1,226 @@
+// Unit tests for llmProvider.js - OpenAI mapping (against a fake OpenAI client), the fake
+// provider, retries and model fallback
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+
+let createOpenAIProvider, createFakeProvider, createResilientProvider, isTransientError;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  ({ createOpenAIProvider, createFakeProvider, createResilientProvider, isTransientError } = await import('../llmProvider.js'));
+});
+
+const statusError = (status, code) => Object.assign(new Error(`HTTP ${status}`), { status, code });
+const noSleep = async () => {};
+
+/**
+ * Fake OpenAI client - records requests and answers from a script
+ * @param {Object} script - { chat(body), stream(body) -> chunks, transcription, speech }
+ */
+function createFakeOpenAI(script = {}) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: async (body, options) => {
+          requests.push({ api: 'chat', body, options });
+          if (!body.stream) return script.chat(body);
+          const chunks = script.stream(body);
+          return (async function* () { yield* chunks; })();
+        }
+      }
+    },
+    audio: {
+      transcriptions: {
+        create: async (body, options) => {
+          requests.push({ api: 'transcription', body, options });
+          return script.transcription;
+        }
+      },
+      speech: {
+        create: async (body, options) => {
+          requests.push({ api: 'speech', body, options });
+          return { arrayBuffer: async () => new TextEncoder().encode(script.speech).buffer };
+        }
+      }
+    }
+  };
+}
+
+test('the OpenAI provider maps chat params and normalizes usage', async () => {
+  const openai = createFakeOpenAI({
+    chat: () => ({
+      choices: [{ message: { role: 'assistant', content: 'Halló' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 3 }
+    })
+  });
+  const provider = createOpenAIProvider(openai);
+  const tools = [{ type: 'function', function: { name: 'lookup' } }];
+
+  const result = await provider.chat({
+    model: 'gpt-4o', messages: [{ role: 'user', content: 'hæ' }], temperature: 0.2,
+    maxTokens: 300, tools, toolChoice: 'none', responseFormat: { type: 'json_object' }
+  });
+
+  assert.deepEqual(result, {
+    message: { role: 'assistant', content: 'Halló' },
+    usage: { inputTokens: 12, outputTokens: 3 },
+    model: 'gpt-4o'
+  });
+  const [{ body, options }] = openai.requests;
+  assert.deepEqual(body, {
+    model: 'gpt-4o', messages: [{ role: 'user', content: 'hæ' }], temperature: 0.2, max_tokens: 300,
+    tools, tool_choice: 'none', response_format: { type: 'json_object' }
+  });
+  assert.deepEqual(options, { maxRetries: 0 }, 'the SDK must not retry on its own');
+});
+
+test('the OpenAI provider streams deltas and the usage of the last chunk', async () => {
+  const openai = createFakeOpenAI({
+    stream: () => [
+      { choices: [{ delta: { content: 'Hal' } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1' }] } }] },
+      { choices: [], usage: { prompt_tokens: 5, completion_tokens: 2 } }
+    ]
+  });
+
+  const events = [];
+  for await (const event of createOpenAIProvider(openai).stream({ model: 'gpt-4o', messages: [] })) {
+    events.push(event);
+  }
+
+  assert.deepEqual(events.map(e => e.content), ['Hal', '', '']);
+  assert.deepEqual(events[1].toolCallDeltas, [{ index: 0, id: 'call_1' }]);
+  assert.deepEqual(events[2].usage, { inputTokens: 5, outputTokens: 2 });
+  assert.equal(openai.requests[0].body.stream, true);
+  assert.deepEqual(openai.requests[0].body.stream_options, { include_usage: true });
+});
+
+test('the OpenAI provider transcribes and speaks with the configured models', async () => {
+  const openai = createFakeOpenAI({ transcription: { text: 'góðan dag', duration: 4.2 }, speech: 'mp3' });
+  const provider = createOpenAIProvider(openai);
+
+  const transcription = await provider.transcribe({
+    audio: Buffer.from('audio'), mimeType: 'audio/webm', filename: 'audio.webm', language: 'is'
+  });
+  assert.deepEqual(transcription, { text: 'góðan dag', durationSeconds: 4.2, model: 'whisper-1' });
+  assert.equal(openai.requests[0].body.response_format, 'verbose_json');
+  assert.equal(openai.requests[0].body.file.name, 'audio.webm');
+
+  const speech = await provider.speak({ text: 'Halló', voice: 'alloy' });
+  assert.equal(speech.audio.toString(), 'mp3');
+  assert.equal(speech.model, 'tts-1-hd');
+  assert.equal(openai.requests[1].body.input, 'Halló');
+});
+
+test('the fake provider answers deterministically and records its calls', async () => {
+  const provider = createFakeProvider();
+
+  const result = await provider.chat({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hvað kostar?' }] });
+  const json = await provider.chat({ model: 'gpt-4o-mini', messages: [], responseFormat: { type: 'json_object' } });
+
+  assert.equal(result.message.content, '[gpt-4o] Svar við: "Hvað kostar?"');
+  assert.ok(result.usage.inputTokens > 0 && result.usage.outputTokens > 0);
+  assert.equal(json.message.content, '{}');
+  assert.deepEqual(provider.calls.map(c => c.kind), ['chat', 'chat']);
+});
+
+test('the fake provider streams scripted tool calls', async () => {
+  const provider = createFakeProvider({
+    reply: () => ({ content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'x', arguments: '{}' } }] })
+  });
+
+  const events = [];
+  for await (const event of provider.stream({ model: 'gpt-4o', messages: [] })) events.push(event);
+
+  const toolEvent = events.find(e => e.toolCallDeltas);
+  assert.equal(toolEvent.toolCallDeltas[0].index, 0);
+  assert.equal(toolEvent.toolCallDeltas[0].function.name, 'x');
+  assert.ok(events.at(-1).usage);
+});
+
+test('isTransientError covers timeouts, rate limits, 5xx and network failures', () => {
+  for (const status of [408, 409, 429, 500, 503]) assert.equal(isTransientError(statusError(status)), true);
+  for (const status of [400, 401, 404]) assert.equal(isTransientError(statusError(status)), false);
+  assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransientError(new Error('bug')), false);
+});
+
+test('transient errors are retried with exponential backoff', async () => {
+  let failures = 2;
+  const delays = [];
+  const provider = createFakeProvider({ fail: () => (failures-- > 0 ? statusError(503) : null) });
+  const llm = createResilientProvider(provider, {
+    fallbackModels: [], maxRetries: 2, retryBaseMs: 100, sleep: async (ms) => delays.push(ms)
+  });
+
+  const result = await llm.chat({ model: 'gpt-4o', messages: [] });
+
+  assert.equal(result.model, 'gpt-4o');
+  assert.deepEqual(delays, [100, 200]);
+  assert.equal(provider.calls.length, 3);
+});
+
+test('the fallback model answers when the primary keeps failing', async () => {
+  const provider = createFakeProvider({ fail: (_kind, params) => (params.model === 'gpt-4o' ? statusError(503) : null) });
+  const llm = createResilientProvider(provider, { fallbackModels: ['gpt-4o-mini'], maxRetries: 1, sleep: noSleep });
+
+  const result = await llm.chat({ model: 'gpt-4o', messages: [{ role: 'user', content: 'hæ' }] });
+
+  assert.equal(result.model, 'gpt-4o-mini');
+  assert.match(result.message.content, /^\[gpt-4o-mini\]/);
+  assert.deepEqual(provider.calls.map(c => c.params.model), ['gpt-4o', 'gpt-4o', 'gpt-4o-mini']);
+});
+
+test('an unavailable model falls back without retries', async () => {
+  const provider = createFakeProvider({ fail: (_kind, params) => (params.model === 'gpt-5' ? statusError(404, 'model_not_found') : null) });
+  const llm = createResilientProvider(provider, { fallbackModels: ['gpt-4o'], maxRetries: 3, sleep: noSleep });
+
+  const result = await llm.chat({ model: 'gpt-5', messages: [] });
+
+  assert.equal(result.model, 'gpt-4o');
+  assert.equal(provider.calls.length, 2);
+});
+
+test('request errors are passed on without retry or fallback', async () => {
+  const provider = createFakeProvider({ fail: () => statusError(400) });
+  const llm = createResilientProvider(provider, { fallbackModels: ['gpt-4o-mini'], maxRetries: 3, sleep: noSleep });
+
+  await assert.rejects(llm.chat({ model: 'gpt-4o', messages: [] }), { status: 400 });
+  assert.equal(provider.calls.length, 1);
+});
+
+test('a stream falls back before its first event', async () => {
+  const provider = createFakeProvider({ fail: (_kind, params) => (params.model === 'gpt-4o' ? statusError(500) : null) });
+  const llm = createResilientProvider(provider, { fallbackModels: ['gpt-4o-mini'], maxRetries: 0, sleep: noSleep });
+
+  const events = [];
+  for await (const event of llm.stream({ model: 'gpt-4o', messages: [{ role: 'user', content: 'a b' }] })) events.push(event);
+
+  assert.ok(events.every(e => e.model === 'gpt-4o-mini'));
+  assert.match(events.map(e => e.content).join(''), /^\[gpt-4o-mini\]/);
+});
+
+test('a stream that fails midway is not restarted', async () => {
+  let calls = 0;
+  const provider = {
+    name: 'flaky',
+    async *stream() {
+      calls++;
+      yield { content: 'Hal', toolCallDeltas: null, usage: null, model: 'gpt-4o' };
+      throw statusError(502);
+    }
+  };
+  const llm = createResilientProvider(provider, { fallbackModels: ['gpt-4o-mini'], maxRetries: 2, sleep: noSleep });
+
+  const received = [];
+  await assert.rejects(async () => {
+    for await (const event of llm.stream({ model: 'gpt-4o', messages: [] })) received.push(event.content);
+  }, { status: 502 });
+  assert.deepEqual(received, ['Hal']);
+  assert.equal(calls, 1);
+});
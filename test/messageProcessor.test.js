@@ -0,0 +1,170 @@
+// Unit tests for messageProcessor.js - storage, analytics delivery and deduplication
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs, startAnalyticsStub } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+let db, analytics, processor;
+
+before(async () => {
+  muteLogs();
+  analytics = await startAnalyticsStub();
+  setTestEnvironment({ analyticsUrl: analytics.url });
+  db = installMemoryMongo();
+  processor = await import('../messageProcessor.js');
+});
+
+after(async () => {
+  await analytics.close();
+});
+
+beforeEach(() => {
+  analytics.requests.length = 0;
+});
+
+const conversationSends = () => analytics.requests.filter(r => r.path === '/api/conversations');
+
+function conversation(id, answer, timestamp = '2024-05-01T10:00:00.001Z') {
+  return {
+    id,
+    sessionId: id,
+    clientId: 'svorum-strax',
+    messages: [
+      { id: `${id}-u`, content: 'Spurning', role: 'user', type: 'user', timestamp: '2024-05-01T10:00:00.000Z' },
+      { id: `${id}-b`, content: answer, role: 'assistant', type: 'bot', timestamp }
+    ]
+  };
+}
+
+test('sendConversationToAnalytics posts the conversation and maps the returned IDs', async () => {
+  const result = await processor.sendConversationToAnalytics(conversation('conv-a', 'Svar A'));
+
+  assert.equal(result.success, true);
+  assert.match(result.postgresqlId, /^pg-\d+$/);
+
+  const [sent] = conversationSends();
+  assert.equal(sent.headers['x-api-key'], 'test-analytics-key');
+  assert.equal(sent.body.id, 'conv-a');
+
+  const mappings = db.documents('message_id_mappings').filter(m => m.mongodbId.startsWith('conv-a'));
+  assert.deepEqual(mappings.map(m => m.mongodbId), ['conv-a-u', 'conv-a-b']);
+  assert.equal(mappings[1].postgresqlId, result.postgresqlId);
+});
+
+test('sendConversationToAnalytics sends the same bot messages only once', async () => {
+  const first = await processor.sendConversationToAnalytics(conversation('conv-b', 'Svar B'));
+  const second = await processor.sendConversationToAnalytics(conversation('conv-b', 'Svar B'));
+
+  assert.equal(conversationSends().length, 1);
+  assert.equal(second.deduplicated, true);
+  assert.equal(second.postgresqlId, first.postgresqlId);
+});
+
+test('sendConversationToAnalytics sends the same answer again at another time', async () => {
+  await processor.sendConversationToAnalytics(conversation('conv-c', 'Svar C', '2024-05-01T10:00:00.001Z'));
+  await processor.sendConversationToAnalytics(conversation('conv-c', 'Svar C', '2024-05-01T10:05:00.001Z'));
+
+  assert.equal(conversationSends().length, 2);
+});
+
+test('sendConversationToAnalytics does not remember failed sends', async () => {
+  analytics.respond('/api/conversations', (_req, res) => res.status(500).send('database down'));
+  try {
+    const failed = await processor.sendConversationToAnalytics(conversation('conv-d', 'Svar D'));
+    assert.deepEqual(failed, { success: false, postgresqlId: null, error: 'HTTP 500: database down' });
+  } finally {
+    analytics.respond('/api/conversations', null);
+  }
+
+  const retried = await processor.sendConversationToAnalytics(conversation('conv-d', 'Svar D'));
+  assert.equal(retried.success, true);
+  assert.equal(retried.deduplicated, undefined);
+  assert.equal(conversationSends().length, 2);
+});
+
+test('processMessagePair stores the pair with an analytics outbox event', async () => {
+  const result = await processor.processMessagePair('Hvað kostar?', 'Það fer eftir pakka.', {
+    sessionId: 'pair-1',
+    language: 'is',
+    clientId: 'svorum-strax'
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(conversationSends().length, 0, 'delivery is left to the outbox');
+
+  const stored = db.documents('conversations').find(c => c.id === result.conversationId);
+  assert.deepEqual(stored.messages.map(m => m.id), [result.userMessageId, result.botMessageId]);
+  assert.equal(stored.language, 'is');
+
+  const event = db.documents('analytics_outbox').find(e => e.eventId === result.eventId);
+  assert.equal(event.status, 'pending');
+  assert.equal(event.conversationId, result.conversationId);
+  assert.deepEqual(event.payload.messages.map(m => m.id), [result.userMessageId, result.botMessageId]);
+  assert.equal(result.conversation.id, result.conversationId);
+});
+
+test('processMessagePair appends later turns to the stored conversation', async () => {
+  const first = await processor.processMessagePair('Fyrsta', 'Svar 1', { sessionId: 'pair-2' });
+  const second = await processor.processMessagePair('Önnur', 'Svar 2', { sessionId: 'pair-2' });
+
+  assert.equal(second.conversationId, first.conversationId);
+  const stored = db.documents('conversations').filter(c => c.id === first.conversationId);
+  assert.equal(stored.length, 1);
+  assert.deepEqual(stored[0].messages.map(m => m.content), ['Fyrsta', 'Svar 1', 'Önnur', 'Svar 2']);
+});
+
+test('processMessagePair keeps two tenants with the same session ID apart', async () => {
+  const ours = await processor.processMessagePair('Spurning', 'Svar okkar', { sessionId: 'pair-4', clientId: 'svorum-strax' });
+  const theirs = await processor.processMessagePair('Spurning', 'Svar þeirra', { sessionId: 'pair-4', clientId: 'acme' });
+
+  assert.notEqual(theirs.conversationId, ours.conversationId);
+  const stored = (id) => db.documents('conversations').find(c => c.id === id);
+  assert.equal(stored(ours.conversationId).tenantId, 'svorum-strax');
+  assert.equal(stored(theirs.conversationId).tenantId, 'acme');
+  assert.deepEqual(stored(theirs.conversationId).messages.map(m => m.content), ['Spurning', 'Svar þeirra']);
+});
+
+test('processMessagePair never writes to another tenant\'s conversation', async () => {
+  await db.collection('globalSessions').insertOne({
+    type: 'chat_session',
+    frontendSessionId: 'pair-5',
+    sessionId: 'pair-5',
+    tenantId: 'svorum-strax',
+    conversationId: 'pair-5_shared',
+    startedAt: new Date().toISOString(),
+    lastActivity: new Date().toISOString()
+  });
+  await db.collection('conversations').insertOne({ id: 'pair-5_shared', tenantId: 'acme', clientId: 'acme', messages: [] });
+
+  const result = await processor.processMessagePair('Spurning', 'Svar', { sessionId: 'pair-5', clientId: 'svorum-strax' });
+
+  assert.equal(result.success, false);
+  assert.match(result.reason, /belongs to another tenant/);
+  assert.deepEqual(db.documents('conversations').find(c => c.id === 'pair-5_shared').messages, []);
+  assert.ok(!db.documents('analytics_outbox').some(e => e.conversationId === 'pair-5_shared'));
+});
+
+test('processMessagePair rejects a duplicate pair and an incomplete pair', async () => {
+  await processor.processMessagePair('Sama spurning', 'Sama svar', { sessionId: 'pair-3' });
+  const duplicate = await processor.processMessagePair('Sama spurning', 'Sama svar', { sessionId: 'pair-3' });
+  assert.equal(duplicate.error, 'duplicate_message');
+
+  const incomplete = await processor.processMessagePair('Spurning', '', { sessionId: 'pair-3' });
+  assert.equal(incomplete.error, 'incomplete_message_pair');
+});
+
+test('submitMessageFeedback stores the rating and forwards it with the analytics ID', async () => {
+  await db.collection('message_id_mappings').insertOne({ mongodbId: 'bot-msg-1', postgresqlId: 'pg-77' });
+
+  const result = await processor.submitMessageFeedback('bot-msg-1', false, 'Rangt verð');
+
+  assert.deepEqual(result, { success: true, messageId: 'bot-msg-1', postgresqlId: 'pg-77' });
+  const forwarded = analytics.requests.find(r => r.path === '/api/public-feedback');
+  assert.equal(forwarded.body.messageId, 'pg-77');
+  assert.equal(forwarded.body.rating, false);
+
+  const feedback = await processor.getMessageFeedback('bot-msg-1');
+  assert.equal(feedback.rating, false);
+  assert.equal(feedback.comment, 'Rangt verð');
+});
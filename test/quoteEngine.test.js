@@ -0,0 +1,105 @@
+// Unit tests for quoteEngine.js - the package rule table, needs and input validation
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+let quotes;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  installMemoryMongo();
+  quotes = await import('../quoteEngine.js');
+});
+
+const recommend = async (input, rules) => (await quotes.estimatePackage(input, rules)).recommendedPackage.packageId;
+
+test('the smallest package that covers the calls, coverage and needs is recommended', async () => {
+  const cases = [
+    [{ monthlyCalls: 0 }, 'girona'],
+    [{ monthlyCalls: 40 }, 'girona'],
+    [{ monthlyCalls: 41 }, 'bilbao'],
+    [{ monthlyCalls: 100, needs: ['appointment_booking'] }, 'bilbao'],
+    [{ monthlyCalls: 20, needs: ['customer_service'] }, 'valencia'],
+    [{ monthlyCalls: 301 }, 'barcelona'],
+    [{ monthlyCalls: 10, coverage: 'extended_hours' }, 'barcelona'],
+    [{ monthlyCalls: 10, needs: ['email_handling', 'monthly_reports'] }, 'barcelona'],
+    [{ monthlyCalls: '250' }, 'valencia']
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.equal(await recommend(input), expected, JSON.stringify(input));
+  }
+});
+
+test('every skipped package is explained', async () => {
+  const estimate = await quotes.estimatePackage({ monthlyCalls: 150, needs: ['customer_service'] });
+
+  assert.equal(estimate.customSolution, false);
+  assert.deepEqual(estimate.reasoning, [
+    'Girona: includes 40 calls per month, 150 expected; does not include customer service',
+    'Bilbao: includes 100 calls per month, 150 expected; does not include customer service',
+    'Valencia: 300 calls per month covers 150 expected and all stated needs'
+  ]);
+  assert.deepEqual(estimate.considered.map(entry => entry.shortfalls.length), [2, 2, 0, 0]);
+});
+
+test('needs are de-duplicated and always include answering the phone', () => {
+  assert.deepEqual(
+    quotes.normalizeRequirements({ monthlyCalls: 12.6, needs: ['switchboard', 'switchboard'] }),
+    { monthlyCalls: 13, coverage: 'business_hours', needs: ['phone_answering', 'switchboard'] }
+  );
+});
+
+test('when nothing fits, the largest package is flagged for a custom solution', async () => {
+  const rules = [
+    { packageId: 'small', name: 'Small', tier: 1, includedCalls: 10, coverage: ['business_hours'], features: ['phone_answering'] },
+    { packageId: 'large', name: 'Large', tier: 2, includedCalls: 50, coverage: ['business_hours'], features: ['phone_answering'] }
+  ];
+  const estimate = await quotes.estimatePackage({ monthlyCalls: 80, coverage: 'around_the_clock' }, rules);
+
+  assert.equal(estimate.recommendedPackage.packageId, 'large');
+  assert.equal(estimate.customSolution, true);
+  assert.match(estimate.reasoning.at(-1), /No standard package covers everything - Large is the closest/);
+});
+
+test('invalid requirements are refused with a 400', async () => {
+  for (const input of [
+    {},
+    { monthlyCalls: null },
+    { monthlyCalls: '' },
+    { monthlyCalls: 'many' },
+    { monthlyCalls: -5 },
+    { monthlyCalls: 10, coverage: 'weekends' },
+    { monthlyCalls: 10, needs: ['phone_answering', 'coffee'] }
+  ]) {
+    await assert.rejects(quotes.estimatePackage(input), { status: 400 }, JSON.stringify(input));
+  }
+
+  await assert.rejects(quotes.estimatePackage({ monthlyCalls: 10 }, []), { status: 503 });
+});
+
+test('invalid package rules are refused and saved rules apply at once', async () => {
+  for (const rule of [
+    { name: 'Nafnlaus' },
+    { packageId: 'x', name: 'X', tier: 0 },
+    { packageId: 'x', name: 'X', tier: 1, includedCalls: -1 },
+    { packageId: 'x', name: 'X', tier: 1, coverage: ['weekends'] },
+    { packageId: 'x', name: 'X', tier: 1, features: ['coffee'] }
+  ]) {
+    await assert.rejects(quotes.savePackageRule(rule), { status: 400 }, JSON.stringify(rule));
+  }
+
+  assert.equal(await recommend({ monthlyCalls: 60 }), 'bilbao');
+  await quotes.savePackageRule({
+    packageId: 'girona',
+    name: 'Girona',
+    tier: 1,
+    includedCalls: 60,
+    coverage: ['business_hours'],
+    features: ['phone_answering', 'appointment_booking']
+  });
+  assert.equal(await recommend({ monthlyCalls: 60 }), 'girona');
+});
@@ -0,0 +1,141 @@
+// Unit tests for rateLimiter.js - quotas per layer, the memory fallback, WebSocket chat
+// limits and the wait times in 429 messages
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+let db, limiter;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment({
+    env: {
+      QUOTA_IMAGES_PER_IP_HOUR: '5',
+      QUOTA_IMAGES_PER_KEY_DAY: '8',
+      RATE_LIMIT_CHAT_PER_SESSION: '2'
+    }
+  });
+  db = installMemoryMongo();
+  limiter = await import('../rateLimiter.js');
+});
+
+beforeEach(() => {
+  db.reset();
+  global.rateLimitState.memory.clear();
+});
+
+// Current total of a counter in MongoDB (0 when it was never written)
+const storedHits = (key) => db.documents('rate_limits').find(counter => counter.key === key)?.hits || 0;
+
+test('formatWait rounds up to the unit the wait is best read in', () => {
+  assert.equal(limiter.formatWait(30, 'is'), '30 sekúndur');
+  assert.equal(limiter.formatWait(89, 'en'), '89 seconds');
+  assert.equal(limiter.formatWait(90, 'en'), '2 minutes');
+  assert.equal(limiter.formatWait(3000, 'is'), '50 mínútur');
+  assert.equal(limiter.formatWait(90 * 60, 'en'), '2 hours');
+  assert.equal(limiter.formatWait(47 * 3600, 'is'), '47 klukkustundir');
+  assert.equal(limiter.formatWait(48 * 3600, 'en'), '2 days');
+  assert.equal(limiter.formatWait(49 * 3600, 'is'), '3 daga');
+});
+
+test('a quota is charged on every layer and refused by the first one without enough left', async () => {
+  const client = { ip: '10.0.0.1', keyId: 'key-1' };
+
+  assert.equal(await limiter.consumeQuota('images', client, 3), null);
+  assert.equal(storedHits('quota:images:ip:10.0.0.1'), 3);
+  assert.equal(storedHits('quota:images:apiKey:key-1'), 3);
+
+  // The IP has 2 of its 5 left - nothing is charged anywhere
+  const violation = await limiter.consumeQuota('images', client, 3);
+  assert.equal(violation.kind, 'images');
+  assert.equal(violation.layer, 'ip');
+  assert.ok(violation.resetTime > new Date());
+  assert.equal(storedHits('quota:images:ip:10.0.0.1'), 3);
+  assert.equal(storedHits('quota:images:apiKey:key-1'), 3);
+
+  // The key's daily quota is shared by every IP using it
+  assert.equal(await limiter.consumeQuota('images', { ip: '10.0.0.2', keyId: 'key-1' }, 5), null);
+  const keyViolation = await limiter.consumeQuota('images', { ip: '10.0.0.3', keyId: 'key-1' }, 1);
+  assert.equal(keyViolation.layer, 'apiKey');
+  assert.equal(storedHits('quota:images:ip:10.0.0.3'), 0, 'the IP layer gets its share back');
+  assert.equal(storedHits('quota:images:apiKey:key-1'), 8);
+});
+
+test('a layer the client has no value for is skipped', async () => {
+  assert.equal(await limiter.consumeQuota('images', { ip: '10.0.0.4' }, 5), null);
+  assert.equal((await limiter.consumeQuota('images', { ip: '10.0.0.4' }, 1)).layer, 'ip');
+  assert.equal(await limiter.consumeQuota('images', {}, 100), null);
+});
+
+test('an amount larger than the whole quota is refused without being counted', async () => {
+  const violation = await limiter.consumeQuota('images', { ip: '10.0.0.5', keyId: 'key-5' }, 6);
+
+  assert.equal(violation.layer, 'ip');
+  assert.equal(storedHits('quota:images:ip:10.0.0.5'), 0);
+  assert.equal(storedHits('quota:images:apiKey:key-5'), 0);
+});
+
+test('concurrent requests never push a counter over its limit', async () => {
+  const client = { ip: '10.0.0.6', keyId: 'key-6' };
+  const results = await Promise.all(Array.from({ length: 8 }, () => limiter.consumeQuota('images', client, 1)));
+
+  assert.equal(results.filter(result => result === null).length, 5);
+  assert.ok(results.filter(Boolean).every(violation => violation.layer === 'ip'));
+  assert.equal(storedHits('quota:images:ip:10.0.0.6'), 5);
+  assert.equal(storedHits('quota:images:apiKey:key-6'), 5);
+});
+
+test('a zero amount only checks that some quota is left', async () => {
+  const client = { ip: '10.0.0.7', keyId: 'key-7' };
+
+  assert.equal(await limiter.consumeQuota('images', client, 0), null);
+  await limiter.consumeQuota('images', client, 5);
+
+  assert.equal((await limiter.consumeQuota('images', client, 0)).layer, 'ip');
+  assert.equal(storedHits('quota:images:ip:10.0.0.7'), 5);
+  assert.equal(storedHits('quota:images:apiKey:key-7'), 5);
+});
+
+test('quotas are counted in memory while MongoDB is unreachable', async () => {
+  const { client, db: cachedDb } = global.mongoConnection;
+  global.mongoConnection.client = null;
+  global.mongoConnection.db = null;
+  global.mongoConnection.connecting = Promise.reject(new Error('connection refused'));
+  global.mongoConnection.connecting.catch(() => {});
+
+  const quotaClient = { ip: '10.0.0.8', keyId: 'key-8' };
+  try {
+    assert.equal(await limiter.consumeQuota('images', quotaClient, 4), null);
+    assert.equal((await limiter.consumeQuota('images', quotaClient, 2)).layer, 'ip');
+    assert.equal(global.rateLimitState.mongoFailing, true);
+    assert.equal(db.documents('rate_limits').length, 0);
+  } finally {
+    Object.assign(global.mongoConnection, { client, db: cachedDb, connecting: null });
+  }
+
+  // Shared counting resumes once MongoDB is back
+  assert.equal(await limiter.consumeQuota('images', quotaClient, 1), null);
+  assert.equal(global.rateLimitState.mongoFailing, false);
+  assert.equal(storedHits('quota:images:ip:10.0.0.8'), 1);
+});
+
+test('WebSocket chat frames share the HTTP request limits and image quota', async () => {
+  const client = { ip: '10.0.0.9', sessionId: 'socket-1', keyId: 'key-9' };
+
+  assert.equal(await limiter.checkSocketChatLimits(client, { message: 'Halló' }), null);
+  assert.equal(await limiter.checkSocketChatLimits(client, { message: 'Aftur' }), null);
+
+  const limited = await limiter.checkSocketChatLimits(client, { message: 'Enn', language: 'en' });
+  assert.equal(limited.error, 'rate_limited');
+  assert.equal(limited.limit, 'requests:session');
+  assert.match(limited.message, /^Too many requests/);
+  assert.ok(limited.retryAfter >= 1 && limited.retryAfter <= 60);
+
+  const images = Array.from({ length: 6 }, () => 'data:image/png;base64,AAAA');
+  const tooManyImages = await limiter.checkSocketChatLimits({ ...client, sessionId: 'socket-2' }, { images });
+  assert.equal(tooManyImages.limit, 'images:ip');
+  assert.match(tooManyImages.message, /^Hámarksfjölda mynda/);
+  assert.equal(storedHits('quota:images:ip:10.0.0.9'), 0);
+});
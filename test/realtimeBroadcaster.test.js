@@ -0,0 +1,118 @@
+// Tests for realtimeBroadcaster.js - payload size guard, metrics, tenant channels and the
+// local WebSocket backend behind /realtime
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, openSocket, TEST_ADMIN_KEY, TEST_API_KEY } from './helpers/testServer.js';
+
+let api, realtime;
+
+before(async () => {
+  api = await startTestServer({ env: { REALTIME_BROADCASTER: 'websocket', REALTIME_CHANNEL_PREFIX: 'test-' } });
+  realtime = await import('../realtimeBroadcaster.js');
+});
+
+after(async () => {
+  await api.close();
+});
+
+const longAnswer = 'Við bjóðum símsvörun allan sólarhringinn. '.repeat(400); // ~17KB
+
+function conversationUpdate(botResponse) {
+  return {
+    id: 'conv-1',
+    sessionId: 'session-1',
+    clientId: 'svorum-strax',
+    botResponse,
+    messages: [{ id: 'b1', content: botResponse, role: 'assistant', type: 'bot' }],
+    language: 'is'
+  };
+}
+
+test('payloads under the limit are left alone', () => {
+  const data = conversationUpdate('Stutt svar');
+  const fitted = realtime.fitPayload(data, 10240);
+
+  assert.equal(fitted.data, data);
+  assert.equal(fitted.truncated, false);
+});
+
+test('long answers are shortened to fit and marked as truncated', () => {
+  const fitted = realtime.fitPayload(conversationUpdate(longAnswer), 10240);
+
+  assert.equal(fitted.truncated, true);
+  assert.ok(fitted.bytes > 10240);
+  assert.ok(Buffer.byteLength(JSON.stringify(fitted.data)) <= 10240);
+  assert.equal(fitted.data.truncated, true);
+  assert.equal(fitted.data.id, 'conv-1');
+  assert.ok(fitted.data.botResponse.endsWith('…'));
+});
+
+test('only the short fields are kept when shortening strings is not enough', () => {
+  const data = { ...conversationUpdate('Svar'), messages: Array.from({ length: 300 }, (_, i) => ({ id: `m${i}`, content: 'x' })) };
+  const fitted = realtime.fitPayload(data, 1024);
+
+  assert.deepEqual(fitted.data, { id: 'conv-1', sessionId: 'session-1', clientId: 'svorum-strax', botResponse: 'Svar', language: 'is', truncated: true });
+  assert.equal(realtime.fitPayload('x'.repeat(2000), 10).data, null, 'nothing fits');
+});
+
+test('tenant channels get the configured prefix and only valid characters', () => {
+  assert.equal(realtime.getTenantChannel({ tenantId: 'acme', analytics: { pusherChannel: 'acme-chat-channel' } }), 'test-acme-chat-channel');
+  assert.equal(realtime.getTenantChannel({ tenantId: 'café bar' }), 'test-caf--bar-chat-channel');
+});
+
+test('the metered broadcaster counts deliveries, truncations and failures without throwing', async () => {
+  const sent = [];
+  let fail = false;
+  const broadcaster = realtime.createMeteredBroadcaster({
+    name: 'fake',
+    maxPayloadBytes: 10240,
+    async publish(channel, event, data) {
+      if (fail) throw new Error('Pusher 500');
+      sent.push({ channel, event, data });
+    }
+  });
+
+  assert.deepEqual(await broadcaster.publish('c', 'conversation-update', conversationUpdate('Svar')), { delivered: true, truncated: false });
+  assert.equal((await broadcaster.publish('c', 'conversation-update', conversationUpdate(longAnswer))).truncated, true);
+  fail = true;
+  assert.deepEqual(await broadcaster.publish('c', 'budget-alert', { level: 'warning' }), { delivered: false, error: 'Pusher 500' });
+
+  const status = broadcaster.getStatus();
+  assert.equal(status.backend, 'fake');
+  assert.equal(status.published, 2);
+  assert.equal(status.truncated, 1);
+  assert.equal(status.failed, 1);
+  assert.equal(status.lastError, 'Pusher 500');
+  assert.deepEqual(status.events['budget-alert'], { published: 0, failed: 1, truncated: 0, dropped: 0 });
+  assert.ok(sent.every(e => Buffer.byteLength(JSON.stringify(e.data)) <= 10240));
+});
+
+test('dashboards on /realtime receive their tenant\'s conversation updates', async () => {
+  const dashboard = await openSocket(`${api.wsUrl}/realtime?key=${TEST_ADMIN_KEY}&channel=test-svorum-strax-chat-channel`);
+  const other = await openSocket(`${api.wsUrl}/realtime?key=${TEST_ADMIN_KEY}&channel=test-acme-chat-channel`);
+  try {
+    await dashboard.waitFor(frame => frame.type === 'subscribed');
+
+    const { body } = await api.request('POST', '/chat', { body: { message: 'Er opið í dag?', sessionId: 'realtime-1' } });
+
+    const update = await dashboard.waitFor(frame => frame.event === 'conversation-update');
+    assert.equal(update.channel, 'test-svorum-strax-chat-channel');
+    assert.equal(update.data.botResponse, body.message);
+    assert.equal(other.frames.filter(frame => frame.type === 'event').length, 0);
+
+    const { body: health } = await api.request('GET', '/', { key: null });
+    assert.equal(health.realtime.backend, 'websocket');
+    assert.equal(health.realtime.subscribers, 2);
+    assert.equal(health.realtime.events['conversation-update'].published, 1);
+  } finally {
+    await dashboard.close();
+    await other.close();
+  }
+});
+
+test('/realtime needs an admin key', async () => {
+  await assert.rejects(openSocket(`${api.wsUrl}/realtime?channel=test-svorum-strax-chat-channel`), /401/);
+  await assert.rejects(openSocket(`${api.wsUrl}/realtime?key=${TEST_API_KEY}&channel=test-svorum-strax-chat-channel`), /401/);
+  await assert.rejects(openSocket(`${api.wsUrl}/realtime?key=${TEST_ADMIN_KEY}`), /401/, 'the platform admin names a channel');
+});
@@ -0,0 +1,259 @@
+// Contract tests for repositories/ - the MongoDB implementations (on the in-memory database)
+// and the in-memory implementations must behave the same
+
+import { test, before, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs, waitFor } from './helpers/testServer.js';
+import { createMemoryMongo, installMemoryMongo } from './helpers/memoryMongo.js';
+
+let createRepositories, createMongoRepositories;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  const registry = await import('../repositories/repositoryRegistry.js');
+  const modules = {
+    conversations: await import('../repositories/conversationRepository.js'),
+    sessions: await import('../repositories/sessionRepository.js'),
+    feedback: await import('../repositories/feedbackRepository.js'),
+    messageMappings: await import('../repositories/messageMappingRepository.js'),
+    recentMessages: await import('../repositories/recentMessageRepository.js'),
+    dualCredentials: await import('../repositories/dualCredentialRepository.js'),
+    analyticsOutbox: await import('../repositories/analyticsOutboxRepository.js')
+  };
+
+  createRepositories = registry.createRepositories;
+  // Same wiring as the registry, on a database of our own
+  createMongoRepositories = () => {
+    const db = createMemoryMongo();
+    const getDb = async () => db;
+    return {
+      db,
+      repositories: {
+        conversations: modules.conversations.createMongoConversationRepository(getDb),
+        sessions: modules.sessions.createMongoSessionRepository(getDb),
+        feedback: modules.feedback.createMongoFeedbackRepository(getDb),
+        messageMappings: modules.messageMappings.createMongoMessageMappingRepository(getDb),
+        recentMessages: modules.recentMessages.createMongoRecentMessageRepository(getDb),
+        dualCredentials: modules.dualCredentials.createMongoDualCredentialRepository(getDb),
+        analyticsOutbox: modules.analyticsOutbox.createMongoAnalyticsOutboxRepository(getDb)
+      }
+    };
+  };
+});
+
+const message = (id, content) => ({ id, content, role: 'user', type: 'user', timestamp: '2024-05-01T10:00:00.000Z' });
+
+const backends = {
+  mongodb: () => createMongoRepositories().repositories,
+  memory: () => createRepositories('memory')
+};
+
+for (const [backend, create] of Object.entries(backends)) {
+  describe(`${backend} repositories`, () => {
+    test('conversations are created, appended to and read back', async () => {
+      const { conversations } = create();
+      assert.equal(await conversations.exists('c1'), false);
+      assert.equal(await conversations.findRecent('c1', 10), null);
+
+      await conversations.create({ id: 'c1', sessionId: 's1', messages: [message('m1', 'Fyrsta')] });
+      await conversations.appendMessages('c1', [message('m2', 'Annað'), message('m3', 'Þriðja')], { endedAt: 'later' });
+
+      assert.equal(await conversations.exists('c1'), true);
+      const recent = await conversations.findRecent('c1', 2);
+      assert.deepEqual(recent.messages.map(m => m.content), ['Annað', 'Þriðja']);
+      assert.equal(recent.contextSummary, null);
+    });
+
+    test('a conversation is owned by its tenant, older ones by their clientId', async () => {
+      const { conversations } = create();
+      await conversations.create({ id: 'c1', sessionId: 's1', tenantId: 't1', clientId: 't1', messages: [] });
+      await conversations.create({ id: 'c2', sessionId: 's2', clientId: 't2', messages: [] });
+
+      assert.equal(await conversations.findTenantId('c1'), 't1');
+      assert.equal(await conversations.findTenantId('c2'), 't2');
+      assert.equal(await conversations.findTenantId('missing'), null);
+    });
+
+    test('appending to a missing conversation only creates it when asked to', async () => {
+      const { conversations } = create();
+
+      await conversations.appendMessages('missing', [message('m1', 'Halló')], { endedAt: 'now' });
+      assert.equal(await conversations.exists('missing'), false);
+
+      await conversations.appendMessages('handoff', [message('m1', 'Halló')], { endedAt: 'now', createWith: { sessionId: 's2' } });
+      const recent = await conversations.findRecent('handoff', 10);
+      assert.deepEqual(recent.messages.map(m => m.content), ['Halló']);
+    });
+
+    test('a regenerated answer replaces the last bot message', async () => {
+      const { conversations } = create();
+      const botMessage = (id, content) => ({ ...message(id, content), role: 'assistant', type: 'bot' });
+
+      await conversations.create({ id: 'c1', sessionId: 's1', messages: [message('m1', 'Spurning'), botMessage('b1', 'Svar')] });
+      assert.equal(await conversations.replaceLastBotMessage('missing', botMessage('b2', 'Nýtt')), null);
+
+      const result = await conversations.replaceLastBotMessage('c1', botMessage('b2', 'Nýtt svar'), { endedAt: 'later' });
+      assert.equal(result.replaced.id, 'b1');
+      assert.equal(result.question.content, 'Spurning');
+
+      const recent = await conversations.findRecent('c1', 10);
+      assert.deepEqual(recent.messages.map(m => [m.id, m.content, m.replacesMessageId]), [['m1', 'Spurning', undefined], ['b2', 'Nýtt svar', 'b1']]);
+
+      await conversations.create({ id: 'c2', sessionId: 's2', messages: [message('m1', 'Bara spurning')] });
+      assert.equal(await conversations.replaceLastBotMessage('c2', botMessage('b3', 'Svar')), null);
+
+      // Nor an operator's reply from a handoff
+      await conversations.appendMessages('c1', [{ ...botMessage('o1', 'Anna hér'), sender: 'operator' }], { endedAt: 'later' });
+      assert.equal(await conversations.replaceLastBotMessage('c1', botMessage('b4', 'Nýtt')), null);
+      assert.equal((await conversations.findRecent('c1', 10)).messages.at(-1).content, 'Anna hér');
+    });
+
+    test('the context summary is saved on an existing conversation only', async () => {
+      const { conversations } = create();
+      const summary = { text: 'Spurði um verð', coveredUntil: '2024-05-01T10:00:00.000Z' };
+
+      assert.equal(await conversations.saveSummary('c2', summary), false);
+      await conversations.create({ id: 'c2', messages: [] });
+      assert.equal(await conversations.saveSummary('c2', summary), true);
+      assert.deepEqual((await conversations.findRecent('c2', 10)).contextSummary, summary);
+    });
+
+    test('sessions are found by the widget session ID and tenant and touched by conversation', async () => {
+      const { sessions } = create();
+      await sessions.insert({ frontendSessionId: 'w1', sessionId: 'w1', tenantId: 't1', conversationId: 'w1_1', lastActivity: 'a' });
+      await sessions.insert({ frontendSessionId: 'w1', sessionId: 'w1', tenantId: 't1', conversationId: 'w1_2', lastActivity: 'b' });
+      await sessions.insert({ frontendSessionId: 'w1', sessionId: 'w1', tenantId: 't2', conversationId: 't2:w1_3', lastActivity: 'd' });
+
+      await sessions.touch('w1_1', 'c');
+
+      const session = await sessions.findByFrontendSessionId('w1', 't1');
+      assert.equal(session.conversationId, 'w1_1', 'the first stored session, like findOne');
+      assert.equal(session.lastActivity, 'c');
+      assert.equal((await sessions.findByFrontendSessionId('w1', 't2')).conversationId, 't2:w1_3');
+      assert.equal(await sessions.findByFrontendSessionId('w1', 't3'), null);
+      assert.equal(await sessions.findByFrontendSessionId('w2', 't1'), null);
+    });
+
+    test('feedback is found by either message ID', async () => {
+      const { feedback } = create();
+      await feedback.insert({ messageId: 'bot-1', postgresqlId: 'pg-1', isPositive: true });
+      await feedback.insert({ messageId: 'bot-2', postgresqlId: null, isPositive: false });
+
+      assert.equal((await feedback.findForMessage({ messageId: 'bot-1' })).isPositive, true);
+      assert.equal((await feedback.findForMessage({ messageId: 'x', postgresqlId: 'pg-1' })).messageId, 'bot-1');
+      assert.equal((await feedback.findForMessage({ messageId: 'bot-2' })).isPositive, false);
+      assert.equal(await feedback.findForMessage({ messageId: 'x', postgresqlId: null }), null);
+      assert.equal(await feedback.findForMessage({}), null);
+    });
+
+    test('message ID mappings are found by either ID and updated by their own ID', async () => {
+      const { messageMappings } = create();
+      const mappingId = await messageMappings.insert({ mongodbId: 'bot-1', postgresqlId: 'pg-1' });
+
+      assert.equal((await messageMappings.find({ mongodbId: 'bot-1' })).postgresqlId, 'pg-1');
+      assert.equal((await messageMappings.find({ postgresqlId: 'pg-1' })).mongodbId, 'bot-1');
+      assert.equal(await messageMappings.find({ mongodbId: 'bot-2' }), null);
+
+      await messageMappings.update(mappingId, { postgresqlId: 'pg-2' });
+      assert.equal((await messageMappings.find({ mongodbId: 'bot-1' })).postgresqlId, 'pg-2');
+    });
+
+    test('recent LiveChat messages are matched within a time window', async () => {
+      const { recentMessages } = create();
+      const before = new Date(Date.now() - 1000);
+      await recentMessages.insert('chat-1', 'Halló', 60000);
+      await recentMessages.insert('chat-1', 'Bless', 60000);
+
+      assert.ok(await recentMessages.findSince('chat-1', 'Halló', before));
+      assert.equal(await recentMessages.findSince('chat-1', 'Halló', new Date(Date.now() + 1000)), null);
+      assert.equal(await recentMessages.findSince('chat-2', 'Halló', before), null);
+      assert.equal((await recentMessages.listLatest('chat-1', 1)).length, 1);
+    });
+
+    test('dual credentials are saved per chat and replaced', async () => {
+      const { dualCredentials } = create();
+      await dualCredentials.save('chat-1', { sessionId: 's1', customerToken: 't1' });
+      await dualCredentials.save('chat-1', { sessionId: 's1', customerToken: 't2' });
+
+      const credentials = await dualCredentials.find('chat-1');
+      assert.equal(credentials.customerToken, 't2');
+      assert.ok(credentials.updatedAt instanceof Date);
+      assert.equal(await dualCredentials.find('chat-2'), null);
+    });
+
+    test('outbox events are claimed once, retried, dead-lettered and requeued', async () => {
+      const { analyticsOutbox } = create();
+      const first = await analyticsOutbox.enqueue({ type: 'conversation', conversationId: 'c1', payload: { id: 'c1' } });
+      const second = await analyticsOutbox.enqueue({ type: 'conversation', conversationId: 'c2', payload: { id: 'c2' } });
+
+      const claimed = await analyticsOutbox.claim(first.eventId, 60000);
+      assert.equal(claimed.status, 'delivering');
+      assert.equal(claimed.attempts, 1);
+      assert.equal(await analyticsOutbox.claim(first.eventId, 60000), null, 'already being delivered');
+      assert.equal((await analyticsOutbox.claimNext(60000)).eventId, second.eventId);
+      assert.equal(await analyticsOutbox.claimNext(60000), null);
+
+      const later = new Date(Date.now() + 60000);
+      assert.equal((await analyticsOutbox.markFailed(first.eventId, { error: 'HTTP 503', nextAttemptAt: later })).status, 'pending');
+      assert.equal(await analyticsOutbox.claimNext(60000), null, 'not due yet');
+      assert.equal((await analyticsOutbox.markFailed(second.eventId, { error: 'HTTP 503', nextAttemptAt: null })).status, 'dead');
+
+      const requeued = await analyticsOutbox.requeue(second.eventId);
+      assert.equal(requeued.status, 'pending');
+      assert.equal(requeued.attempts, 0);
+      await analyticsOutbox.markDelivered(second.eventId, { postgresqlId: 'pg-1' });
+      assert.equal(await analyticsOutbox.requeue(second.eventId), null, 'delivered events stay delivered');
+
+      assert.deepEqual(await analyticsOutbox.countByStatus(), { pending: 1, delivering: 0, delivered: 1, dead: 0 });
+      const [delivered] = await analyticsOutbox.list({ statuses: ['delivered'] });
+      assert.deepEqual(delivered.result, { postgresqlId: 'pg-1' });
+      assert.ok(delivered.expiresAt > new Date());
+    });
+
+    test('returned documents are copies', async () => {
+      const { conversations } = create();
+      await conversations.create({ id: 'c3', messages: [message('m1', 'Upprunalegt')] });
+
+      (await conversations.findRecent('c3', 10)).messages[0].content = 'Breytt';
+      assert.equal((await conversations.findRecent('c3', 10)).messages[0].content, 'Upprunalegt');
+    });
+  });
+}
+
+test('MongoDB indexes are created for every repository', async () => {
+  const { db, repositories } = createMongoRepositories();
+  for (const repository of Object.values(repositories)) await repository.ensureIndexes();
+
+  assert.deepEqual(db.documents('dual_credentials'), []);
+  await repositories.dualCredentials.save('chat-1', { customerToken: 't1' });
+  await assert.rejects(db.collection('dual_credentials').insertOne({ chatId: 'chat-1' }), { code: 11000 });
+});
+
+test('the registry uses the configured backend and can be replaced', async () => {
+  const { getRepositories, setRepositories, ensureRepositoryIndexes } = await import('../repositories/repositoryRegistry.js');
+  const memory = createRepositories('memory');
+
+  setRepositories(memory);
+  try {
+    assert.equal(getRepositories(), memory);
+    assert.equal(await ensureRepositoryIndexes(), 0);
+  } finally {
+    setRepositories(null);
+  }
+});
+
+test('MongoDB indexes are created on the first use of a connection', async () => {
+  const { getRepositories, setRepositories } = await import('../repositories/repositoryRegistry.js');
+  const db = installMemoryMongo();
+
+  setRepositories(createRepositories('mongodb'));
+  try {
+    await getRepositories().dualCredentials.find('chat-1');
+    await waitFor(() => db.collection('dual_credentials').indexes.length > 0);
+    await getRepositories().dualCredentials.save('chat-1', { customerToken: 't1' });
+    await assert.rejects(db.collection('dual_credentials').insertOne({ chatId: 'chat-1' }), { code: 11000 });
+  } finally {
+    setRepositories(null);
+  }
+});
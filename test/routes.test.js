@@ -0,0 +1,372 @@
+// Integration tests for the HTTP routes besides chat: health, authentication, admin APIs,
+// feedback, analytics proxy, handoff, voice and rate limits
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, openSocket, waitFor, TEST_API_KEY, TEST_ADMIN_KEY, TEST_OPERATOR_KEY } from './helpers/testServer.js';
+
+let api;
+
+before(async () => {
+  api = await startTestServer({ env: { RATE_LIMIT_CHAT_PER_SESSION: '3' } });
+});
+
+after(async () => {
+  await api.close();
+});
+
+const admin = (method, path, body) => api.request(method, path, { body, key: TEST_ADMIN_KEY });
+
+const acmeTenant = {
+  name: 'Acme ehf.',
+  allowedOrigins: ['https://acme.is'],
+  prompt: { instructions: 'Þú ert þjónustufulltrúi Acme.' },
+  model: { chatModel: 'gpt-4o-mini' }
+};
+
+test('GET / reports the service and its features', async () => {
+  const { status, body } = await api.request('GET', '/', { key: null });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'OK');
+  assert.ok(body.features.includes('WebSocket Streaming'));
+  assert.ok(body.features.includes('Model Fallback'));
+  assert.equal(body.analytics.status, 'healthy');
+  assert.equal(body.analytics.circuit.state, 'closed');
+});
+
+test('GET /mongo-test lists the collections', async () => {
+  const { status, body } = await api.request('GET', '/mongo-test', { key: null });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.ok(Array.isArray(body.collections));
+});
+
+test('admin routes require the admin key', async () => {
+  assert.equal((await api.request('GET', '/admin/tenants', { key: null })).status, 401);
+  assert.equal((await api.request('GET', '/admin/tenants')).status, 403, 'widget keys have no admin scope');
+  assert.equal((await admin('GET', '/admin/tenants')).status, 200);
+  assert.equal((await api.request('GET', '/leads', { key: null })).status, 401);
+});
+
+test('tenants get their own API keys, which can be rotated and revoked', async () => {
+  const saved = await admin('PUT', '/admin/tenants/acme', acmeTenant);
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.tenant.tenantId, 'acme');
+
+  const invalid = await admin('PUT', '/admin/tenants/acme', { ...acmeTenant, name: '' });
+  assert.equal(invalid.status, 400);
+  const bookingTools = await admin('PUT', '/admin/tenants/acme', { ...acmeTenant, tools: ['record_lead', 'book_consultation'] });
+  assert.equal(bookingTools.status, 400);
+  assert.match(bookingTools.body.error, /book_consultation can only be used by the default tenant/);
+
+  const created = await admin('POST', '/admin/tenants/acme/api-keys', { label: 'widget', scopes: ['chat'] });
+  assert.equal(created.status, 201);
+  const { apiKey, key } = created.body;
+  assert.ok(apiKey);
+
+  const listed = await admin('GET', '/admin/tenants/acme/api-keys');
+  assert.deepEqual(listed.body.keys.map(k => k.keyId), [key.keyId]);
+  assert.ok(!JSON.stringify(listed.body).includes(apiKey), 'keys are never listed in plain text');
+
+  const chat = await api.request('POST', '/chat', { body: { message: 'Hello', sessionId: 'acme-1' }, key: apiKey });
+  assert.equal(chat.status, 200);
+  assert.match(chat.body.message, /^\[gpt-4o-mini\]/, 'the tenant model answers');
+
+  const wrongScope = await api.request('POST', '/feedback', { body: { messageId: 'm1', isPositive: true }, key: apiKey });
+  assert.equal(wrongScope.status, 403);
+
+  const rotated = await admin('POST', `/admin/tenants/acme/api-keys/${key.keyId}/rotate`);
+  assert.equal(rotated.status, 201);
+  const rotatedKey = rotated.body.apiKey;
+  assert.notEqual(rotatedKey, apiKey);
+  assert.equal((await api.request('POST', '/chat', { body: { message: 'Hello again', sessionId: 'acme-2' }, key: rotatedKey })).status, 200);
+
+  const revoked = await admin('DELETE', `/admin/tenants/acme/api-keys/${rotated.body.key.keyId}`);
+  assert.equal(revoked.status, 200);
+  assert.equal((await api.request('POST', '/chat', { body: { message: 'Still there?', sessionId: 'acme-3' }, key: rotatedKey })).status, 401);
+});
+
+test('unknown API keys are refused without filling the key cache', async () => {
+  const cachedKeys = global.apiKeyState.cache.size;
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await api.request('POST', '/chat', { body: { message: 'hæ' }, key: `made-up-${i}` })).status, 401);
+  }
+  assert.equal(global.apiKeyState.cache.size, cachedKeys);
+});
+
+test('knowledge documents can be created, listed, updated and deleted', async () => {
+  const created = await admin('POST', '/admin/knowledge', {
+    title: 'Opnunartímar',
+    content: 'Símsvörun er opin alla virka daga frá 8 til 17.',
+    category: 'general'
+  });
+  assert.equal(created.status, 201);
+  const { sourceId } = created.body.document;
+
+  const duplicate = await admin('POST', '/admin/knowledge', { title: 'Opnunartímar', content: 'Annað' });
+  assert.equal(duplicate.status, 409);
+
+  const listed = await admin('GET', '/admin/knowledge');
+  assert.ok(listed.body.documents.some(d => d.sourceId === sourceId));
+
+  const updated = await admin('PUT', `/admin/knowledge/${sourceId}`, {
+    title: 'Opnunartímar',
+    content: 'Símsvörun er opin alla daga frá 8 til 22.'
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.document.version, 2);
+
+  const versions = await admin('GET', `/admin/knowledge/${sourceId}/versions`);
+  assert.equal(versions.status, 200);
+  assert.ok(versions.body.versions.length >= 1);
+
+  assert.equal((await admin('DELETE', `/admin/knowledge/${sourceId}`)).status, 200);
+  assert.equal((await admin('GET', `/admin/knowledge/${sourceId}`)).status, 404);
+});
+
+test('FAQ entries are knowledge documents with a question and an answer', async () => {
+  const created = await admin('POST', '/admin/faq', { question: 'Hvað kostar prufutímabil?', answer: 'Það er ókeypis í 14 daga.' });
+  assert.equal(created.status, 201);
+
+  const listed = await admin('GET', '/admin/faq');
+  assert.ok(listed.body.entries.some(entry => entry.question === 'Hvað kostar prufutímabil?'));
+});
+
+test('the usage report includes chat costs per tenant', async () => {
+  await api.request('POST', '/chat', { body: { message: 'Kostnaður?', sessionId: 'usage-1' } });
+  await waitFor(() => api.db.documents('usage_daily').length);
+
+  const report = await admin('GET', '/admin/usage');
+  assert.equal(report.status, 200);
+  assert.ok(report.body.totals.requests >= 1);
+
+  const tenants = await admin('GET', '/admin/usage/tenants');
+  assert.ok(tenants.body.tenants.some(t => t.tenantId === 'svorum-strax'));
+});
+
+test('leads, quote requests, candidates and bookings are listed for admins', async () => {
+  for (const path of ['/leads', '/admin/quote-requests', '/admin/package-rules', '/admin/candidates', '/admin/bookings', '/admin/booking-staff']) {
+    const { status, body } = await admin('GET', path);
+    assert.equal(status, 200, path);
+    assert.equal(body.success, true, path);
+  }
+  assert.equal((await admin('GET', '/leads/unknown-lead')).status, 404);
+});
+
+test('a booking\'s calendar invite is only served with its token', async () => {
+  const { listAvailableSlots, createBooking } = await import('../bookingService.js');
+  const [slot] = await listAvailableSlots({ role: 'sales' });
+  const created = await createBooking({ staffId: slot.staffId, start: slot.start, customer: { name: 'Jón', email: 'jon@example.com' } });
+
+  const invite = await api.request('GET', created.inviteUrl, { key: null });
+  assert.equal(invite.status, 200);
+  assert.match(invite.headers.get('content-type'), /text\/calendar/);
+  assert.match(invite.body, /BEGIN:VCALENDAR/);
+
+  const path = `/bookings/${created.bookingId}/invite.ics`;
+  assert.equal((await api.request('GET', path, { key: null })).status, 404);
+  assert.equal((await api.request('GET', `${path}?token=wrong`, { key: null })).status, 404);
+});
+
+test('POST /quote/estimate recommends a package and opens a quote request', async () => {
+  const { status, body } = await api.request('POST', '/quote/estimate', {
+    body: { monthlyCalls: 150, coverage: 'business_hours', needs: [], sessionId: 'quote-1' }
+  });
+
+  assert.equal(status, 200);
+  assert.ok(body.recommendedPackage.packageId);
+  assert.ok(body.quoteRequestId);
+
+  const requests = await admin('GET', '/admin/quote-requests');
+  assert.ok(requests.body.quoteRequests.some(r => r.quoteRequestId === body.quoteRequestId));
+});
+
+test('POST /feedback stores the rating and forwards it to analytics', async () => {
+  const { status } = await api.request('POST', '/feedback', {
+    body: { messageId: 'bot-msg-9', postgresqlId: 'pg-9', isPositive: true, timestamp: new Date().toISOString() }
+  });
+
+  assert.equal(status, 200);
+  assert.ok(api.db.documents('message_feedback').some(f => f.messageId === 'bot-msg-9'));
+  await waitFor(() => api.analytics.requests.find(r => r.path === '/api/public-feedback' && r.body.messageId === 'bot-msg-9'));
+});
+
+test('POST /widget-events is proxied to analytics with location headers', async () => {
+  const { status, body } = await api.request('POST', '/widget-events', {
+    body: { event: 'widget_opened' },
+    headers: { 'x-vercel-ip-country': 'IS' }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  const forwarded = api.analytics.requests.find(r => r.path === '/api/widget-events');
+  assert.equal(forwarded.body.event, 'widget_opened');
+  assert.equal(forwarded.body._geo.country, 'IS');
+});
+
+test('a customer can ask for a human and poll for updates', async () => {
+  const missing = await api.request('POST', '/handoff/request', { body: {} });
+  assert.equal(missing.status, 400);
+
+  const requested = await api.request('POST', '/handoff/request', { body: { sessionId: 'handoff-1', reason: 'Flókið mál' } });
+  assert.equal(requested.status, 200);
+  assert.equal(requested.body.handoff.sessionId, 'handoff-1');
+
+  const updates = await api.request('GET', '/handoff/handoff-1/updates');
+  assert.equal(updates.status, 200);
+  assert.equal(updates.body.success, true);
+
+  // Later messages go to the operator queue instead of the model
+  const relayed = await api.request('POST', '/chat', { body: { message: 'Halló?', sessionId: 'handoff-1' } });
+  assert.equal(relayed.body.message, '');
+  assert.ok(relayed.body.handoff);
+});
+
+test('another tenant\'s handoff of the same session ID is not found', async () => {
+  await api.db.collection('handoffs').insertOne({
+    handoffId: 'ho_acme', sessionId: 'handoff-acme', tenantId: 'acme', status: 'active', queuedAt: new Date(), messages: []
+  });
+
+  const answered = await api.request('POST', '/chat', { body: { message: 'Halló?', sessionId: 'handoff-acme' } });
+  assert.notEqual(answered.body.message, '', 'the bot answers');
+  assert.equal(answered.body.handoff, null);
+
+  const updates = await api.request('GET', '/handoff/handoff-acme/updates');
+  assert.equal(updates.body.handoff, null);
+});
+
+test('a customer socket stays bound to its first session', async () => {
+  const client = await openSocket(`${api.wsUrl}/?key=${TEST_API_KEY}`);
+  try {
+    client.send({ type: 'request-human', sessionId: 'bound-1' });
+    await client.waitFor(f => f.type === 'handoff-status');
+
+    client.send({ type: 'request-human', sessionId: 'bound-2' });
+    const error = await client.waitFor(f => f.type === 'error');
+    assert.equal(error.sessionId, 'bound-2');
+    assert.equal((await api.request('GET', '/handoff/bound-2/updates')).body.handoff, null);
+  } finally {
+    await client.close();
+  }
+});
+
+test('an operator claims the handoff and replies over the operator WebSocket', async () => {
+  await assert.rejects(openSocket(`${api.wsUrl}/operator?token=wrong&name=Anna`), /401/);
+
+  await api.request('POST', '/handoff/request', { body: { sessionId: 'handoff-2' } });
+  const operator = await openSocket(`${api.wsUrl}/operator?token=${TEST_OPERATOR_KEY}&name=Anna`);
+  try {
+    const queue = await operator.waitFor(f => f.type === 'queue');
+    const { handoffId } = queue.handoffs.find(h => h.sessionId === 'handoff-2');
+
+    operator.send({ type: 'claim', handoffId, requestId: 'r1' });
+    const claimed = await operator.waitFor(f => f.requestId === 'r1');
+    assert.equal(claimed.type, 'claimed');
+    assert.equal(claimed.handoff.status, 'active');
+
+    operator.send({ type: 'reply', handoffId, content: 'Góðan dag, Anna hér.', requestId: 'r2' });
+    assert.equal((await operator.waitFor(f => f.requestId === 'r2')).type, 'reply-sent');
+
+    const updates = await api.request('GET', '/handoff/handoff-2/updates');
+    assert.ok(JSON.stringify(updates.body).includes('Góðan dag, Anna hér.'));
+
+    operator.send({ type: 'nonsense', requestId: 'r3' });
+    assert.equal((await operator.waitFor(f => f.requestId === 'r3')).type, 'error');
+  } finally {
+    await operator.close();
+  }
+});
+
+test('a tenant\'s operator only works that tenant\'s handoffs and reaches that tenant\'s customer', async () => {
+  const { body: { apiKey: acmeKey } } = await admin('POST', '/admin/tenants/acme/api-keys', { label: 'desk', scopes: ['chat', 'operator'] });
+  await assert.rejects(openSocket(`${api.wsUrl}/operator?key=${TEST_API_KEY}&name=Anna`), /401/);
+
+  // Two tenants' widgets happen to use the same session ID
+  const acmeCustomer = await openSocket(`${api.wsUrl}/?key=${acmeKey}`);
+  const defaultCustomer = await openSocket(`${api.wsUrl}/?key=${TEST_API_KEY}`);
+  const operator = await openSocket(`${api.wsUrl}/operator?key=${acmeKey}&name=Anna`);
+  try {
+    for (const customer of [acmeCustomer, defaultCustomer]) {
+      customer.send({ type: 'request-human', sessionId: 'shared-session' });
+      await customer.waitFor(f => f.type === 'handoff-status');
+    }
+    const handoffs = api.db.documents('handoffs').filter(h => h.sessionId === 'shared-session');
+    const acmeHandoff = handoffs.find(h => h.tenantId === 'acme');
+    const defaultHandoff = handoffs.find(h => h.tenantId === 'svorum-strax');
+    assert.notEqual(acmeHandoff.conversationId, defaultHandoff.conversationId);
+
+    operator.send({ type: 'list', requestId: 'q' });
+    const queue = await operator.waitFor(f => f.requestId === 'q');
+    assert.ok(queue.handoffs.length > 0);
+    assert.ok(queue.handoffs.every(h => h.tenantId === 'acme'));
+
+    operator.send({ type: 'claim', handoffId: defaultHandoff.handoffId, requestId: 'c1' });
+    assert.match((await operator.waitFor(f => f.requestId === 'c1')).error, /not found/);
+
+    operator.send({ type: 'claim', handoffId: acmeHandoff.handoffId, requestId: 'c2' });
+    assert.equal((await operator.waitFor(f => f.requestId === 'c2')).type, 'claimed');
+    operator.send({ type: 'reply', handoffId: acmeHandoff.handoffId, content: 'Acme hér.', requestId: 'c3' });
+    assert.equal((await operator.waitFor(f => f.requestId === 'c3')).delivered, 1);
+
+    await acmeCustomer.waitFor(f => f.type === 'operator-message' && f.content === 'Acme hér.');
+    assert.ok(!defaultCustomer.frames.some(f => f.type === 'operator-message'));
+  } finally {
+    await Promise.all([acmeCustomer.close(), defaultCustomer.close(), operator.close()]);
+  }
+});
+
+test('two tenants chatting with the same session ID get separate conversations', async () => {
+  const { body: { apiKey: acmeKey } } = await admin('POST', '/admin/tenants/acme/api-keys', { label: 'widget', scopes: ['chat'] });
+  const chat = (key, message) => api.request('POST', '/chat', {
+    body: { message, sessionId: 'shared-chat' },
+    key,
+    headers: key === acmeKey ? { Origin: 'https://acme.is' } : {}
+  });
+
+  assert.equal((await chat(TEST_API_KEY, 'Spurning til okkar')).status, 200);
+  assert.equal((await chat(acmeKey, 'Spurning til Acme')).status, 200);
+
+  const conversations = api.db.documents('conversations').filter(c => c.sessionId === 'shared-chat');
+  assert.deepEqual(conversations.map(c => c.tenantId).sort(), ['acme', 'svorum-strax']);
+  const acmeConversation = conversations.find(c => c.tenantId === 'acme');
+  assert.deepEqual(acmeConversation.messages.filter(m => m.role === 'user').map(m => m.content), ['Spurning til Acme']);
+});
+
+test('LiveChat webhooks are refused while the bridge is not configured', async () => {
+  const { status, body } = await api.request('POST', '/livechat/webhook', {
+    body: { action: 'incoming_event', secret_key: 'anything', payload: {} },
+    key: null
+  });
+
+  assert.equal(status, 503);
+  assert.equal(body.success, false);
+});
+
+test('voice endpoints transcribe and speak with the fake provider', async () => {
+  const audio = Buffer.alloc(8000).toString('base64');
+  const transcription = await api.request('POST', '/transcribe-audio', { body: { audio, mimeType: 'audio/webm', language: 'is' } });
+  assert.equal(transcription.status, 200);
+  assert.match(transcription.body.text, /8000/);
+
+  const speech = await api.request('POST', '/text-to-speech', { body: { text: 'Góðan daginn', voice: 'nova' } });
+  assert.equal(speech.status, 200);
+  assert.equal(speech.body.mimeType, 'audio/mpeg');
+  assert.equal(Buffer.from(speech.body.audio, 'base64').toString(), 'FAKE-AUDIO:nova:Góðan daginn');
+
+  assert.equal((await api.request('POST', '/text-to-speech', { body: {} })).status, 400);
+  assert.equal((await api.request('POST', '/transcribe-audio', { body: {} })).status, 400);
+});
+
+test('chat requests over the per-session limit get a localized 429', async () => {
+  const send = (language) => api.request('POST', '/chat', { body: { message: `Spurning ${Math.random()}`, sessionId: 'limited-1', language } });
+
+  for (let i = 0; i < 3; i++) assert.equal((await send('is')).status, 200);
+  const limited = await send('en');
+
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, 'rate_limited');
+  assert.equal(limited.body.limit, 'requests:session');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
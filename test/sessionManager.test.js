@@ -0,0 +1,160 @@
+// Unit tests for sessionManager.js - session reuse and the 15 minute inactivity timeout
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTestEnvironment, muteLogs } from './helpers/testServer.js';
+import { installMemoryMongo } from './helpers/memoryMongo.js';
+
+const MINUTE = 60 * 1000;
+
+let db, getOrCreateSession, sessionExists;
+
+before(async () => {
+  muteLogs();
+  setTestEnvironment();
+  db = installMemoryMongo();
+  ({ getOrCreateSession, sessionExists } = await import('../sessionManager.js'));
+});
+
+beforeEach(() => {
+  db.reset();
+  global.sessionCache.clear();
+});
+
+const storedSessions = (sessionId) => db.documents('globalSessions').filter(s => s.frontendSessionId === sessionId);
+
+test('a new session gets a conversation ID derived from the session ID', async () => {
+  const session = await getOrCreateSession('widget-1');
+
+  assert.equal(session.sessionId, 'widget-1');
+  assert.match(session.conversationId, /^widget-1_\d+$/);
+  assert.equal(session.isNewSession, true);
+  assert.ok(sessionExists('widget-1'));
+
+  const [stored] = storedSessions('widget-1');
+  assert.equal(stored.conversationId, session.conversationId);
+  assert.deepEqual(stored.frontendSessionIds, ['widget-1']);
+});
+
+test('two tenants with the same session ID get separate sessions and conversations', async () => {
+  const ours = await getOrCreateSession('widget-9');
+  const theirs = await getOrCreateSession('widget-9', 'acme');
+
+  assert.equal(ours.tenantId, 'svorum-strax');
+  assert.equal(theirs.tenantId, 'acme');
+  assert.equal(theirs.sessionId, 'widget-9');
+  assert.match(theirs.conversationId, /^acme:widget-9_\d+$/);
+  assert.notEqual(theirs.conversationId, ours.conversationId);
+  assert.ok(sessionExists('widget-9', 'acme'));
+  assert.ok(!sessionExists('widget-10', 'acme'));
+
+  // Each tenant keeps its own conversation, also after a restart
+  global.sessionCache.clear();
+  assert.equal((await getOrCreateSession('widget-9', 'acme')).conversationId, theirs.conversationId);
+  assert.equal((await getOrCreateSession('widget-9')).conversationId, ours.conversationId);
+  assert.deepEqual(storedSessions('widget-9').map(s => s.tenantId).sort(), ['acme', 'svorum-strax']);
+});
+
+test('a session without an ID gets a generated one', async () => {
+  const session = await getOrCreateSession();
+  assert.match(session.sessionId, /^session_\d+_[a-z0-9]+$/);
+});
+
+test('an active session keeps its conversation', async () => {
+  const first = await getOrCreateSession('widget-2');
+  const second = await getOrCreateSession('widget-2');
+
+  assert.equal(second.conversationId, first.conversationId);
+  assert.equal(storedSessions('widget-2').length, 1);
+});
+
+// The clock is mocked - conversation IDs end in Date.now()
+test('a cached session inactive for over 15 minutes starts a new conversation', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T10:00:00Z') });
+  const first = await getOrCreateSession('widget-3');
+  t.mock.timers.tick(16 * MINUTE);
+
+  const second = await getOrCreateSession('widget-3');
+
+  assert.notEqual(second.conversationId, first.conversationId);
+  assert.equal(second.sessionId, 'widget-3');
+  assert.equal(second.isNewSession, true);
+
+  const timeoutSession = storedSessions('widget-3').find(s => s.isTimeoutSession);
+  assert.equal(timeoutSession.conversationId, second.conversationId);
+  assert.equal(timeoutSession.previousConversationId, first.conversationId);
+});
+
+test('a cached session inactive for 14 minutes is kept', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T10:00:00Z') });
+  const first = await getOrCreateSession('widget-4');
+  t.mock.timers.tick(14 * MINUTE);
+
+  const second = await getOrCreateSession('widget-4');
+  assert.equal(second.conversationId, first.conversationId);
+});
+
+test('a stored session is reused after a restart (empty cache)', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T10:00:00Z') });
+  const first = await getOrCreateSession('widget-5');
+  global.sessionCache.clear();
+  t.mock.timers.tick(10 * MINUTE);
+
+  const second = await getOrCreateSession('widget-5');
+  assert.equal(second.conversationId, first.conversationId);
+  assert.equal(second.startedAt, first.startedAt);
+});
+
+test('a stored session inactive for over 15 minutes starts a new conversation after a restart', async () => {
+  await db.collection('globalSessions').insertOne({
+    type: 'chat_session',
+    frontendSessionId: 'widget-6',
+    sessionId: 'widget-6',
+    tenantId: 'svorum-strax',
+    conversationId: 'widget-6_old',
+    startedAt: new Date(Date.now() - 60 * MINUTE).toISOString(),
+    lastActivity: new Date(Date.now() - 20 * MINUTE).toISOString()
+  });
+
+  const session = await getOrCreateSession('widget-6');
+
+  assert.notEqual(session.conversationId, 'widget-6_old');
+  assert.equal(session.isNewSession, true);
+  const timeoutSession = storedSessions('widget-6').find(s => s.isTimeoutSession);
+  assert.equal(timeoutSession.previousConversationId, 'widget-6_old');
+});
+
+test('sessions still work when MongoDB is unreachable', async () => {
+  const { client, db: cachedDb } = global.mongoConnection;
+  global.mongoConnection.client = null;
+  global.mongoConnection.db = null;
+  global.mongoConnection.connecting = Promise.reject(new Error('connection refused'));
+  global.mongoConnection.connecting.catch(() => {});
+
+  try {
+    const session = await getOrCreateSession('widget-7');
+    assert.equal(session.sessionId, 'widget-7');
+    assert.match(session.conversationId, /^widget-7_\d+$/);
+    assert.ok(sessionExists('widget-7'));
+  } finally {
+    Object.assign(global.mongoConnection, { client, db: cachedDb, connecting: null });
+  }
+});
+
+test('sessions work on the in-memory storage backend', async () => {
+  const { createRepositories, setRepositories } = await import('../repositories/repositoryRegistry.js');
+  const repositories = createRepositories('memory');
+  setRepositories(repositories);
+
+  try {
+    const first = await getOrCreateSession('widget-8');
+    global.sessionCache.clear();
+    const second = await getOrCreateSession('widget-8');
+
+    assert.equal(second.conversationId, first.conversationId);
+    assert.equal((await repositories.sessions.findByFrontendSessionId('widget-8', 'svorum-strax')).conversationId, first.conversationId);
+    assert.deepEqual(storedSessions('widget-8'), [], 'nothing reaches MongoDB');
+  } finally {
+    setRepositories(null);
+  }
+});
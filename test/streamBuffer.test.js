@@ -0,0 +1,112 @@
+// Tests for resumable /chat-stream (streamBuffer.js) - event IDs, Last-Event-ID replay,
+// following a stream that is still generating and keep-alive comments
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, parseSseFrames, waitFor, TEST_API_KEY } from './helpers/testServer.js';
+
+let api, buffer;
+
+before(async () => {
+  api = await startTestServer({ env: { SSE_KEEPALIVE_SECONDS: '1' } });
+  buffer = await import('../streamBuffer.js');
+});
+
+after(async () => {
+  await api.close();
+});
+
+const conversationsFor = (sessionId) => api.db.documents('conversations').filter(c => c.sessionId === sessionId);
+
+// Event IDs of a text/event-stream body
+const eventIds = (body) => body.split('\n').filter(line => line.startsWith('id: ')).map(line => line.slice(4));
+
+test('parseEventId splits stream and sequence', () => {
+  assert.deepEqual(buffer.parseEventId('stream_1_abc:12'), { streamId: 'stream_1_abc', sequence: 12 });
+  assert.deepEqual(buffer.parseEventId('7'), { streamId: null, sequence: 7 });
+  assert.equal(buffer.parseEventId('stream_1_abc'), null);
+});
+
+test('every /chat-stream frame carries an event ID', async () => {
+  const { body } = await api.request('POST', '/chat-stream', { body: { message: 'Hvað kostar þjónustan?', sessionId: 'resume-ids' } });
+  const [connected] = parseSseFrames(body);
+  const ids = eventIds(body);
+
+  assert.equal(ids.length, parseSseFrames(body).length);
+  assert.deepEqual(ids, ids.map((_, index) => `${connected.streamId}:${index + 1}`));
+});
+
+test('a reconnect with Last-Event-ID gets the missed frames without asking the model again', async () => {
+  const { body } = await api.request('POST', '/chat-stream', { body: { message: 'Eruð þið með símsvörun?', sessionId: 'resume-1' } });
+  const frames = parseSseFrames(body);
+  const ids = eventIds(body);
+  await waitFor(() => conversationsFor('resume-1').length);
+
+  const resumed = await api.request('GET', '/chat-stream?sessionId=resume-1', { headers: { 'Last-Event-ID': ids[1] } });
+
+  assert.equal(resumed.status, 200);
+  assert.deepEqual(parseSseFrames(resumed.body), frames.slice(2));
+  assert.deepEqual(eventIds(resumed.body), ids.slice(2));
+  assert.equal(parseSseFrames(resumed.body).at(-1), '[DONE]');
+  assert.equal(conversationsFor('resume-1').length, 1, 'the turn was answered once');
+
+  // The widget may also repeat its POST with the header
+  const repeated = await api.request('POST', '/chat-stream', {
+    body: { message: 'Eruð þið með símsvörun?', sessionId: 'resume-1' },
+    headers: { 'Last-Event-ID': ids.at(-2) }
+  });
+  assert.deepEqual(parseSseFrames(repeated.body), ['[DONE]']);
+  assert.equal(conversationsFor('resume-1').length, 1);
+});
+
+test('?streamId= replays the stream from the start', async () => {
+  const { body } = await api.request('POST', '/chat-stream', { body: { message: 'Hæ', sessionId: 'resume-2' } });
+  const [connected] = parseSseFrames(body);
+
+  const resumed = await api.request('GET', `/chat-stream?streamId=${connected.streamId}&sessionId=resume-2`);
+  assert.deepEqual(parseSseFrames(resumed.body), parseSseFrames(body));
+});
+
+test('stream IDs are random and an EventSource can resume with ?key=', async () => {
+  const { body } = await api.request('POST', '/chat-stream', { body: { message: 'Hæ aftur', sessionId: 'resume-3' } });
+  const [connected] = parseSseFrames(body);
+  assert.match(connected.streamId, /^stream_[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+
+  const response = await fetch(`${api.baseUrl}/chat-stream?streamId=${connected.streamId}&sessionId=resume-3&key=${TEST_API_KEY}`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(parseSseFrames(await response.text()), parseSseFrames(body));
+});
+
+test('a resumed stream that is still generating follows it live, with keep-alive comments', async () => {
+  buffer.openStream({ streamId: 'stream_live', tenantId: 'svorum-strax', sessionId: 'resume-live' });
+  buffer.recordEvent('stream_live', { type: 'stream-connected', streamId: 'stream_live' });
+  buffer.recordEvent('stream_live', { type: 'stream-chunk', streamId: 'stream_live', content: 'Já', chunkNumber: 1 });
+
+  const response = await fetch(`${api.baseUrl}/chat-stream?sessionId=resume-live`, {
+    headers: { 'x-api-key': TEST_API_KEY, 'Last-Event-ID': 'stream_live:1' }
+  });
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  buffer.recordEvent('stream_live', { type: 'stream-chunk', streamId: 'stream_live', content: ', við', chunkNumber: 2 });
+  buffer.recordEvent('stream_live', '[DONE]');
+  buffer.closeStream('stream_live');
+
+  const body = await response.text();
+  assert.match(body, /^: keep-alive$/m);
+  assert.deepEqual(eventIds(body), ['stream_live:2', 'stream_live:3', 'stream_live:4']);
+  assert.deepEqual(parseSseFrames(body).map(f => f.content || f), ['Já', ', við', '[DONE]']);
+});
+
+test('unknown streams and other tenants\' and sessions\' streams are not found', async () => {
+  buffer.openStream({ streamId: 'stream_acme', tenantId: 'acme', sessionId: 'acme-1' });
+  buffer.recordEvent('stream_acme', { type: 'stream-connected', streamId: 'stream_acme' });
+  buffer.openStream({ streamId: 'stream_other', tenantId: 'svorum-strax', sessionId: 'other-1' });
+  buffer.recordEvent('stream_other', { type: 'stream-connected', streamId: 'stream_other' });
+
+  assert.equal((await api.request('GET', '/chat-stream?sessionId=acme-1', { headers: { 'Last-Event-ID': 'stream_nope:3' } })).status, 404);
+  assert.equal((await api.request('GET', '/chat-stream?streamId=stream_acme&sessionId=acme-1')).status, 404);
+  assert.equal((await api.request('GET', '/chat-stream?streamId=stream_other&sessionId=other-2')).status, 404);
+  assert.equal((await api.request('POST', '/chat-stream/stop', { body: { streamId: 'stream_other', sessionId: 'other-2' } })).status, 404);
+  assert.equal((await api.request('GET', '/chat-stream?streamId=stream_other')).status, 400);
+  assert.equal((await api.request('GET', '/chat-stream')).status, 400);
+  assert.equal((await api.request('GET', '/chat-stream?streamId=stream_acme&sessionId=acme-1', { key: null })).status, 401);
+});
@@ -0,0 +1,107 @@
+// tools/bookingTools.js - Consultation booking tools for the model
+//
+// list_consultation_slots shows free times, book_consultation reserves one.
+// Booking results are client-visible so the widget can show a confirmation
+// card with the calendar invite link. Successful bookings also fill in the
+// conversation's lead (leadService.js). The staff are Svörum strax's own, so only
+// the default tenant's conversations get these tools (DEFAULT_TENANT_TOOLS).
+
+import { listAvailableSlots, createBooking } from '../bookingService.js';
+import { recordLead } from '../leadService.js';
+import { getDefaultTenantId } from '../tenantService.js';
+
+/**
+ * Whether a conversation may book consultations
+ * @param {Object} context - Turn context
+ * @returns {boolean} True for the default tenant
+ */
+const isDefaultTenant = (context) => !context.tenantId || context.tenantId === getDefaultTenantId();
+
+/**
+ * Register the booking tools
+ * @param {Object} registry - Tool registry from createToolRegistry
+ */
+export function registerBookingTools(registry) {
+  registry.register({
+    name: 'list_consultation_slots',
+    description: 'List free times for a free consultation with Svörum strax. Use "sales" for services, pricing and packages (Sales Manager) and "operations" for technical or operational questions (COO). Offer a few of the returned times to the customer in their language.',
+    parameters: {
+      type: 'object',
+      properties: {
+        role: {
+          type: 'string',
+          enum: ['sales', 'operations'],
+          description: 'Who the customer should meet'
+        },
+        fromDate: {
+          type: 'string',
+          description: 'First date to search, YYYY-MM-DD (defaults to today)'
+        },
+        days: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 14,
+          description: 'Number of days to search (default 7)'
+        }
+      }
+    },
+    isEnabled: isDefaultTenant,
+    handler: async ({ role = 'sales', fromDate, days = 7 }) => {
+      const slots = await listAvailableSlots({ role, fromDate, days });
+      return slots.length > 0
+        ? { slots }
+        : { slots, message: 'No free times in this period - try later dates or refer the customer to daniel.t@svorumstrax.is' };
+    }
+  });
+
+  registry.register({
+    name: 'book_consultation',
+    description: 'Book a free consultation in one of the slots returned by list_consultation_slots. Only call this after the customer has chosen a time and given their name and email. Returns the booking confirmation and a calendar invite link.',
+    parameters: {
+      type: 'object',
+      required: ['staffId', 'start', 'name', 'email'],
+      properties: {
+        staffId: { type: 'string', description: 'staffId of the chosen slot' },
+        start: { type: 'string', description: 'start of the chosen slot, exactly as returned (ISO 8601)' },
+        name: { type: 'string', minLength: 2, maxLength: 120 },
+        email: { type: 'string', maxLength: 200 },
+        phone: { type: 'string', maxLength: 40 },
+        company: { type: 'string', maxLength: 200 },
+        topic: { type: 'string', maxLength: 500, description: 'What the customer wants to discuss' }
+      }
+    },
+    clientVisible: true,
+    isEnabled: isDefaultTenant,
+    handler: async ({ staffId, start, name, email, phone, company, topic }, context) => {
+      const booking = await createBooking({
+        staffId,
+        start,
+        customer: { name, email, phone, company },
+        topic,
+        sessionId: context.sessionId,
+        conversationId: context.conversationId,
+        language: context.language
+      });
+
+      // Link the booking to the conversation's lead - never fail the booking over it
+      try {
+        await recordLead(
+          { name, email, phone, company, bookingId: booking.bookingId },
+          {
+            conversationId: context.conversationId,
+            sessionId: context.sessionId,
+            tenantId: context.tenantId,
+            language: context.language,
+            source: 'booking'
+          }
+        );
+      } catch (error) {
+        console.error('❌ Error recording lead for booking:', error);
+      }
+
+      return booking;
+    }
+  });
+}
+
+export default { registerBookingTools };
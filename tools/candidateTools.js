@@ -0,0 +1,54 @@
+// tools/candidateTools.js - Job application tool for the model
+//
+// submit_job_application turns a CV uploaded in the current message into a
+// candidate record. It is only offered to the model when the message carries a
+// PDF or Word file. The result is client-visible so the widget can acknowledge
+// the application.
+
+import { submitApplication, findCvFile } from '../candidateService.js';
+
+/**
+ * Register the job application tool
+ * @param {Object} registry - Tool registry from createToolRegistry
+ * @param {Object} deps
+ * @param {Object} deps.llm - Language model provider (parses the CV)
+ */
+export function registerCandidateTools(registry, { llm }) {
+  registry.register({
+    name: 'submit_job_application',
+    description: 'Submit a job application from the CV (PDF or Word) attached to the current message. Call it when the customer says they want to apply for a job and has attached their CV. Afterwards thank the applicant, summarise what we received and tell them the recruiting team will be in touch. If the result lacks an email or phone number, ask for one.',
+    parameters: {
+      type: 'object',
+      properties: {
+        desiredPosition: {
+          type: 'string',
+          maxLength: 120,
+          description: 'Position the applicant is interested in, e.g. "customer service", "sales", "accounting"'
+        }
+      }
+    },
+    clientVisible: true,
+    isEnabled: (context) => !!findCvFile(context.request?.files),
+    handler: async ({ desiredPosition }, context) => {
+      const candidate = await submitApplication({
+        llm,
+        file: findCvFile(context.request?.files),
+        applicantMessage: context.request?.userMessage,
+        desiredPosition,
+        context
+      });
+
+      return {
+        candidateId: candidate.candidateId,
+        received: candidate.files[candidate.files.length - 1].filename,
+        name: candidate.name,
+        hasContactDetails: !!(candidate.email || candidate.phone),
+        icelandicProficiency: candidate.icelandicProficiency,
+        nieStatus: candidate.nieStatus,
+        desiredPosition: candidate.desiredPosition
+      };
+    }
+  });
+}
+
+export default { registerCandidateTools };
@@ -0,0 +1,46 @@
+// tools/handoffTools.js - Human handoff tool for the model
+//
+// request_human_agent queues the conversation for an operator. From the next
+// message on, the conversation engine relays the customer to the operator
+// console instead of answering. The result is client-visible so the widget can
+// show the waiting state.
+
+import { requestHandoff } from '../handoffManager.js';
+
+/**
+ * Register the handoff tool
+ * @param {Object} registry - Tool registry from createToolRegistry
+ */
+export function registerHandoffTools(registry) {
+  registry.register({
+    name: 'request_human_agent',
+    description: 'Hand the conversation over to a human operator. Use it when the customer asks for a person, is frustrated, or needs something you cannot handle (complaints, contracts, account-specific questions). Afterwards tell the customer an operator will join shortly; if operatorsOnline is 0, say they may have to wait and offer svorumstrax@svorumstrax.is / 537-0800 as alternatives.',
+    parameters: {
+      type: 'object',
+      required: ['reason'],
+      properties: {
+        reason: { type: 'string', maxLength: 300, description: 'Short summary for the operator, in English' }
+      }
+    },
+    clientVisible: true,
+    handler: async ({ reason }, context) => {
+      const handoff = await requestHandoff({
+        sessionId: context.sessionId,
+        conversationId: context.conversationId,
+        language: context.language,
+        reason,
+        requestedBy: 'bot',
+        tenantId: context.tenantId
+      });
+
+      return {
+        handoffId: handoff.handoffId,
+        status: handoff.status,
+        queuePosition: handoff.queuePosition,
+        operatorsOnline: handoff.operatorsOnline
+      };
+    }
+  });
+}
+
+export default { registerHandoffTools };
@@ -0,0 +1,48 @@
+// tools/leadTools.js - Lead capture tool for the model
+//
+// record_lead stores what a prospect has told us in the `leads` collection,
+// linked to the conversation. It runs silently - the customer never sees it.
+
+import { recordLead, LEAD_PACKAGES, LEAD_SERVICES } from '../leadService.js';
+
+/**
+ * Register the lead capture tool
+ * @param {Object} registry - Tool registry from createToolRegistry
+ */
+export function registerLeadTools(registry) {
+  registry.register({
+    name: 'record_lead',
+    description: 'Save details a prospective customer has shared about themselves or their company (contact details, company, size, call/email volume, services of interest, the package you would recommend). Call it whenever new details come up - fields are merged into one lead per conversation. Only include details the customer actually stated; never guess. Do not mention this tool to the customer.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 120 },
+        email: { type: 'string', maxLength: 200 },
+        phone: { type: 'string', maxLength: 40 },
+        jobTitle: { type: 'string', maxLength: 120 },
+        company: { type: 'string', maxLength: 200 },
+        companySize: { type: 'string', maxLength: 40, description: 'Number of employees, e.g. "10-50"' },
+        industry: { type: 'string', maxLength: 120 },
+        monthlyCalls: { type: 'integer', minimum: 0, description: 'Estimated inbound calls per month' },
+        monthlyEmails: { type: 'integer', minimum: 0, description: 'Estimated emails per month' },
+        servicesOfInterest: {
+          type: 'array',
+          items: { type: 'string', enum: LEAD_SERVICES }
+        },
+        recommendedPackage: { type: 'string', enum: LEAD_PACKAGES },
+        notes: { type: 'string', maxLength: 1000, description: 'Short summary of the need, in English' }
+      }
+    },
+    handler: async (args, context) => {
+      const lead = await recordLead(args, {
+        conversationId: context.conversationId,
+        sessionId: context.sessionId,
+        tenantId: context.tenantId,
+        language: context.language
+      });
+      return { recorded: true, leadId: lead.leadId };
+    }
+  });
+}
+
+export default { registerLeadTools };
@@ -0,0 +1,66 @@
+// tools/quoteTools.js - Package recommendation tool for the model
+//
+// estimate_package runs the deterministic recommendation engine (quoteEngine.js)
+// so the model never has to pick a package - or a price - on its own. Every
+// estimate opens an internal quote request and updates the conversation's lead.
+
+import { estimatePackage, createQuoteRequest, COVERAGE_LEVELS, PACKAGE_FEATURES } from '../quoteEngine.js';
+import { recordLead } from '../leadService.js';
+
+/**
+ * Register the package recommendation tool
+ * @param {Object} registry - Tool registry from createToolRegistry
+ */
+export function registerQuoteTools(registry) {
+  registry.register({
+    name: 'estimate_package',
+    description: 'Recommend a package (Girona, Bilbao, Valencia or Barcelona) from the customer\'s expected monthly call volume, required coverage and needs. Use it once the customer has given an approximate call volume. Explain the recommendation with the returned reasoning; never quote prices - tell the customer the sales team will send a tailored offer.',
+    parameters: {
+      type: 'object',
+      required: ['monthlyCalls'],
+      properties: {
+        monthlyCalls: { type: 'integer', minimum: 0, description: 'Expected inbound calls per month' },
+        coverage: {
+          type: 'string',
+          enum: COVERAGE_LEVELS,
+          description: 'When calls must be answered (default business_hours)'
+        },
+        needs: {
+          type: 'array',
+          items: { type: 'string', enum: PACKAGE_FEATURES },
+          description: 'Services the customer needs besides answering the phone'
+        },
+        notes: { type: 'string', maxLength: 1000, description: 'Anything else sales should know, in English' }
+      }
+    },
+    handler: async ({ monthlyCalls, coverage, needs, notes }, context) => {
+      const estimate = await estimatePackage({ monthlyCalls, coverage, needs });
+
+      const quoteRequest = await createQuoteRequest(estimate, {
+        notes,
+        conversationId: context.conversationId,
+        sessionId: context.sessionId
+      });
+
+      try {
+        await recordLead(
+          { monthlyCalls: estimate.requirements.monthlyCalls, recommendedPackage: estimate.recommendedPackage.packageId },
+          { conversationId: context.conversationId, sessionId: context.sessionId, language: context.language }
+        );
+      } catch (error) {
+        console.error('❌ Error recording lead for estimate:', error);
+      }
+
+      return {
+        recommendedPackage: estimate.recommendedPackage.name,
+        includedCalls: estimate.recommendedPackage.includedCalls ?? 'unlimited',
+        reasoning: estimate.reasoning,
+        customSolution: estimate.customSolution,
+        quoteRequestId: quoteRequest.quoteRequestId,
+        pricing: 'Custom - the sales team follows up with a tailored offer'
+      };
+    }
+  });
+}
+
+export default { registerQuoteTools };
@@ -0,0 +1,211 @@
+// tools/toolRegistry.js - Server-side tools the model can call
+//
+// Each tool has a name, a description, JSON-schema parameters and an async handler.
+// The conversation engine sends the tool definitions with every completion, executes
+// the calls the model makes (validated against the schema) and feeds the results back
+// until the model produces a final answer.
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Function name exposed to the model
+ * @property {string} description - What the tool does and when to use it
+ * @property {Object} parameters - JSON schema of the arguments (type: 'object')
+ * @property {Function} handler - async (args, context) => result (must be JSON-serializable)
+ * @property {boolean} [clientVisible] - Forward the result to the widget (e.g. booking confirmations)
+ * @property {Function} [isEnabled] - (context) => boolean, hide the tool for some conversations
+ */
+
+/**
+ * Validate a value against a (subset of) JSON schema
+ * Supports type, required, properties, enum, items, minimum, maximum, minLength, maxLength
+ *
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to validate
+ * @param {string} [path] - Path used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateArguments(schema, value, path = 'arguments') {
+  const errors = [];
+  if (!schema) return errors;
+
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  if (types.length > 0) {
+    const actualType = value === null ? 'null'
+      : Array.isArray(value) ? 'array'
+      : Number.isInteger(value) ? 'integer'
+      : typeof value;
+
+    const typeMatches = types.some(type =>
+      type === actualType || (type === 'number' && actualType === 'integer')
+    );
+
+    if (!typeMatches) {
+      errors.push(`${path} must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is too long`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateArguments(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateArguments(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create a tool registry
+ * @returns {Object} Registry with register, has, getDefinitions and execute
+ */
+export function createToolRegistry() {
+  const tools = new Map();
+
+  /**
+   * Register a tool (replaces an existing tool with the same name)
+   * @param {ToolDefinition} tool - Tool definition
+   */
+  function register(tool) {
+    if (!tool?.name || typeof tool.handler !== 'function') {
+      throw new Error('Tools require a name and a handler function');
+    }
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool.name}`);
+    }
+
+    tools.set(tool.name, {
+      parameters: { type: 'object', properties: {} },
+      clientVisible: false,
+      ...tool
+    });
+    console.log(`🧰 Registered tool: ${tool.name}`);
+  }
+
+  // context.allowedTools is the tenant's tool allowlist (null = every tool)
+  function isAvailable(tool, context) {
+    if (Array.isArray(context.allowedTools) && !context.allowedTools.includes(tool.name)) return false;
+    return !tool.isEnabled || tool.isEnabled(context);
+  }
+
+  /**
+   * Tool definitions in OpenAI chat completions format
+   * @param {Object} [context] - Turn context (tools may be disabled per conversation)
+   * @returns {Array} Definitions, empty when no tools are available
+   */
+  function getDefinitions(context = {}) {
+    return [...tools.values()]
+      .filter(tool => isAvailable(tool, context))
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+  }
+
+  /**
+   * Execute a tool call from the model
+   * Never throws - errors are returned to the model as { error } so it can recover
+   *
+   * @param {string} name - Tool name
+   * @param {string|Object} rawArguments - JSON string from the model (or parsed object)
+   * @param {Object} context - Turn context { sessionId, conversationId, language, ... }
+   * @returns {Promise<Object>} { name, arguments, result, error, clientVisible, durationMs }
+   */
+  async function execute(name, rawArguments, context = {}) {
+    const startTime = Date.now();
+    const tool = tools.get(name);
+
+    const finish = (fields) => ({
+      name,
+      clientVisible: !!tool?.clientVisible,
+      durationMs: Date.now() - startTime,
+      ...fields
+    });
+
+    if (!tool || !isAvailable(tool, context)) {
+      console.warn(`⚠️ Model called unknown tool: ${name}`);
+      return finish({ arguments: null, error: `Unknown tool: ${name}` });
+    }
+
+    let args;
+    try {
+      args = typeof rawArguments === 'string'
+        ? (rawArguments.trim() ? JSON.parse(rawArguments) : {})
+        : (rawArguments || {});
+    } catch (parseError) {
+      return finish({ arguments: null, error: `Arguments are not valid JSON: ${parseError.message}` });
+    }
+
+    const validationErrors = validateArguments(tool.parameters, args);
+    if (validationErrors.length > 0) {
+      console.warn(`⚠️ Invalid arguments for ${name}:`, validationErrors);
+      return finish({ arguments: args, error: `Invalid arguments: ${validationErrors.join('; ')}` });
+    }
+
+    try {
+      console.log(`🔧 Executing tool ${name}`);
+      const result = await tool.handler(args, context);
+      console.log(`✅ Tool ${name} completed in ${Date.now() - startTime}ms`);
+      return finish({ arguments: args, result });
+    } catch (error) {
+      console.error(`❌ Tool ${name} failed:`, error);
+      return finish({ arguments: args, error: error.message });
+    }
+  }
+
+  return {
+    register,
+    has: (name) => tools.has(name),
+    size: () => tools.size,
+    getDefinitions,
+    execute
+  };
+}
+
+/**
+ * Format a tool execution for the `tool` message sent back to the model
+ * @param {Object} execution - Result of registry.execute
+ * @returns {string} JSON content
+ */
+export function formatToolResult(execution) {
+  return JSON.stringify(
+    execution.error ? { error: execution.error } : (execution.result ?? { ok: true })
+  );
+}
+
+export default {
+  createToolRegistry,
+  validateArguments,
+  formatToolResult
+};
@@ -0,0 +1,489 @@
+// usageTracker.js - Token usage and cost accounting per conversation and per tenant
+//
+// Every paid OpenAI call (chat, vision, context summaries, embeddings, Whisper, TTS) is recorded as a
+// usage event priced from the price table, and added to the tenant's daily rollup
+// (`usage_daily`) behind the cost report and budgets. Days and months are UTC.
+//
+// Budgets come from tenant.budget or the deployment defaults (config.usage). Crossing
+// USAGE_ALERT_THRESHOLD and 100% of a budget raises an alert once per period; with the
+// 'throttle' action chat and voice requests are refused until the period resets.
+
+import { connectToDatabase } from './database.js';
+import { getConfig } from './config.js';
+import { getTenant, loadTenants } from './tenantService.js';
+import { httpError } from './utils/httpError.js';
+
+const USAGE_EVENTS_COLLECTION = 'usage_events';
+const USAGE_DAILY_COLLECTION = 'usage_daily';
+const USAGE_ALERTS_COLLECTION = 'usage_alerts';
+const SPEND_CACHE_TTL = 30 * 1000;
+
+export const USAGE_OPERATIONS = ['chat', 'vision', 'summary', 'embedding', 'transcription', 'tts'];
+
+// USD list prices - tokens per million, Whisper per audio minute, TTS per million characters.
+// USAGE_PRICES overrides or adds models; dated model names match their base model.
+export const DEFAULT_PRICES = {
+  'gpt-4o': { inputPerMillionTokens: 2.5, outputPerMillionTokens: 10 },
+  'gpt-4o-mini': { inputPerMillionTokens: 0.15, outputPerMillionTokens: 0.6 },
+  'gpt-4.1': { inputPerMillionTokens: 2, outputPerMillionTokens: 8 },
+  'gpt-4.1-mini': { inputPerMillionTokens: 0.4, outputPerMillionTokens: 1.6 },
+  'text-embedding-3-small': { inputPerMillionTokens: 0.02 },
+  'text-embedding-3-large': { inputPerMillionTokens: 0.13 },
+  'text-embedding-ada-002': { inputPerMillionTokens: 0.1 },
+  'whisper-1': { perAudioMinute: 0.006 },
+  'tts-1': { perMillionCharacters: 15 },
+  'tts-1-hd': { perMillionCharacters: 30 }
+};
+
+// Amounts summed in events, rollups and reports
+const USAGE_FIELDS = ['costUsd', 'inputTokens', 'outputTokens', 'audioSeconds', 'characters', 'requests'];
+
+// Spend per tenant and alerts already sent (per instance)
+if (!global.usageState) {
+  global.usageState = {
+    spend: new Map(), // tenantId -> { day, month, daySpend, monthSpend, loadedAt }
+    alerted: new Set(),
+    unpricedModels: new Set(),
+    onBudgetAlert: null
+  };
+}
+
+/**
+ * Set where budget alerts go (index.js pushes them to the tenant's dashboard channel)
+ * @param {Object} options
+ * @param {Function} [options.onBudgetAlert] - (alert) => Promise
+ */
+export function configureUsageTracker({ onBudgetAlert = null } = {}) {
+  global.usageState.onBudgetAlert = onBudgetAlert;
+}
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+// MongoDB field names can't contain dots ('gpt-4.1' -> 'gpt-4_1')
+const modelKey = (model) => String(model || 'unknown').replace(/\./g, '_');
+
+/**
+ * UTC day and month of a date
+ * @param {Date} date - Date
+ * @returns {Object} { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+function periodKeys(date) {
+  const iso = date.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+// ---------------------------------------------------------
+// Pricing
+// ---------------------------------------------------------
+
+/**
+ * Price table entry for a model - exact name, then the longest matching base name
+ * @param {string} model - Model name
+ * @returns {Object|null} Price entry
+ */
+function findPrice(model) {
+  const prices = { ...DEFAULT_PRICES, ...getConfig().usage.prices };
+  if (prices[model]) return prices[model];
+
+  const base = Object.keys(prices)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? prices[base] : null;
+}
+
+/**
+ * Cost of a call in USD
+ * @param {Object} usage - { model, inputTokens, outputTokens, audioSeconds, characters }
+ * @returns {number} Cost (0 for models missing from the price table)
+ */
+export function priceUsage({ model, inputTokens = 0, outputTokens = 0, audioSeconds = 0, characters = 0 }) {
+  const price = findPrice(model || '');
+  if (!price) {
+    if (!global.usageState.unpricedModels.has(model)) {
+      console.warn(`⚠️ No price for model ${model} - add it to USAGE_PRICES`);
+      global.usageState.unpricedModels.add(model);
+    }
+    return 0;
+  }
+
+  return roundUsd(
+    (inputTokens * (price.inputPerMillionTokens || 0)) / 1e6 +
+    (outputTokens * (price.outputPerMillionTokens || 0)) / 1e6 +
+    (audioSeconds * (price.perAudioMinute || 0)) / 60 +
+    (characters * (price.perMillionCharacters || 0)) / 1e6
+  );
+}
+
+/**
+ * Add the usage of a model call (or the last event of a stream) to a running total
+ * @param {Object} total - { inputTokens, outputTokens } (mutated)
+ * @param {Object} [usage] - Provider usage { inputTokens, outputTokens } (llmProvider.js)
+ */
+export function addTokenUsage(total, usage) {
+  if (!usage) return;
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+}
+
+// ---------------------------------------------------------
+// Recording
+// ---------------------------------------------------------
+
+/**
+ * Record one paid call - never throws, accounting must not break a conversation
+ *
+ * @param {Object} entry
+ * @param {string} entry.tenantId - Tenant billed
+ * @param {string} entry.operation - One of USAGE_OPERATIONS
+ * @param {string} entry.model - Model used
+ * @param {string} [entry.conversationId] - Conversation, when the call belongs to one
+ * @param {string} [entry.sessionId] - Widget session
+ * @param {number} [entry.inputTokens]
+ * @param {number} [entry.outputTokens]
+ * @param {number} [entry.audioSeconds] - Transcribed audio
+ * @param {number} [entry.characters] - Characters read aloud
+ * @returns {Promise<Object>} Usage event with costUsd
+ */
+export async function recordUsage({
+  tenantId,
+  operation,
+  model,
+  conversationId = null,
+  sessionId = null,
+  inputTokens = 0,
+  outputTokens = 0,
+  audioSeconds = 0,
+  characters = 0
+}) {
+  const costUsd = priceUsage({ model, inputTokens, outputTokens, audioSeconds, characters });
+  const createdAt = new Date();
+  const { day, month } = periodKeys(createdAt);
+  const event = {
+    tenantId, conversationId, sessionId, operation, model,
+    inputTokens, outputTokens, audioSeconds, characters, costUsd, createdAt
+  };
+
+  try {
+    const { db } = await connectToDatabase();
+    await db.collection(USAGE_EVENTS_COLLECTION).insertOne({ ...event });
+
+    const amounts = { costUsd, inputTokens, outputTokens, audioSeconds, characters, requests: 1 };
+    const increments = {};
+    for (const [field, value] of Object.entries(amounts)) {
+      if (!value) continue;
+      increments[field] = value;
+      increments[`operations.${operation}.${field}`] = value;
+    }
+    increments[`models.${modelKey(model)}.costUsd`] = costUsd;
+    increments[`models.${modelKey(model)}.requests`] = 1;
+
+    await db.collection(USAGE_DAILY_COLLECTION).updateOne(
+      { _id: `${tenantId}:${day}` },
+      { $inc: increments, $setOnInsert: { tenantId, day, month } },
+      { upsert: true }
+    );
+
+    const cached = global.usageState.spend.get(tenantId);
+    if (cached && cached.day === day) {
+      cached.daySpend += costUsd;
+      cached.monthSpend += costUsd;
+    }
+
+    await checkBudgetAlerts(tenantId);
+  } catch (error) {
+    console.error('❌ Error recording usage:', error);
+  }
+
+  return event;
+}
+
+// ---------------------------------------------------------
+// Budgets
+// ---------------------------------------------------------
+
+/**
+ * Spend of a tenant today and this month (cached briefly)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object>} { day, month, daySpend, monthSpend }
+ */
+async function getSpend(tenantId) {
+  const { day, month } = periodKeys(new Date());
+  const cached = global.usageState.spend.get(tenantId);
+  if (cached && cached.day === day && Date.now() - cached.loadedAt < SPEND_CACHE_TTL) {
+    return cached;
+  }
+
+  const { db } = await connectToDatabase();
+  const days = await db.collection(USAGE_DAILY_COLLECTION).find({ tenantId, month }).toArray();
+
+  const spend = {
+    day,
+    month,
+    daySpend: days.filter(doc => doc.day === day).reduce((sum, doc) => sum + (doc.costUsd || 0), 0),
+    monthSpend: days.reduce((sum, doc) => sum + (doc.costUsd || 0), 0),
+    loadedAt: Date.now()
+  };
+  global.usageState.spend.set(tenantId, spend);
+  return spend;
+}
+
+/**
+ * Budget of a tenant - its own values, then the deployment defaults (0/null = no limit)
+ * @param {Object} tenant - Tenant
+ * @returns {Object} { dailyUsd, monthlyUsd, action }
+ */
+export function getBudget(tenant) {
+  const defaults = getConfig().usage;
+  return {
+    dailyUsd: tenant?.budget?.dailyUsd ?? defaults.dailyBudgetUsd,
+    monthlyUsd: tenant?.budget?.monthlyUsd ?? defaults.monthlyBudgetUsd,
+    action: tenant?.budget?.action ?? defaults.budgetAction
+  };
+}
+
+/**
+ * Daily and monthly budget periods with their spend
+ * @param {Object} budget - getBudget result
+ * @param {Object} spend - getSpend result
+ * @returns {Array} [{ period, key, limitUsd, spentUsd, resetTime }]
+ */
+function budgetPeriods(budget, spend) {
+  const now = new Date();
+  return [
+    {
+      period: 'daily',
+      key: spend.day,
+      limitUsd: budget.dailyUsd,
+      spentUsd: spend.daySpend,
+      resetTime: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    },
+    {
+      period: 'monthly',
+      key: spend.month,
+      limitUsd: budget.monthlyUsd,
+      spentUsd: spend.monthSpend,
+      resetTime: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    }
+  ];
+}
+
+/**
+ * Budget and spend of a tenant
+ * @param {Object} tenant - Tenant
+ * @returns {Promise<Object>} { dailyUsd, monthlyUsd, action, spentTodayUsd, spentThisMonthUsd, exceeded, throttled, resetTime }
+ */
+export async function getBudgetStatus(tenant) {
+  const budget = getBudget(tenant);
+  const periods = budgetPeriods(budget, await getSpend(tenant.tenantId));
+  const exceeded = periods.find(period => period.limitUsd && period.spentUsd >= period.limitUsd) || null;
+
+  return {
+    ...budget,
+    spentTodayUsd: roundUsd(periods[0].spentUsd),
+    spentThisMonthUsd: roundUsd(periods[1].spentUsd),
+    exceeded: exceeded?.period || null,
+    throttled: Boolean(exceeded) && budget.action === 'throttle',
+    resetTime: exceeded?.resetTime || null
+  };
+}
+
+/**
+ * Whether a throttled tenant is out of budget - fails open if spend can't be read
+ * @param {Object} tenant - Tenant
+ * @returns {Promise<Object|null>} Violation { kind: 'budget', layer, resetTime } for rateLimiter.js, or null
+ */
+export async function getBudgetViolation(tenant) {
+  try {
+    const status = await getBudgetStatus(tenant);
+    return status.throttled ? { kind: 'budget', layer: status.exceeded, resetTime: status.resetTime } : null;
+  } catch (error) {
+    console.error('❌ Error checking budget:', error);
+    return null;
+  }
+}
+
+/**
+ * Raise warning/exceeded alerts for a tenant's budgets, once per period across instances
+ * @param {string} tenantId - Tenant ID
+ */
+async function checkBudgetAlerts(tenantId) {
+  const state = global.usageState;
+  const budget = getBudget(await getTenant(tenantId));
+  const { alertThreshold } = getConfig().usage;
+
+  for (const period of budgetPeriods(budget, await getSpend(tenantId))) {
+    if (!period.limitUsd) continue;
+
+    const level = period.spentUsd >= period.limitUsd
+      ? 'exceeded'
+      : period.spentUsd >= period.limitUsd * alertThreshold ? 'warning' : null;
+    if (!level) continue;
+
+    const alertId = `${tenantId}:${period.key}:${level}`;
+    if (state.alerted.has(alertId)) continue;
+    state.alerted.add(alertId);
+
+    const alert = {
+      tenantId,
+      period: period.period,
+      level,
+      spentUsd: roundUsd(period.spentUsd),
+      limitUsd: period.limitUsd,
+      action: budget.action,
+      resetTime: period.resetTime.toISOString()
+    };
+
+    const { db } = await connectToDatabase();
+    const result = await db.collection(USAGE_ALERTS_COLLECTION).updateOne(
+      { _id: alertId },
+      { $setOnInsert: { ...alert, createdAt: new Date() } },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) continue; // raised by another instance
+
+    console.warn(`💸 Budget ${level} for ${tenantId}: ${period.period} spend $${alert.spentUsd} of $${alert.limitUsd}`);
+
+    if (state.onBudgetAlert) {
+      try {
+        await state.onBudgetAlert(alert);
+      } catch (error) {
+        console.error('❌ Error sending budget alert:', error);
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------
+// Reports
+// ---------------------------------------------------------
+
+/**
+ * Add the numeric fields of a rollup into a total (nested operations/models included)
+ * @param {Object} target - Total (mutated)
+ * @param {Object} source - Rollup or event
+ * @returns {Object} target
+ */
+function addTotals(target, source) {
+  for (const [field, value] of Object.entries(source)) {
+    if (typeof value === 'number') {
+      target[field] = (target[field] || 0) + value;
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      target[field] = addTotals(target[field] || {}, value);
+    }
+  }
+  return target;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+}
+
+// Round every costUsd in a report
+function roundCosts(totals) {
+  for (const [field, value] of Object.entries(totals)) {
+    if (field === 'costUsd') totals[field] = roundUsd(value);
+    else if (value && typeof value === 'object') roundCosts(value);
+  }
+  return totals;
+}
+
+/**
+ * Cost report for a tenant, grouped by day or month
+ *
+ * @param {Object} tenant - Tenant
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day (YYYY-MM-DD), default the first of this month
+ * @param {string} [options.to] - Last day (YYYY-MM-DD), default today
+ * @param {string} [options.groupBy] - 'day' or 'month'
+ * @returns {Promise<Object>} { tenantId, from, to, groupBy, totals, periods, budget }
+ */
+export async function getUsageReport(tenant, { from, to, groupBy = 'day' } = {}) {
+  const today = periodKeys(new Date());
+  const range = { from: from || `${today.month}-01`, to: to || today.day };
+
+  for (const [name, value] of Object.entries(range)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw httpError(`${name} must be a date like 2025-01-31`, 400);
+    }
+  }
+  if (!['day', 'month'].includes(groupBy)) {
+    throw httpError('groupBy must be day or month', 400);
+  }
+
+  const { db } = await connectToDatabase();
+  const days = await db.collection(USAGE_DAILY_COLLECTION)
+    .find({ tenantId: tenant.tenantId, day: { $gte: range.from, $lte: range.to } })
+    .sort({ day: 1 })
+    .toArray();
+
+  const totals = emptyTotals();
+  const periods = new Map();
+  for (const { _id, tenantId, day, month, ...amounts } of days) {
+    const period = groupBy === 'month' ? month : day;
+    if (!periods.has(period)) periods.set(period, emptyTotals());
+    addTotals(periods.get(period), amounts);
+    addTotals(totals, amounts);
+  }
+
+  return {
+    tenantId: tenant.tenantId,
+    ...range,
+    groupBy,
+    totals: roundCosts(totals),
+    periods: [...periods].map(([period, amounts]) => ({ period, ...roundCosts(amounts) })),
+    budget: await getBudgetStatus(tenant)
+  };
+}
+
+/**
+ * Usage of one conversation, event by event
+ * @param {string} tenantId - Tenant the conversation belongs to
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} { conversationId, totals, events }
+ */
+export async function getConversationUsage(tenantId, conversationId) {
+  const { db } = await connectToDatabase();
+  const events = await db.collection(USAGE_EVENTS_COLLECTION)
+    .find({ tenantId, conversationId }, { projection: { _id: 0 } })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  if (events.length === 0) {
+    throw httpError('No usage recorded for this conversation', 404);
+  }
+
+  const totals = emptyTotals();
+  for (const event of events) {
+    addTotals(totals, Object.fromEntries(USAGE_FIELDS.map(field => [field, field === 'requests' ? 1 : event[field] || 0])));
+  }
+
+  return { conversationId, totals: roundCosts(totals), events: events.map(({ _id, ...event }) => event) };
+}
+
+/**
+ * Today's and this month's spend of every tenant against its budget (platform admins)
+ * @returns {Promise<Array>} [{ tenantId, name, ...budget status }]
+ */
+export async function listTenantSpend() {
+  const tenants = await loadTenants();
+  const rows = [];
+  for (const tenant of tenants) {
+    rows.push({ tenantId: tenant.tenantId, name: tenant.name, ...await getBudgetStatus(tenant) });
+  }
+  return rows.sort((a, b) => b.spentThisMonthUsd - a.spentThisMonthUsd);
+}
+
+export default {
+  USAGE_OPERATIONS,
+  DEFAULT_PRICES,
+  configureUsageTracker,
+  priceUsage,
+  addTokenUsage,
+  recordUsage,
+  getBudget,
+  getBudgetStatus,
+  getBudgetViolation,
+  getUsageReport,
+  getConversationUsage,
+  listTenantSpend
+};
@@ -42,7 +42,7 @@
 //    // Multiple files
 //    const combinedText = await processFiles([file1, file2, file3]);
 //
-// 🎯 USE THIS EXACT SETUP FOR ALL SVÖRUM STRAX CHATBOTS!
+// 🎯 Shared by every tenant's chatbot - no per-client copies needed.
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 import mammoth from 'mammoth';
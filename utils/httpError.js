@@ -0,0 +1,19 @@
+// utils/httpError.js - Errors that carry the HTTP status to answer with
+//
+// Services throw these for problems the caller can fix (400/404/409...); routes pass
+// them to sendError (routes/routeHelpers.js), tools surface their message to the model.
+// Errors without a status are answered with 500.
+
+/**
+ * Create an Error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with a status property
+ */
+export function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default { httpError };
@@ -0,0 +1,109 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ICS GENERATOR - iCalendar (RFC 5545) invites for booked consultations
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//
+// 📝 USAGE:
+//    import { createIcsEvent } from './utils/icsGenerator.js';
+//
+//    const ics = createIcsEvent({
+//      uid: 'booking-123@svorumstrax.is',
+//      start: new Date('2026-03-02T10:00:00Z'),
+//      end: new Date('2026-03-02T10:30:00Z'),
+//      summary: 'Ráðgjöf - Svörum strax',
+//      organizer: { name: 'Daníel Thorstensen', email: 'daniel.t@svorumstrax.is' },
+//      attendee: { name: 'Jón Jónsson', email: 'jon@example.is' }
+//    });
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Format a date as an iCalendar UTC timestamp (20260302T100000Z)
+ * @param {Date|string} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text values (commas, semicolons, backslashes and newlines)
+ * @param {string} value - Text value
+ * @returns {string} Escaped value
+ */
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold lines longer than 75 octets as required by RFC 5545
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf-8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char, 'utf-8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Create an iCalendar file with a single event
+ *
+ * @param {Object} event
+ * @param {string} event.uid - Globally unique event ID
+ * @param {Date|string} event.start - Start time
+ * @param {Date|string} event.end - End time
+ * @param {string} event.summary - Event title
+ * @param {string} [event.description] - Event description
+ * @param {string} [event.location] - Location or meeting link
+ * @param {Object} [event.organizer] - { name, email }
+ * @param {Object} [event.attendee] - { name, email }
+ * @param {string} [event.status] - CONFIRMED or CANCELLED
+ * @returns {string} ICS file content (CRLF line endings)
+ */
+export function createIcsEvent({ uid, start, end, summary, description, location, organizer, attendee, status = 'CONFIRMED' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Svorum strax//Chatbot Booking//IS',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${status === 'CANCELLED' ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `STATUS:${status}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+  if (organizer?.email) {
+    lines.push(`ORGANIZER;CN=${escapeIcsText(organizer.name || organizer.email)}:mailto:${organizer.email}`);
+  }
+  if (attendee?.email) {
+    lines.push(`ATTENDEE;CN=${escapeIcsText(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${attendee.email}`);
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export default { createIcsEvent };
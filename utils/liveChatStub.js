@@ -0,0 +1,189 @@
+// utils/liveChatStub.js - Local stand-in for the LiveChat APIs
+//
+// Implements the parts of the accounts, Customer and Agent APIs the bridge uses
+// and sends webhooks back like LiveChat does, including the copy of every message
+// the bridge posts (so echo suppression can be checked). Agents are simulated
+// through the /stub routes.
+//
+// Run it next to the API:
+//   node utils/liveChatStub.js
+// and point the bridge at it:
+//   LIVECHAT_API_URL=http://localhost:8090/v3.5 LIVECHAT_ACCOUNTS_URL=http://localhost:8090
+//
+// Stub routes:
+//   GET  /stub/chats                              -> chats with their events
+//   POST /stub/chats/:chatId/agent-message        { text, agentId, name }
+//   POST /stub/chats/:chatId/close                { agentId }
+
+import express from 'express';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+
+/**
+ * Create the stub app
+ * @param {Object} options
+ * @param {string} options.webhookUrl - Where webhooks are sent (the API's /livechat/webhook)
+ * @param {string} options.webhookSecret - secret_key sent with every webhook
+ * @param {string} [options.organizationId] - Organization ID returned with tokens
+ * @returns {express.Application} App with `chats` and `calls` properties for inspection
+ */
+export function createLiveChatStub({ webhookUrl, webhookSecret, organizationId = 'stub-organization' }) {
+  const app = express();
+  app.use(express.json());
+
+  const chats = new Map(); // chatId -> { chatId, threadId, customerId, active, agents: Set, events: [] }
+  const customers = new Map(); // token -> customerId
+  const calls = [];
+  const newId = (prefix) => `${prefix}${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+  app.chats = chats;
+  app.calls = calls;
+
+  async function sendWebhook(action, payload) {
+    try {
+      await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ webhook_id: newId('wh_'), secret_key: webhookSecret, action, organization_id: organizationId, payload }),
+        signal: AbortSignal.timeout(5000)
+      });
+    } catch (error) {
+      console.error(`❌ LiveChat stub webhook ${action} failed:`, error.message);
+    }
+  }
+
+  function addEvent(chat, authorId, event) {
+    const stored = { id: newId('ev_'), author_id: authorId, created_at: new Date().toISOString(), ...event };
+    chat.events.push(stored);
+    // Delivered after the response, like LiveChat
+    setImmediate(() => sendWebhook('incoming_event', { chat_id: chat.chatId, thread_id: chat.threadId, event: stored }));
+    return stored;
+  }
+
+  function getChat(req, res) {
+    const chat = chats.get(req.body.chat_id || req.body.id || req.params.chatId);
+    if (!chat) {
+      res.status(404).json({ error: { type: 'not_found', message: 'Chat not found' } });
+      return null;
+    }
+    return chat;
+  }
+
+  function deactivate(chat, userId) {
+    chat.active = false;
+    setImmediate(() => sendWebhook('chat_deactivated', { chat_id: chat.chatId, thread_id: chat.threadId, user_id: userId }));
+  }
+
+  app.use((req, _res, next) => {
+    calls.push({ path: req.path, authorization: req.headers.authorization, body: req.body });
+    next();
+  });
+
+  // Customer token on behalf of an agent
+  app.post('/v2/customer/token', (req, res) => {
+    if (!req.headers.authorization?.startsWith('Basic ') || req.body.grant_type !== 'agent_token') {
+      return res.status(401).json({ error: 'invalid_request' });
+    }
+    const token = newId('tok_');
+    const customerId = crypto.randomUUID();
+    customers.set(token, customerId);
+    res.json({ access_token: token, entity_id: customerId, expires_in: 28800, token_type: 'Bearer', organization_id: organizationId });
+  });
+
+  // Customer API
+  app.post('/v3.5/customer/action/:action', (req, res) => {
+    const customerId = customers.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+    if (!customerId) {
+      return res.status(401).json({ error: { type: 'authentication', message: 'Invalid access token' } });
+    }
+
+    switch (req.params.action) {
+      case 'start_chat': {
+        const chat = { chatId: newId('CH'), threadId: newId('TH'), customerId, active: true, agents: new Set(), events: [] };
+        chats.set(chat.chatId, chat);
+        for (const event of req.body.chat?.thread?.events || []) addEvent(chat, customerId, event);
+        return res.json({ chat_id: chat.chatId, thread_id: chat.threadId });
+      }
+      case 'send_event': {
+        const chat = getChat(req, res);
+        if (!chat) return;
+        return res.json({ event_id: addEvent(chat, customerId, req.body.event).id });
+      }
+      case 'deactivate_chat': {
+        const chat = getChat(req, res);
+        if (!chat) return;
+        deactivate(chat, customerId);
+        return res.json({});
+      }
+      default:
+        return res.status(400).json({ error: { type: 'validation', message: `Unsupported action ${req.params.action}` } });
+    }
+  });
+
+  // Agent API (the bridge's bot agent)
+  app.post('/v3.5/agent/action/:action', (req, res) => {
+    const authorization = req.headers.authorization || '';
+    if (!authorization.startsWith('Basic ')) {
+      return res.status(401).json({ error: { type: 'authentication', message: 'Invalid credentials' } });
+    }
+    const agentId = Buffer.from(authorization.slice(6), 'base64').toString().split(':')[0];
+
+    switch (req.params.action) {
+      case 'send_event': {
+        const chat = getChat(req, res);
+        if (!chat) return;
+        return res.json({ event_id: addEvent(chat, agentId, req.body.event).id });
+      }
+      case 'deactivate_chat': {
+        const chat = getChat(req, res);
+        if (!chat) return;
+        deactivate(chat, agentId);
+        return res.json({});
+      }
+      default:
+        return res.status(400).json({ error: { type: 'validation', message: `Unsupported action ${req.params.action}` } });
+    }
+  });
+
+  // Simulated human agents
+  app.get('/stub/chats', (_req, res) => {
+    res.json([...chats.values()].map(chat => ({ ...chat, agents: [...chat.agents] })));
+  });
+
+  app.post('/stub/chats/:chatId/agent-message', async (req, res) => {
+    const chat = getChat(req, res);
+    if (!chat) return;
+    const { text, agentId = 'agent@example.com', name = 'Stub Agent' } = req.body;
+
+    if (!chat.agents.has(agentId)) {
+      chat.agents.add(agentId);
+      await sendWebhook('user_added_to_chat', {
+        chat_id: chat.chatId,
+        thread_id: chat.threadId,
+        user: { id: agentId, name, type: 'agent', present: true }
+      });
+    }
+    res.json({ event_id: addEvent(chat, agentId, { type: 'message', text, visibility: 'all' }).id });
+  });
+
+  app.post('/stub/chats/:chatId/close', (req, res) => {
+    const chat = getChat(req, res);
+    if (!chat) return;
+    deactivate(chat, req.body.agentId || 'agent@example.com');
+    res.json({});
+  });
+
+  return app;
+}
+
+// Started directly: node utils/liveChatStub.js
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.env.LIVECHAT_STUB_PORT || 8090;
+  const app = createLiveChatStub({
+    webhookUrl: process.env.LIVECHAT_STUB_WEBHOOK_URL || `http://localhost:${process.env.PORT || 8080}/livechat/webhook`,
+    webhookSecret: process.env.LIVECHAT_WEBHOOK_SECRET || 'stub-secret'
+  });
+  app.listen(port, () => console.log(`🧪 LiveChat stub listening on http://localhost:${port}`));
+}
+
+export default { createLiveChatStub };